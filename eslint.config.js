@@ -4,7 +4,7 @@ import prettierConfig from "eslint-config-prettier";
 
 export default [
 	// Ignore heavy/generated folders and logs
-	{ ignores: ["logs/**", "tracking/**", "analysis-output/**", "backtest-output/**", "**/*.log", "**/*.jsonl"] },
+	{ ignores: ["logs/**", "tracking/**", "recordings/**", "analysis-output/**", "backtest-output/**", "**/*.log", "**/*.jsonl"] },
 	js.configs.recommended,
 	{
 		languageOptions: {
@@ -28,6 +28,7 @@ export default [
 				clearImmediate: "readonly",
 				URL: "readonly",
 				fetch: "readonly",
+				AbortSignal: "readonly",
 			},
 		},
 		plugins: {
@@ -1,6 +1,7 @@
 import WebSocket from "ws";
 import fs from "fs";
 import path from "path";
+import { PumpPortalMockServer } from "./scripts/dev/pumpportal-mock-server.js";
 
 /**
  * PumpPortal WebSocket Test
@@ -9,12 +10,19 @@ import path from "path";
  * 1. subscribeNewToken - Detecta nuevos tokens
  * 2. subscribeTokenTrade - Se suscribe automáticamente a trades del token nuevo
  * 3. subscribeAccountTrade - Se suscribe automáticamente a trades del creador
+ *
+ * Con PUMPPORTAL_TEST_MOCK=true arranca el servidor local (scripts/dev/pumpportal-mock-server.js)
+ * en un puerto libre y falla si no recibe tokens y trades (apto para CI sin red).
+ * PUMP_PORTAL_WS_URL permite apuntar a cualquier otro servidor.
  */
 
 class PumpPortalTest {
 	constructor() {
 		this.ws = null;
-		this.timeout = 30000; // 30 segundos para generar archivos más rápido
+		this.timeout = parseInt(process.env.PUMPPORTAL_TEST_TIMEOUT_MS) || 30000; // 30 segundos para generar archivos más rápido
+		this.useMock = process.env.PUMPPORTAL_TEST_MOCK === "true";
+		this.wsUrl = process.env.PUMP_PORTAL_WS_URL || "wss://pumpportal.fun/api/data";
+		this.mockServer = null;
 		this.outputDir = "./pumpportal-test-results";
 
 		// Datos capturados
@@ -34,10 +42,17 @@ class PumpPortalTest {
 	}
 
 	async start() {
+		if (this.useMock) {
+			this.mockServer = new PumpPortalMockServer({ port: 0, createIntervalMs: 500, tradeIntervalMs: 200, creatorSellAfterMs: 2000 });
+			const { url } = await this.mockServer.start();
+			this.wsUrl = url;
+		}
+
 		console.log("🔬 PumpPortal WebSocket Test");
 		console.log("=============================");
 		console.log(`⏱️  Timeout: ${this.timeout / 1000}s`);
 		console.log(`📁 Salida: ${this.outputDir}`);
+		console.log(`🌐 Servidor: ${this.wsUrl}${this.useMock ? " (mock local)" : ""}`);
 		console.log("🎯 Métodos: subscribeNewToken, subscribeTokenTrade, subscribeAccountTrade\n");
 
 		return new Promise((resolve, reject) => {
@@ -62,7 +77,7 @@ class PumpPortalTest {
 			process.on("SIGTERM", handleExit);
 
 			// Conectar WebSocket
-			this.ws = new WebSocket("wss://pumpportal.fun/api/data");
+			this.ws = new WebSocket(this.wsUrl);
 
 			this.ws.on("open", () => {
 				console.log("✅ Conexión WebSocket establecida");
@@ -216,6 +231,17 @@ class PumpPortalTest {
 		if (this.ws && this.ws.readyState === WebSocket.OPEN) {
 			this.ws.close();
 		}
+		if (this.mockServer) {
+			this.mockServer.stop();
+			this.mockServer = null;
+		}
+	}
+
+	// En modo mock los datos son deterministas en volumen: sin tokens o trades el test falla
+	assertResults() {
+		if (!this.useMock) return;
+		if (this.newTokens.length === 0) throw new Error("No se recibieron eventos subscribeNewToken del mock");
+		if (this.tokenTrades.length === 0) throw new Error("No se recibieron trades subscribeTokenTrade del mock");
 	}
 
 	saveResults() {
@@ -309,6 +335,7 @@ console.log("🚀 Iniciando PumpPortal WebSocket Test...\n");
 const test = new PumpPortalTest();
 test.start()
 	.then(() => {
+		test.assertResults();
 		console.log("\n🎉 Test completado exitosamente!");
 		process.exit(0);
 	})
@@ -108,7 +108,6 @@ function* genRules() {
 
 	const uniquePerTradeMin = [0, 0.5, 0.7];
 	const buysPerUniqueMin = [0, 1.2, 1.5];
-	const deltaBuysMin = [0, 1, 3];
 	const volatilityRatioMax = [Number.POSITIVE_INFINITY, 5];
 	const ageMax = [Number.POSITIVE_INFINITY, 3600]; // <= 1h
 
@@ -122,23 +121,21 @@ function* genRules() {
 								if (maxMcUsd > minMcUsd)
 									for (const minUniquePerTrade of uniquePerTradeMin)
 										for (const minBuysPerUnique of buysPerUniqueMin)
-											for (const minDeltaBuys of deltaBuysMin)
-												for (const maxVolatilityRatio of volatilityRatioMax)
-													for (const maxAgeAtTriggerSec of ageMax)
-														yield {
-															minBuyRatio,
-															minBuys,
-															minTotalTrades,
-															minUniqueTraders,
-															minNetBuys,
-															minMcUsd,
-															maxMcUsd,
-															minUniquePerTrade,
-															minBuysPerUnique,
-															minDeltaBuys,
-															maxVolatilityRatio,
-															maxAgeAtTriggerSec,
-														};
+											for (const maxMcVolatilityRatio of volatilityRatioMax)
+												for (const maxAgeAtTriggerSec of ageMax)
+													yield {
+														minBuyRatio,
+														minBuys,
+														minTotalTrades,
+														minUniqueTraders,
+														minNetBuys,
+														minMcUsd,
+														maxMcUsd,
+														minUniquePerTrade,
+														minBuysPerUnique,
+														maxMcVolatilityRatio,
+														maxAgeAtTriggerSec,
+													};
 }
 
 function evaluateRules(feats) {
@@ -526,7 +523,7 @@ function buildHtmlReport({ feats, summaryRows, baseline, top, recommended, bestP
       <tr>
         <th class="label">Rule</th>
         <th>minBuyRatio</th><th>minBuys</th><th>minTrades</th><th>minUnique</th><th>minNetBuys</th><th>minMcUsd</th><th>maxMcUsd</th>
-        <th>minUnique/Trade</th><th>minBuys/Unique</th><th>minΔBuys</th><th>maxMcVolRatio</th><th>maxAgeSec</th>
+        <th>minUnique/Trade</th><th>minBuys/Unique</th><th>maxMcVolRatio</th><th>maxAgeSec</th>
         <th>precision</th><th>recall</th><th>F1</th><th>coverage</th><th>lift</th><th>positives</th><th>goodPred</th>
       </tr>`;
 		const body = top
@@ -543,8 +540,7 @@ function buildHtmlReport({ feats, summaryRows, baseline, top, recommended, bestP
           <td>${r.maxMcUsd === Infinity ? "&infin;" : fmtNum(r.maxMcUsd, 0)}</td>
           <td>${fmtNum(r.minUniquePerTrade, 2)}</td>
           <td>${fmtNum(r.minBuysPerUnique, 2)}</td>
-          <td>${fmtNum(r.minDeltaBuys, 0)}</td>
-          <td>${r.maxVolatilityRatio === Infinity ? "&infin;" : fmtNum(r.maxVolatilityRatio, 2)}</td>
+          <td>${r.maxMcVolatilityRatio === Infinity ? "&infin;" : fmtNum(r.maxMcVolatilityRatio, 2)}</td>
           <td>${r.maxAgeAtTriggerSec === Infinity ? "&infin;" : fmtNum(r.maxAgeAtTriggerSec, 0)}</td>
           <td>${fmtPct(r.precision)}</td>
           <td>${fmtPct(r.recall)}</td>
@@ -567,12 +563,11 @@ function buildHtmlReport({ feats, summaryRows, baseline, top, recommended, bestP
 			`preTotalTrades ≥ ${fmtNum(rule.minTotalTrades, 0)}`,
 			`preUniqueTraders ≥ ${fmtNum(rule.minUniqueTraders, 0)}`,
 			`netBuys ≥ ${fmtNum(rule.minNetBuys, 0)}`,
-			`${fmtNum(rule.minMcUsd, 0)} ≤ entryMarketCapUsd ≤ ${rule.maxMcUsd === Infinity ? "∞" : fmtNum(rule.maxMcUsd, 0)}`,
+			`${fmtNum(rule.minMcUsd, 0)} ≤ mcUsd ≤ ${rule.maxMcUsd === Infinity ? "∞" : fmtNum(rule.maxMcUsd, 0)}`,
 		];
 		if (rule.minUniquePerTrade && rule.minUniquePerTrade > 0) conds.push(`uniquePerTrade ≥ ${fmtNum(rule.minUniquePerTrade, 2)}`);
 		if (rule.minBuysPerUnique && rule.minBuysPerUnique > 0) conds.push(`buysPerUnique ≥ ${fmtNum(rule.minBuysPerUnique, 2)}`);
-		if (rule.minDeltaBuys && rule.minDeltaBuys > 0) conds.push(`Δbuys ≥ ${fmtNum(rule.minDeltaBuys, 0)}`);
-		if (rule.maxVolatilityRatio !== undefined && rule.maxVolatilityRatio !== Infinity) conds.push(`mcVolRatio ≤ ${fmtNum(rule.maxVolatilityRatio, 2)}`);
+		if (rule.maxMcVolatilityRatio !== undefined && rule.maxMcVolatilityRatio !== Infinity) conds.push(`mcVolRatio ≤ ${fmtNum(rule.maxMcVolatilityRatio, 2)}`);
 		if (rule.maxAgeAtTriggerSec !== undefined && rule.maxAgeAtTriggerSec !== Infinity) conds.push(`ageAtTriggerSec ≤ ${fmtNum(rule.maxAgeAtTriggerSec, 0)}`);
 		const condBadges = conds.map((c) => `<span class="cond">${htmlesc(c)}</span>`).join("\n");
 
@@ -589,7 +584,7 @@ function buildHtmlReport({ feats, summaryRows, baseline, top, recommended, bestP
 			`TRACK_MIN_UNIQUE_PER_TRADE=${rule.minUniquePerTrade ? envNumDec(rule.minUniquePerTrade, 2) : 0}`,
 			`TRACK_MIN_BUYS_PER_UNIQUE=${rule.minBuysPerUnique ? envNumDec(rule.minBuysPerUnique, 2) : 0}`,
 			`TRACK_MAX_AGE_AT_TRIGGER_SEC=${rule.maxAgeAtTriggerSec === Infinity ? "" : envNumInt(rule.maxAgeAtTriggerSec)}`,
-			`TRACK_MAX_MC_VOLATILITY_RATIO=${rule.maxVolatilityRatio === Infinity ? "" : envNumDec(rule.maxVolatilityRatio, 2)}`,
+			`TRACK_MAX_MC_VOLATILITY_RATIO=${rule.maxMcVolatilityRatio === Infinity ? "" : envNumDec(rule.maxMcVolatilityRatio, 2)}`,
 		].join("\n");
 
 		const codeId = `env-${title.toLowerCase().replace(/[^a-z0-9]+/g, "-")}`;
@@ -678,12 +673,14 @@ function buildHtmlReport({ feats, summaryRows, baseline, top, recommended, bestP
               <li><code>uniquePerTrade</code>: preUniqueTraders / preTotalTrades.</li>
               <li><code>buysPerUnique</code>: preBuys / preUniqueTraders.</li>
               <li><code>tradesPerUnique</code>: preTotalTrades / preUniqueTraders.</li>
-              <li><code>mcPerUnique</code>: entryMarketCapUsd / preUniqueTraders.</li>
+              <li><code>mcPerUnique</code>: mcUsd / preUniqueTraders.</li>
               <li><code>Δbuys/Δsells/Δtrades/Δunique</code>: diferencia vs métricas preEntry.</li>
               <li><code>accel*</code>: cociente vs preEntry (crecimiento relativo).</li>
-              <li><code>mcVolRatio</code>: preEntryMaxMcUsd / preEntryMinMcUsd.</li>
+              <li><code>volatilityRatio</code>: preEntryMaxMcUsd / preEntryMinMcUsd.</li>
+              <li><code>mcVolRatio</code> (filtro <code>maxMcVolatilityRatio</code>): max / min market cap antes del trigger, igual que en vivo.</li>
               <li><code>imbalancePerTrade</code>: netBuys / preTotalTrades.</li>
               <li><code>entryMarketCapUsd</code>: market cap de entrada (USD).</li>
+              <li><code>mcUsd</code> (filtros <code>minMcUsd</code>/<code>maxMcUsd</code>): market cap al trigger (USD), igual que en vivo.</li>
               <li><code>ageAtTriggerSec</code>: antigüedad del token al disparo.</li>
             </ul>
           </div>
@@ -701,7 +698,7 @@ function buildHtmlReport({ feats, summaryRows, baseline, top, recommended, bestP
             <ul>
               <li><i>Más precisión</i>: sube <code>buyRatio</code>, <code>preUniqueTraders</code> y <code>preBuys</code>.</li>
               <li><i>Más recall</i>: baja levemente los mínimos o amplia <code>maxMcUsd</code>.</li>
-              <li><i>Evitar extremos</i>: usa rango de <code>entryMarketCapUsd</code> (p. ej., ≥ 1k y ≤ 100k).</li>
+              <li><i>Evitar extremos</i>: usa rango de <code>mcUsd</code> (p. ej., ≥ 1k y ≤ 100k).</li>
             </ul>
           </div>
         </div>
@@ -2,6 +2,8 @@ import fs from "fs";
 import path from "path";
 import readline from "readline";
 import { readJsonl, ensureDirSync, writeCsv } from "./lib/jsonl.js";
+import { readStrategiesFile } from "../../src/strategy-resolver.js";
+import { tokenFromTrackingLogFile } from "../../src/tracking-writer.js";
 
 const outcomesDir = path.join("logs", "summary-outcomes");
 const summariesLog = path.join("logs", "tracking-summaries.log");
@@ -157,11 +159,9 @@ main().catch((e) => {
 // ---------- HTML helpers ----------
 function loadStrategiesCfg() {
 	try {
-		if (!fs.existsSync(strategiesFile)) return [];
-		const txt = fs.readFileSync(strategiesFile, "utf8");
-		const arr = JSON.parse(txt);
-		return Array.isArray(arr) ? arr : [];
-	} catch {
+		return readStrategiesFile(strategiesFile);
+	} catch (e) {
+		console.warn("Failed to read strategies.json:", e.message);
 		return [];
 	}
 }
@@ -521,7 +521,7 @@ function buildHtml({ baseline, _totalMarked, _totalGoodMarked, rows, strategiesC
 				let logsCount = 0;
 				try {
 					if (trackingDir && fs.existsSync(trackingDir)) {
-						logsCount = fs.readdirSync(trackingDir).filter((f) => f.endsWith("-websocket.log")).length;
+						logsCount = fs.readdirSync(trackingDir).filter((f) => tokenFromTrackingLogFile(f) !== null).length;
 					}
 				} catch (_e) {
 					void 0; // ignore fs errors
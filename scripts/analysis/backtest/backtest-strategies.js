@@ -4,7 +4,8 @@ import os from "os";
 import { isMainThread, Worker, parentPort, workerData } from "worker_threads";
 import { readJsonl, ensureDirSync } from "../lib/jsonl.js";
 import { computeFeatures, passesRule } from "../lib/features.js";
-import { parseTrackingSessions } from "./lib/tracking-parse.js";
+import { parseTrackingSessions, trackingLogsForToken } from "./lib/tracking-parse.js";
+import { readStrategiesFile } from "../../../src/strategy-resolver.js";
 
 // Usage: node scripts/analysis/backtest/backtest-strategies.js [outcomesDir] [trackingDirOrRoot] [outputDir]
 // Defaults: outcomesDir=logs/summary-outcomes, trackingDirOrRoot=tracking, outputDir=backtest-output
@@ -40,16 +41,12 @@ async function buildEarlyMetricsIndex(records) {
 	// Load strategies.json if present to resolve per-strategy logDir
 	let strategies = null;
 	try {
-		const strategiesFile = path.join(process.cwd(), "strategies.json");
-		if (fs.existsSync(strategiesFile)) {
-			const raw = fs.readFileSync(strategiesFile, "utf8");
-			const arr = JSON.parse(raw);
-			if (Array.isArray(arr)) {
-				strategies = new Map(arr.map((s) => [s.id, s?.tracking?.logDir || path.join(trackingDirRoot, s.id)]));
-			}
+		const arr = readStrategiesFile(process.env.STRATEGIES_FILE || path.join(process.cwd(), "strategies.json"));
+		if (arr.length > 0) {
+			strategies = new Map(arr.map((s) => [s.id, s?.tracking?.logDir || path.join(trackingDirRoot, s.id)]));
 		}
-	} catch {
-		// ignore, fallback to single-dir mode
+	} catch (e) {
+		console.warn("Failed to read strategies.json; using single-dir mode:", e.message);
 	}
 
 	// Group by strategyId and token so we can use per-strategy folders when available
@@ -69,11 +66,11 @@ async function buildEarlyMetricsIndex(records) {
 	for (const [sid, tokens] of byStratToken.entries()) {
 		const dirForStrat = strategies && sid && strategies.get(sid) ? strategies.get(sid) : trackingDirRoot;
 		for (const token of tokens) {
-			const filePath = path.join(dirForStrat, `${token}-websocket.log`);
-			const sessions = await parseTrackingSessions(filePath);
 			const map = new Map();
-			for (const s of sessions) {
-				map.set(keySession(s.startedAt, s.endedAt), s.metrics);
+			for (const filePath of trackingLogsForToken(dirForStrat, token)) {
+				for (const s of await parseTrackingSessions(filePath)) {
+					map.set(keySession(s.startedAt, s.endedAt), s.metrics);
+				}
 			}
 			if (!index.has(sid)) index.set(sid, new Map());
 			index.get(sid).set(token, map);
@@ -510,7 +507,7 @@ function renderRuleCard(rule, title, id, recommended = false) {
 		`preTotalTrades ≥ ${fmtNum(rule.minTotalTrades, 0)}`,
 		`preUniqueTraders ≥ ${fmtNum(rule.minUniqueTraders, 0)}`,
 		`netBuys ≥ ${fmtNum(rule.minNetBuys, 0)}`,
-		`${fmtNum(rule.minMcUsd, 0)} ≤ entryMarketCapUsd ≤ ${rule.maxMcUsd === Infinity ? "∞" : fmtNum(rule.maxMcUsd, 0)}`,
+		`${fmtNum(rule.minMcUsd, 0)} ≤ mcUsd ≤ ${rule.maxMcUsd === Infinity ? "∞" : fmtNum(rule.maxMcUsd, 0)}`,
 		rule.minUniquePerTrade ? `uniquePerTrade ≥ ${fmtNum(rule.minUniquePerTrade, 2)}` : null,
 		rule.minBuysPerUnique ? `buysPerUnique ≥ ${fmtNum(rule.minBuysPerUnique, 2)}` : null,
 		rule.maxMcVolatilityRatio !== Infinity ? `mcVolRatio ≤ ${fmtNum(rule.maxMcVolatilityRatio, 2)}` : null,
@@ -0,0 +1,68 @@
+import fs from "fs";
+import path from "path";
+import { readJsonl } from "../../lib/jsonl.js";
+import { CANDLE_VERSION } from "../../../../src/candle-builder.js";
+import { sessionCandlesFileName, tokenFromTrackingLogFile } from "../../../../src/tracking-writer.js";
+
+// OHLCV candles saved with tracking sessions (<mint>-candles.jsonl next to the tracking log, written with CANDLES_ENABLED).
+// One line per closed session: { v, token, strategyId, startedAt, endedAt, fromMs, timeframes: { "5s": [bar, ...] } },
+// where fromMs includes CANDLES_SESSION_LOOKBACK_SEC before the trigger and each bar is
+// { t, open, high, low, close, mcOpen, mcHigh, mcLow, mcClose, volumeSol, buyVolumeSol, sellVolumeSol, trades, buys, sells, uniqueTraders }.
+
+/**
+ * Candles file for a tracking log (either format), or null if there is none.
+ */
+export function candlesFileForLog(trackingLogPath) {
+	const token = tokenFromTrackingLogFile(trackingLogPath);
+	if (!token) return null;
+	const file = path.join(path.dirname(trackingLogPath), sessionCandlesFileName(token));
+	return fs.existsSync(file) ? file : null;
+}
+
+export async function readSessionCandles(filePath) {
+	if (!filePath || !fs.existsSync(filePath)) return [];
+	return readJsonl(filePath, { filter: (r) => typeof r.v === "number" && r.v <= CANDLE_VERSION && r.timeframes && typeof r.timeframes === "object" });
+}
+
+/**
+ * Candle record of one session (matched by startedAt, as in the summary), or null.
+ */
+export function candlesForSession(records, { startedAt }) {
+	if (!startedAt) return null;
+	return records.find((r) => r.startedAt === startedAt) || null;
+}
+
+/**
+ * Momentum features of the bars opened between fromMs and toMs (epoch ms, inclusive):
+ * return (first open -> last close, %), SOL volume and buy share, share of green bars,
+ * max drawdown from the running high (%, <= 0) and trades per bar. null if there are no bars.
+ */
+export function momentumFeatures(bars, { fromMs = -Infinity, toMs = Infinity } = {}) {
+	const within = (bars || []).filter((b) => b.t >= fromMs && b.t <= toMs);
+	if (!within.length) return null;
+	let volumeSol = 0;
+	let buyVolumeSol = 0;
+	let trades = 0;
+	let green = 0;
+	let peak = -Infinity;
+	let maxDrawdownPct = 0;
+	for (const b of within) {
+		volumeSol += b.volumeSol || 0;
+		buyVolumeSol += b.buyVolumeSol || 0;
+		trades += b.trades || 0;
+		if (b.close > b.open) green++;
+		peak = Math.max(peak, b.high);
+		if (peak > 0) maxDrawdownPct = Math.min(maxDrawdownPct, ((b.low - peak) / peak) * 100);
+	}
+	const first = within[0];
+	const last = within[within.length - 1];
+	return {
+		bars: within.length,
+		returnPct: first.open > 0 ? ((last.close - first.open) / first.open) * 100 : null,
+		volumeSol,
+		buyVolumeRatio: volumeSol > 0 ? buyVolumeSol / volumeSol : null,
+		greenBarRatio: green / within.length,
+		maxDrawdownPct,
+		tradesPerBar: trades / within.length,
+	};
+}
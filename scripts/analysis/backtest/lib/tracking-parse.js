@@ -1,18 +1,123 @@
 import fs from "fs";
+import path from "path";
 import readline from "readline";
+import { TRACKING_EVENT_VERSION, TRACKING_LOG_FORMATS, tokenFromTrackingLogFile, trackingLogFileName } from "../../../../src/tracking-writer.js";
 
-// Parse a per-token tracking log file and extract sessions with early-window metrics
-// A session is assumed to start when the first 'Current price:' line appears after a previous summary
-// and ends at the JSON summary line (INFO {"type":"summary", ...}).
+// Parse per-token tracking logs in both formats written by src/tracking-writer.js:
+// - text (<mint>-websocket.log): 'Entry price: ...' / 'Current price: ...' lines and INFO {"type":"summary", ...}
+// - jsonl (<mint>-tracking.jsonl): one { v, type, ts, ... } event per line
+// parseTrackingLine() turns either into the same events, so the rest of the code doesn't care about the format.
+// A session starts at session_start (jsonl) or at the first point after a previous summary (text)
+// and ends at its summary line.
 // IMPORTANT: If there is no summary (e.g., truncated file), the open session is DISCARDED.
 
-const CURRENT_REGEX = /Current price:\s*([^\s]+)\s*-\s*Current percentage:\s*([-0-9.]+)%.*?Trading time:\s*(\d+):(\d+):(\d+)/;
+const CURRENT_REGEX =
+	/Current price:\s*([^\s]+)\s*-\s*Current percentage:\s*([-0-9.]+)%\s*-\s*Max:\s*([-0-9.]+)%\s*-\s*Min:\s*([-0-9.]+)%\s*-\s*Market Cap\s*([-0-9.]+).*?Trading time:\s*(\d+):(\d+):(\d+)/;
+const CURRENT_LOOSE_REGEX = /Current price:\s*([^\s]+)\s*-\s*Current percentage:\s*([-0-9.]+)%.*?Trading time:\s*(\d+):(\d+):(\d+)/;
+const ENTRY_REGEX = /Entry price:\s*([^\s]+)\s*-\s*Entry market cap:\s*([-0-9.]+)\s*-\s*Buys\s*(\d+)\s*-\s*Sells\s*(\d+)/;
+const STAGE2_REGEX = /Stage 2 (\w+) - Trades: (\d+) - Max: ([-0-9.]+)% - Window: (\d+)s/;
+const RESUME_REGEX = /Tracking resumed after restart - Downtime: (\d+)s/;
 const SUMMARY_JSON_START = /\{\s*"type"\s*:\s*"summary"/;
 
+export const TRACKING_EVENT_TYPES = ["session_start", "entry", "tick", "stage2", "resume", "summary"];
+
 function toSec(h, m, s) {
 	return parseInt(h, 10) * 3600 + parseInt(m, 10) * 60 + parseInt(s, 10);
 }
 
+/**
+ * Parse one tracking log line (text or jsonl) into an event { type, ... } or null.
+ * Text lines carry fewer fields: `tick` has t/price/pct/maxPct/minPct/mcUsd; `entry` has no `t`
+ * (the text format writes a 0% tick right after it). jsonl events newer than TRACKING_EVENT_VERSION are skipped.
+ */
+export function parseTrackingLine(line) {
+	if (!line) return null;
+	const trimmed = line.trim();
+	if (trimmed.startsWith("{")) {
+		try {
+			const ev = JSON.parse(trimmed);
+			if (!ev || typeof ev.type !== "string" || typeof ev.v !== "number" || ev.v > TRACKING_EVENT_VERSION) return null;
+			return ev;
+		} catch {
+			return null;
+		}
+	}
+
+	let m = line.match(CURRENT_REGEX);
+	if (m) {
+		return {
+			type: "tick",
+			t: toSec(m[6], m[7], m[8]),
+			price: parseFloat(m[1]),
+			pct: parseFloat(m[2]),
+			maxPct: parseFloat(m[3]),
+			minPct: parseFloat(m[4]),
+			mcUsd: parseFloat(m[5]),
+		};
+	}
+	m = line.match(CURRENT_LOOSE_REGEX);
+	if (m) return { type: "tick", t: toSec(m[3], m[4], m[5]), price: parseFloat(m[1]), pct: parseFloat(m[2]) };
+
+	const sidx = line.indexOf("{");
+	if (sidx !== -1) {
+		const trailer = line.slice(sidx);
+		if (SUMMARY_JSON_START.test(trailer)) {
+			try {
+				return JSON.parse(trailer);
+			} catch {
+				return { type: "summary", invalid: true };
+			}
+		}
+	}
+
+	m = line.match(ENTRY_REGEX);
+	if (m) return { type: "entry", price: parseFloat(m[1]), mcUsd: parseFloat(m[2]), preEntry: { buys: parseInt(m[3], 10), sells: parseInt(m[4], 10) } };
+	m = line.match(STAGE2_REGEX);
+	if (m) return { type: "stage2", status: m[1], trades: parseInt(m[2], 10), maxPct: parseFloat(m[3]), windowSec: parseInt(m[4], 10) };
+	m = line.match(RESUME_REGEX);
+	if (m) return { type: "resume", downtimeSec: parseInt(m[1], 10) };
+	return null;
+}
+
+/**
+ * Every event of a tracking log file, in order (either format).
+ */
+export async function readTrackingEvents(filePath) {
+	if (!fs.existsSync(filePath)) return [];
+	const rl = readline.createInterface({
+		input: fs.createReadStream(filePath, { encoding: "utf8" }),
+		crlfDelay: Infinity,
+	});
+	const events = [];
+	for await (const line of rl) {
+		const ev = parseTrackingLine(line);
+		if (ev) events.push(ev);
+	}
+	return events;
+}
+
+/**
+ * Tracking log files (both formats) in a directory.
+ */
+export function listTrackingLogs(dir) {
+	try {
+		if (!fs.existsSync(dir)) return [];
+		return fs
+			.readdirSync(dir)
+			.filter((f) => tokenFromTrackingLogFile(f) !== null)
+			.map((f) => path.join(dir, f));
+	} catch (_e) {
+		return [];
+	}
+}
+
+/**
+ * Existing tracking log files for one token (a token can have both if TRACKING_LOG_FORMAT changed).
+ */
+export function trackingLogsForToken(dir, token) {
+	return TRACKING_LOG_FORMATS.map((format) => path.join(dir, trackingLogFileName(token, format))).filter((f) => fs.existsSync(f));
+}
+
 function computeEarlyMetrics(points, winSec) {
 	const within = points.filter((p) => p.t <= winSec);
 	if (!within.length) {
@@ -26,67 +131,54 @@ function computeEarlyMetrics(points, winSec) {
 }
 
 export async function parseTrackingSessions(filePath) {
-	if (!fs.existsSync(filePath)) return [];
-	const rl = readline.createInterface({
-		input: fs.createReadStream(filePath, { encoding: "utf8" }),
-		crlfDelay: Infinity,
-	});
-
 	const sessions = [];
 	let cur = null; // { points: [{t,pct}], startedAt?, endedAt? }
 
-	for await (const line of rl) {
-		if (!line) continue;
-		const m = line.match(CURRENT_REGEX);
-		if (m) {
+	for (const ev of await readTrackingEvents(filePath)) {
+		if (ev.type === "session_start") {
+			// A new start with a session still open means the previous one was truncated: discard it
+			cur = { points: [] };
+			continue;
+		}
+		// jsonl entries mark the 0% point that the text format writes as its own Current line
+		if (ev.type === "tick" || (ev.type === "entry" && Number.isFinite(ev.t))) {
 			if (!cur) cur = { points: [] };
-			const pct = parseFloat(m[2]);
-			const t = toSec(m[3], m[4], m[5]);
-			if (Number.isFinite(pct) && Number.isFinite(t)) {
-				cur.points.push({ t, pct });
+			const pct = ev.type === "entry" ? 0 : ev.pct;
+			if (Number.isFinite(pct) && Number.isFinite(ev.t)) {
+				cur.points.push({ t: ev.t, pct });
 			}
 			continue;
 		}
-
-		const sidx = line.indexOf("{");
-		if (sidx !== -1) {
-			const trailer = line.slice(sidx);
-			if (SUMMARY_JSON_START.test(trailer)) {
-				try {
-					const obj = JSON.parse(trailer);
-					// Close current session and attach summary times
-					if (!cur) cur = { points: [] };
-					cur.startedAt = obj.startedAt || null;
-					cur.endedAt = obj.endedAt || null;
-
-					const m30 = computeEarlyMetrics(cur.points, 30);
-					const m60 = computeEarlyMetrics(cur.points, 60);
-
-					sessions.push({
-						startedAt: cur.startedAt,
-						endedAt: cur.endedAt,
-						points: cur.points,
-						thresholdMcUsd: obj.thresholdMcUsd || null,
-						metrics: {
-							trades_30s: m30.trades,
-							trades_60s: m60.trades,
-							maxPct_30s: Number.isFinite(m30.maxPct) ? m30.maxPct : 0,
-							maxPct_60s: Number.isFinite(m60.maxPct) ? m60.maxPct : 0,
-							minPct_30s: Number.isFinite(m30.minPct) ? m30.minPct : 0,
-							minPct_60s: Number.isFinite(m60.minPct) ? m60.minPct : 0,
-						},
-					});
-					cur = null; // reset after summary
-				} catch {
-					// If summary JSON appears but fails to parse, discard the open session
-					// to avoid leaking its points into the next session.
-					cur = null;
-				}
-			}
+		if (ev.type !== "summary") continue;
+		if (ev.invalid) {
+			// If summary JSON appears but fails to parse, discard the open session
+			// to avoid leaking its points into the next session.
+			cur = null;
+			continue;
 		}
+
+		// Close current session and attach summary times
+		if (!cur) cur = { points: [] };
+		const m30 = computeEarlyMetrics(cur.points, 30);
+		const m60 = computeEarlyMetrics(cur.points, 60);
+
+		sessions.push({
+			startedAt: ev.startedAt || null,
+			endedAt: ev.endedAt || null,
+			points: cur.points,
+			thresholdMcUsd: ev.thresholdMcUsd || null,
+			metrics: {
+				trades_30s: m30.trades,
+				trades_60s: m60.trades,
+				maxPct_30s: Number.isFinite(m30.maxPct) ? m30.maxPct : 0,
+				maxPct_60s: Number.isFinite(m60.maxPct) ? m60.maxPct : 0,
+				minPct_30s: Number.isFinite(m30.minPct) ? m30.minPct : 0,
+				minPct_60s: Number.isFinite(m60.minPct) ? m60.minPct : 0,
+			},
+		});
+		cur = null; // reset after summary
 	}
 
 	// At EOF: do NOT push any open session without a parsed summary. Discard it.
-	cur = null;
 	return sessions;
 }
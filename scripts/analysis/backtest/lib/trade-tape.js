@@ -0,0 +1,66 @@
+import fs from "fs";
+import path from "path";
+import { readJsonl } from "../../lib/jsonl.js";
+import { TRADE_TAPE_VERSION, tokenFromTrackingLogFile, tradeTapeFileName } from "../../../../src/tracking-writer.js";
+
+// Raw trade tape of tracking sessions (<mint>-tape.jsonl next to the tracking log, written with TRACKING_TAPE=true).
+// One line per trade: { v, receivedAt, elapsedMs, afterEntry, signature, trader, txType, solAmount, tokenAmount,
+// marketCapSol, vSolInBondingCurve, vTokensInBondingCurve }. A token's file holds every session of that strategy,
+// so sessions are cut out of it by time (tapeForSession).
+
+/**
+ * Tape file for a tracking log (either format), or null if there is none.
+ */
+export function tapeFileForLog(trackingLogPath) {
+	const token = tokenFromTrackingLogFile(trackingLogPath);
+	if (!token) return null;
+	const file = path.join(path.dirname(trackingLogPath), tradeTapeFileName(token));
+	return fs.existsSync(file) ? file : null;
+}
+
+export async function readTradeTape(filePath) {
+	if (!filePath || !fs.existsSync(filePath)) return [];
+	const trades = await readJsonl(filePath, { filter: (t) => typeof t.v === "number" && t.v <= TRADE_TAPE_VERSION && Number.isFinite(t.receivedAt) });
+	return trades.sort((a, b) => a.receivedAt - b.receivedAt);
+}
+
+/**
+ * Trades of one session (startedAt/endedAt ISO, as in the summary), in receive order.
+ */
+export function tapeForSession(tape, { startedAt, endedAt }) {
+	const from = Date.parse(startedAt);
+	const to = Date.parse(endedAt);
+	if (!Number.isFinite(from)) return [];
+	return tape.filter((t) => t.receivedAt >= from && (!Number.isFinite(to) || t.receivedAt <= to));
+}
+
+/**
+ * Flow stats for the trades between fromSec and toSec of trading time (inclusive):
+ * volume by side, sell pressure (sell SOL / total SOL), unique traders and whales (trades >= whaleSol).
+ */
+export function tapeStats(trades, { fromSec = 0, toSec = Infinity, whaleSol = 1 } = {}) {
+	const out = { trades: 0, buys: 0, sells: 0, buySol: 0, sellSol: 0, sellPressure: null, uniqueTraders: 0, whaleBuys: 0, whaleSells: 0, maxBuySol: 0, maxSellSol: 0 };
+	const traders = new Set();
+	for (const t of trades) {
+		const sec = t.elapsedMs / 1000;
+		if (!(sec >= fromSec && sec <= toSec)) continue;
+		const sol = Number(t.solAmount) || 0;
+		out.trades++;
+		if (t.trader) traders.add(t.trader);
+		if (t.txType === "buy") {
+			out.buys++;
+			out.buySol += sol;
+			out.maxBuySol = Math.max(out.maxBuySol, sol);
+			if (sol >= whaleSol) out.whaleBuys++;
+		} else if (t.txType === "sell") {
+			out.sells++;
+			out.sellSol += sol;
+			out.maxSellSol = Math.max(out.maxSellSol, sol);
+			if (sol >= whaleSol) out.whaleSells++;
+		}
+	}
+	out.uniqueTraders = traders.size;
+	const total = out.buySol + out.sellSol;
+	out.sellPressure = total > 0 ? out.sellSol / total : null;
+	return out;
+}
@@ -3,6 +3,7 @@ import path from "path";
 import os from "os";
 import { spawn } from "child_process";
 import dotenv from "dotenv";
+import { readStrategiesFile } from "../../../src/strategy-resolver.js";
 
 dotenv.config();
 
@@ -16,16 +17,12 @@ const BATCH_SIZE = parseInt(process.env.BACKTEST_BATCH_SIZE || "5"); // Combinac
 const MAX_PARALLEL = parseInt(process.env.BACKTEST_MAX_PARALLEL || "3"); // Lotes paralelos máximo
 const SMART_SAMPLING = process.env.BACKTEST_SMART_SAMPLING !== "false"; // true por defecto
 
+// Strategies with `extends`/templates already resolved (templates are not run on their own)
 function readStrategies() {
 	try {
-		const strategiesFile = process.env.STRATEGIES_FILE || path.join(process.cwd(), "strategies.json");
-		if (fs.existsSync(strategiesFile)) {
-			const raw = fs.readFileSync(strategiesFile, "utf8");
-			const arr = JSON.parse(raw);
-			return Array.isArray(arr) ? arr : [];
-		}
-	} catch {
-		// ignore
+		return readStrategiesFile(process.env.STRATEGIES_FILE || path.join(process.cwd(), "strategies.json"));
+	} catch (e) {
+		console.warn("Failed to read strategies.json:", e.message);
 	}
 	return [];
 }
@@ -3,22 +3,24 @@ import path from "path";
 import os from "os";
 import dotenv from "dotenv";
 import { ensureDirSync, writeCsv } from "../../analysis/lib/jsonl.js";
-import { parseTrackingSessions } from "./lib/tracking-parse.js";
+import { listTrackingLogs, parseTrackingSessions } from "./lib/tracking-parse.js";
+import { readTradeTape, tapeFileForLog, tapeForSession, tapeStats } from "./lib/trade-tape.js";
+import { parseTimeframe } from "../../../src/utils.js";
+import { candlesFileForLog, candlesForSession, momentumFeatures, readSessionCandles } from "./lib/candles.js";
+import { tokenFromTrackingLogFile } from "../../../src/tracking-writer.js";
+import { readStrategiesFile } from "../../../src/strategy-resolver.js";
+import { allocationFor, computeDrawdown, congestionDelaySec, costModelFromEnv, finalExitReason as classifyExitReason, settleTrade } from "../../../src/trade-costs.js";
 
 dotenv.config();
 
 // OUTPUT_DIR will be set later after we know the strategyId
 
+// Strategies with `extends`/templates already resolved (same as the live app)
 function readStrategies() {
 	try {
-		const strategiesFile = process.env.STRATEGIES_FILE || path.join(process.cwd(), "strategies.json");
-		if (fs.existsSync(strategiesFile)) {
-			const raw = fs.readFileSync(strategiesFile, "utf8");
-			const arr = JSON.parse(raw);
-			return Array.isArray(arr) ? arr : [];
-		}
-	} catch (_e) {
-		void 0; // ignore
+		return readStrategiesFile(process.env.STRATEGIES_FILE || path.join(process.cwd(), "strategies.json"));
+	} catch (e) {
+		console.warn("Failed to read strategies.json:", e.message);
 	}
 	return [];
 }
@@ -33,23 +35,6 @@ function getStrategyLogDir(strategyId) {
 	return path.join("tracking", strategyId);
 }
 
-function listTokenLogs(dir) {
-	try {
-		if (!fs.existsSync(dir)) return [];
-		return fs
-			.readdirSync(dir)
-			.filter((f) => f.endsWith("-websocket.log"))
-			.map((f) => path.join(dir, f));
-	} catch (_e) {
-		return [];
-	}
-}
-
-function tokenFromFilename(filePath) {
-	const base = path.basename(filePath);
-	return base.endsWith("-websocket.log") ? base.slice(0, -"-websocket.log".length) : base;
-}
-
 async function parseAllSessions(files, { concurrency = Math.max(4, os.cpus().length - 1), limit = 0 } = {}) {
 	const results = [];
 	let idx = 0;
@@ -59,9 +44,13 @@ async function parseAllSessions(files, { concurrency = Math.max(4, os.cpus().len
 			const file = files[myIdx];
 			try {
 				const ses = await parseTrackingSessions(file);
-				const token = tokenFromFilename(file);
+				const token = tokenFromTrackingLogFile(file);
+				// Raw trade tape (TRACKING_TAPE=true), cut per session
+				const tape = await readTradeTape(tapeFileForLog(file));
+				// OHLCV candles saved at session close (CANDLES_ENABLED)
+				const candles = await readSessionCandles(candlesFileForLog(file));
 				for (const s of ses) {
-					results.push({ ...s, token });
+					results.push({ ...s, token, tape: tape.length > 0 ? tapeForSession(tape, s) : null, candles: candlesForSession(candles, s) });
 					if (limit > 0 && results.length >= limit) break;
 				}
 			} catch (_e) {
@@ -79,17 +68,6 @@ function asNumber(v, def) {
 	return Number.isFinite(n) ? n : def;
 }
 
-function computeDrawdown(equitySeries) {
-	let peak = -Infinity;
-	let maxDd = 0;
-	for (const v of equitySeries) {
-		if (v > peak) peak = v;
-		const dd = peak > 0 ? (peak - v) / peak : 0;
-		if (dd > maxDd) maxDd = dd;
-	}
-	return maxDd;
-}
-
 function toFixed(x, d = 4) {
 	return Number.isFinite(x) ? Number(x.toFixed(d)) : 0;
 }
@@ -110,28 +88,22 @@ async function main() {
 	const allocPct = allocSol > 0 ? 0 : asNumber(process.env.BACKTEST_ALLOC_PCT, 1.0); // por defecto 100% si no hay alloc SOL
 	const tpPct = asNumber(process.env.BACKTEST_TP_PCT, 10);
 	const slPct = Math.abs(asNumber(process.env.BACKTEST_SL_PCT, 5));
-	const timeoutSec = asNumber(process.env.BACKTEST_TIMEOUT_SEC, 300);
-	const feePct = asNumber(process.env.BACKTEST_FEE_PCT, 0);
-	const slippagePct = asNumber(process.env.BACKTEST_SLIPPAGE_PCT, 0);
-	// Costes adicionales realistas
-	const apiType = (process.env.BACKTEST_API_TYPE || "lightning").toLowerCase(); // lightning | local
-	const portalFeeDefault = apiType === "local" ? 0.5 : 1.0; // PumpPortal: Local=0.5% por trade, Lightning=1% por trade
-	const portalFeePct = asNumber(process.env.BACKTEST_PORTAL_FEE_PCT, portalFeeDefault); // % por lado (entrada/salida)
-	// Priority fee y otros transfer SOL (se restan como costes fijos)
-	const priorityFeeEntrySol = asNumber(process.env.BACKTEST_PRIORITY_FEE_SOL_ENTRY, 0);
-	const priorityFeeExitSol = asNumber(process.env.BACKTEST_PRIORITY_FEE_SOL_EXIT, 0);
-	const extraTransfersEntrySol = asNumber(process.env.BACKTEST_EXTRA_TRANSFERS_SOL_ENTRY, 0);
-	const extraTransfersExitSol = asNumber(process.env.BACKTEST_EXTRA_TRANSFERS_SOL_EXIT, 0);
-
-	// Atajo opcional: agregados simples para no usar las 4 de arriba
-	const extraSolEntryAgg = process.env.BACKTEST_EXTRA_SOL_ENTRY;
-	const extraSolExitAgg = process.env.BACKTEST_EXTRA_SOL_EXIT;
-	const aggEntry = extraSolEntryAgg != null && extraSolEntryAgg !== "" ? asNumber(extraSolEntryAgg, 0) : null;
-	const aggExit = extraSolExitAgg != null && extraSolExitAgg !== "" ? asNumber(extraSolExitAgg, 0) : null;
-	const entryFixedFeesSol = asNumber(process.env.BACKTEST_ENTRY_FIXED_FEES_SOL, 0.0025 + 0.0021 + 0.000905); // SOL por entrada
-	const exitFixedFeesSol = asNumber(process.env.BACKTEST_EXIT_FIXED_FEES_SOL, 0.0025 + 0.0021 + 0.000905); // SOL por salida
+	// Sin BACKTEST_TIMEOUT_SEC: 300s, acotado a la ventana máxima de tracking de la estrategia (los logs no pasan de ahí)
+	const strategyMeta = readStrategies().find((x) => x.id === strategyId);
+	const maxWindowMin = asNumber(strategyMeta?.tracking?.maxWindowMin, NaN);
+	const timeoutSec = asNumber(process.env.BACKTEST_TIMEOUT_SEC, Number.isFinite(maxWindowMin) ? Math.min(300, maxWindowMin * 60) : 300);
+	// Modelo de costes (fees %, portal fee, fixed/priority fees SOL) compartido con el paper trader en vivo
+	const costs = costModelFromEnv("BACKTEST_");
+	const { feePct, slippagePct, apiType, portalFeePct, entryFixedFeesSol, exitFixedFeesSol, extraTransfersEntrySol, extraTransfersExitSol } = costs;
+	const aggEntry = costs.extraSolEntry;
+	const aggExit = costs.extraSolExit;
 	const limit = parseInt(process.env.BACKTEST_LIMIT || "0", 10) || 0;
 	const conc = parseInt(process.env.BACKTEST_PARSE_CONCURRENCY || "6", 10) || 6;
+	// Trades de al menos este tamaño (SOL) cuentan como ballena en las columnas tape* (sesiones con cinta de trades)
+	const whaleSol = asNumber(process.env.BACKTEST_WHALE_SOL, 1);
+	// Timeframe de las velas para las columnas pre* (momentum antes de la entrada, sesiones con velas)
+	const candlesTf = process.env.BACKTEST_CANDLES_TF || "5s";
+	const candlesTfMs = parseTimeframe(candlesTf) || 0;
 
 	// Log de inicio con parámetros básicos
 	console.log("Starting wallet backtest");
@@ -155,20 +127,13 @@ async function main() {
 		].join(" | ")
 	);
 
-	// Fetch strategy description (if any)
-	let strategyDescription = "";
-	let strategyName = "";
-	try {
-		const meta = readStrategies().find((x) => x.id === strategyId);
-		strategyDescription = meta?.description || "";
-		strategyName = meta?.name || "";
-	} catch {
-		// ignore
-	}
+	// Strategy description (if any)
+	const strategyDescription = strategyMeta?.description || "";
+	const strategyName = strategyMeta?.name || "";
 
 	const logDir = getStrategyLogDir(strategyId);
 	console.log(`Tracking directory: ${logDir}`);
-	const files = listTokenLogs(logDir);
+	const files = listTrackingLogs(logDir);
 	console.log(`Log files found: ${files.length}`);
 	if (!files.length) {
 		console.error(`No logs in ${logDir}. Make sure you have tracking data for strategy '${strategyId}'.`);
@@ -237,7 +202,7 @@ async function main() {
 		if (!pts.length) continue;
 
 		// Asignación
-		const alloc = allocSol > 0 ? Math.min(allocSol, wallet) : Math.max(0, wallet * allocPct);
+		const alloc = allocationFor(wallet, { allocSol, allocPct });
 		if (alloc <= 0) break; // bancarrota efectiva
 
 		let exitReason = "END";
@@ -261,7 +226,7 @@ async function main() {
 
 		if (crossed) {
 			// Simular congestión: delay aleatorio 1-3s y tomar % de ese momento
-			const delaySec = 1 + Math.floor(Math.random() * 3); // 1..3
+			const delaySec = congestionDelaySec(); // 1..3
 			usedDelaySec = delaySec;
 			const targetT = crossed.tCross + delaySec;
 			const delayed = pts.find((q) => q.t >= targetT) || pts[pts.length - 1];
@@ -284,16 +249,8 @@ async function main() {
 		}
 
 		// Costes: porcentuales ida+vuelta + comisiones fijas SOL (entrada+salida)
-		const roundTripPctCosts = (feePct + slippagePct + portalFeePct) * 2;
-		const netPct = exitPct - roundTripPctCosts;
-		const fixedFeesSolRoundTrip = entryFixedFeesSol + exitFixedFeesSol;
-		const priorityFeesSolRoundTrip = (aggEntry ?? priorityFeeEntrySol) - (aggEntry != null ? 0 : 0) + (aggExit ?? priorityFeeExitSol) - (aggExit != null ? 0 : 0);
-		const extraTransfersSolRoundTrip = (aggEntry != null ? 0 : extraTransfersEntrySol) + (aggExit != null ? 0 : extraTransfersExitSol);
-		// Si se usa agregado, se reparte en priority para informes y se ignoran extraTransfers correspondientes
-		const effPriorityFeeEntrySol = aggEntry != null ? aggEntry : priorityFeeEntrySol;
-		const effPriorityFeeExitSol = aggExit != null ? aggExit : priorityFeeExitSol;
-		const totalFixedSol = fixedFeesSolRoundTrip + priorityFeesSolRoundTrip + extraTransfersSolRoundTrip;
-		const pnl = alloc * (netPct / 100) - totalFixedSol;
+		const settled = settleTrade({ alloc, exitPct }, costs);
+		const { netPct, pnl, fixedFeesSolRoundTrip, priorityFeesSolRoundTrip, extraTransfersSolRoundTrip } = settled;
 		const walletBefore = wallet;
 		wallet = wallet + pnl;
 		equity.push(wallet);
@@ -305,16 +262,13 @@ async function main() {
 		else losses++;
 
 		// Adjust exit reason based on actual profitability
-		let finalExitReason = exitReason;
-		if (exitReason === "TP" && !isProfit) {
-			finalExitReason = "TP_LOSS"; // TP signal but actually lost money
-		} else if (exitReason === "SL" && isProfit) {
-			finalExitReason = "SL_WIN"; // SL signal but actually made money
-		} else if (exitReason === "TIMEOUT") {
-			finalExitReason = isProfit ? "TIMEOUT_WIN" : "TIMEOUT_LOSS";
-		} else if (exitReason === "END") {
-			finalExitReason = isProfit ? "END_WIN" : "END_LOSS";
-		}
+		const finalExitReason = classifyExitReason(exitReason, isProfit);
+
+		// Order flow between entry and exit from the raw tape (null without tape)
+		const flow = s.tape ? tapeStats(s.tape, { fromSec: pts[0].t, toSec: tExit, whaleSol }) : null;
+		// Momentum from the session candles closed before the entry (lookback before the trigger included; null without candles)
+		const entryMs = Date.parse(s.startedAt) + pts[0].t * 1000;
+		const momentum = s.candles && Number.isFinite(entryMs) ? momentumFeatures(s.candles.timeframes[candlesTf], { toMs: entryMs - candlesTfMs }) : null;
 
 		trades.push({
 			strategyId,
@@ -336,14 +290,29 @@ async function main() {
 			entryFixedFeesSol,
 			exitFixedFeesSol,
 			fixedFeesSolRoundTrip,
-			priorityFeeEntrySol: effPriorityFeeEntrySol,
-			priorityFeeExitSol: effPriorityFeeExitSol,
+			priorityFeeEntrySol: settled.priorityFeeEntrySol,
+			priorityFeeExitSol: settled.priorityFeeExitSol,
 			priorityFeesSolRoundTrip,
 			extraTransfersEntrySol,
 			extraTransfersExitSol,
 			extraTransfersSolRoundTrip,
 			delaySec: usedDelaySec,
 			entryMarketCap: s.thresholdMcUsd || 0, // Add entry market cap
+			tapeTrades: flow ? flow.trades : null,
+			tapeBuySol: flow ? toFixed(flow.buySol, 6) : null,
+			tapeSellSol: flow ? toFixed(flow.sellSol, 6) : null,
+			tapeSellPressure: flow && flow.sellPressure !== null ? toFixed(flow.sellPressure, 4) : null,
+			tapeUniqueTraders: flow ? flow.uniqueTraders : null,
+			tapeWhaleBuys: flow ? flow.whaleBuys : null,
+			tapeWhaleSells: flow ? flow.whaleSells : null,
+			tapeMaxSellSol: flow ? toFixed(flow.maxSellSol, 6) : null,
+			preBars: momentum ? momentum.bars : null,
+			preReturnPct: momentum && momentum.returnPct !== null ? toFixed(momentum.returnPct, 4) : null,
+			preVolumeSol: momentum ? toFixed(momentum.volumeSol, 6) : null,
+			preBuyVolumeRatio: momentum && momentum.buyVolumeRatio !== null ? toFixed(momentum.buyVolumeRatio, 4) : null,
+			preGreenBarRatio: momentum ? toFixed(momentum.greenBarRatio, 4) : null,
+			preMaxDrawdownPct: momentum ? toFixed(momentum.maxDrawdownPct, 4) : null,
+			preTradesPerBar: momentum ? toFixed(momentum.tradesPerBar, 4) : null,
 		});
 
 		if (wallet <= 0) {
@@ -417,6 +386,10 @@ async function main() {
 			tpPct,
 			slPct,
 			timeoutSec,
+			// tracking timing declared by the strategy (null = global TRACKING_* values)
+			entryDelaySec: strategyMeta?.tracking?.entryDelaySec ?? null,
+			inactivityMin: strategyMeta?.tracking?.inactivityMin ?? null,
+			maxWindowMin: strategyMeta?.tracking?.maxWindowMin ?? null,
 			feePct,
 			slippagePct,
 			portalFeePct,
@@ -426,7 +399,11 @@ async function main() {
 			extraSolEntry: aggEntry ?? 0,
 			extraSolExit: aggExit ?? 0,
 			limit,
+			whaleSol,
+			candlesTf,
 		},
+		sessionsWithTape: sessions.filter((x) => x.tape).length,
+		sessionsWithCandles: sessions.filter((x) => x.candles).length,
 	};
 
 	// Persist
@@ -469,6 +446,21 @@ async function main() {
 			"walletBefore",
 			"walletAfter",
 			"entryMarketCap",
+			"tapeTrades",
+			"tapeBuySol",
+			"tapeSellSol",
+			"tapeSellPressure",
+			"tapeUniqueTraders",
+			"tapeWhaleBuys",
+			"tapeWhaleSells",
+			"tapeMaxSellSol",
+			"preBars",
+			"preReturnPct",
+			"preVolumeSol",
+			"preBuyVolumeRatio",
+			"preGreenBarRatio",
+			"preMaxDrawdownPct",
+			"preTradesPerBar",
 		]
 	);
 
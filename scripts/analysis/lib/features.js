@@ -1,3 +1,5 @@
+import { passesFilters, ruleFeaturesFromSummary } from "../../../src/strategy-rules.js";
+
 export function toNumber(x) {
 	const n = Number(x);
 	return Number.isFinite(n) ? n : NaN;
@@ -75,35 +77,12 @@ export function computeFeatures(obj) {
 		volatilityAbs,
 		volatilityRatio,
 		imbalancePerTrade,
+		// Features de reglas (mcUsd, mcVolatilityRatio...) al final: prevalecen, son las mismas que se evalúan en vivo
+		...ruleFeaturesFromSummary(obj),
 	};
 }
 
+// Filtros de estrategia (umbrales min/max y `expression`): misma implementación que el monitor en vivo
 export function passesRule(feat, rule) {
-	const {
-		minBuys = 0,
-		minTotalTrades = 0,
-		minUniqueTraders = 0,
-		minBuyRatio = 0,
-		minNetBuys = 0,
-		minMcUsd = -Infinity,
-		maxMcUsd = Infinity,
-		minUniquePerTrade = 0,
-		minBuysPerUnique = 0,
-		minDeltaBuys = -Infinity,
-		maxVolatilityRatio = Infinity,
-		maxAgeAtTriggerSec = Infinity,
-	} = rule;
-
-	if (!(Number.isFinite(feat.preBuys) && feat.preBuys >= minBuys)) return false;
-	if (!(Number.isFinite(feat.preTotalTrades) && feat.preTotalTrades >= minTotalTrades)) return false;
-	if (!(Number.isFinite(feat.preUniqueTraders) && feat.preUniqueTraders >= minUniqueTraders)) return false;
-	if (!(Number.isFinite(feat.buyRatio) && feat.buyRatio >= minBuyRatio)) return false;
-	if (!(Number.isFinite(feat.netBuys) && feat.netBuys >= minNetBuys)) return false;
-	if (!(Number.isFinite(feat.entryMarketCapUsd) && feat.entryMarketCapUsd >= minMcUsd && feat.entryMarketCapUsd <= maxMcUsd)) return false;
-	if (!(Number.isFinite(feat.uniquePerTrade) && feat.uniquePerTrade >= minUniquePerTrade)) return false;
-	if (!(Number.isFinite(feat.buysPerUnique) && feat.buysPerUnique >= minBuysPerUnique)) return false;
-	if (!(Number.isFinite(feat.deltaBuys) ? feat.deltaBuys >= minDeltaBuys : true)) return false;
-	if (!(Number.isFinite(feat.volatilityRatio) ? feat.volatilityRatio <= maxVolatilityRatio : true)) return false;
-	if (!(Number.isFinite(feat.ageAtTriggerSec) ? feat.ageAtTriggerSec <= maxAgeAtTriggerSec : true)) return false;
-	return true;
+	return passesFilters(feat, rule);
 }
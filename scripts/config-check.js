@@ -0,0 +1,42 @@
+// Valida .env y strategies.json contra los esquemas de src/config-schema.js e imprime la configuración
+// efectiva de cada estrategia (defaults del .env ya aplicados). Sale con código 1 si hay errores.
+// Usage: npm run config:check [-- --json]
+
+const asJson = process.argv.includes("--json");
+// dotenv logs to stdout unless quiet: keep --json parseable
+if (asJson) process.env.DOTENV_CONFIG_QUIET ??= "true";
+const { default: config } = await import("../src/config.js");
+const { errors, warnings } = config.validation;
+
+// Infinity (= sin límite) se imprime como null, igual que se escribe en strategies.json
+const replacer = (_key, value) => (typeof value === "number" && !Number.isFinite(value) ? null : value);
+
+function main() {
+	const source = config.strategyReload.source;
+	const sourceLabel = source === "env" ? "STRATEGIES_JSON" : source === "file" ? config.strategyReload.file : "default (from .env)";
+
+	if (asJson) {
+		console.log(JSON.stringify({ ok: errors.length === 0, errors, warnings, source: sourceLabel, strategies: config.strategies }, replacer, 2));
+		return;
+	}
+
+	console.log("═══ Configuración efectiva ═══");
+	console.log(`Estrategias: ${sourceLabel}`);
+	console.log(
+		`WebSocket: ${config.pumpPortal.wsUrl} · HTTP :${config.http.port} · creator sells: ${config.app.monitorCreatorSells} (umbral ${config.thresholds.creatorSellThreshold}%)`
+	);
+	console.log(`Estado: ${config.state.enabled ? config.state.file : "desactivado"} · Notifier sinks: ${config.notifiers.sinks.length}`);
+
+	for (const strategy of config.strategies) {
+		console.log(`\n── ${strategy.id} ──`);
+		console.log(JSON.stringify(strategy, replacer, 2));
+	}
+
+	console.log("");
+	for (const w of warnings) console.log(`⚠️  ${w}`);
+	for (const e of errors) console.log(`❌ ${e}`);
+	console.log(errors.length === 0 ? `✅ Configuración válida (${warnings.length} avisos)` : `❌ ${errors.length} errores, ${warnings.length} avisos: la app no arrancará`);
+}
+
+main();
+if (errors.length > 0) process.exitCode = 1;
@@ -0,0 +1,135 @@
+import http from "http";
+
+// Local HTTP stand-in for notifier sinks: accepts webhook POSTs and Telegram Bot API calls
+// (/bot<token>/sendMessage) and records them, so sinks can be exercised offline and in CI.
+// Point sinks at it: webhook "url": "http://127.0.0.1:8790/hook", telegram "apiBase": "http://127.0.0.1:8790"
+//
+// Usage: node scripts/dev/notifier-stand-in.js
+// Env:
+// - NOTIFY_STANDIN_PORT (default 8790)
+// - NOTIFY_STANDIN_FAIL_FIRST: answer the first N requests with NOTIFY_STANDIN_FAIL_STATUS (default 0)
+// - NOTIFY_STANDIN_FAIL_STATUS: status used for those failures (default 503)
+// - NOTIFY_STANDIN_DELAY_MS: wait before answering (default 0)
+//
+// GET /requests returns what was received (newest last); DELETE /requests clears it.
+
+export class NotifierStandIn {
+	constructor(options = {}) {
+		this.port = options.port ?? 8790;
+		this.host = options.host ?? "127.0.0.1";
+		this.failFirst = options.failFirst ?? 0;
+		this.failStatus = options.failStatus ?? 503;
+		this.delayMs = options.delayMs ?? 0;
+		this.quiet = options.quiet ?? false;
+
+		this.server = null;
+		this.requests = [];
+		this.stats = { received: 0, failed: 0 };
+	}
+
+	start() {
+		return new Promise((resolve, reject) => {
+			this.server = http.createServer((req, res) => this.handle(req, res));
+			this.server.once("error", reject);
+			this.server.listen(this.port, this.host, () => {
+				this.port = this.server.address().port;
+				resolve({ port: this.port, url: this.url() });
+			});
+		});
+	}
+
+	stop() {
+		if (!this.server) return Promise.resolve();
+		return new Promise((resolve) => {
+			this.server.close(() => resolve());
+			this.server.closeAllConnections?.();
+			this.server = null;
+		});
+	}
+
+	url() {
+		return `http://${this.host}:${this.port}`;
+	}
+
+	handle(req, res) {
+		const reply = (status, body) => {
+			res.writeHead(status, { "Content-Type": "application/json" });
+			res.end(JSON.stringify(body));
+		};
+
+		if (req.url === "/requests") {
+			if (req.method === "DELETE") this.requests = [];
+			reply(200, { count: this.requests.length, requests: this.requests });
+			return;
+		}
+
+		let raw = "";
+		req.on("data", (chunk) => (raw += chunk));
+		req.on("end", () => {
+			this.stats.received++;
+			let body = raw;
+			try {
+				body = raw ? JSON.parse(raw) : null;
+			} catch {
+				// keep raw text
+			}
+
+			const answer = () => {
+				if (this.stats.received <= this.failFirst) {
+					this.stats.failed++;
+					if (!this.quiet) console.log(`[STANDIN] ${req.method} ${req.url} -> ${this.failStatus} (forced failure ${this.stats.failed}/${this.failFirst})`);
+					reply(this.failStatus, { ok: false, error_code: this.failStatus, description: "Forced failure" });
+					return;
+				}
+				const entry = { at: new Date().toISOString(), method: req.method, path: req.url, headers: req.headers, body };
+				this.requests.push(entry);
+				if (!this.quiet) console.log(`[STANDIN] ${req.method} ${req.url} ${typeof body === "string" ? body : JSON.stringify(body)}`);
+
+				// Telegram Bot API shape
+				const tg = req.url.match(/^\/bot[^/]+\/sendMessage$/);
+				if (tg) {
+					reply(200, { ok: true, result: { message_id: this.requests.length, chat: { id: body?.chat_id }, date: Math.floor(Date.now() / 1000), text: body?.text } });
+					return;
+				}
+				reply(200, { ok: true });
+			};
+
+			if (this.delayMs > 0) setTimeout(answer, this.delayMs);
+			else answer();
+		});
+	}
+}
+
+// Main execution for ESM
+const isMain = import.meta.url === (process?.argv?.[1] ? new URL(`file://${process.argv[1]}`).href : "");
+if (isMain) {
+	const envInt = (name, def) => {
+		const n = parseInt(process.env[name] ?? "", 10);
+		return Number.isFinite(n) ? n : def;
+	};
+
+	const server = new NotifierStandIn({
+		port: envInt("NOTIFY_STANDIN_PORT", 8790),
+		failFirst: envInt("NOTIFY_STANDIN_FAIL_FIRST", 0),
+		failStatus: envInt("NOTIFY_STANDIN_FAIL_STATUS", 503),
+		delayMs: envInt("NOTIFY_STANDIN_DELAY_MS", 0),
+	});
+
+	server
+		.start()
+		.then(({ url }) => {
+			console.log(`[STANDIN] Notifier stand-in listening on ${url}`);
+			console.log(`[STANDIN] Webhook: ${url}/hook · Telegram apiBase: ${url} · Received: ${url}/requests`);
+		})
+		.catch((e) => {
+			console.error("[STANDIN] Failed to start:", e.message);
+			process.exit(1);
+		});
+
+	const shutdown = () => {
+		console.log(`[STANDIN] Stopping (${JSON.stringify(server.stats)})`);
+		server.stop().finally(() => process.exit(0));
+	};
+	process.on("SIGINT", shutdown);
+	process.on("SIGTERM", shutdown);
+}
@@ -0,0 +1,346 @@
+import fs from "fs";
+import crypto from "crypto";
+import { WebSocketServer } from "ws";
+
+// Local stand-in for wss://pumpportal.fun/api/data
+// Speaks the same subscription protocol and emits synthetic (or scripted) create/buy/sell events,
+// so the monitor can run offline: PUMP_PORTAL_WS_URL=ws://localhost:8765 npm start
+//
+// Usage: node scripts/dev/pumpportal-mock-server.js
+// Env:
+// - MOCK_WS_PORT (default 8765)
+// - MOCK_CREATE_INTERVAL_MS: new token every N ms (default 2000, 0 disables synthetic creates)
+// - MOCK_TRADE_INTERVAL_MS: one random trade per live token every N ms (default 400)
+// - MOCK_CREATOR_SELL_AFTER_MS: creator dumps its bag N ms after create (default 8000, 0 disables)
+// - MOCK_TOKEN_LIFETIME_MS: synthetic tokens stop trading after N ms (default 60000)
+// - MOCK_DROP_EVERY_MS: forcibly close every client connection every N ms (default 0 = never)
+// - MOCK_SCRIPT_FILE: JSON array of { "delayMs": 500, "event": { ...PumpPortal message... } } replayed in order
+// - MOCK_MAX_MESSAGE_SIZE: reject inbound messages larger than this (default 5000)
+
+const BASE58 = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+const TOTAL_SUPPLY = 1_000_000_000;
+// pump.fun bonding curve starting virtual reserves
+const INITIAL_V_SOL = 30;
+const INITIAL_V_TOKENS = 1_073_000_000;
+
+function randomBase58(length) {
+	const bytes = crypto.randomBytes(length);
+	let out = "";
+	for (let i = 0; i < length; i++) out += BASE58[bytes[i] % BASE58.length];
+	return out;
+}
+
+function randomBetween(min, max) {
+	return min + Math.random() * (max - min);
+}
+
+export class PumpPortalMockServer {
+	constructor(options = {}) {
+		this.port = options.port ?? 8765;
+		this.host = options.host ?? "127.0.0.1";
+		this.createIntervalMs = options.createIntervalMs ?? 2000;
+		this.tradeIntervalMs = options.tradeIntervalMs ?? 400;
+		this.creatorSellAfterMs = options.creatorSellAfterMs ?? 8000;
+		this.tokenLifetimeMs = options.tokenLifetimeMs ?? 60000;
+		this.dropEveryMs = options.dropEveryMs ?? 0;
+		this.maxMessageSize = options.maxMessageSize ?? 5000;
+		this.script = options.script ?? null;
+
+		this.wss = null;
+		this.clients = new Map(); // ws -> { newTokens: boolean, tokens: Set, accounts: Set }
+		this.tokens = new Map(); // mint -> synthetic token state
+		this.timers = [];
+		this.scriptStarted = false;
+		this.stats = { connections: 0, messagesIn: 0, eventsOut: 0, rejected: 0 };
+	}
+
+	start() {
+		return new Promise((resolve, reject) => {
+			this.wss = new WebSocketServer({ port: this.port, host: this.host });
+			this.wss.once("error", reject);
+			this.wss.on("listening", () => {
+				this.port = this.wss.address().port;
+				this.startGenerators();
+				resolve({ port: this.port, url: this.url() });
+			});
+			this.wss.on("connection", (ws) => this.handleConnection(ws));
+		});
+	}
+
+	stop() {
+		for (const t of this.timers) clearInterval(t);
+		this.timers = [];
+		for (const token of this.tokens.values()) clearTimeout(token.creatorSellTimer);
+		this.tokens.clear();
+		if (!this.wss) return Promise.resolve();
+		for (const ws of this.clients.keys()) ws.terminate();
+		this.clients.clear();
+		return new Promise((resolve) => {
+			this.wss.close(() => resolve());
+			this.wss = null;
+		});
+	}
+
+	url() {
+		return `ws://${this.host}:${this.port}`;
+	}
+
+	handleConnection(ws) {
+		this.stats.connections++;
+		this.clients.set(ws, { newTokens: false, tokens: new Set(), accounts: new Set() });
+
+		ws.on("message", (data) => this.handleClientMessage(ws, data.toString()));
+		ws.on("close", () => this.clients.delete(ws));
+		ws.on("error", () => this.clients.delete(ws));
+
+		if (this.script && !this.scriptStarted) {
+			this.scriptStarted = true;
+			this.runScript().catch((e) => console.error("[MOCK] Script failed:", e.message));
+		}
+	}
+
+	handleClientMessage(ws, raw) {
+		this.stats.messagesIn++;
+		const sub = this.clients.get(ws);
+		if (!sub) return;
+
+		if (raw.length > this.maxMessageSize) {
+			this.stats.rejected++;
+			this.send(ws, { errors: `Message too large (${raw.length} > ${this.maxMessageSize})` });
+			return;
+		}
+
+		let msg;
+		try {
+			msg = JSON.parse(raw);
+		} catch {
+			this.stats.rejected++;
+			this.send(ws, { errors: "Invalid message" });
+			return;
+		}
+
+		const keys = Array.isArray(msg.keys) ? msg.keys : [];
+		switch (msg.method) {
+			case "subscribeNewToken":
+				sub.newTokens = true;
+				this.send(ws, { message: "Successfully subscribed to token creation events." });
+				break;
+			case "unsubscribeNewToken":
+				sub.newTokens = false;
+				this.send(ws, { message: "Unsubscribed from token creation events." });
+				break;
+			case "subscribeTokenTrade":
+				keys.forEach((k) => sub.tokens.add(k));
+				this.send(ws, { message: "Successfully subscribed to keys." });
+				break;
+			case "unsubscribeTokenTrade":
+				keys.forEach((k) => sub.tokens.delete(k));
+				this.send(ws, { message: "Unsubscribed from keys." });
+				break;
+			case "subscribeAccountTrade":
+				keys.forEach((k) => sub.accounts.add(k));
+				this.send(ws, { message: "Successfully subscribed to keys." });
+				break;
+			case "unsubscribeAccountTrade":
+				keys.forEach((k) => sub.accounts.delete(k));
+				this.send(ws, { message: "Unsubscribed from keys." });
+				break;
+			default:
+				this.stats.rejected++;
+				this.send(ws, { errors: `Unknown method: ${msg.method}` });
+				break;
+		}
+	}
+
+	send(ws, payload) {
+		if (ws.readyState !== ws.OPEN) return;
+		ws.send(JSON.stringify(payload));
+	}
+
+	// Route an event the same way PumpPortal does: creates to newToken subscribers,
+	// trades to subscribers of the mint or of the trader account
+	emit(event) {
+		for (const [ws, sub] of this.clients) {
+			const wanted =
+				event.txType === "create" ? sub.newTokens || sub.accounts.has(event.traderPublicKey) : sub.tokens.has(event.mint) || sub.accounts.has(event.traderPublicKey);
+			if (wanted) {
+				this.send(ws, event);
+				this.stats.eventsOut++;
+			}
+		}
+	}
+
+	startGenerators() {
+		if (this.createIntervalMs > 0) {
+			this.timers.push(setInterval(() => this.createToken(), this.createIntervalMs));
+		}
+		if (this.tradeIntervalMs > 0) {
+			this.timers.push(setInterval(() => this.tradeTick(), this.tradeIntervalMs));
+		}
+		if (this.dropEveryMs > 0) {
+			this.timers.push(
+				setInterval(() => {
+					for (const ws of this.clients.keys()) ws.terminate();
+				}, this.dropEveryMs)
+			);
+		}
+	}
+
+	async runScript() {
+		for (const step of this.script) {
+			if (!this.wss) return;
+			if (step.delayMs > 0) await new Promise((r) => setTimeout(r, step.delayMs));
+			if (step.event) this.emit(step.event);
+		}
+	}
+
+	// Constant-product swap against the virtual reserves; returns the resulting trade event
+	swap(token, trader, txType, amount) {
+		const k = token.vSol * token.vTokens;
+		let solAmount;
+		let tokenAmount;
+		if (txType === "buy") {
+			solAmount = amount;
+			const newVSol = token.vSol + solAmount;
+			tokenAmount = token.vTokens - k / newVSol;
+			token.vSol = newVSol;
+			token.vTokens -= tokenAmount;
+		} else {
+			tokenAmount = amount;
+			const newVTokens = token.vTokens + tokenAmount;
+			solAmount = token.vSol - k / newVTokens;
+			token.vTokens = newVTokens;
+			token.vSol -= solAmount;
+		}
+
+		const balance = (token.holders.get(trader) || 0) + (txType === "buy" ? tokenAmount : -tokenAmount);
+		token.holders.set(trader, balance);
+
+		return {
+			signature: randomBase58(88),
+			mint: token.mint,
+			traderPublicKey: trader,
+			txType,
+			tokenAmount,
+			solAmount,
+			newTokenBalance: balance,
+			bondingCurveKey: token.bondingCurveKey,
+			vTokensInBondingCurve: token.vTokens,
+			vSolInBondingCurve: token.vSol,
+			marketCapSol: (token.vSol / token.vTokens) * TOTAL_SUPPLY,
+			pool: "pump",
+		};
+	}
+
+	createToken() {
+		const symbol = randomBase58(4).toUpperCase();
+		const token = {
+			mint: `${randomBase58(40)}pump`,
+			creator: randomBase58(44),
+			bondingCurveKey: randomBase58(44),
+			vSol: INITIAL_V_SOL,
+			vTokens: INITIAL_V_TOKENS,
+			holders: new Map(),
+			createdAt: Date.now(),
+			creatorSellTimer: null,
+		};
+		this.tokens.set(token.mint, token);
+
+		const initial = this.swap(token, token.creator, "buy", randomBetween(0.5, 2));
+		this.emit({
+			...initial,
+			txType: "create",
+			initialBuy: initial.tokenAmount,
+			name: `Mock ${symbol}`,
+			symbol,
+			uri: `https://example.invalid/${token.mint}.json`,
+		});
+
+		if (this.creatorSellAfterMs > 0) {
+			token.creatorSellTimer = setTimeout(() => this.creatorSell(token), this.creatorSellAfterMs);
+		}
+	}
+
+	creatorSell(token) {
+		if (!this.tokens.has(token.mint)) return;
+		const balance = token.holders.get(token.creator) || 0;
+		if (balance <= 0) return;
+		// Dump in two chunks so both the threshold alert and the full exit are exercised
+		const first = balance * randomBetween(0.8, 0.95);
+		this.emit(this.swap(token, token.creator, "sell", first));
+		setTimeout(() => {
+			const rest = token.holders.get(token.creator) || 0;
+			if (rest > 0 && this.tokens.has(token.mint)) this.emit(this.swap(token, token.creator, "sell", rest));
+		}, 1000);
+	}
+
+	tradeTick() {
+		const now = Date.now();
+		for (const token of this.tokens.values()) {
+			if (now - token.createdAt > this.tokenLifetimeMs) {
+				clearTimeout(token.creatorSellTimer);
+				this.tokens.delete(token.mint);
+				continue;
+			}
+			if (Math.random() < 0.4) continue;
+
+			// Sell only from wallets that hold something (excluding the creator, who sells on its own schedule)
+			const sellers = Array.from(token.holders.entries()).filter(([w, b]) => w !== token.creator && b > 0);
+			if (sellers.length > 0 && Math.random() < 0.35) {
+				const [wallet, bal] = sellers[Math.floor(Math.random() * sellers.length)];
+				this.emit(this.swap(token, wallet, "sell", bal * randomBetween(0.3, 1)));
+			} else {
+				this.emit(this.swap(token, randomBase58(44), "buy", randomBetween(0.05, 1.5)));
+			}
+		}
+	}
+}
+
+// Main execution for ESM
+const isMain = import.meta.url === (process?.argv?.[1] ? new URL(`file://${process.argv[1]}`).href : "");
+if (isMain) {
+	const envInt = (name, def) => {
+		const n = parseInt(process.env[name] ?? "", 10);
+		return Number.isFinite(n) ? n : def;
+	};
+
+	let script = null;
+	if (process.env.MOCK_SCRIPT_FILE) {
+		try {
+			script = JSON.parse(fs.readFileSync(process.env.MOCK_SCRIPT_FILE, "utf8"));
+			if (!Array.isArray(script)) throw new Error("script must be a JSON array");
+		} catch (e) {
+			console.error(`[MOCK] Failed to load ${process.env.MOCK_SCRIPT_FILE}: ${e.message}`);
+			process.exit(1);
+		}
+	}
+
+	const server = new PumpPortalMockServer({
+		port: envInt("MOCK_WS_PORT", 8765),
+		createIntervalMs: envInt("MOCK_CREATE_INTERVAL_MS", script ? 0 : 2000),
+		tradeIntervalMs: envInt("MOCK_TRADE_INTERVAL_MS", script ? 0 : 400),
+		creatorSellAfterMs: envInt("MOCK_CREATOR_SELL_AFTER_MS", script ? 0 : 8000),
+		tokenLifetimeMs: envInt("MOCK_TOKEN_LIFETIME_MS", 60000),
+		dropEveryMs: envInt("MOCK_DROP_EVERY_MS", 0),
+		maxMessageSize: envInt("MOCK_MAX_MESSAGE_SIZE", 5000),
+		script,
+	});
+
+	server
+		.start()
+		.then(({ url }) => {
+			console.log(`[MOCK] PumpPortal stand-in listening on ${url}`);
+			console.log(`[MOCK] Point the app at it with PUMP_PORTAL_WS_URL=${url}`);
+		})
+		.catch((e) => {
+			console.error("[MOCK] Failed to start:", e.message);
+			process.exit(1);
+		});
+
+	const shutdown = () => {
+		console.log(`[MOCK] Stopping (${JSON.stringify(server.stats)})`);
+		server.stop().finally(() => process.exit(0));
+	};
+	process.on("SIGINT", shutdown);
+	process.on("SIGTERM", shutdown);
+}
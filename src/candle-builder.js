@@ -0,0 +1,179 @@
+import config from "./config.js";
+import { parseTimeframe } from "./utils.js";
+
+// Velas OHLCV por token, alimentadas con cada trade de TokenMonitor.handleTrade (todos los tokens suscritos).
+// Por timeframe (CANDLES_TIMEFRAMES, por defecto 1s/5s/1m): precio y market cap (SOL) OHLC, volumen SOL total,
+// de compra y de venta, nº de trades (compras/ventas) y traders únicos. El tiempo es el de recepción del trade
+// y solo hay velas en los intervalos con trades (los huecos no se rellenan).
+// Retención acotada: maxBars velas por token y timeframe, maxTokens tokens (sale el que lleva más tiempo sin trades)
+// y los tokens sin trades durante idleMin se descartan.
+
+export const CANDLE_VERSION = 1;
+
+const PRUNE_EVERY_MS = 60 * 1000;
+
+function newBar(t, price, mcSol) {
+	return {
+		t,
+		open: price,
+		high: price,
+		low: price,
+		close: price,
+		mcOpen: mcSol,
+		mcHigh: mcSol,
+		mcLow: mcSol,
+		mcClose: mcSol,
+		volumeSol: 0,
+		buyVolumeSol: 0,
+		sellVolumeSol: 0,
+		trades: 0,
+		buys: 0,
+		sells: 0,
+		traders: new Set(),
+	};
+}
+
+// Public shape: the traders Set becomes a count
+function serializeBar({ traders, ...bar }) {
+	return { ...bar, uniqueTraders: traders.size };
+}
+
+class CandleBuilder {
+	constructor(options = config.candles) {
+		this.enabled = options.enabled;
+		this.timeframes = options.timeframes.map((tf) => ({ tf, ms: parseTimeframe(tf) })).filter((x) => x.ms);
+		this.maxBars = options.maxBars;
+		this.maxTokens = options.maxTokens;
+		this.idleMs = options.idleMin * 60 * 1000;
+		this.tokens = new Map(); // mint -> { lastTradeAt, series: Map(tf -> bars) }; insertion order = least recently traded first
+		this.lastPruneAt = 0;
+	}
+
+	onTrade(trade, receivedAt = Date.now()) {
+		if (!this.enabled || !trade || !trade.mint) return;
+		let price = typeof trade.price === "number" && isFinite(trade.price) ? trade.price : undefined;
+		if (price === undefined && typeof trade.solAmount === "number" && typeof trade.tokenAmount === "number" && trade.tokenAmount > 0) {
+			price = trade.solAmount / trade.tokenAmount;
+		}
+		if (!(price > 0)) return;
+		const mcSol = typeof trade.marketCapSol === "number" ? trade.marketCapSol : null;
+		const sol = typeof trade.solAmount === "number" ? trade.solAmount : 0;
+
+		let entry = this.tokens.get(trade.mint);
+		if (entry) {
+			this.tokens.delete(trade.mint);
+		} else {
+			entry = { lastTradeAt: 0, series: new Map() };
+			if (this.tokens.size >= this.maxTokens) this.tokens.delete(this.tokens.keys().next().value);
+		}
+		this.tokens.set(trade.mint, entry);
+		entry.lastTradeAt = receivedAt;
+
+		for (const { tf, ms } of this.timeframes) {
+			let bars = entry.series.get(tf);
+			if (!bars) {
+				bars = [];
+				entry.series.set(tf, bars);
+			}
+			const t = Math.floor(receivedAt / ms) * ms;
+			let bar = bars[bars.length - 1];
+			// A trade older than the last bar (clock skew) goes into the last bar
+			if (!bar || t > bar.t) {
+				bar = newBar(t, price, mcSol);
+				bars.push(bar);
+				if (bars.length > this.maxBars) bars.shift();
+			}
+			bar.high = Math.max(bar.high, price);
+			bar.low = Math.min(bar.low, price);
+			bar.close = price;
+			if (mcSol !== null) {
+				if (bar.mcOpen === null) bar.mcOpen = mcSol;
+				bar.mcHigh = bar.mcHigh === null ? mcSol : Math.max(bar.mcHigh, mcSol);
+				bar.mcLow = bar.mcLow === null ? mcSol : Math.min(bar.mcLow, mcSol);
+				bar.mcClose = mcSol;
+			}
+			bar.volumeSol += sol;
+			bar.trades++;
+			if (trade.txType === "buy") {
+				bar.buys++;
+				bar.buyVolumeSol += sol;
+			} else if (trade.txType === "sell") {
+				bar.sells++;
+				bar.sellVolumeSol += sol;
+			}
+			if (trade.traderPublicKey) bar.traders.add(trade.traderPublicKey);
+		}
+
+		if (receivedAt - this.lastPruneAt >= PRUNE_EVERY_MS) this.prune(receivedAt);
+	}
+
+	// Drop tokens without trades for idleMin (least recently traded are first in the map)
+	prune(now = Date.now()) {
+		this.lastPruneAt = now;
+		for (const [mint, entry] of this.tokens) {
+			if (now - entry.lastTradeAt < this.idleMs) break;
+			this.tokens.delete(mint);
+		}
+	}
+
+	dropToken(mint) {
+		this.tokens.delete(mint);
+	}
+
+	hasTimeframe(tf) {
+		return this.timeframes.some((x) => x.tf === tf);
+	}
+
+	/**
+	 * Velas de un token en un timeframe, de la más antigua a la más reciente.
+	 * from/to (epoch ms) filtran por apertura de vela; limit se queda con las últimas. null si no hay datos del token.
+	 */
+	getCandles(mint, tf, { from = -Infinity, to = Infinity, limit = 0 } = {}) {
+		const bars = this.tokens.get(mint)?.series.get(tf);
+		if (!bars) return null;
+		const selected = bars.filter((b) => b.t >= from && b.t <= to);
+		return (limit > 0 ? selected.slice(-limit) : selected).map(serializeBar);
+	}
+
+	/**
+	 * Todas las velas de un token entre fromMs y toMs, por timeframe (para guardarlas con la sesión de tracking).
+	 */
+	candlesBetween(mint, fromMs, toMs) {
+		const out = {};
+		for (const { tf } of this.timeframes) out[tf] = this.getCandles(mint, tf, { from: fromMs, to: toMs }) || [];
+		return out;
+	}
+
+	/**
+	 * Velas para el snapshot de TokenMonitor. `mints` limita a esos tokens (los que tienen sesión abierta, cuyo
+	 * fichero de velas necesita las barras de antes del reinicio); el resto se vuelve a construir con el feed.
+	 */
+	getState(mints = null) {
+		const tokens = new Map();
+		for (const [mint, entry] of this.tokens) {
+			if (!mints || mints.has(mint)) tokens.set(mint, entry);
+		}
+		return { v: CANDLE_VERSION, tokens };
+	}
+
+	restoreState(state) {
+		if (!this.enabled || state?.v !== CANDLE_VERSION || !(state.tokens instanceof Map)) return;
+		const known = new Set(this.timeframes.map((x) => x.tf));
+		for (const [mint, entry] of state.tokens) {
+			if (this.tokens.has(mint) || !(entry?.series instanceof Map)) continue;
+			// Timeframes removed from CANDLES_TIMEFRAMES since the snapshot are dropped
+			for (const tf of entry.series.keys()) if (!known.has(tf)) entry.series.delete(tf);
+			this.tokens.set(mint, entry);
+		}
+	}
+
+	getStats() {
+		let bars = 0;
+		for (const entry of this.tokens.values()) {
+			for (const series of entry.series.values()) bars += series.length;
+		}
+		return { enabled: this.enabled, timeframes: this.timeframes.map((x) => x.tf), tokens: this.tokens.size, bars, maxBars: this.maxBars, maxTokens: this.maxTokens };
+	}
+}
+
+export default CandleBuilder;
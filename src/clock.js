@@ -0,0 +1,79 @@
+// Reloj de la app. Por defecto es el del sistema; durante un replay (WS_REPLAY_FILE) el FeedReplayer lo pasa a modo
+// virtual y lo adelanta al `t` grabado de cada frame. Así createdAt, ventanas, stage 2, timers de sesión y velas
+// ven el tiempo de la captura, y el resultado no depende de WS_REPLAY_SPEED.
+// Solo los timeouts de un disparo son virtuales: los setInterval de mantenimiento siguen con el reloj real.
+
+export class Clock {
+	constructor() {
+		this.virtualNow = null; // epoch ms while replaying, null = system clock
+		this.timers = []; // pending virtual timeouts: { at, seq, fn }
+		this.seq = 0;
+	}
+
+	get isVirtual() {
+		return this.virtualNow !== null;
+	}
+
+	now() {
+		return this.virtualNow ?? Date.now();
+	}
+
+	date() {
+		return new Date(this.now());
+	}
+
+	/**
+	 * Pasa a tiempo virtual empezando en `startMs`. Los timeouts ya programados con el reloj real no cambian.
+	 */
+	useVirtual(startMs) {
+		if (this.virtualNow === null) this.virtualNow = startMs;
+	}
+
+	setTimeout(fn, ms) {
+		if (this.virtualNow === null) return setTimeout(fn, ms);
+		const timer = { at: this.virtualNow + Math.max(0, ms || 0), seq: ++this.seq, fn };
+		this.timers.push(timer);
+		return timer;
+	}
+
+	clearTimeout(handle) {
+		const index = this.timers.indexOf(handle);
+		if (index !== -1) this.timers.splice(index, 1);
+		else clearTimeout(handle);
+	}
+
+	/**
+	 * Adelanta el tiempo virtual hasta `ms` disparando, en orden, los timeouts que vencen por el camino
+	 * (cada uno ve now() igual a su hora programada). El tiempo nunca retrocede.
+	 */
+	advanceTo(ms) {
+		if (this.virtualNow === null) return;
+		for (let next = this.nextDue(ms); next; next = this.nextDue(ms)) {
+			this.timers.splice(this.timers.indexOf(next), 1);
+			this.virtualNow = Math.max(this.virtualNow, next.at);
+			next.fn();
+		}
+		this.virtualNow = Math.max(this.virtualNow, ms);
+	}
+
+	/**
+	 * Fin del replay: dispara todos los timeouts pendientes (inactividad, ventana máxima, timeouts de paper...)
+	 * como si el tiempo siguiera corriendo sin más frames.
+	 */
+	runPending() {
+		while (this.timers.length > 0) {
+			this.advanceTo(Math.max(...this.timers.map((t) => t.at)));
+		}
+	}
+
+	nextDue(ms) {
+		let next = null;
+		for (const t of this.timers) {
+			if (t.at <= ms && (!next || t.at < next.at || (t.at === next.at && t.seq < next.seq))) next = t;
+		}
+		return next;
+	}
+}
+
+const clock = new Clock();
+export default clock;
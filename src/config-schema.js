@@ -0,0 +1,447 @@
+import { compileRuleExpression } from "./strategy-rules.js";
+import { resolveStrategies } from "./strategy-resolver.js";
+import { parseTimeframe } from "./utils.js";
+
+// Esquemas de configuración (strategies.json y variables de entorno) y un validador mínimo.
+// Los esquemas usan un subconjunto de JSON Schema: type, properties, additionalProperties, required,
+// items, minItems, minimum, maximum, enum, minLength, description; más format: "expression" (trackingFilters.expression)
+// y "timeframes" (CANDLES_TIMEFRAMES).
+// additionalProperties puede ser false (clave desconocida => aviso) o un esquema para los valores (mapa de templates).
+// Errores = valores que el código convertiría en NaN o ignoraría; claves desconocidas = avisos (suelen ser typos).
+
+const nonNegative = { type: "number", minimum: 0 };
+const optionalMax = { type: ["number", "null"], minimum: 0, description: "null or missing = no limit" };
+
+const COSTS_SCHEMA = {
+	type: "object",
+	additionalProperties: false,
+	properties: {
+		apiType: { type: "string", enum: ["lightning", "local"] },
+		feePct: nonNegative,
+		slippagePct: nonNegative,
+		portalFeePct: nonNegative,
+		entryFixedFeesSol: nonNegative,
+		exitFixedFeesSol: nonNegative,
+		priorityFeeEntrySol: nonNegative,
+		priorityFeeExitSol: nonNegative,
+		extraTransfersEntrySol: nonNegative,
+		extraTransfersExitSol: nonNegative,
+		extraSolEntry: { type: ["number", "null"], minimum: 0 },
+		extraSolExit: { type: ["number", "null"], minimum: 0 },
+	},
+};
+
+export const STRATEGY_SCHEMA = {
+	type: "object",
+	additionalProperties: false,
+	properties: {
+		id: { type: "string", minLength: 1, description: "Unique id; characters outside [a-zA-Z0-9_-] become '-'" },
+		name: { type: "string" },
+		description: { type: "string" },
+		onReload: { type: "string", enum: ["continue", "stop"], description: "Open sessions when a hot reload changes this strategy" },
+		extends: { type: ["string", "array"], items: { type: "string", minLength: 1 }, description: "Template name(s) or strategy id(s) to inherit from, applied in order" },
+		trackingFilters: {
+			type: "object",
+			additionalProperties: false,
+			properties: {
+				enabled: { type: "boolean" },
+				trackAllMints: { type: "boolean" },
+				minBuys: nonNegative,
+				minTotalTrades: nonNegative,
+				minUniqueTraders: nonNegative,
+				minBuyRatio: { type: "number", minimum: 0, maximum: 1 },
+				minNetBuys: { type: "number" },
+				minMcUsd: nonNegative,
+				maxMcUsd: optionalMax,
+				minUniquePerTrade: { type: "number", minimum: 0, maximum: 1 },
+				minBuysPerUnique: nonNegative,
+				maxAgeAtTriggerSec: optionalMax,
+				maxMcVolatilityRatio: optionalMax,
+				maxCreatorLaunches24h: { ...optionalMax, description: "Skip creators with more launches in the last 24h (this one included)" },
+				maxCreatorFastExits: { ...optionalMax, description: "Skip creators with more previous full exits within CREATORS_FAST_EXIT_SEC" },
+				maxCreatorBadRatio: { type: ["number", "null"], minimum: 0, maximum: 1, description: "Skip creators whose tracked sessions ended bad more often" },
+				maxSniperBuys: { ...optionalMax, description: "Skip tokens with more buys in the first SNIPERS_WINDOW_SEC" },
+				maxSniperSupplyPct: { ...optionalMax, maximum: 100, description: "Skip tokens whose first SNIPERS_FIRST_BUYERS wallets bought more of the supply (%)" },
+				maxSniperSold: { ...optionalMax, description: "Skip tokens where more of the first buyers have already sold" },
+				maxTopHolderPct: { ...optionalMax, maximum: 100, description: "Skip tokens whose largest holder (creator excluded) has more of the supply (%)" },
+				expression: { type: ["string", "null"], format: "expression" },
+			},
+		},
+		stage2: {
+			type: "object",
+			additionalProperties: false,
+			properties: {
+				enabled: { type: "boolean" },
+				windowSec: { type: "number", minimum: 1 },
+				minTrades: nonNegative,
+				minMaxPct: { type: "number" },
+			},
+		},
+		paperTrading: {
+			type: "object",
+			additionalProperties: false,
+			properties: {
+				enabled: { type: "boolean" },
+				initialSol: { type: "number", minimum: 0 },
+				allocSol: nonNegative,
+				allocPct: { type: "number", minimum: 0, maximum: 1 },
+				tpPct: nonNegative,
+				slPct: { type: "number" },
+				timeoutSec: { type: "number", minimum: 1 },
+				costs: COSTS_SCHEMA,
+			},
+		},
+		tracking: {
+			type: "object",
+			additionalProperties: false,
+			properties: {
+				logDir: { type: "string", minLength: 1 },
+				entryDelaySec: { ...nonNegative, description: "Seconds from the trigger to the entry (default TRACKING_ENTRY_DELAY_SEC)" },
+				inactivityMin: { type: "number", minimum: 0, exclusiveMinimum: true, description: "Minutes without trades before closing (default TRACKING_INACTIVITY_MIN)" },
+				maxWindowMin: { type: "number", minimum: 0, exclusiveMinimum: true, description: "Maximum session length in minutes (default TRACKING_MAX_WINDOW_MIN)" },
+				tape: { type: "boolean", description: "Keep the raw trade tape (<mint>-tape.jsonl) (default TRACKING_TAPE)" },
+			},
+		},
+	},
+};
+
+export const STRATEGIES_SCHEMA = { type: "array", minItems: 1, items: STRATEGY_SCHEMA };
+
+// Forma objeto de strategies.json: templates con nombre (no son estrategias por sí mismos) + la lista
+export const STRATEGIES_DOCUMENT_SCHEMA = {
+	type: "object",
+	additionalProperties: false,
+	required: ["strategies"],
+	properties: {
+		templates: { type: "object", additionalProperties: STRATEGY_SCHEMA },
+		strategies: STRATEGIES_SCHEMA,
+	},
+};
+
+// Variables de entorno: type number | integer | boolean | string | expression (+ minimum, enum). Vacío = sin definir.
+const COST_ENV = {
+	API_TYPE: { type: "string", enum: ["lightning", "local"] },
+	FEE_PCT: nonNegative,
+	SLIPPAGE_PCT: nonNegative,
+	PORTAL_FEE_PCT: nonNegative,
+	ENTRY_FIXED_FEES_SOL: nonNegative,
+	EXIT_FIXED_FEES_SOL: nonNegative,
+	PRIORITY_FEE_SOL_ENTRY: nonNegative,
+	PRIORITY_FEE_SOL_EXIT: nonNegative,
+	EXTRA_TRANSFERS_SOL_ENTRY: nonNegative,
+	EXTRA_TRANSFERS_SOL_EXIT: nonNegative,
+	EXTRA_SOL_ENTRY: nonNegative,
+	EXTRA_SOL_EXIT: nonNegative,
+};
+
+const positiveInt = { type: "integer", minimum: 1 };
+
+export const ENV_SCHEMA = {
+	PUMP_PORTAL_WS_URL: { type: "string" },
+	PUMP_PORTAL_API_KEY: { type: "string" },
+	WS_HEARTBEAT_INTERVAL_MS: positiveInt,
+	WS_HEARTBEAT_TIMEOUT_MS: positiveInt,
+	WS_RATE_LIMIT_MSGS_PER_SEC: positiveInt,
+	WS_MAX_MESSAGE_SIZE: positiveInt,
+	WS_BATCH_SIZE: positiveInt,
+	WS_BATCH_DELAY_MS: positiveInt,
+	WS_CLEANUP_INTERVAL_MS: positiveInt,
+	WS_STALE_FEED_SEC: { type: "integer", minimum: 0 },
+	WS_SHARD_COUNT: positiveInt,
+	WS_SHARD_FAILOVER_SEC: positiveInt,
+	WS_SUB_ACK_TIMEOUT_MS: positiveInt,
+	WS_SUB_MAX_ATTEMPTS: positiveInt,
+	WS_SUB_RETENTION_MIN: { type: "number", minimum: 0, exclusiveMinimum: true },
+	WS_RECORD_ENABLED: { type: "boolean" },
+	WS_RECORD_DIR: { type: "string" },
+	WS_REPLAY_FILE: { type: "string" },
+	WS_REPLAY_SPEED: nonNegative,
+	LOG_LEVEL: { type: "string", enum: ["error", "warn", "info", "http", "verbose", "debug", "silly"] },
+	LOG_TIMEZONE: { type: "string" },
+	TRADE_LOG_SAMPLE_EVERY: { type: "integer", minimum: 0 },
+	TRADE_LOG_THROTTLE_MS: { type: "integer", minimum: 0 },
+	SUPPRESS_PUMP_WS_TRADE_PROCESSING_LOG: { type: "boolean" },
+	SUMMARIES_PRICE_DECIMALS: { type: "integer", minimum: 0 },
+	SUMMARIES_GOOD_THRESHOLD_PCT: { type: "number" },
+	SUMMARIES_BAD_THRESHOLD_PCT: { type: "number" },
+	MAX_RECONNECT_ATTEMPTS: positiveInt,
+	RECONNECT_DELAY_MS: positiveInt,
+	RECONNECT_MAX_DELAY_MS: positiveInt,
+	RECONNECT_JITTER_PCT: { type: "number", minimum: 0, maximum: 100 },
+	RECONNECT_BREAKER_COOLDOWN_MS: positiveInt,
+	MONITOR_CREATOR_SELLS: { type: "boolean" },
+	CREATOR_SELL_THRESHOLD: { type: "number", minimum: 0, maximum: 100 },
+	TRACK_FILTERS_ENABLED: { type: "boolean" },
+	TRACK_ALL_MINTS: { type: "boolean" },
+	TRACK_MIN_BUYS: nonNegative,
+	TRACK_MIN_TOTAL_TRADES: nonNegative,
+	TRACK_MIN_UNIQUE_TRADERS: nonNegative,
+	TRACK_MIN_BUY_RATIO: { type: "number", minimum: 0, maximum: 1 },
+	TRACK_MIN_NET_BUYS: { type: "number" },
+	TRACK_MIN_MC_USD: nonNegative,
+	TRACK_MAX_MC_USD: nonNegative,
+	TRACK_MIN_UNIQUE_PER_TRADE: { type: "number", minimum: 0, maximum: 1 },
+	TRACK_MIN_BUYS_PER_UNIQUE: nonNegative,
+	TRACK_MAX_AGE_AT_TRIGGER_SEC: nonNegative,
+	TRACK_MAX_MC_VOLATILITY_RATIO: nonNegative,
+	TRACK_MAX_CREATOR_LAUNCHES_24H: nonNegative,
+	TRACK_MAX_CREATOR_FAST_EXITS: nonNegative,
+	TRACK_MAX_CREATOR_BAD_RATIO: { type: "number", minimum: 0, maximum: 1 },
+	TRACK_MAX_SNIPER_BUYS: nonNegative,
+	TRACK_MAX_SNIPER_SUPPLY_PCT: { type: "number", minimum: 0, maximum: 100 },
+	TRACK_MAX_SNIPER_SOLD: nonNegative,
+	TRACK_MAX_TOP_HOLDER_PCT: { type: "number", minimum: 0, maximum: 100 },
+	TRACK_FILTER_EXPRESSION: { type: "expression" },
+	TRACK_STAGE2_ENABLED: { type: "boolean" },
+	TRACK_STAGE2_WINDOW_SEC: { type: "number", minimum: 1 },
+	TRACK_STAGE2_MIN_TRADES: nonNegative,
+	TRACK_STAGE2_MIN_MAXPCT: { type: "number" },
+	PAPER_TRADING_ENABLED: { type: "boolean" },
+	PAPER_TRADES_FILE: { type: "string" },
+	PAPER_INITIAL_SOL: nonNegative,
+	PAPER_ALLOC_SOL: nonNegative,
+	PAPER_ALLOC_PCT: { type: "number", minimum: 0, maximum: 1 },
+	PAPER_TP_PCT: nonNegative,
+	PAPER_SL_PCT: { type: "number" },
+	PAPER_TIMEOUT_SEC: { type: "number", minimum: 1 },
+	...Object.fromEntries(Object.entries(COST_ENV).map(([k, v]) => [`PAPER_${k}`, v])),
+	STATE_ENABLED: { type: "boolean" },
+	STATE_FILE: { type: "string" },
+	STATE_SNAPSHOT_INTERVAL_SEC: { type: "number", minimum: 1 },
+	STATE_MAX_RESUME_GAP_SEC: nonNegative,
+	HTTP_PORT: { type: "integer", minimum: 1, maximum: 65535 },
+	COINGECKO_SOL_ENDPOINT: { type: "string" },
+	PRICE_REFRESH_MS: positiveInt,
+	TRACKING_ENABLED: { type: "boolean" },
+	TRACKING_ENTRY_DELAY_SEC: nonNegative,
+	TRACKING_INACTIVITY_MIN: { type: "number", minimum: 0, exclusiveMinimum: true },
+	TRACKING_MAX_WINDOW_MIN: { type: "number", minimum: 0, exclusiveMinimum: true },
+	TRACKING_LOG_DIR: { type: "string" },
+	TRACKING_LOG_FORMAT: { type: "string", enum: ["text", "jsonl"] },
+	TRACKING_TAPE: { type: "boolean" },
+	TRACKING_TP_PCT: { type: "number" },
+	CREATORS_ENABLED: { type: "boolean" },
+	CREATORS_FILE: { type: "string" },
+	CREATORS_SNAPSHOT_INTERVAL_SEC: { type: "number", minimum: 1 },
+	CREATORS_FAST_EXIT_SEC: { type: "number", minimum: 0, exclusiveMinimum: true },
+	CREATORS_RUGGER_MIN_EXITS: positiveInt,
+	CREATORS_RETENTION_DAYS: { type: "number", minimum: 0, exclusiveMinimum: true },
+	CREATORS_MAX_TOKENS_PER_CREATOR: positiveInt,
+	SNIPERS_WINDOW_SEC: { type: "number", minimum: 0, exclusiveMinimum: true },
+	SNIPERS_FIRST_BUYERS: positiveInt,
+	CLUSTER_ENABLED: { type: "boolean" },
+	CLUSTER_COUNT_SELLS: { type: "boolean" },
+	CLUSTER_CREATE_WINDOW_MS: positiveInt,
+	CLUSTER_EARLY_WINDOW_SEC: { type: "number", minimum: 0, exclusiveMinimum: true },
+	CLUSTER_SIZE_TOLERANCE_PCT: { type: "number", minimum: 0, maximum: 100 },
+	CLUSTER_SAME_SIZE_MIN_WALLETS: { type: "integer", minimum: 2 },
+	CLUSTER_FOLLOW_SELL_SEC: { type: "number", minimum: 0, exclusiveMinimum: true },
+	CLUSTER_MAX_WALLETS: positiveInt,
+	CANDLES_ENABLED: { type: "boolean" },
+	CANDLES_TIMEFRAMES: { type: "string", format: "timeframes", description: "Comma-separated list, e.g. 1s,5s,1m" },
+	CANDLES_MAX_BARS: positiveInt,
+	CANDLES_MAX_TOKENS: positiveInt,
+	CANDLES_IDLE_MIN: { type: "number", minimum: 0, exclusiveMinimum: true },
+	CANDLES_SESSION_LOOKBACK_SEC: nonNegative,
+	STRATEGIES_JSON: { type: "string" },
+	STRATEGIES_FILE: { type: "string" },
+	STRATEGIES_WATCH: { type: "boolean" },
+	STRATEGIES_WATCH_INTERVAL_MS: positiveInt,
+	NOTIFIERS_JSON: { type: "string" },
+	NOTIFIERS_FILE: { type: "string" },
+	NOTIFIER_OUTBOX_FILE: { type: "string" },
+	NOTIFIER_MAX_ATTEMPTS: positiveInt,
+	NOTIFIER_RETRY_BASE_SEC: { type: "number", minimum: 0, exclusiveMinimum: true },
+	NOTIFIER_RETRY_MAX_SEC: { type: "number", minimum: 0, exclusiveMinimum: true },
+	NOTIFIER_DEDUPE_WINDOW_SEC: nonNegative,
+	NOTIFIER_TOKEN_RATE_MAX: { type: "integer", minimum: 0 },
+	NOTIFIER_TOKEN_RATE_WINDOW_SEC: { type: "number", minimum: 0, exclusiveMinimum: true },
+	TELEGRAM_BOT_TOKEN: { type: "string" },
+	TELEGRAM_CHAT_ID: { type: "string" },
+	TELEGRAM_API_BASE: { type: "string" },
+};
+
+// Variables con estos prefijos son de la app: una desconocida suele ser un typo (TRACK_MIN_BUY, PAPER_TP...)
+const ENV_PREFIXES = [
+	"PUMP_PORTAL_",
+	"WS_",
+	"RECONNECT_",
+	"TRACK_",
+	"TRACKING_",
+	"PAPER_",
+	"STATE_",
+	"CREATORS_",
+	"SNIPERS_",
+	"CLUSTER_",
+	"CANDLES_",
+	"STRATEGIES_",
+	"NOTIFIER_",
+	"SUMMARIES_",
+	"TELEGRAM_",
+];
+
+function typeOf(v) {
+	if (v === null) return "null";
+	if (Array.isArray(v)) return "array";
+	if (typeof v === "number") return Number.isFinite(v) ? "number" : "non-finite number";
+	return typeof v;
+}
+
+function matchesType(v, type) {
+	const t = typeOf(v);
+	if (type === "integer") return t === "number" && Number.isInteger(v);
+	return t === type;
+}
+
+function editDistance(a, b) {
+	const dp = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+	for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+	for (let i = 1; i <= a.length; i++) {
+		for (let j = 1; j <= b.length; j++) {
+			dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1));
+		}
+	}
+	return dp[a.length][b.length];
+}
+
+function suggest(key, known) {
+	let best = null;
+	let bestDist = Infinity;
+	for (const k of known) {
+		const d = editDistance(key, k);
+		if (d < bestDist) {
+			best = k;
+			bestDist = d;
+		}
+	}
+	return best && bestDist <= Math.max(2, Math.floor(key.length / 4)) ? ` (did you mean '${best}'?)` : "";
+}
+
+function checkBounds(v, schema, path, errors) {
+	if (schema.minimum !== undefined && (schema.exclusiveMinimum ? v <= schema.minimum : v < schema.minimum)) {
+		errors.push({ path, message: `must be ${schema.exclusiveMinimum ? ">" : ">="} ${schema.minimum} (got ${v})` });
+	}
+	if (schema.maximum !== undefined && v > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum} (got ${v})` });
+}
+
+function checkExpression(source, path, errors) {
+	if (source.trim() === "") return;
+	try {
+		compileRuleExpression(source);
+	} catch (e) {
+		errors.push({ path, message: `invalid expression: ${e.message}` });
+	}
+}
+
+function checkTimeframes(list, path, errors) {
+	const bad = list
+		.split(",")
+		.map((tf) => tf.trim())
+		.filter((tf) => tf && parseTimeframe(tf) === null);
+	if (bad.length) errors.push({ path, message: `invalid timeframe(s) ${bad.join(", ")} (use <n>s, <n>m or <n>h)` });
+}
+
+function walk(value, schema, path, out) {
+	if (schema.type) {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+		if (!types.some((t) => matchesType(value, t))) {
+			out.errors.push({ path, message: `expected ${types.join(" or ")}, got ${typeOf(value)}${typeof value === "string" ? ` "${value}"` : ""}` });
+			return;
+		}
+	}
+	if (schema.enum && !schema.enum.includes(value)) {
+		out.errors.push({ path, message: `must be one of ${schema.enum.map((e) => JSON.stringify(e)).join(", ")} (got ${JSON.stringify(value)})` });
+	}
+	if (typeof value === "number") checkBounds(value, schema, path, out.errors);
+	if (typeof value === "string") {
+		if (schema.minLength !== undefined && value.length < schema.minLength) out.errors.push({ path, message: "must not be empty" });
+		if (schema.format === "expression") checkExpression(value, path, out.errors);
+		if (schema.format === "timeframes") checkTimeframes(value, path, out.errors);
+	}
+	if (Array.isArray(value)) {
+		if (schema.minItems !== undefined && value.length < schema.minItems) out.errors.push({ path, message: `must contain at least ${schema.minItems} item(s)` });
+		if (schema.items) value.forEach((item, idx) => walk(item, schema.items, `${path}[${idx}]`, out));
+	} else if (value && typeof value === "object") {
+		const props = schema.properties || {};
+		for (const key of schema.required || []) {
+			if (value[key] === undefined) out.errors.push({ path: `${path}.${key}`, message: "is required" });
+		}
+		for (const [key, v] of Object.entries(value)) {
+			if (props[key]) {
+				if (v !== undefined) walk(v, props[key], `${path}.${key}`, out);
+			} else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+				if (v !== undefined) walk(v, schema.additionalProperties, `${path}.${key}`, out);
+			} else if (schema.additionalProperties === false) {
+				out.warnings.push({ path: `${path}.${key}`, message: `unknown key, ignored${suggest(key, Object.keys(props))}` });
+			}
+		}
+	}
+}
+
+/**
+ * Valida un valor contra un esquema. Devuelve { errors, warnings }: [{ path, message }].
+ */
+export function validateSchema(value, schema, rootPath = "$") {
+	const out = { errors: [], warnings: [] };
+	walk(value, schema, rootPath, out);
+	return out;
+}
+
+/**
+ * strategies.json / STRATEGIES_JSON (array u objeto con templates): esquema, herencia (padres desconocidos,
+ * ciclos) e ids únicos tras resolver y normalizar caracteres.
+ */
+export function validateStrategiesConfig(raw, rootPath = "strategies") {
+	const out = validateSchema(raw, Array.isArray(raw) ? STRATEGIES_SCHEMA : STRATEGIES_DOCUMENT_SCHEMA, rootPath);
+	if (out.errors.length > 0) return out;
+	out.errors.push(...resolveStrategies(raw, rootPath).errors);
+	const listPath = Array.isArray(raw) ? rootPath : `${rootPath}.strategies`;
+	const seen = new Map();
+	(Array.isArray(raw) ? raw : raw.strategies).forEach((s, idx) => {
+		const id = s.id ?? s.name;
+		const safeId = (typeof id === "string" && id.trim() !== "" ? id : `strategy${idx + 1}`).replace(/[^a-zA-Z0-9_-]/g, "-");
+		if (seen.has(safeId)) out.errors.push({ path: `${listPath}[${idx}].id`, message: `duplicate strategy id '${safeId}' (also ${listPath}[${seen.get(safeId)}])` });
+		else seen.set(safeId, idx);
+	});
+	return out;
+}
+
+function parseEnvValue(raw, type) {
+	switch (type) {
+		case "boolean":
+			return raw === "true" ? true : raw === "false" ? false : raw;
+		case "number":
+		case "integer": {
+			const n = Number(raw.trim());
+			return raw.trim() !== "" && Number.isFinite(n) ? n : raw;
+		}
+		default:
+			return raw;
+	}
+}
+
+/**
+ * Valida las variables de entorno conocidas (ENV_SCHEMA) y avisa de las desconocidas con prefijo de la app.
+ */
+export function validateEnv(env = process.env) {
+	const out = { errors: [], warnings: [] };
+	for (const [name, raw] of Object.entries(env)) {
+		const schema = ENV_SCHEMA[name];
+		if (!schema) {
+			if (ENV_PREFIXES.some((p) => name.startsWith(p))) out.warnings.push({ path: name, message: `unknown variable, ignored${suggest(name, Object.keys(ENV_SCHEMA))}` });
+			continue;
+		}
+		if (raw === undefined || raw === "") continue;
+		if (schema.type === "expression") {
+			checkExpression(raw, name, out.errors);
+			continue;
+		}
+		const value = parseEnvValue(raw, schema.type);
+		walk(value, schema, name, out);
+	}
+	return out;
+}
+
+export function formatIssue({ path, message }) {
+	return `${path}: ${message}`;
+}
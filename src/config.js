@@ -1,8 +1,23 @@
 import dotenv from "dotenv";
 import fs from "fs";
 import path from "path";
+import { costModelFromEnv, resolveCostModel } from "./trade-costs.js";
+import { formatIssue, validateEnv, validateStrategiesConfig } from "./config-schema.js";
+import { isStrategiesDocument, resolveStrategies } from "./strategy-resolver.js";
 dotenv.config();
 
+// Filter expressions are validated by the schema (src/config-schema.js); an invalid one never passes
+function expressionOrNull(expr) {
+	return expr === undefined || expr === null || String(expr).trim() === "" ? null : String(expr);
+}
+
+// Optional max filter: missing/empty/null = no limit (Infinity); unlike most TRACK_MAX_* a 0 is kept
+function optionalLimit(v) {
+	if (v === undefined || v === null || v === "") return Infinity;
+	const n = parseFloat(v);
+	return Number.isFinite(n) ? n : Infinity;
+}
+
 const config = {
 	// PumpPortal WebSocket Configuration
 	pumpPortal: {
@@ -23,6 +38,38 @@ const config = {
 		cleanup: {
 			intervalMs: parseInt(process.env.WS_CLEANUP_INTERVAL_MS) || 300000, // 5 minutes
 		},
+		// Token trade subscriptions spread over `count` connections by mint (plus a dedicated one for new tokens when count > 1);
+		// a shard disconnected for failoverSec hands its mints to the others (src/pumpportal-ws-client.js)
+		shards: {
+			count: parseInt(process.env.WS_SHARD_COUNT) || 1,
+			failoverSec: parseInt(process.env.WS_SHARD_FAILOVER_SEC) || 30,
+		},
+		// Force a reconnection when no create event arrives for this long while connected (0 disables)
+		staleFeed: {
+			timeoutSec: parseInt(process.env.WS_STALE_FEED_SEC || "120"),
+		},
+		// Subscription ledger (src/subscription-ledger.js): unconfirmed keys are re-sent after ackTimeoutMs, up to maxAttempts sends
+		subscriptions: {
+			ackTimeoutMs: parseInt(process.env.WS_SUB_ACK_TIMEOUT_MS) || 15000,
+			maxAttempts: parseInt(process.env.WS_SUB_MAX_ATTEMPTS) || 3,
+			retentionMin: parseFloat(process.env.WS_SUB_RETENTION_MIN) || 10, // unsubscribed keys are forgotten after this long
+		},
+		// Raw frame capture (gzip NDJSON) for later replay
+		record: {
+			enabled: process.env.WS_RECORD_ENABLED === "true",
+			dir: process.env.WS_RECORD_DIR || "recordings",
+		},
+		// Replay a capture through the message pipeline instead of connecting
+		replay: {
+			file: process.env.WS_REPLAY_FILE || "",
+			// 1 = real time, >1 = accelerated, 0 = as fast as possible
+			speed: (() => {
+				const raw = process.env.WS_REPLAY_SPEED;
+				if (raw === undefined || raw === "") return 1;
+				const n = parseFloat(raw);
+				return Number.isFinite(n) && n >= 0 ? n : 1;
+			})(),
+		},
 	},
 
 	// Logging Configuration
@@ -47,8 +94,13 @@ const config = {
 
 	// Application Configuration
 	app: {
+		// Reconnection never stops: this many consecutive failures open the circuit breaker (see PumpPortalWSClient)
 		maxReconnectAttempts: parseInt(process.env.MAX_RECONNECT_ATTEMPTS) || 10,
 		reconnectDelayMs: parseInt(process.env.RECONNECT_DELAY_MS) || 5000,
+		reconnectMaxDelayMs: parseInt(process.env.RECONNECT_MAX_DELAY_MS) || 60000,
+		reconnectJitterPct: parseFloat(process.env.RECONNECT_JITTER_PCT || "20"),
+		// While open, one trial connection per cooldown (half-open); a successful one closes the circuit
+		reconnectBreakerCooldownMs: parseInt(process.env.RECONNECT_BREAKER_COOLDOWN_MS) || 120000,
 		monitorCreatorSells: process.env.MONITOR_CREATOR_SELLS === "true",
 	},
 
@@ -87,6 +139,51 @@ const config = {
 			const n = parseFloat(v);
 			return Number.isFinite(n) ? n : Infinity;
 		})(),
+		// Creator reputation (src/creator-store.js); 0 is a real limit here, empty = no filter
+		maxCreatorLaunches24h: optionalLimit(process.env.TRACK_MAX_CREATOR_LAUNCHES_24H),
+		maxCreatorFastExits: optionalLimit(process.env.TRACK_MAX_CREATOR_FAST_EXITS),
+		maxCreatorBadRatio: optionalLimit(process.env.TRACK_MAX_CREATOR_BAD_RATIO),
+		// Early buyers / snipers (config.snipers); 0 is a real limit here too
+		maxSniperBuys: optionalLimit(process.env.TRACK_MAX_SNIPER_BUYS),
+		maxSniperSupplyPct: optionalLimit(process.env.TRACK_MAX_SNIPER_SUPPLY_PCT),
+		maxSniperSold: optionalLimit(process.env.TRACK_MAX_SNIPER_SOLD),
+		maxTopHolderPct: optionalLimit(process.env.TRACK_MAX_TOP_HOLDER_PCT),
+		// Boolean rule over the shared features, ANDed with the thresholds above (see src/strategy-rules.js)
+		expression: expressionOrNull(process.env.TRACK_FILTER_EXPRESSION),
+	},
+
+	// Stage 2 confirmation after tracking starts (same rule the backtest searches):
+	// confirmed when, within windowSec, trades >= minTrades OR maxPct >= minMaxPct
+	stage2: {
+		enabled: process.env.TRACK_STAGE2_ENABLED === "true",
+		windowSec: parseFloat(process.env.TRACK_STAGE2_WINDOW_SEC || "30"),
+		minTrades: parseFloat(process.env.TRACK_STAGE2_MIN_TRADES || "0"),
+		minMaxPct: parseFloat(process.env.TRACK_STAGE2_MIN_MAXPCT || "0"),
+	},
+
+	// Paper trading: virtual positions per tracking session with the wallet-backtest exit rules and cost model
+	paperTrading: {
+		enabled: process.env.PAPER_TRADING_ENABLED === "true",
+		tradesFile: process.env.PAPER_TRADES_FILE || path.join("logs", "paper-trades.jsonl"),
+		initialSol: parseFloat(process.env.PAPER_INITIAL_SOL || "1.5"),
+		allocSol: parseFloat(process.env.PAPER_ALLOC_SOL || "0"), // > 0 takes precedence over allocPct
+		allocPct: parseFloat(process.env.PAPER_ALLOC_PCT || "1"),
+		tpPct: parseFloat(process.env.PAPER_TP_PCT || "10"),
+		slPct: Math.abs(parseFloat(process.env.PAPER_SL_PCT || "5")),
+		timeoutSec: parseFloat(process.env.PAPER_TIMEOUT_SEC || "300"),
+		costs: costModelFromEnv("PAPER_"),
+	},
+
+	// TokenMonitor state snapshots (restored on startup so restarts keep tokens, balances and tracking sessions)
+	state: {
+		enabled: process.env.STATE_ENABLED !== "false", // default true
+		file: process.env.STATE_FILE || path.join("logs", "token-monitor-state.json"),
+		intervalMs: (parseFloat(process.env.STATE_SNAPSHOT_INTERVAL_SEC) || 30) * 1000,
+		// Sessions are resumed only if the process was down at most this long (trades in the gap are lost)
+		maxResumeGapMs: (() => {
+			const n = parseFloat(process.env.STATE_MAX_RESUME_GAP_SEC);
+			return (Number.isFinite(n) ? n : 120) * 1000;
+		})(),
 	},
 
 	// HTTP Server Configuration
@@ -129,114 +226,315 @@ const config = {
 			return Number.isFinite(n) ? n * 60 * 1000 : defMin * 60 * 1000;
 		})(),
 		logDir: process.env.TRACKING_LOG_DIR || "tracking",
+		// Per-token log format: "text" (<mint>-websocket.log) or "jsonl" (<mint>-tracking.jsonl, typed events); see src/tracking-writer.js
+		logFormat: process.env.TRACKING_LOG_FORMAT === "jsonl" ? "jsonl" : "text",
+		// Raw trade tape per session (<mint>-tape.jsonl); strategies can override with tracking.tape
+		tape: process.env.TRACKING_TAPE === "true",
 		// optional TP for future use
 		tpPct: parseFloat(process.env.TRACKING_TP_PCT || "20"),
 	},
+
+	// Creator history across tokens and runs (src/creator-store.js), source of the creator* rule features
+	creators: {
+		enabled: process.env.CREATORS_ENABLED !== "false", // default true
+		file: process.env.CREATORS_FILE || path.join("logs", "creator-history.json"),
+		intervalMs: (parseFloat(process.env.CREATORS_SNAPSHOT_INTERVAL_SEC) || 60) * 1000,
+		// A full exit within this many seconds of the launch counts as fast (creatorFastExits)
+		fastExitSec: parseFloat(process.env.CREATORS_FAST_EXIT_SEC) || 60,
+		// Fast exits needed to flag a creator as serial rugger (creatorSerialRugger)
+		ruggerMinExits: parseInt(process.env.CREATORS_RUGGER_MIN_EXITS) || 3,
+		retentionDays: parseFloat(process.env.CREATORS_RETENTION_DAYS) || 30,
+		maxTokensPerCreator: parseInt(process.env.CREATORS_MAX_TOKENS_PER_CREATOR) || 50,
+	},
+
+	// Early-buyer analysis per token (sniper* / topHolderPct rule features)
+	snipers: {
+		windowSec: parseFloat(process.env.SNIPERS_WINDOW_SEC) || 5, // buys this soon after the create count as sniper buys
+		firstBuyers: parseInt(process.env.SNIPERS_FIRST_BUYERS) || 10, // first K buyer wallets followed
+	},
+
+	// Wallets acting in concert with the creator on each token (src/creator-cluster.js), shown at /tokens/:mint
+	cluster: {
+		enabled: process.env.CLUSTER_ENABLED !== "false", // default true
+		// Count the cluster's sells (and buys) toward CREATOR_SELL_THRESHOLD along with the creator's own
+		countSells: process.env.CLUSTER_COUNT_SELLS === "true",
+		createWindowMs: parseInt(process.env.CLUSTER_CREATE_WINDOW_MS) || 1000, // buys this close to the create
+		earlyWindowSec: parseFloat(process.env.CLUSTER_EARLY_WINDOW_SEC) || 30, // only buyers this early are followed
+		sizeTolerancePct: (() => {
+			const n = parseFloat(process.env.CLUSTER_SIZE_TOLERANCE_PCT);
+			return Number.isFinite(n) ? n : 0.5;
+		})(),
+		sameSizeMinWallets: parseInt(process.env.CLUSTER_SAME_SIZE_MIN_WALLETS) || 3,
+		followSellSec: parseFloat(process.env.CLUSTER_FOLLOW_SELL_SEC) || 5, // sells this soon after a creator sell
+		maxWallets: parseInt(process.env.CLUSTER_MAX_WALLETS) || 200, // early buyers followed per token
+	},
+
+	// OHLCV candles per subscribed token (src/candle-builder.js), served at /tokens/:mint/candles and saved with tracking sessions
+	candles: {
+		enabled: process.env.CANDLES_ENABLED !== "false", // default true
+		timeframes: (process.env.CANDLES_TIMEFRAMES || "1s,5s,1m")
+			.split(",")
+			.map((tf) => tf.trim())
+			.filter(Boolean),
+		maxBars: parseInt(process.env.CANDLES_MAX_BARS) || 1800, // per token and timeframe
+		maxTokens: parseInt(process.env.CANDLES_MAX_TOKENS) || 2000,
+		idleMin: parseFloat(process.env.CANDLES_IDLE_MIN) || 30, // drop tokens without trades for this long
+		// Candles saved with a session start this long before the trigger (pre-entry momentum)
+		sessionLookbackSec: (() => {
+			const n = parseFloat(process.env.CANDLES_SESSION_LOOKBACK_SEC);
+			return Number.isFinite(n) ? n : 300;
+		})(),
+	},
 };
 
 // Optional multi-strategy configuration (single instance)
 // Two ways to configure strategies:
-// 1) STRATEGIES_JSON env var containing a JSON array
+// 1) STRATEGIES_JSON env var containing a JSON array (or { templates, strategies })
 // 2) strategies.json file in project root (or STRATEGIES_FILE path)
 // If none provided, a default single strategy is inferred from the env-based config above.
+// The file is watched and can be reloaded at runtime (src/strategy-reloader.js); STRATEGIES_JSON can't change.
+config.strategyReload = {
+	file: process.env.STRATEGIES_FILE || path.join(process.cwd(), "strategies.json"),
+	watch: process.env.STRATEGIES_WATCH !== "false", // default true
+	intervalMs: parseInt(process.env.STRATEGIES_WATCH_INTERVAL_MS) || 1000,
+	source: "default", // "env" | "file" | "default"
+};
+
+// Normalize one raw strategy and inject defaults from the env-based config
+function normalizeStrategy(s, idx) {
+	const id = s.id || s.name || `strategy${idx + 1}`;
+	if (typeof id !== "string" || id.trim() === "") {
+		console.warn(`Invalid strategy id at index ${idx}; assigning default`);
+	}
+	const safeId = (id || `strategy${idx + 1}`).replace(/[^a-zA-Z0-9_-]/g, "-");
+	const trackingFilters = {
+		enabled: s?.trackingFilters?.enabled ?? process.env.TRACK_FILTERS_ENABLED === "true",
+		trackAllMints: s?.trackingFilters?.trackAllMints ?? process.env.TRACK_ALL_MINTS === "true",
+		minBuys: parseFloat(s?.trackingFilters?.minBuys ?? process.env.TRACK_MIN_BUYS ?? "0"),
+		minTotalTrades: parseFloat(s?.trackingFilters?.minTotalTrades ?? process.env.TRACK_MIN_TOTAL_TRADES ?? "0"),
+		minUniqueTraders: parseFloat(s?.trackingFilters?.minUniqueTraders ?? process.env.TRACK_MIN_UNIQUE_TRADERS ?? "0"),
+		minBuyRatio: parseFloat(s?.trackingFilters?.minBuyRatio ?? process.env.TRACK_MIN_BUY_RATIO ?? "0"),
+		minNetBuys: parseFloat(s?.trackingFilters?.minNetBuys ?? process.env.TRACK_MIN_NET_BUYS ?? "0"),
+		minMcUsd: parseFloat(s?.trackingFilters?.minMcUsd ?? process.env.TRACK_MIN_MC_USD ?? "0"),
+		maxMcUsd: (() => {
+			const v = s?.trackingFilters?.maxMcUsd ?? process.env.TRACK_MAX_MC_USD;
+			if (v === undefined || v === null || v === "") return Infinity;
+			const n = parseFloat(v);
+			return Number.isFinite(n) ? n : Infinity;
+		})(),
+		minUniquePerTrade: parseFloat(s?.trackingFilters?.minUniquePerTrade ?? process.env.TRACK_MIN_UNIQUE_PER_TRADE ?? "0"),
+		minBuysPerUnique: parseFloat(s?.trackingFilters?.minBuysPerUnique ?? process.env.TRACK_MIN_BUYS_PER_UNIQUE ?? "0"),
+		maxAgeAtTriggerSec: (() => {
+			const v = s?.trackingFilters?.maxAgeAtTriggerSec ?? process.env.TRACK_MAX_AGE_AT_TRIGGER_SEC;
+			if (!v) return Infinity;
+			const n = parseFloat(v);
+			return Number.isFinite(n) ? n : Infinity;
+		})(),
+		maxMcVolatilityRatio: (() => {
+			const v = s?.trackingFilters?.maxMcVolatilityRatio ?? process.env.TRACK_MAX_MC_VOLATILITY_RATIO;
+			if (!v) return Infinity;
+			const n = parseFloat(v);
+			return Number.isFinite(n) ? n : Infinity;
+		})(),
+		maxCreatorLaunches24h:
+			s?.trackingFilters?.maxCreatorLaunches24h !== undefined ? optionalLimit(s.trackingFilters.maxCreatorLaunches24h) : config.trackingFilters.maxCreatorLaunches24h,
+		maxCreatorFastExits:
+			s?.trackingFilters?.maxCreatorFastExits !== undefined ? optionalLimit(s.trackingFilters.maxCreatorFastExits) : config.trackingFilters.maxCreatorFastExits,
+		maxCreatorBadRatio: s?.trackingFilters?.maxCreatorBadRatio !== undefined ? optionalLimit(s.trackingFilters.maxCreatorBadRatio) : config.trackingFilters.maxCreatorBadRatio,
+		maxSniperBuys: s?.trackingFilters?.maxSniperBuys !== undefined ? optionalLimit(s.trackingFilters.maxSniperBuys) : config.trackingFilters.maxSniperBuys,
+		maxSniperSupplyPct: s?.trackingFilters?.maxSniperSupplyPct !== undefined ? optionalLimit(s.trackingFilters.maxSniperSupplyPct) : config.trackingFilters.maxSniperSupplyPct,
+		maxSniperSold: s?.trackingFilters?.maxSniperSold !== undefined ? optionalLimit(s.trackingFilters.maxSniperSold) : config.trackingFilters.maxSniperSold,
+		maxTopHolderPct: s?.trackingFilters?.maxTopHolderPct !== undefined ? optionalLimit(s.trackingFilters.maxTopHolderPct) : config.trackingFilters.maxTopHolderPct,
+		expression: s?.trackingFilters?.expression !== undefined ? expressionOrNull(s.trackingFilters.expression) : config.trackingFilters.expression,
+	};
+
+	const stage2 = {
+		enabled: s?.stage2?.enabled ?? config.stage2.enabled,
+		windowSec: parseFloat(s?.stage2?.windowSec ?? config.stage2.windowSec),
+		minTrades: parseFloat(s?.stage2?.minTrades ?? config.stage2.minTrades),
+		minMaxPct: parseFloat(s?.stage2?.minMaxPct ?? config.stage2.minMaxPct),
+	};
+
+	const pt = s?.paperTrading || {};
+	const paperTrading = {
+		enabled: pt.enabled ?? config.paperTrading.enabled,
+		initialSol: parseFloat(pt.initialSol ?? config.paperTrading.initialSol),
+		allocSol: parseFloat(pt.allocSol ?? config.paperTrading.allocSol),
+		allocPct: parseFloat(pt.allocPct ?? config.paperTrading.allocPct),
+		tpPct: parseFloat(pt.tpPct ?? config.paperTrading.tpPct),
+		slPct: Math.abs(parseFloat(pt.slPct ?? config.paperTrading.slPct)),
+		timeoutSec: parseFloat(pt.timeoutSec ?? config.paperTrading.timeoutSec),
+		// portalFeePct re-derives from apiType unless set explicitly (env or strategy)
+		costs: resolveCostModel({ ...config.paperTrading.costs, portalFeePct: process.env.PAPER_PORTAL_FEE_PCT, ...(pt.costs || {}) }),
+	};
+
+	// Per-strategy tracking output dir; fall back to global logDir/id
+	const logDir = typeof s?.tracking?.logDir === "string" && s.tracking.logDir.trim() !== "" ? s.tracking.logDir : path.join(config.tracking.logDir || "tracking", safeId);
+
+	// Per-strategy timing in seconds/minutes like the TRACKING_* envs; missing => global value
+	const timing = (key, unitMs, fallbackMs) => {
+		const n = parseFloat(s?.tracking?.[key]);
+		return Number.isFinite(n) && n >= 0 ? n * unitMs : fallbackMs;
+	};
+
+	return {
+		id: safeId,
+		trackingFilters,
+		stage2,
+		paperTrading,
+		tracking: {
+			...config.tracking,
+			entryDelayMs: timing("entryDelaySec", 1000, config.tracking.entryDelayMs),
+			inactivityMs: timing("inactivityMin", 60 * 1000, config.tracking.inactivityMs),
+			maxWindowMs: timing("maxWindowMin", 60 * 1000, config.tracking.maxWindowMs),
+			tape: typeof s?.tracking?.tape === "boolean" ? s.tracking.tape : config.tracking.tape,
+			logDir,
+		},
+		// What a hot reload does with this strategy's open sessions when its definition changes
+		onReload: s?.onReload === "stop" ? "stop" : "continue",
+		// Templates / strategies it was resolved from (`extends`), nearest first
+		inherits: Array.isArray(s?.inherits) ? s.inherits : [],
+	};
+}
+
+/**
+ * Resuelve la herencia (`extends`/templates, src/strategy-resolver.js) y normaliza las estrategias
+ * de strategies.json / STRATEGIES_JSON. Los ids duplicados se descartan con un aviso.
+ */
+export function buildStrategies(raw) {
+	const normalized = resolveStrategies(raw).strategies.map(normalizeStrategy);
+	// Keep only unique strategy IDs
+	const seen = new Set();
+	return normalized.filter((s) => {
+		if (seen.has(s.id)) {
+			console.warn(`Duplicate strategy id '${s.id}' ignored`);
+			return false;
+		}
+		seen.add(s.id);
+		return true;
+	});
+}
+
+/**
+ * Valida la lista cruda contra el esquema (src/config-schema.js).
+ * Devuelve { errors, warnings } como strings "ruta: mensaje".
+ */
+export function validateStrategies(list, rootPath = "strategies") {
+	const { errors, warnings } = validateStrategiesConfig(list, rootPath);
+	return { errors: errors.map(formatIssue), warnings: warnings.map(formatIssue) };
+}
+
+function defaultStrategies() {
+	return [
+		{
+			id: "default",
+			trackingFilters: config.trackingFilters,
+			stage2: config.stage2,
+			paperTrading: config.paperTrading,
+			tracking: config.tracking,
+			onReload: "continue",
+			inherits: [],
+		},
+	];
+}
+
+// Startup validation (env + strategies); index.js refuses to start with errors, `npm run config:check` prints them
+config.validation = validateEnv();
+config.validation.errors = config.validation.errors.map(formatIssue);
+config.validation.warnings = config.validation.warnings.map(formatIssue);
+
 try {
 	let strategies = null;
 	if (process.env.STRATEGIES_JSON) {
 		try {
 			strategies = JSON.parse(process.env.STRATEGIES_JSON);
+			if (isStrategiesDocument(strategies)) config.strategyReload.source = "env";
 		} catch (e) {
-			console.warn("Invalid STRATEGIES_JSON; falling back to file/default:", e.message);
+			config.validation.errors.push(`STRATEGIES_JSON: invalid JSON: ${e.message}`);
 		}
 	}
 
-	if (!Array.isArray(strategies)) {
-		const strategiesFile = process.env.STRATEGIES_FILE || path.join(process.cwd(), "strategies.json");
+	if (strategies === null) {
+		const strategiesFile = config.strategyReload.file;
 		if (fs.existsSync(strategiesFile)) {
 			try {
 				const raw = fs.readFileSync(strategiesFile, "utf8");
 				strategies = JSON.parse(raw);
+				if (isStrategiesDocument(strategies)) config.strategyReload.source = "file";
 			} catch (e) {
-				console.warn("Failed to read strategies.json; continuing with default:", e.message);
+				config.validation.errors.push(`${strategiesFile}: invalid JSON: ${e.message}`);
 			}
 		}
 	}
 
-	if (Array.isArray(strategies)) {
-		// Normalize and inject defaults with light validation
-		const normalize = (s, idx) => {
-			const id = s.id || s.name || `strategy${idx + 1}`;
-			if (typeof id !== "string" || id.trim() === "") {
-				console.warn(`Invalid strategy id at index ${idx}; assigning default`);
-			}
-			const safeId = (id || `strategy${idx + 1}`).replace(/[^a-zA-Z0-9_-]/g, "-");
-			const trackingFilters = {
-				enabled: s?.trackingFilters?.enabled ?? process.env.TRACK_FILTERS_ENABLED === "true",
-				trackAllMints: s?.trackingFilters?.trackAllMints ?? process.env.TRACK_ALL_MINTS === "true",
-				minBuys: parseFloat(s?.trackingFilters?.minBuys ?? process.env.TRACK_MIN_BUYS ?? "0"),
-				minTotalTrades: parseFloat(s?.trackingFilters?.minTotalTrades ?? process.env.TRACK_MIN_TOTAL_TRADES ?? "0"),
-				minUniqueTraders: parseFloat(s?.trackingFilters?.minUniqueTraders ?? process.env.TRACK_MIN_UNIQUE_TRADERS ?? "0"),
-				minBuyRatio: parseFloat(s?.trackingFilters?.minBuyRatio ?? process.env.TRACK_MIN_BUY_RATIO ?? "0"),
-				minNetBuys: parseFloat(s?.trackingFilters?.minNetBuys ?? process.env.TRACK_MIN_NET_BUYS ?? "0"),
-				minMcUsd: parseFloat(s?.trackingFilters?.minMcUsd ?? process.env.TRACK_MIN_MC_USD ?? "0"),
-				maxMcUsd: (() => {
-					const v = s?.trackingFilters?.maxMcUsd ?? process.env.TRACK_MAX_MC_USD;
-					if (v === undefined || v === null || v === "") return Infinity;
-					const n = parseFloat(v);
-					return Number.isFinite(n) ? n : Infinity;
-				})(),
-				minUniquePerTrade: parseFloat(s?.trackingFilters?.minUniquePerTrade ?? process.env.TRACK_MIN_UNIQUE_PER_TRADE ?? "0"),
-				minBuysPerUnique: parseFloat(s?.trackingFilters?.minBuysPerUnique ?? process.env.TRACK_MIN_BUYS_PER_UNIQUE ?? "0"),
-				maxAgeAtTriggerSec: (() => {
-					const v = s?.trackingFilters?.maxAgeAtTriggerSec ?? process.env.TRACK_MAX_AGE_AT_TRIGGER_SEC;
-					if (!v) return Infinity;
-					const n = parseFloat(v);
-					return Number.isFinite(n) ? n : Infinity;
-				})(),
-				maxMcVolatilityRatio: (() => {
-					const v = s?.trackingFilters?.maxMcVolatilityRatio ?? process.env.TRACK_MAX_MC_VOLATILITY_RATIO;
-					if (!v) return Infinity;
-					const n = parseFloat(v);
-					return Number.isFinite(n) ? n : Infinity;
-				})(),
-			};
-
-			// Per-strategy tracking output dir; fall back to global logDir/id
-			const logDir = typeof s?.tracking?.logDir === "string" && s.tracking.logDir.trim() !== "" ? s.tracking.logDir : path.join(config.tracking.logDir || "tracking", safeId);
-
-			return {
-				id: safeId,
-				trackingFilters,
-				tracking: {
-					...config.tracking,
-					logDir,
-				},
-			};
-		};
-
-		const normalized = strategies.map(normalize);
-		// Keep only unique strategy IDs
-		const seen = new Set();
-		config.strategies = normalized.filter((s) => {
-			if (seen.has(s.id)) {
-				console.warn(`Duplicate strategy id '${s.id}' ignored`);
-				return false;
+	if (strategies !== null) {
+		const issues = validateStrategies(strategies, config.strategyReload.source === "env" ? "STRATEGIES_JSON" : "strategies");
+		config.validation.errors.push(...issues.errors);
+		config.validation.warnings.push(...issues.warnings);
+	}
+
+	// Default single-strategy mode built from env
+	config.strategies = isStrategiesDocument(strategies) ? buildStrategies(strategies) : defaultStrategies();
+} catch (e) {
+	console.warn("Failed to build strategies config; using default:", e.message);
+	config.strategies = defaultStrategies();
+}
+
+// Optional notifier sinks (webhook / telegram / command / file), read like strategies:
+// 1) NOTIFIERS_JSON env var  2) notifiers.json in project root (or NOTIFIERS_FILE path)
+// Either an array of sinks or { "sinks": [...], "retry": {...}, "dedupeWindowSec": n, "rateLimit": {...} }
+config.notifiers = {
+	outboxFile: process.env.NOTIFIER_OUTBOX_FILE || path.join("logs", "notifier-outbox.json"),
+	retry: {
+		maxAttempts: parseInt(process.env.NOTIFIER_MAX_ATTEMPTS) || 8,
+		baseDelayMs: (parseFloat(process.env.NOTIFIER_RETRY_BASE_SEC) || 2) * 1000,
+		maxDelayMs: (parseFloat(process.env.NOTIFIER_RETRY_MAX_SEC) || 300) * 1000,
+	},
+	dedupeWindowSec: (() => {
+		const n = parseFloat(process.env.NOTIFIER_DEDUPE_WINDOW_SEC);
+		return Number.isFinite(n) ? n : 600;
+	})(),
+	// Per sink and token: at most `max` notifications every `windowSec` (0 = unlimited)
+	rateLimit: {
+		max: (() => {
+			const n = parseInt(process.env.NOTIFIER_TOKEN_RATE_MAX);
+			return Number.isFinite(n) ? n : 5;
+		})(),
+		windowSec: parseFloat(process.env.NOTIFIER_TOKEN_RATE_WINDOW_SEC) || 60,
+	},
+	sinks: [],
+};
+try {
+	let raw = null;
+	if (process.env.NOTIFIERS_JSON) {
+		try {
+			raw = JSON.parse(process.env.NOTIFIERS_JSON);
+		} catch (e) {
+			console.warn("Invalid NOTIFIERS_JSON; falling back to file:", e.message);
+		}
+	}
+	if (raw === null) {
+		const notifiersFile = process.env.NOTIFIERS_FILE || path.join(process.cwd(), "notifiers.json");
+		if (fs.existsSync(notifiersFile)) {
+			try {
+				raw = JSON.parse(fs.readFileSync(notifiersFile, "utf8"));
+			} catch (e) {
+				console.warn("Failed to read notifiers.json; notifications disabled:", e.message);
 			}
-			seen.add(s.id);
-			return true;
+		}
+	}
+	if (Array.isArray(raw)) {
+		config.notifiers.sinks = raw;
+	} else if (raw && typeof raw === "object") {
+		const { sinks, retry, rateLimit, ...rest } = raw;
+		Object.assign(config.notifiers, rest, {
+			retry: { ...config.notifiers.retry, ...(retry || {}) },
+			rateLimit: { ...config.notifiers.rateLimit, ...(rateLimit || {}) },
+			sinks: Array.isArray(sinks) ? sinks : [],
 		});
-	} else {
-		// Default single-strategy mode built from env
-		config.strategies = [
-			{
-				id: "default",
-				trackingFilters: config.trackingFilters,
-				tracking: config.tracking,
-			},
-		];
 	}
 } catch (e) {
-	console.warn("Failed to build strategies config; using default:", e.message);
-	config.strategies = [{ id: "default", trackingFilters: config.trackingFilters, tracking: config.tracking }];
+	console.warn("Failed to build notifiers config; notifications disabled:", e.message);
 }
 
 export default config;
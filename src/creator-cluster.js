@@ -0,0 +1,156 @@
+import config from "./config.js";
+
+// "Cluster" del creador: wallets que actúan coordinadas con él en un token, aunque no sean la wallet que lo creó
+// (isCreatorOfToken solo compara traderPublicKey con el creador). Heurísticas sobre el stream de trades:
+//   create_window: compra en los primeros createWindowMs desde el create (mismo slot/segundo, bundle del dev)
+//   same_size:     compra temprana del mismo tamaño (SOL) que la compra inicial del dev, o de al menos
+//                  sameSizeMinWallets compradores tempranos con el mismo tamaño entre sí
+//   follow_sell:   comprador temprano que vende en los followSellSec siguientes a una venta del creador
+// "Temprano" = primera compra en los primeros earlyWindowSec del token. Solo se siguen los balances de los
+// compradores tempranos (como mucho maxWallets por token); las tenencias del cluster son las de los marcados.
+// El tiempo es el de recepción (el feed no trae slot), así que create_window es aproximado.
+
+class CreatorCluster {
+	constructor(options = config.cluster) {
+		this.enabled = options.enabled;
+		this.countSells = options.countSells;
+		this.createWindowMs = options.createWindowMs;
+		this.earlyWindowMs = options.earlyWindowSec * 1000;
+		this.sizeTolerance = options.sizeTolerancePct / 100;
+		this.sameSizeMinWallets = options.sameSizeMinWallets;
+		this.followSellMs = options.followSellSec * 1000;
+		this.maxWallets = options.maxWallets;
+		// mint -> { creator, createdAt, devBuySol, lastCreatorSellAt, wallets: Map(wallet -> { firstBuyAt, buySol, tokensBought, tokensSold, reasons: Set }) }
+		this.tokens = new Map();
+	}
+
+	onCreate(mint, creator, { at = Date.now(), solAmount = null } = {}) {
+		if (!this.enabled || !mint || this.tokens.has(mint)) return;
+		this.tokens.set(mint, {
+			creator,
+			createdAt: at,
+			devBuySol: typeof solAmount === "number" && solAmount > 0 ? solAmount : null,
+			lastCreatorSellAt: null,
+			wallets: new Map(),
+		});
+	}
+
+	onCreatorSell(mint, at = Date.now()) {
+		const token = this.tokens.get(mint);
+		if (token) token.lastCreatorSellAt = at;
+	}
+
+	/**
+	 * Trade de una wallet que no es el creador. Devuelve { member, links } si la wallet se está siguiendo
+	 * (compró temprano), o null. links: marcas nuevas [{ wallet, reason }] (same_size puede marcar también a otras).
+	 */
+	onTrade(trade, at = Date.now()) {
+		const token = this.tokens.get(trade.mint);
+		if (!token || !trade.traderPublicKey || trade.traderPublicKey === token.creator) return null;
+		const tokenAmount = typeof trade.tokenAmount === "number" ? trade.tokenAmount : 0;
+		let wallet = token.wallets.get(trade.traderPublicKey);
+		const links = [];
+
+		if (!wallet) {
+			// Only wallets whose first trade is an early buy are followed
+			if (trade.txType !== "buy" || at - token.createdAt > this.earlyWindowMs || token.wallets.size >= this.maxWallets) return null;
+			const buySol = typeof trade.solAmount === "number" && trade.solAmount > 0 ? trade.solAmount : null;
+			wallet = { firstBuyAt: at, buySol, tokensBought: 0, tokensSold: 0, reasons: new Set() };
+			token.wallets.set(trade.traderPublicKey, wallet);
+			if (at - token.createdAt <= this.createWindowMs) this._flag(token, trade.traderPublicKey, "create_window", links);
+			if (buySol !== null) {
+				if (this._sameSize(buySol, token.devBuySol)) this._flag(token, trade.traderPublicKey, "same_size", links);
+				const twins = Array.from(token.wallets).filter(([, w]) => this._sameSize(buySol, w.buySol));
+				// Earlier buyers of the same size join the cluster too
+				if (twins.length >= this.sameSizeMinWallets) for (const [address] of twins) this._flag(token, address, "same_size", links);
+			}
+		}
+
+		if (trade.txType === "buy") wallet.tokensBought += tokenAmount;
+		if (trade.txType === "sell") {
+			wallet.tokensSold += Math.min(tokenAmount, Math.max(0, wallet.tokensBought - wallet.tokensSold));
+			if (token.lastCreatorSellAt !== null && at - token.lastCreatorSellAt <= this.followSellMs) this._flag(token, trade.traderPublicKey, "follow_sell", links);
+		}
+
+		return { member: wallet.reasons.size > 0, links };
+	}
+
+	_flag(token, address, reason, links) {
+		const wallet = token.wallets.get(address);
+		if (wallet.reasons.has(reason)) return;
+		wallet.reasons.add(reason);
+		links.push({ wallet: address, reason });
+	}
+
+	_sameSize(a, b) {
+		if (a === null || b === null) return false;
+		return Math.abs(a - b) <= this.sizeTolerance * Math.max(a, b);
+	}
+
+	dropToken(mint) {
+		this.tokens.delete(mint);
+	}
+
+	/**
+	 * Tenencias combinadas de las wallets marcadas de un token ({ wallets, tokensBought, tokensSold, tokensHeld }),
+	 * o null si no se sigue el token.
+	 */
+	totals(mint) {
+		const token = this.tokens.get(mint);
+		if (!token) return null;
+		let wallets = 0;
+		let tokensBought = 0;
+		let tokensSold = 0;
+		for (const w of token.wallets.values()) {
+			if (w.reasons.size === 0) continue;
+			wallets++;
+			tokensBought += w.tokensBought;
+			tokensSold += w.tokensSold;
+		}
+		return { wallets, tokensBought, tokensSold, tokensHeld: tokensBought - tokensSold };
+	}
+
+	/**
+	 * Cluster de un token para GET /tokens/:mint: totales y wallets marcadas con sus motivos. null si no se sigue.
+	 */
+	getCluster(mint) {
+		const token = this.tokens.get(mint);
+		if (!token) return null;
+		const members = [];
+		for (const [address, w] of token.wallets) {
+			if (w.reasons.size === 0) continue;
+			members.push({
+				address,
+				reasons: Array.from(w.reasons),
+				firstBuyAfterMs: w.firstBuyAt - token.createdAt,
+				buySol: w.buySol,
+				tokensBought: w.tokensBought,
+				tokensSold: w.tokensSold,
+				tokensHeld: w.tokensBought - w.tokensSold,
+			});
+		}
+		return { ...this.totals(mint), trackedWallets: token.wallets.size, devBuySol: token.devBuySol, members };
+	}
+
+	// For the TokenMonitor snapshot: linked wallets survive a restart (CLUSTER_COUNT_SELLS keeps counting them)
+	getState() {
+		return { tokens: this.tokens };
+	}
+
+	restoreState(state) {
+		if (!this.enabled || !(state?.tokens instanceof Map)) return;
+		for (const [mint, token] of state.tokens) {
+			if (!this.tokens.has(mint)) this.tokens.set(mint, token);
+		}
+	}
+
+	getStats() {
+		let members = 0;
+		for (const token of this.tokens.values()) {
+			for (const w of token.wallets.values()) if (w.reasons.size > 0) members++;
+		}
+		return { enabled: this.enabled, countSells: this.countSells, tokens: this.tokens.size, members };
+	}
+}
+
+export default CreatorCluster;
@@ -0,0 +1,171 @@
+import config from "./config.js";
+import StateStore from "./state-store.js";
+import defaultClock from "./clock.js";
+
+// Historial de creadores entre tokens y ejecuciones (CREATORS_FILE): lanzamientos, primera venta, salida completa
+// con su market cap y cómo acabaron las sesiones de tracking de sus tokens (outcome good/bad/neutral/cancelled).
+// De ahí salen las features de reputación (creator*) que las estrategias pueden filtrar (ver src/strategy-rules.js).
+// Se guarda con StateStore (JSON atómico, snapshots periódicos); los creadores sin actividad en retentionDays
+// se descartan al cargar y en cada snapshot, y de cada creador solo se guardan sus últimos maxTokensPerCreator tokens.
+// En un replay (persist: false) el historial vive solo en memoria y empieza vacío: el de la ejecución en vivo no se lee
+// (sería historial posterior a la captura) ni se sobrescribe.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OUTCOMES = ["good", "bad", "neutral", "cancelled"];
+
+function avg(values) {
+	return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : NaN;
+}
+
+class CreatorStore {
+	constructor(options = config.creators, { clock = defaultClock, persist = true } = {}) {
+		this.clock = clock;
+		this.fastExitSec = options.fastExitSec;
+		this.ruggerMinExits = options.ruggerMinExits;
+		this.retentionMs = options.retentionDays * DAY_MS;
+		this.maxTokensPerCreator = options.maxTokensPerCreator;
+		this.store = persist ? new StateStore({ file: options.file, intervalMs: options.intervalMs }) : null;
+		// creator -> { firstSeenAt, lastSeenAt, launches, launchTimes: [ms], tokens: [{ mint, launchedAt, firstSellAt, exitAt, exitMcSol, exitMcUsd }], sessions: { good, bad, neutral, cancelled } }
+		this.creators = new Map();
+	}
+
+	start() {
+		if (!this.store) return;
+		const snapshot = this.store.load();
+		if (snapshot?.creators instanceof Map) this.creators = snapshot.creators;
+		this.prune();
+		this.store.start(() => this.getSnapshot());
+	}
+
+	stop() {
+		if (!this.store) return;
+		this.store.stop();
+		this.store.save(this.getSnapshot());
+	}
+
+	getSnapshot() {
+		this.prune();
+		return { creators: this.creators };
+	}
+
+	prune(now = this.clock.now()) {
+		for (const [creator, record] of this.creators) {
+			if (now - record.lastSeenAt > this.retentionMs) this.creators.delete(creator);
+		}
+	}
+
+	_token(creator, mint) {
+		return this.creators.get(creator)?.tokens.find((t) => t.mint === mint) || null;
+	}
+
+	// New token by this creator (idempotent per mint: restarts and restored tokens don't count twice)
+	recordLaunch(creator, mint, at = this.clock.now()) {
+		let record = this.creators.get(creator);
+		if (!record) {
+			record = { firstSeenAt: at, lastSeenAt: at, launches: 0, launchTimes: [], tokens: [], sessions: { good: 0, bad: 0, neutral: 0, cancelled: 0 } };
+			this.creators.set(creator, record);
+		}
+		record.lastSeenAt = Math.max(record.lastSeenAt, at);
+		if (record.tokens.some((t) => t.mint === mint)) return;
+		record.launches++;
+		record.launchTimes = record.launchTimes.filter((t) => at - t < DAY_MS).concat(at);
+		record.tokens.push({ mint, launchedAt: at, firstSellAt: null, exitAt: null, exitMcSol: null, exitMcUsd: null });
+		if (record.tokens.length > this.maxTokensPerCreator) record.tokens.shift();
+	}
+
+	recordSell(creator, mint, at = this.clock.now()) {
+		const token = this._token(creator, mint);
+		if (!token) return;
+		if (token.firstSellAt === null) token.firstSellAt = at;
+		const record = this.creators.get(creator);
+		record.lastSeenAt = Math.max(record.lastSeenAt, at);
+	}
+
+	recordExit(creator, mint, { at = this.clock.now(), mcSol = null, mcUsd = null } = {}) {
+		const token = this._token(creator, mint);
+		if (!token || token.exitAt !== null) return;
+		token.exitAt = at;
+		token.exitMcSol = mcSol;
+		token.exitMcUsd = mcUsd;
+	}
+
+	// Outcome of a tracking session on one of the creator's tokens (one per strategy)
+	recordOutcome(creator, outcome) {
+		const record = this.creators.get(creator);
+		if (!record || !OUTCOMES.includes(outcome)) return;
+		record.sessions[outcome]++;
+	}
+
+	/**
+	 * Features de reputación del creador en el momento del trigger. El token actual (excludeMint) no cuenta en el
+	 * historial de salidas, pero sí en creatorLaunches24h. Lo que no se puede calcular queda en NaN.
+	 */
+	features(creator, excludeMint = null, now = this.clock.now()) {
+		const record = this.creators.get(creator);
+		if (!record) {
+			return {
+				creatorPrevLaunches: 0,
+				creatorLaunches24h: 0,
+				creatorLaunchesPerDay: NaN,
+				creatorFullExits: 0,
+				creatorFastExits: 0,
+				creatorMinExitSec: NaN,
+				creatorAvgExitSec: NaN,
+				creatorAvgFirstSellSec: NaN,
+				creatorAvgExitMcUsd: NaN,
+				creatorGoodSessions: 0,
+				creatorBadSessions: 0,
+				creatorBadRatio: NaN,
+				creatorSerialRugger: 0,
+			};
+		}
+		const previous = record.tokens.filter((t) => t.mint !== excludeMint);
+		const exitSecs = previous.filter((t) => t.exitAt !== null).map((t) => (t.exitAt - t.launchedAt) / 1000);
+		const firstSellSecs = previous.filter((t) => t.firstSellAt !== null).map((t) => (t.firstSellAt - t.launchedAt) / 1000);
+		const exitMcs = previous.map((t) => t.exitMcUsd).filter((v) => typeof v === "number" && Number.isFinite(v));
+		const fastExits = exitSecs.filter((sec) => sec <= this.fastExitSec).length;
+		const { good, bad, neutral } = record.sessions;
+		const decided = good + bad + neutral;
+		const isCurrent = excludeMint !== null && record.tokens.some((t) => t.mint === excludeMint);
+		return {
+			creatorPrevLaunches: record.launches - (isCurrent ? 1 : 0),
+			creatorLaunches24h: record.launchTimes.filter((t) => now - t < DAY_MS).length,
+			creatorLaunchesPerDay: record.launches / Math.max(1, (now - record.firstSeenAt) / DAY_MS),
+			creatorFullExits: exitSecs.length,
+			creatorFastExits: fastExits,
+			creatorMinExitSec: exitSecs.length > 0 ? Math.min(...exitSecs) : NaN,
+			creatorAvgExitSec: avg(exitSecs),
+			creatorAvgFirstSellSec: avg(firstSellSecs),
+			creatorAvgExitMcUsd: avg(exitMcs),
+			creatorGoodSessions: good,
+			creatorBadSessions: bad,
+			creatorBadRatio: decided > 0 ? bad / decided : NaN,
+			creatorSerialRugger: fastExits >= this.ruggerMinExits ? 1 : 0,
+		};
+	}
+
+	/**
+	 * Historial guardado de un creador (GET /creators/:address), o null si no hay.
+	 */
+	get(creator) {
+		const record = this.creators.get(creator);
+		if (!record) return null;
+		const features = this.features(creator);
+		const iso = (ms) => (ms === null ? null : new Date(ms).toISOString());
+		return {
+			firstSeenAt: iso(record.firstSeenAt),
+			lastSeenAt: iso(record.lastSeenAt),
+			launches: record.launches,
+			sessions: { ...record.sessions },
+			features: Object.fromEntries(Object.entries(features).map(([k, v]) => [k, Number.isFinite(v) ? v : null])),
+			tokens: record.tokens.map((t) => ({ ...t, launchedAt: iso(t.launchedAt), firstSellAt: iso(t.firstSellAt), exitAt: iso(t.exitAt) })),
+		};
+	}
+
+	getStats() {
+		return { creators: this.creators.size, file: this.store?.file ?? null, lastSavedAt: this.store?.lastSavedAt ?? null };
+	}
+}
+
+export default CreatorStore;
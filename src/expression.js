@@ -0,0 +1,263 @@
+// Evaluador de expresiones para reglas de estrategia, sin eval ni Function:
+// tokenizer + parser descendente recursivo que compila a un árbol de closures.
+//
+// Gramática (precedencia de menor a mayor):
+//   or      := and ("||" and)*
+//   and     := cmp ("&&" cmp)*
+//   cmp     := sum (("<" | "<=" | ">" | ">=" | "==" | "!=") sum)?
+//   sum     := prod (("+" | "-") prod)*
+//   prod    := unary (("*" | "/" | "%") unary)*
+//   unary   := ("!" | "-") unary | primary
+//   primary := number | "true" | "false" | identifier | fn "(" args ")" | "(" or ")"
+//
+// Solo se leen las variables permitidas (features) y las funciones de FUNCTIONS; nada más es accesible.
+// Las comparaciones convierten los dos lados a número (true/false = 1/0), como la aritmética; con NaN
+// (feature no disponible) son false salvo !=, igual que en JS.
+
+const MAX_LENGTH = 2000;
+const MAX_DEPTH = 64;
+
+const FUNCTIONS = {
+	abs: { arity: [1, 1], fn: Math.abs },
+	min: { arity: [1, Infinity], fn: Math.min },
+	max: { arity: [1, Infinity], fn: Math.max },
+	isFinite: { arity: [1, 1], fn: Number.isFinite },
+};
+
+export class ExpressionError extends Error {
+	constructor(message, pos) {
+		super(pos === undefined ? message : `${message} at position ${pos}`);
+		this.name = "ExpressionError";
+		this.pos = pos;
+	}
+}
+
+const PUNCTUATORS = ["&&", "||", "<=", ">=", "==", "!=", "<", ">", "!", "+", "-", "*", "/", "%", "(", ")", ","];
+
+function tokenize(source) {
+	const tokens = [];
+	let i = 0;
+	while (i < source.length) {
+		const ch = source[i];
+		if (/\s/.test(ch)) {
+			i++;
+			continue;
+		}
+		const num = /^(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+		if (num) {
+			tokens.push({ type: "number", value: parseFloat(num[0]), pos: i });
+			i += num[0].length;
+			continue;
+		}
+		const ident = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+		if (ident) {
+			tokens.push({ type: "ident", value: ident[0], pos: i });
+			i += ident[0].length;
+			continue;
+		}
+		const punct = PUNCTUATORS.find((p) => source.startsWith(p, i));
+		if (punct) {
+			tokens.push({ type: "op", value: punct, pos: i });
+			i += punct.length;
+			continue;
+		}
+		throw new ExpressionError(`Unexpected character '${ch}'`, i);
+	}
+	tokens.push({ type: "eof", value: null, pos: source.length });
+	return tokens;
+}
+
+class Parser {
+	constructor(tokens, allowed) {
+		this.tokens = tokens;
+		this.i = 0;
+		this.depth = 0;
+		this.allowed = allowed; // Set of identifiers or null (any)
+		this.identifiers = new Set();
+	}
+
+	peek() {
+		return this.tokens[this.i];
+	}
+
+	next() {
+		return this.tokens[this.i++];
+	}
+
+	accept(...ops) {
+		const t = this.peek();
+		if (t.type === "op" && ops.includes(t.value)) {
+			this.i++;
+			return t.value;
+		}
+		return null;
+	}
+
+	expect(op) {
+		const t = this.next();
+		if (t.type !== "op" || t.value !== op) throw new ExpressionError(`Expected '${op}' but found ${describe(t)}`, t.pos);
+	}
+
+	enter() {
+		if (++this.depth > MAX_DEPTH) throw new ExpressionError("Expression is nested too deeply", this.peek().pos);
+	}
+
+	parse() {
+		const node = this.parseOr();
+		const t = this.peek();
+		if (t.type !== "eof") throw new ExpressionError(`Unexpected ${describe(t)}`, t.pos);
+		return node;
+	}
+
+	parseOr() {
+		let left = this.parseAnd();
+		while (this.accept("||")) {
+			const l = left;
+			const r = this.parseAnd();
+			left = (f) => Boolean(l(f)) || Boolean(r(f));
+		}
+		return left;
+	}
+
+	parseAnd() {
+		let left = this.parseCmp();
+		while (this.accept("&&")) {
+			const l = left;
+			const r = this.parseCmp();
+			left = (f) => Boolean(l(f)) && Boolean(r(f));
+		}
+		return left;
+	}
+
+	parseCmp() {
+		const left = this.parseSum();
+		const op = this.accept("<=", ">=", "==", "!=", "<", ">");
+		if (!op) return left;
+		const right = this.parseSum();
+		// Both sides as numbers, like + and -: true/false and comparison results are 1/0 (`creatorSerialRugger == true`)
+		const l = (f) => toNum(left(f));
+		const r = (f) => toNum(right(f));
+		switch (op) {
+			case "<":
+				return (f) => l(f) < r(f);
+			case "<=":
+				return (f) => l(f) <= r(f);
+			case ">":
+				return (f) => l(f) > r(f);
+			case ">=":
+				return (f) => l(f) >= r(f);
+			case "==":
+				return (f) => l(f) === r(f);
+			default:
+				return (f) => l(f) !== r(f);
+		}
+	}
+
+	parseSum() {
+		let left = this.parseProd();
+		let op;
+		while ((op = this.accept("+", "-"))) {
+			const l = left;
+			const r = this.parseProd();
+			left = op === "+" ? (f) => toNum(l(f)) + toNum(r(f)) : (f) => toNum(l(f)) - toNum(r(f));
+		}
+		return left;
+	}
+
+	parseProd() {
+		let left = this.parseUnary();
+		let op;
+		while ((op = this.accept("*", "/", "%"))) {
+			const l = left;
+			const r = this.parseUnary();
+			if (op === "*") left = (f) => toNum(l(f)) * toNum(r(f));
+			else if (op === "/") left = (f) => toNum(l(f)) / toNum(r(f));
+			else left = (f) => toNum(l(f)) % toNum(r(f));
+		}
+		return left;
+	}
+
+	parseUnary() {
+		const op = this.accept("!", "-");
+		if (!op) return this.parsePrimary();
+		this.enter();
+		const operand = this.parseUnary();
+		this.depth--;
+		return op === "!" ? (f) => !operand(f) : (f) => -toNum(operand(f));
+	}
+
+	parsePrimary() {
+		const t = this.next();
+		if (t.type === "number") {
+			const v = t.value;
+			return () => v;
+		}
+		if (t.type === "op" && t.value === "(") {
+			this.enter();
+			const inner = this.parseOr();
+			this.depth--;
+			this.expect(")");
+			return inner;
+		}
+		if (t.type === "ident") {
+			if (t.value === "true") return () => true;
+			if (t.value === "false") return () => false;
+			if (this.peek().type === "op" && this.peek().value === "(") return this.parseCall(t);
+			if (this.allowed && !this.allowed.has(t.value)) throw new ExpressionError(`Unknown feature '${t.value}'`, t.pos);
+			this.identifiers.add(t.value);
+			const name = t.value;
+			// Own properties only: never walk the prototype chain
+			return (f) => (Object.prototype.hasOwnProperty.call(f, name) ? toNum(f[name]) : NaN);
+		}
+		throw new ExpressionError(`Unexpected ${describe(t)}`, t.pos);
+	}
+
+	parseCall(t) {
+		const def = Object.prototype.hasOwnProperty.call(FUNCTIONS, t.value) ? FUNCTIONS[t.value] : null;
+		if (!def) throw new ExpressionError(`Unknown function '${t.value}'`, t.pos);
+		this.expect("(");
+		this.enter();
+		const args = [];
+		if (!this.accept(")")) {
+			do {
+				args.push(this.parseOr());
+			} while (this.accept(","));
+			this.expect(")");
+		}
+		this.depth--;
+		const [minArgs, maxArgs] = def.arity;
+		if (args.length < minArgs || args.length > maxArgs) throw new ExpressionError(`Wrong number of arguments for ${t.value}()`, t.pos);
+		const fn = def.fn;
+		return (f) => fn(...args.map((a) => toNum(a(f))));
+	}
+}
+
+// Features are numbers; booleans and null/undefined become 1/0/NaN
+function toNum(v) {
+	if (typeof v === "number") return v;
+	if (typeof v === "boolean") return v ? 1 : 0;
+	if (v === null || v === undefined) return NaN;
+	const n = Number(v);
+	return Number.isFinite(n) ? n : NaN;
+}
+
+function describe(t) {
+	if (t.type === "eof") return "end of expression";
+	return `'${t.value}'`;
+}
+
+/**
+ * Compila una expresión booleana. `features` (array o Set) limita los identificadores válidos.
+ * Devuelve { source, identifiers, evaluate(features) => boolean }. Lanza ExpressionError si no es válida.
+ */
+export function compileExpression(source, { features = null } = {}) {
+	if (typeof source !== "string" || source.trim() === "") throw new ExpressionError("Expression must be a non-empty string");
+	if (source.length > MAX_LENGTH) throw new ExpressionError(`Expression longer than ${MAX_LENGTH} characters`);
+	const parser = new Parser(tokenize(source), features ? new Set(features) : null);
+	const root = parser.parse();
+	return {
+		source,
+		identifiers: Array.from(parser.identifiers),
+		evaluate: (values) => Boolean(root(values || {})),
+	};
+}
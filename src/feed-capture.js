@@ -0,0 +1,143 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+import readline from "readline";
+import { performance } from "perf_hooks";
+import moment from "moment-timezone";
+import config from "./config.js";
+import logger from "./logger.js";
+import defaultClock from "./clock.js";
+
+// Capture files are gzip-compressed NDJSON:
+// - first line: {"type":"header","v":1,"startedAt":"...","wsUrl":"..."}
+// - one line per inbound frame: {"t":<epoch ms, sub-ms precision>,"raw":"<frame as received>"}
+export const CAPTURE_VERSION = 1;
+
+/**
+ * High-resolution wall-clock timestamp (epoch ms with sub-millisecond precision)
+ * @returns {number}
+ */
+export function receiveTimestamp() {
+	return performance.timeOrigin + performance.now();
+}
+
+export class FeedRecorder {
+	constructor({ dir = config.pumpPortal.record.dir } = {}) {
+		this.dir = dir;
+		this.filePath = null;
+		this.gzip = null;
+		this.framesRecorded = 0;
+	}
+
+	start() {
+		if (this.gzip) return;
+
+		fs.mkdirSync(this.dir, { recursive: true });
+		const stamp = moment().tz(config.logging.timezone).format("YYYYMMDD-HHmmss");
+		this.filePath = path.join(this.dir, `pumpportal-${stamp}.ndjson.gz`);
+
+		this.gzip = zlib.createGzip();
+		this.gzip.pipe(fs.createWriteStream(this.filePath, { flags: "a" }));
+		this.gzip.on("error", (error) => {
+			logger.errorMonitor("Feed recorder stream error", { error: error.message, filePath: this.filePath });
+		});
+		this.gzip.write(`${JSON.stringify({ type: "header", v: CAPTURE_VERSION, startedAt: new Date().toISOString(), wsUrl: config.pumpPortal.wsUrl })}\n`);
+
+		logger.pumpWs("Recording raw WebSocket frames", { filePath: this.filePath });
+	}
+
+	record(raw, receivedAt = receiveTimestamp()) {
+		if (!this.gzip) return;
+		this.gzip.write(`${JSON.stringify({ t: receivedAt, raw })}\n`);
+		this.framesRecorded++;
+	}
+
+	stop() {
+		if (!this.gzip) return;
+		this.gzip.end();
+		this.gzip = null;
+		logger.pumpWs("Feed recording stopped", { filePath: this.filePath, framesRecorded: this.framesRecorded });
+	}
+}
+
+/**
+ * Iterate the frames of a capture file (gzip or plain NDJSON)
+ * @param {string} filePath - Capture file path
+ * @returns {AsyncGenerator<{t:number, raw:string}>}
+ */
+export async function* readCapture(filePath) {
+	let input = fs.createReadStream(filePath);
+	if (filePath.endsWith(".gz")) {
+		input = input.pipe(zlib.createGunzip());
+	}
+
+	const rl = readline.createInterface({ input, crlfDelay: Infinity });
+	for await (const line of rl) {
+		if (!line || line.trim().length === 0) continue;
+		let frame;
+		try {
+			frame = JSON.parse(line);
+		} catch {
+			continue; // truncated last line of a capture that was not closed cleanly
+		}
+		if (frame.type === "header") continue;
+		if (typeof frame.raw !== "string" || typeof frame.t !== "number") continue;
+		yield frame;
+	}
+}
+
+export class FeedReplayer {
+	/**
+	 * @param {string} filePath - Capture file to replay
+	 * @param {Object} options
+	 * @param {number} options.speed - 1 = real time, >1 = accelerated, 0 = as fast as possible
+	 * @param {import("./clock.js").Clock} options.clock - advanced to each frame's `t`, whatever the speed
+	 */
+	constructor(filePath, { speed = config.pumpPortal.replay.speed, clock = defaultClock } = {}) {
+		this.filePath = filePath;
+		this.speed = speed;
+		this.clock = clock;
+		this.stopped = false;
+		this.framesReplayed = 0;
+	}
+
+	async run(onFrame) {
+		logger.pumpWs("Replaying capture", { filePath: this.filePath, speed: this.speed || "max" });
+
+		let firstT = null;
+		let wallStart = null;
+
+		for await (const frame of readCapture(this.filePath)) {
+			if (this.stopped) break;
+
+			if (this.speed > 0) {
+				if (firstT === null) {
+					firstT = frame.t;
+					wallStart = receiveTimestamp();
+				}
+				// Schedule against the capture start so timer drift does not accumulate
+				const waitMs = wallStart + (frame.t - firstT) / this.speed - receiveTimestamp();
+				if (waitMs >= 1) {
+					await new Promise((resolve) => setTimeout(resolve, waitMs));
+				}
+			} else if (this.framesReplayed % 1000 === 0) {
+				// Yield to the event loop so timers and the HTTP server keep running
+				await new Promise((resolve) => setImmediate(resolve));
+			}
+
+			// Timers due before this frame fire first, then the frame is handled at its recorded time
+			this.clock.useVirtual(frame.t);
+			this.clock.advanceTo(frame.t);
+			onFrame(frame.raw, frame.t);
+			this.framesReplayed++;
+		}
+
+		if (!this.stopped) this.clock.runPending();
+
+		logger.pumpWs("Replay finished", { filePath: this.filePath, framesReplayed: this.framesReplayed, stopped: this.stopped });
+	}
+
+	stop() {
+		this.stopped = true;
+	}
+}
@@ -0,0 +1,41 @@
+import crypto from "crypto";
+
+// Hashing consistente: cada nodo ocupa `replicas` puntos de un anillo de 32 bits y una clave va al primer punto
+// a partir de su hash. Añadir o quitar un nodo solo mueve las claves de ese nodo.
+
+function hash32(value) {
+	return crypto.createHash("md5").update(String(value)).digest().readUInt32BE(0);
+}
+
+class HashRing {
+	constructor(nodes, replicas = 160) {
+		this.points = []; // [{ at, node }] sorted by position
+		for (const node of nodes) {
+			for (let i = 0; i < replicas; i++) this.points.push({ at: hash32(`${node}#${i}`), node });
+		}
+		this.points.sort((a, b) => a.at - b.at);
+	}
+
+	/**
+	 * Nodo de una clave. `accept(node)` permite saltar nodos (p. ej. caídos): se sigue el anillo hasta uno aceptado;
+	 * si no se acepta ninguno, devuelve el dueño natural. null si el anillo está vacío.
+	 */
+	lookup(key, accept = null) {
+		if (this.points.length === 0) return null;
+		const h = hash32(key);
+		let lo = 0;
+		let hi = this.points.length;
+		while (lo < hi) {
+			const mid = (lo + hi) >>> 1;
+			if (this.points[mid].at < h) lo = mid + 1;
+			else hi = mid;
+		}
+		for (let i = 0; i < this.points.length; i++) {
+			const { node } = this.points[(lo + i) % this.points.length];
+			if (!accept || accept(node)) return node;
+		}
+		return this.points[lo % this.points.length].node;
+	}
+}
+
+export default HashRing;
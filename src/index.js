@@ -1,15 +1,71 @@
-import TokenMonitor from "./token-monitor.js";
+import TokenMonitor, { TOKEN_SORT_KEYS, TOKEN_STATES } from "./token-monitor.js";
 import logger from "./logger.js";
 import config from "./config.js";
 import http from "http";
 import priceService from "./price-service.js";
+import metrics from "./metrics.js";
+import liveEvents, { EVENT_TYPES, matchesFilter } from "./live-events.js";
+import Notifier from "./notifier.js";
+import StrategyReloader from "./strategy-reloader.js";
+import { CIRCUIT_STATES } from "./pumpportal-connection.js";
+import { THRESHOLD_FILTER_KEYS } from "./strategy-rules.js";
+
+// Action endpoints: POST only, no CORS and same-origin only; everything else is GET
+const POST_ROUTES = new Set(["/strategies/reload"]);
+
+// Browsers always send Origin on cross-site POSTs (even plain form posts, which skip the preflight); curl and
+// status-client.js send none
+function isSameOrigin(req) {
+	if (!req.headers.origin) return true;
+	try {
+		return new URL(req.headers.origin).host === req.headers.host;
+	} catch {
+		return false;
+	}
+}
+
+// Filters as shown by /status and /stats: a max* without a finite limit is null ("no limit")
+function serializeFilters(tf = {}) {
+	const out = { enabled: !!tf?.enabled, trackAllMints: !!tf?.trackAllMints };
+	for (const key of THRESHOLD_FILTER_KEYS) {
+		out[key] = key.startsWith("max") ? (Number.isFinite(tf?.[key]) ? tf[key] : null) : tf?.[key];
+	}
+	return out;
+}
+
+function serializeStrategies(strategies = []) {
+	return (strategies || []).map((s) => ({
+		id: s.id,
+		inherits: s.inherits || [],
+		logDir: s?.tracking?.logDir,
+		timing: {
+			entryDelaySec: s?.tracking?.entryDelayMs / 1000,
+			inactivityMin: s?.tracking?.inactivityMs / 60000,
+			maxWindowMin: s?.tracking?.maxWindowMs / 60000,
+		},
+		filters: { ...serializeFilters(s?.trackingFilters), expression: s?.trackingFilters?.expression || null },
+		stage2: s?.stage2 || null,
+	}));
+}
+
+// Segment of a parametrized route; null on a malformed escape ("%E0%A4%A"), which is the client's error (400)
+function decodePathParam(segment) {
+	try {
+		return decodeURIComponent(segment);
+	} catch {
+		return null;
+	}
+}
 
 class PumpPortalAnalyzer {
 	constructor() {
 		this.tokenMonitor = new TokenMonitor();
+		this.notifier = new Notifier();
+		this.strategyReloader = new StrategyReloader(this.tokenMonitor);
 		this.isRunning = false;
 		this.statsInterval = null;
 		this.httpServer = null;
+		this.sseClients = new Set(); // open /events responses
 	}
 
 	async start() {
@@ -18,6 +74,14 @@ class PumpPortalAnalyzer {
 			return;
 		}
 
+		// Fail fast on invalid env / strategies (details: npm run config:check)
+		const { errors, warnings } = config.validation;
+		for (const w of warnings) logger.warnMonitor(`Config warning: ${w}`);
+		if (errors.length > 0) {
+			for (const e of errors) logger.errorMonitor(`Config error: ${e}`);
+			throw new Error(`Invalid configuration (${errors.length} error${errors.length === 1 ? "" : "s"}); run npm run config:check`);
+		}
+
 		logger.tokenMonitor("Starting PumpPortal Token Analyzer...");
 		logger.tokenMonitor("Configuration loaded:", {
 			wsUrl: config.pumpPortal.wsUrl,
@@ -33,7 +97,18 @@ class PumpPortalAnalyzer {
 
 		// Start the token monitor
 		priceService.start();
+		// Before the monitor: sessions closed while restoring state also notify.
+		// A replay re-emits historical alerts, so nothing is sent while replaying
+		if (!config.pumpPortal.replay.file) {
+			this.notifier.start();
+		} else if (this.notifier.isEnabled()) {
+			logger.tokenMonitor("[NOTIFIER] Replay: notifications disabled");
+		}
 		this.tokenMonitor.start();
+		this.strategyReloader.start();
+
+		// Gauges read at scrape time from the live objects
+		this.setupMetrics();
 
 		// Set up HTTP server for remote status queries
 		this.setupHTTPServer();
@@ -55,6 +130,9 @@ class PumpPortalAnalyzer {
 
 		this.isRunning = false;
 
+		// Close SSE streams first: server.close() waits for open connections
+		for (const client of this.sseClients) client.close();
+
 		// Close HTTP server
 		if (this.httpServer) {
 			this.httpServer.close(() => {
@@ -64,8 +142,11 @@ class PumpPortalAnalyzer {
 		}
 
 		// Stop the token monitor
+		this.strategyReloader.stop();
 		this.tokenMonitor.stop();
+		this.notifier.stop();
 		priceService.stop();
+		metrics.stopEventLoopMonitor();
 
 		logger.tokenMonitor("PumpPortal Token Analyzer stopped");
 	}
@@ -83,27 +164,110 @@ class PumpPortalAnalyzer {
 		});
 	}
 
+	setupMetrics() {
+		const tm = this.tokenMonitor;
+		const ws = tm.wsClient;
+		metrics.gauge("pumpportal_ws_connected", "1 if the PumpPortal WebSocket is connected", { collect: () => (ws.isConnected ? 1 : 0) });
+		metrics.gauge("pumpportal_ws_circuit_state", "1 for the current state of each connection's reconnection circuit breaker", {
+			labelNames: ["connection", "state"],
+			collect: () => ws.connections.flatMap((c) => CIRCUIT_STATES.map((state) => ({ labels: { connection: c.id, state }, value: c.circuit.state === state ? 1 : 0 }))),
+		});
+		metrics.gauge("pumpportal_ws_reconnect_attempts", "Consecutive failed reconnection attempts per connection", {
+			labelNames: ["connection"],
+			collect: () => ws.connections.map((c) => ({ labels: { connection: c.id }, value: c.reconnectAttempts })),
+		});
+		metrics.gauge("pumpportal_ws_connection_up", "1 if each PumpPortal connection (control/shards) is connected", {
+			labelNames: ["connection"],
+			collect: () => ws.connections.map((c) => ({ labels: { connection: c.id }, value: c.isConnected ? 1 : 0 })),
+		});
+		metrics.gauge("pumpportal_ws_shard_tokens", "Token trade subscriptions wanted per connection", {
+			labelNames: ["connection"],
+			collect: () => ws.connections.map((c) => ({ labels: { connection: c.id }, value: c.subscribedTokens.size })),
+		});
+		metrics.gauge("pumpportal_ws_feed_stale", "1 if connected but no create event arrived for WS_STALE_FEED_SEC", { collect: () => (ws.isFeedStale() ? 1 : 0) });
+		metrics.gauge("pumpportal_ws_queued_messages", "Outgoing WebSocket messages waiting in the queue", { collect: () => ws.queuedMessages });
+		metrics.gauge("pumpportal_ws_subscriptions", "Current WebSocket subscriptions", {
+			labelNames: ["kind"],
+			collect: () => [
+				{ labels: { kind: "token" }, value: ws.subscribedTokens.size },
+				{ labels: { kind: "account" }, value: ws.subscribedAccounts.size },
+			],
+		});
+		metrics.gauge("pumpportal_ws_subscription_keys", "Subscription keys by state in the subscription ledger", {
+			labelNames: ["kind", "state"],
+			collect: () =>
+				Object.entries(ws.getLedgerStatus().counts).flatMap(([kind, states]) => Object.entries(states).map(([state, value]) => ({ labels: { kind, state }, value }))),
+		});
+		metrics.gauge("pumpportal_ws_subscriptions_stuck", "Subscription keys pending or unconfirmed past WS_SUB_ACK_TIMEOUT_MS", { collect: () => ws.getLedgerStatus().stuck });
+		metrics.gauge("pumpportal_monitored_tokens", "Tokens currently monitored", { collect: () => tm.monitoredTokens.size });
+		metrics.gauge("pumpportal_candle_tokens", "Tokens with OHLCV candles in memory", { collect: () => tm.candles.tokens.size });
+		metrics.gauge("pumpportal_tracking_sessions_active", "Active tracking sessions", {
+			labelNames: ["strategy"],
+			collect: () => {
+				const counts = new Map((config.strategies || []).map((s) => [s.id, 0]));
+				for (const byToken of tm.activeTracking.values()) {
+					for (const strategyId of byToken.keys()) counts.set(strategyId, (counts.get(strategyId) || 0) + 1);
+				}
+				return Array.from(counts, ([strategy, value]) => ({ labels: { strategy }, value }));
+			},
+		});
+		metrics.gauge("pumpportal_sol_usd_price", "Last SOL/USD price from the price service", { collect: () => priceService.getSolUsd() });
+		metrics.gauge("pumpportal_sol_usd_price_age_seconds", "Seconds since the SOL/USD price was last updated", {
+			collect: () => {
+				const last = priceService.getLastUpdated();
+				return last ? (Date.now() - last.getTime()) / 1000 : null;
+			},
+		});
+		metrics.gauge("pumpportal_notifier_outbox_size", "Notifications waiting for delivery or retry", { collect: () => this.notifier.outbox.length });
+		metrics.gauge("pumpportal_sse_clients", "Clients connected to /events", { collect: () => this.sseClients.size });
+		metrics.gauge("process_uptime_seconds", "Process uptime", { collect: () => process.uptime() });
+		metrics.startEventLoopMonitor();
+	}
+
+	subscriptionSummary() {
+		const wsClient = this.tokenMonitor.wsClient;
+		return {
+			currentTokens: wsClient.subscribedTokens.size,
+			currentAccounts: wsClient.subscribedAccounts.size,
+			totalSubscribed: wsClient.subscribedTokens.size + wsClient.subscribedAccounts.size,
+			wsConnected: wsClient.isConnected,
+			// Per-key state as acknowledged by the server (pending -> sent -> confirmed -> unsubscribed)
+			ledger: wsClient.getLedgerStatus(),
+			// One entry per connection: "main", or "control" + "shard-i" with WS_SHARD_COUNT > 1
+			shards: wsClient.getShardStats(),
+		};
+	}
+
 	setupHTTPServer() {
 		this.httpServer = http.createServer((req, res) => {
-			// Set CORS headers
-			res.setHeader("Access-Control-Allow-Origin", "*");
-			res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-			res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+			const isPostRoute = POST_ROUTES.has(req.url.split("?")[0]);
+
+			// Set CORS headers (read-only endpoints only: other sites must not trigger actions)
+			if (!isPostRoute) {
+				res.setHeader("Access-Control-Allow-Origin", "*");
+				res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+				res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+			}
 			res.setHeader("Content-Type", "application/json");
 
 			// Handle preflight requests
 			if (req.method === "OPTIONS") {
-				res.writeHead(200);
+				res.writeHead(isPostRoute ? 403 : 200);
 				res.end();
 				return;
 			}
 
-			// Only allow GET requests
-			if (req.method !== "GET") {
+			// Only allow GET requests (and POST on the few action endpoints)
+			if (isPostRoute ? req.method !== "POST" : req.method !== "GET") {
 				res.writeHead(405);
 				res.end(JSON.stringify({ error: "Method not allowed" }));
 				return;
 			}
+			if (isPostRoute && !isSameOrigin(req)) {
+				res.writeHead(403);
+				res.end(JSON.stringify({ error: "Cross-origin requests are not allowed on this endpoint" }));
+				return;
+			}
 
 			try {
 				const url = new URL(req.url, `http://${req.headers.host}`);
@@ -118,43 +282,8 @@ class PumpPortalAnalyzer {
 							timestamp: new Date().toISOString(),
 							uptime: process.uptime(),
 							creatorSellThreshold: config.thresholds.creatorSellThreshold,
-							trackingFilters: (() => {
-								const tf = config.trackingFilters || {};
-								return {
-									enabled: !!tf.enabled,
-									trackAllMints: !!tf.trackAllMints,
-									minBuys: tf.minBuys,
-									minTotalTrades: tf.minTotalTrades,
-									minUniqueTraders: tf.minUniqueTraders,
-									minBuyRatio: tf.minBuyRatio,
-									minNetBuys: tf.minNetBuys,
-									minMcUsd: tf.minMcUsd,
-									maxMcUsd: Number.isFinite(tf.maxMcUsd) ? tf.maxMcUsd : null,
-									minUniquePerTrade: tf.minUniquePerTrade,
-									minBuysPerUnique: tf.minBuysPerUnique,
-									maxAgeAtTriggerSec: Number.isFinite(tf.maxAgeAtTriggerSec) ? tf.maxAgeAtTriggerSec : null,
-									maxMcVolatilityRatio: Number.isFinite(tf.maxMcVolatilityRatio) ? tf.maxMcVolatilityRatio : null,
-								};
-							})(),
-							strategies: (config.strategies || []).map((s) => ({
-								id: s.id,
-								logDir: s?.tracking?.logDir,
-								filters: {
-									enabled: !!s?.trackingFilters?.enabled,
-									trackAllMints: !!s?.trackingFilters?.trackAllMints,
-									minBuys: s?.trackingFilters?.minBuys,
-									minTotalTrades: s?.trackingFilters?.minTotalTrades,
-									minUniqueTraders: s?.trackingFilters?.minUniqueTraders,
-									minBuyRatio: s?.trackingFilters?.minBuyRatio,
-									minNetBuys: s?.trackingFilters?.minNetBuys,
-									minMcUsd: s?.trackingFilters?.minMcUsd,
-									maxMcUsd: Number.isFinite(s?.trackingFilters?.maxMcUsd) ? s?.trackingFilters?.maxMcUsd : null,
-									minUniquePerTrade: s?.trackingFilters?.minUniquePerTrade,
-									minBuysPerUnique: s?.trackingFilters?.minBuysPerUnique,
-									maxAgeAtTriggerSec: Number.isFinite(s?.trackingFilters?.maxAgeAtTriggerSec) ? s?.trackingFilters?.maxAgeAtTriggerSec : null,
-									maxMcVolatilityRatio: Number.isFinite(s?.trackingFilters?.maxMcVolatilityRatio) ? s?.trackingFilters?.maxMcVolatilityRatio : null,
-								},
-							})),
+							trackingFilters: serializeFilters(config.trackingFilters),
+							strategies: serializeStrategies(config.strategies),
 							solUsdPrice: priceService.getSolUsd(),
 							solUsdLastUpdated: priceService.getLastUpdated(),
 							tokens: tokens
@@ -184,12 +313,7 @@ class PumpPortalAnalyzer {
 								})
 								.filter(Boolean),
 							summary: stats,
-							subscriptions: {
-								currentTokens: this.tokenMonitor.wsClient.subscribedTokens.size,
-								currentAccounts: this.tokenMonitor.wsClient.subscribedAccounts.size,
-								totalSubscribed: this.tokenMonitor.wsClient.subscribedTokens.size + this.tokenMonitor.wsClient.subscribedAccounts.size,
-								wsConnected: this.tokenMonitor.wsClient.isConnected,
-							},
+							subscriptions: this.subscriptionSummary(),
 							subscriptionStats: stats.subscriptionStats,
 						};
 
@@ -208,43 +332,8 @@ class PumpPortalAnalyzer {
 									timestamp: new Date().toISOString(),
 									uptime: process.uptime(),
 									creatorSellThreshold: config.thresholds.creatorSellThreshold,
-									trackingFilters: (() => {
-										const tf = config.trackingFilters || {};
-										return {
-											enabled: !!tf.enabled,
-											trackAllMints: !!tf.trackAllMints,
-											minBuys: tf.minBuys,
-											minTotalTrades: tf.minTotalTrades,
-											minUniqueTraders: tf.minUniqueTraders,
-											minBuyRatio: tf.minBuyRatio,
-											minNetBuys: tf.minNetBuys,
-											minMcUsd: tf.minMcUsd,
-											maxMcUsd: Number.isFinite(tf.maxMcUsd) ? tf.maxMcUsd : null,
-											minUniquePerTrade: tf.minUniquePerTrade,
-											minBuysPerUnique: tf.minBuysPerUnique,
-											maxAgeAtTriggerSec: Number.isFinite(tf.maxAgeAtTriggerSec) ? tf.maxAgeAtTriggerSec : null,
-											maxMcVolatilityRatio: Number.isFinite(tf.maxMcVolatilityRatio) ? tf.maxMcVolatilityRatio : null,
-										};
-									})(),
-									strategies: (config.strategies || []).map((s) => ({
-										id: s.id,
-										logDir: s?.tracking?.logDir,
-										filters: {
-											enabled: !!s?.trackingFilters?.enabled,
-											trackAllMints: !!s?.trackingFilters?.trackAllMints,
-											minBuys: s?.trackingFilters?.minBuys,
-											minTotalTrades: s?.trackingFilters?.minTotalTrades,
-											minUniqueTraders: s?.trackingFilters?.minUniqueTraders,
-											minBuyRatio: s?.trackingFilters?.minBuyRatio,
-											minNetBuys: s?.trackingFilters?.minNetBuys,
-											minMcUsd: s?.trackingFilters?.minMcUsd,
-											maxMcUsd: Number.isFinite(s?.trackingFilters?.maxMcUsd) ? s?.trackingFilters?.maxMcUsd : null,
-											minUniquePerTrade: s?.trackingFilters?.minUniquePerTrade,
-											minBuysPerUnique: s?.trackingFilters?.minBuysPerUnique,
-											maxAgeAtTriggerSec: Number.isFinite(s?.trackingFilters?.maxAgeAtTriggerSec) ? s?.trackingFilters?.maxAgeAtTriggerSec : null,
-											maxMcVolatilityRatio: Number.isFinite(s?.trackingFilters?.maxMcVolatilityRatio) ? s?.trackingFilters?.maxMcVolatilityRatio : null,
-										},
-									})),
+									trackingFilters: serializeFilters(config.trackingFilters),
+									strategies: serializeStrategies(config.strategies),
 									solUsdPrice: priceService.getSolUsd(),
 									solUsdLastUpdated: priceService.getLastUpdated(),
 									totalTokens: quickStats.totalTokens,
@@ -256,13 +345,13 @@ class PumpPortalAnalyzer {
 									states: quickStats.states,
 									alerts: quickStats.alerts,
 									tracking: quickStats.tracking,
-									subscriptions: {
-										currentTokens: this.tokenMonitor.wsClient.subscribedTokens.size,
-										currentAccounts: this.tokenMonitor.wsClient.subscribedAccounts.size,
-										totalSubscribed: this.tokenMonitor.wsClient.subscribedTokens.size + this.tokenMonitor.wsClient.subscribedAccounts.size,
-										wsConnected: this.tokenMonitor.wsClient.isConnected,
-									},
+									subscriptions: this.subscriptionSummary(),
 									subscriptionStats: quickStats.subscriptionStats,
+									candles: this.tokenMonitor.candles.getStats(),
+									creatorHistory: this.tokenMonitor.creatorStore ? this.tokenMonitor.creatorStore.getStats() : null,
+									creatorClusters: this.tokenMonitor.creatorCluster.getStats(),
+									notifier: this.notifier.getStats(),
+									strategyReload: this.strategyReloader.getStatus(),
 								},
 								null,
 								2
@@ -272,23 +361,114 @@ class PumpPortalAnalyzer {
 					}
 
 					case "/health": {
-						// Health check
-						res.writeHead(200);
+						// Health check: 503 while the feed is down (disconnected, reconnecting or circuit open) so orchestrators notice
+						const websocket = this.tokenMonitor.wsClient.getConnectionStatus();
+						const healthy = this.isRunning && (websocket.connected || websocket.replay);
+						res.writeHead(healthy ? 200 : 503);
 						res.end(
 							JSON.stringify({
-								status: "healthy",
+								status: healthy ? "healthy" : "unhealthy",
 								timestamp: new Date().toISOString(),
 								uptime: process.uptime(),
 								isRunning: this.isRunning,
+								websocket,
 							})
 						);
 						break;
 					}
 
-					default:
+					case "/metrics": {
+						// Prometheus text exposition format
+						res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+						res.writeHead(200);
+						res.end(metrics.render());
+						break;
+					}
+
+					case "/events": {
+						// Server-Sent Events (?strategy=<id>&type=<t1,t2>)
+						this.handleEventStream(req, res, url);
+						break;
+					}
+
+					case "/paper": {
+						// Paper trading wallets and open positions per strategy
+						res.writeHead(200);
+						res.end(JSON.stringify({ timestamp: new Date().toISOString(), ...this.tokenMonitor.paperTrader.getSummary() }, null, 2));
+						break;
+					}
+
+					case "/paper/trades": {
+						// Closed paper trades, newest first (?strategy=<id>&limit=<n>)
+						const strategyId = url.searchParams.get("strategy") || null;
+						const limit = parseInt(url.searchParams.get("limit")) || 100;
+						const trades = this.tokenMonitor.paperTrader.getTrades({ strategyId, limit });
+						res.writeHead(200);
+						res.end(JSON.stringify({ timestamp: new Date().toISOString(), strategyId, count: trades.length, trades }, null, 2));
+						break;
+					}
+
+					case "/tokens": {
+						// Paginated token list (?state=&minSellPct=&minAgeSec=&maxAgeSec=&strategy=&sort=&order=&offset=&limit=)
+						this.handleTokenList(res, url);
+						break;
+					}
+
+					case "/strategies/reload": {
+						// Re-read strategies.json now (same as a file change); 422 keeps the active set
+						const report = this.strategyReloader.reload("http");
+						res.writeHead(report.ok ? 200 : 422);
+						res.end(JSON.stringify(report, null, 2));
+						break;
+					}
+
+					default: {
+						// Parametrized routes
+						const candlesMatch = url.pathname.match(/^\/tokens\/([^/]+)\/candles$/);
+						if (candlesMatch) {
+							const mint = decodePathParam(candlesMatch[1]);
+							if (mint === null) {
+								res.writeHead(400);
+								res.end(JSON.stringify({ error: "Malformed escape in path" }));
+								break;
+							}
+							this.handleCandles(res, mint, url);
+							break;
+						}
+						const tokenMatch = url.pathname.match(/^\/tokens\/([^/]+)$/);
+						const creatorMatch = url.pathname.match(/^\/creators\/([^/]+)$/);
+						if (tokenMatch || creatorMatch) {
+							const address = decodePathParam((tokenMatch || creatorMatch)[1]);
+							if (address === null) {
+								res.writeHead(400);
+								res.end(JSON.stringify({ error: "Malformed escape in path" }));
+								break;
+							}
+							const detail = tokenMatch ? this.tokenMonitor.getTokenDetail(address) : this.tokenMonitor.getCreatorDetail(address);
+							if (!detail) {
+								res.writeHead(404);
+								res.end(JSON.stringify({ error: tokenMatch ? "Token not monitored" : "No tokens seen for creator" }));
+								break;
+							}
+							res.writeHead(200);
+							res.end(
+								JSON.stringify(
+									{
+										timestamp: new Date().toISOString(),
+										creatorSellThreshold: config.thresholds.creatorSellThreshold,
+										solUsd: priceService.getSolUsd(),
+										...detail,
+									},
+									null,
+									2
+								)
+							);
+							break;
+						}
 						res.writeHead(404);
 						res.end(JSON.stringify({ error: "Endpoint not found" }));
 						break;
+					}
 				}
 			} catch (error) {
 				logger.errorMonitor("HTTP Server Error", { error: error.message });
@@ -304,6 +484,15 @@ class PumpPortalAnalyzer {
 			logger.tokenMonitor(`   GET http://localhost:${config.http.port}/status - Detailed token status`);
 			logger.tokenMonitor(`   GET http://localhost:${config.http.port}/stats - Quick statistics`);
 			logger.tokenMonitor(`   GET http://localhost:${config.http.port}/health - Health check`);
+			logger.tokenMonitor(`   GET http://localhost:${config.http.port}/metrics - Prometheus metrics`);
+			logger.tokenMonitor(`   GET http://localhost:${config.http.port}/events - Live events (SSE)`);
+			logger.tokenMonitor(`   GET http://localhost:${config.http.port}/paper - Paper trading wallets`);
+			logger.tokenMonitor(`   GET http://localhost:${config.http.port}/paper/trades - Paper trades`);
+			logger.tokenMonitor(`   GET http://localhost:${config.http.port}/tokens - Token list (paginated, filters)`);
+			logger.tokenMonitor(`   GET http://localhost:${config.http.port}/tokens/:mint - Token detail`);
+			logger.tokenMonitor(`   GET http://localhost:${config.http.port}/tokens/:mint/candles?tf=5s - OHLCV candles`);
+			logger.tokenMonitor(`   GET http://localhost:${config.http.port}/creators/:address - Creator detail`);
+			logger.tokenMonitor(`   POST http://localhost:${config.http.port}/strategies/reload - Reload strategies.json`);
 		});
 
 		// Handle server errors
@@ -312,6 +501,118 @@ class PumpPortalAnalyzer {
 		});
 	}
 
+	handleTokenList(res, url) {
+		const q = url.searchParams;
+		const num = (name) => {
+			const raw = q.get(name);
+			if (raw === null || raw === "") return null;
+			const n = Number(raw);
+			return Number.isFinite(n) ? n : NaN;
+		};
+		const query = {
+			state: q.get("state") || null,
+			minSellPct: num("minSellPct"),
+			minAgeSec: num("minAgeSec"),
+			maxAgeSec: num("maxAgeSec"),
+			strategy: q.get("strategy") || null,
+			sort: q.get("sort") || "createdAt",
+			order: q.get("order") || "desc",
+			offset: Math.max(0, parseInt(q.get("offset")) || 0),
+			limit: Math.min(500, Math.max(1, parseInt(q.get("limit")) || 50)),
+		};
+		let error = null;
+		if (query.state && !TOKEN_STATES.includes(query.state)) error = { error: `Unknown state: ${query.state}`, states: TOKEN_STATES };
+		else if (!TOKEN_SORT_KEYS.includes(query.sort)) error = { error: `Unknown sort: ${query.sort}`, sort: TOKEN_SORT_KEYS };
+		else if (!["asc", "desc"].includes(query.order)) error = { error: `Unknown order: ${query.order}`, order: ["asc", "desc"] };
+		else {
+			const bad = ["minSellPct", "minAgeSec", "maxAgeSec"].filter((k) => Number.isNaN(query[k]));
+			if (bad.length > 0) error = { error: `Not a number: ${bad.join(", ")}` };
+		}
+		if (error) {
+			res.writeHead(400);
+			res.end(JSON.stringify(error));
+			return;
+		}
+		res.writeHead(200);
+		res.end(JSON.stringify({ timestamp: new Date().toISOString(), ...this.tokenMonitor.listTokens(query) }, null, 2));
+	}
+
+	// OHLCV candles of one token (?tf=<timeframe>&limit=<n>, limit keeps the most recent)
+	handleCandles(res, mint, url) {
+		const candles = this.tokenMonitor.candles;
+		const tf = url.searchParams.get("tf") || candles.timeframes[0]?.tf;
+		if (!candles.enabled || !tf) {
+			res.writeHead(404);
+			res.end(JSON.stringify({ error: "Candles are disabled" }));
+			return;
+		}
+		if (!candles.hasTimeframe(tf)) {
+			res.writeHead(400);
+			res.end(JSON.stringify({ error: `Unknown timeframe: ${tf}`, timeframes: candles.getStats().timeframes }));
+			return;
+		}
+		const bars = candles.getCandles(mint, tf, { limit: parseInt(url.searchParams.get("limit")) || 0 });
+		if (!bars) {
+			res.writeHead(404);
+			res.end(JSON.stringify({ error: "No candles for token", mint }));
+			return;
+		}
+		res.writeHead(200);
+		res.end(JSON.stringify({ timestamp: new Date().toISOString(), mint, tf, solUsd: priceService.getSolUsd(), count: bars.length, candles: bars }, null, 2));
+	}
+
+	handleEventStream(req, res, url) {
+		const strategyId = url.searchParams.get("strategy") || null;
+		const typeParam = url.searchParams.get("type");
+		const types = typeParam
+			? new Set(
+					typeParam
+						.split(",")
+						.map((t) => t.trim())
+						.filter(Boolean)
+				)
+			: null;
+		const unknownTypes = types ? Array.from(types).filter((t) => !EVENT_TYPES.includes(t)) : [];
+		if (unknownTypes.length > 0) {
+			res.writeHead(400);
+			res.end(JSON.stringify({ error: `Unknown event type(s): ${unknownTypes.join(", ")}`, types: EVENT_TYPES }));
+			return;
+		}
+		const filter = { strategyId, types };
+
+		res.writeHead(200, {
+			"Content-Type": "text/event-stream",
+			"Cache-Control": "no-cache",
+			Connection: "keep-alive",
+			"X-Accel-Buffering": "no",
+		});
+		res.write("retry: 3000\n\n");
+
+		const send = (event) => {
+			if (!matchesFilter(event, filter)) return;
+			res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+		};
+
+		// EventSource reconnects with Last-Event-ID: replay what is still buffered
+		const lastEventId = parseInt(req.headers["last-event-id"]);
+		if (Number.isFinite(lastEventId)) liveEvents.since(lastEventId).forEach(send);
+
+		// Comment lines keep proxies from closing an idle stream
+		const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+		const client = {
+			close: () => {
+				clearInterval(heartbeat);
+				liveEvents.off("event", send);
+				this.sseClients.delete(client);
+				res.end();
+			},
+		};
+		liveEvents.on("event", send);
+		this.sseClients.add(client);
+		req.on("close", client.close);
+		logger.debugTokenMonitor("SSE client connected", { strategyId, types: typeParam, clients: this.sseClients.size });
+	}
+
 	setupGracefulShutdown() {
 		const shutdown = async (signal) => {
 			logger.tokenMonitor(`Received ${signal}, initiating graceful shutdown...`);
@@ -0,0 +1,47 @@
+import { EventEmitter } from "events";
+import defaultClock from "./clock.js";
+
+// Bus en memoria de eventos en vivo (alertas de creador, sesiones de tracking...).
+// TokenMonitor publica; /events (SSE) y cualquier otro consumidor se suscriben con on("event").
+// Guarda un buffer corto para que un cliente SSE que reconecta con Last-Event-ID no pierda eventos.
+
+export const EVENT_TYPES = ["creator_sell_alert", "creator_full_exit", "tracking_start", "tracking_stop", "entry", "tracking_update"];
+
+class LiveEvents extends EventEmitter {
+	constructor({ bufferSize = 500, clock = defaultClock } = {}) {
+		super();
+		// One listener per SSE client
+		this.setMaxListeners(0);
+		this.bufferSize = bufferSize;
+		this.clock = clock;
+		this.buffer = [];
+		this.lastId = 0;
+	}
+
+	// `clock`: the publisher's clock, so replayed events carry the capture's time
+	publish(type, data = {}, { clock = this.clock } = {}) {
+		const event = { id: ++this.lastId, type, ts: clock.date().toISOString(), ...data };
+		this.buffer.push(event);
+		if (this.buffer.length > this.bufferSize) this.buffer.shift();
+		this.emit("event", event);
+		return event;
+	}
+
+	// Buffered events newer than `lastId` (for SSE resume)
+	since(lastId) {
+		return this.buffer.filter((e) => e.id > lastId);
+	}
+}
+
+/**
+ * Filtro por estrategia y tipo. Los eventos de token (alertas, full exit) no llevan strategyId
+ * y pasan siempre el filtro de estrategia: son los que disparan las sesiones.
+ */
+export function matchesFilter(event, { strategyId = null, types = null } = {}) {
+	if (types && !types.has(event.type)) return false;
+	if (strategyId && event.strategyId && event.strategyId !== strategyId) return false;
+	return true;
+}
+
+const liveEvents = new LiveEvents();
+export default liveEvents;
@@ -0,0 +1,130 @@
+import { monitorEventLoopDelay } from "perf_hooks";
+
+// Registro mínimo de métricas en formato de texto Prometheus (sin dependencias).
+// Los módulos declaran sus contadores al cargarse (counter() es idempotente por nombre) y los incrementan;
+// los gauges pueden llevar un collect() que se evalúa en cada scrape de /metrics.
+
+function escapeLabelValue(v) {
+	return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+	return JSON.stringify(labelNames.map((n) => (labels[n] === undefined || labels[n] === null ? "" : String(labels[n]))));
+}
+
+function formatSample(name, labelNames, key, value) {
+	const values = JSON.parse(key);
+	const parts = labelNames.map((n, i) => `${n}="${escapeLabelValue(values[i])}"`);
+	const v = Number.isFinite(value) ? value : value > 0 ? "+Inf" : value < 0 ? "-Inf" : "NaN";
+	return parts.length ? `${name}{${parts.join(",")}} ${v}` : `${name} ${v}`;
+}
+
+class Metric {
+	constructor(type, name, help, labelNames = []) {
+		this.type = type;
+		this.name = name;
+		this.help = help;
+		this.labelNames = labelNames;
+		this.values = new Map(); // labelKey -> number
+	}
+
+	render() {
+		const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+		for (const [key, value] of this.values) lines.push(formatSample(this.name, this.labelNames, key, value));
+		return lines.join("\n");
+	}
+}
+
+class Counter extends Metric {
+	constructor(name, help, labelNames) {
+		super("counter", name, help, labelNames);
+		// An unlabeled counter reports 0 before its first increment
+		if (this.labelNames.length === 0) this.values.set(labelKey([]), 0);
+	}
+
+	inc(labels = {}, value = 1) {
+		const key = labelKey(this.labelNames, labels);
+		this.values.set(key, (this.values.get(key) || 0) + value);
+	}
+}
+
+class Gauge extends Metric {
+	constructor(name, help, labelNames, collect = null) {
+		super("gauge", name, help, labelNames);
+		this.collect = collect;
+	}
+
+	set(labels, value) {
+		this.values.set(labelKey(this.labelNames, labels), value);
+	}
+
+	render() {
+		if (this.collect) {
+			// collect() returns a number (unlabeled) or [{ labels, value }]
+			this.values.clear();
+			const out = this.collect();
+			if (Array.isArray(out)) {
+				for (const s of out) this.set(s.labels || {}, s.value);
+			} else if (out !== null && out !== undefined) {
+				this.set({}, out);
+			}
+		}
+		return super.render();
+	}
+}
+
+class MetricsRegistry {
+	constructor() {
+		this.metrics = new Map(); // name -> metric (insertion order = output order)
+		this.eventLoopDelay = null;
+	}
+
+	counter(name, help, labelNames = []) {
+		return this._register(name, () => new Counter(name, help, labelNames));
+	}
+
+	gauge(name, help, { labelNames = [], collect = null } = {}) {
+		const gauge = this._register(name, () => new Gauge(name, help, labelNames, collect));
+		if (collect) gauge.collect = collect;
+		return gauge;
+	}
+
+	_register(name, create) {
+		let metric = this.metrics.get(name);
+		if (!metric) {
+			metric = create();
+			this.metrics.set(name, metric);
+		}
+		return metric;
+	}
+
+	// Event-loop lag as seen since the previous scrape (histogram is reset on every render)
+	startEventLoopMonitor(resolutionMs = 20) {
+		if (this.eventLoopDelay) return;
+		this.eventLoopDelay = monitorEventLoopDelay({ resolution: resolutionMs });
+		this.eventLoopDelay.enable();
+		const h = this.eventLoopDelay;
+		// The histogram records the full timer interval: subtract the sampling resolution to get the lag
+		const sec = (ns) => (Number.isFinite(ns) ? Math.max(0, ns / 1e9 - resolutionMs / 1000) : 0);
+		this.gauge("nodejs_eventloop_lag_mean_seconds", "Mean event loop delay since last scrape", { collect: () => sec(h.mean) });
+		this.gauge("nodejs_eventloop_lag_p99_seconds", "p99 event loop delay since last scrape", { collect: () => sec(h.percentile(99)) });
+		this.gauge("nodejs_eventloop_lag_max_seconds", "Max event loop delay since last scrape", { collect: () => sec(h.max) });
+	}
+
+	stopEventLoopMonitor() {
+		if (!this.eventLoopDelay) return;
+		this.eventLoopDelay.disable();
+		this.eventLoopDelay = null;
+	}
+
+	render() {
+		const body = Array.from(this.metrics.values())
+			.map((m) => m.render())
+			.join("\n");
+		if (this.eventLoopDelay) this.eventLoopDelay.reset();
+		return `${body}\n`;
+	}
+}
+
+const metrics = new MetricsRegistry();
+export default metrics;
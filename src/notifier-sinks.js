@@ -0,0 +1,194 @@
+import fs from "fs";
+import path from "path";
+import { spawn } from "child_process";
+
+// Destinos de notificación. createSender() devuelve una función async send(event) que lanza si la entrega falla;
+// el Notifier se encarga de filtros, dedupe, rate limit, reintentos y outbox.
+// err.retryable === false => el Notifier descarta el envío sin reintentar (p.ej. 4xx del webhook).
+
+export const SINK_TYPES = ["webhook", "telegram", "command", "file"];
+
+function lookup(ctx, keyPath) {
+	return keyPath.split(".").reduce((o, k) => (o === null || o === undefined ? undefined : o[k]), ctx);
+}
+
+/**
+ * Rellena una plantilla con los campos del evento: "{{tokenName}}", "{{event.sellPercentage}}"...
+ * Un string que es exactamente un placeholder conserva el tipo del valor ("{{event}}" => objeto).
+ * Objetos y arrays se recorren recursivamente, así la plantilla del webhook puede ser el JSON final.
+ */
+export function renderTemplate(template, ctx) {
+	if (typeof template === "string") {
+		const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+		if (whole) {
+			const v = lookup(ctx, whole[1]);
+			return v === undefined ? null : v;
+		}
+		return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_m, key) => {
+			const v = lookup(ctx, key);
+			if (v === undefined || v === null) return "";
+			return typeof v === "object" ? JSON.stringify(v) : String(v);
+		});
+	}
+	if (Array.isArray(template)) return template.map((t) => renderTemplate(t, ctx));
+	if (template && typeof template === "object") {
+		return Object.fromEntries(Object.entries(template).map(([k, v]) => [k, renderTemplate(v, ctx)]));
+	}
+	return template;
+}
+
+const fmtPct = (v) => (Number.isFinite(v) ? `${v.toFixed(2)}%` : "N/A");
+
+// Texto legible por defecto ({{text}}), pensado para Telegram
+export function formatEventText(e) {
+	const token = e.tokenName ? `${e.tokenName} (${e.tokenSymbol})` : e.tokenAddress;
+	const strat = e.strategyId ? ` [${e.strategyId}]` : "";
+	switch (e.type) {
+		case "creator_sell_alert":
+			return `🚨 Creator sold ${fmtPct(e.sellPercentage)} of ${token}\n${e.tokenAddress}`;
+		case "creator_full_exit":
+			return `🏁 Creator fully exited ${token}${Number.isFinite(e.exitMarketCapUsd) ? ` at MC $${Math.round(e.exitMarketCapUsd)}` : ""}\n${e.tokenAddress}`;
+		case "tracking_start":
+			return `🧪 Tracking started${strat} ${token}\n${e.tokenAddress}`;
+		case "entry":
+			return `🎯 Entry${strat} ${token}${Number.isFinite(e.entryMcUsd) ? ` at MC $${Math.round(e.entryMcUsd)}` : ""}\n${e.tokenAddress}`;
+		case "tracking_update":
+			return `📈 ${fmtPct(e.pct)}${strat} ${token} (max ${fmtPct(e.maxPct)}, min ${fmtPct(e.minPct)})`;
+		case "tracking_stop":
+			return `⏹️ Tracking stopped${strat} ${token}: ${e.reason} (max ${fmtPct(e.maxPct)}, min ${fmtPct(e.minPct)})\n${e.tokenAddress}`;
+		default:
+			return `${e.type}${strat} ${token || ""}`.trim();
+	}
+}
+
+export function templateContext(event) {
+	return { ...event, event, text: formatEventText(event) };
+}
+
+class SinkError extends Error {
+	constructor(message, { retryable = true } = {}) {
+		super(message);
+		this.name = "SinkError";
+		this.retryable = retryable;
+	}
+}
+
+async function postJson(url, { method = "POST", headers = {}, body, timeoutMs }) {
+	let res;
+	try {
+		res = await fetch(url, {
+			method,
+			headers: { "Content-Type": "application/json", ...headers },
+			body: typeof body === "string" ? body : JSON.stringify(body),
+			signal: AbortSignal.timeout(timeoutMs),
+		});
+	} catch (e) {
+		throw new SinkError(`Request failed: ${e.message}`);
+	}
+	const text = await res.text().catch(() => "");
+	if (!res.ok) {
+		// 408/429 and 5xx may succeed later; other 4xx won't
+		const retryable = res.status >= 500 || res.status === 408 || res.status === 429;
+		throw new SinkError(`HTTP ${res.status}: ${text.slice(0, 200)}`, { retryable });
+	}
+	return text;
+}
+
+function webhookSink(def) {
+	if (!def.url) throw new Error("webhook sink requires 'url'");
+	const template = def.template ?? "{{event}}";
+	const timeoutMs = def.timeoutMs ?? 10000;
+	return async (event) => {
+		await postJson(def.url, { method: def.method || "POST", headers: def.headers || {}, body: renderTemplate(template, templateContext(event)), timeoutMs });
+	};
+}
+
+function telegramSink(def) {
+	const botToken = def.botToken || process.env.TELEGRAM_BOT_TOKEN;
+	const chatId = def.chatId ?? process.env.TELEGRAM_CHAT_ID;
+	if (!botToken || !chatId) throw new Error("telegram sink requires 'botToken' and 'chatId' (or TELEGRAM_BOT_TOKEN / TELEGRAM_CHAT_ID)");
+	// apiBase can point to a local stand-in (scripts/dev/notifier-stand-in.js)
+	const apiBase = (def.apiBase || process.env.TELEGRAM_API_BASE || "https://api.telegram.org").replace(/\/+$/, "");
+	const template = def.template ?? "{{text}}";
+	const timeoutMs = def.timeoutMs ?? 10000;
+	return async (event) => {
+		const body = {
+			chat_id: chatId,
+			text: String(renderTemplate(template, templateContext(event)) ?? ""),
+			disable_web_page_preview: def.disableWebPagePreview ?? true,
+		};
+		if (def.parseMode) body.parse_mode = def.parseMode;
+		const text = await postJson(`${apiBase}/bot${botToken}/sendMessage`, { body, timeoutMs });
+		let json = null;
+		try {
+			json = JSON.parse(text);
+		} catch {
+			// Non-JSON 2xx: treat as delivered
+		}
+		if (json && json.ok === false) throw new SinkError(`Telegram error: ${json.description || "unknown"}`, { retryable: false });
+	};
+}
+
+// The event is passed as JSON on stdin and in env vars: it is never interpolated into the command line,
+// token names come from the chain and would otherwise be a shell injection vector.
+function commandSink(def) {
+	if (!def.command) throw new Error("command sink requires 'command'");
+	const timeoutMs = def.timeoutMs ?? 15000;
+	return (event) =>
+		new Promise((resolve, reject) => {
+			const child = spawn(def.command, {
+				shell: true,
+				stdio: ["pipe", "ignore", "pipe"],
+				env: {
+					...process.env,
+					NOTIFY_EVENT_TYPE: event.type,
+					NOTIFY_TOKEN_ADDRESS: event.tokenAddress || "",
+					NOTIFY_STRATEGY_ID: event.strategyId || "",
+					NOTIFY_EVENT_JSON: JSON.stringify(event),
+				},
+			});
+			let stderr = "";
+			const timer = setTimeout(() => {
+				child.kill("SIGTERM");
+				reject(new SinkError(`Command timed out after ${timeoutMs}ms`));
+			}, timeoutMs);
+			child.stderr.on("data", (chunk) => (stderr = (stderr + chunk).slice(-500)));
+			child.on("error", (e) => {
+				clearTimeout(timer);
+				reject(new SinkError(`Command failed to start: ${e.message}`));
+			});
+			child.on("close", (code) => {
+				clearTimeout(timer);
+				if (code === 0) resolve();
+				else reject(new SinkError(`Command exited with code ${code}: ${stderr.trim().slice(-200)}`));
+			});
+			child.stdin.on("error", () => {}); // command may exit without reading stdin
+			child.stdin.end(JSON.stringify(event));
+		});
+}
+
+function fileSink(def) {
+	const file = def.path || path.join("logs", "notifications.jsonl");
+	const template = def.template ?? "{{event}}";
+	return async (event) => {
+		const rendered = renderTemplate(template, templateContext(event));
+		try {
+			fs.mkdirSync(path.dirname(file), { recursive: true });
+			fs.appendFileSync(file, `${typeof rendered === "string" ? rendered : JSON.stringify(rendered)}\n`);
+		} catch (e) {
+			throw new SinkError(`Failed to append to ${file}: ${e.message}`);
+		}
+	};
+}
+
+const FACTORIES = { webhook: webhookSink, telegram: telegramSink, command: commandSink, file: fileSink };
+
+/**
+ * Crea la función de envío de un sink a partir de su definición (notifiers.json).
+ * Lanza si el tipo no existe o faltan campos obligatorios.
+ */
+export function createSender(def) {
+	const factory = FACTORIES[def.type];
+	if (!factory) throw new Error(`Unknown sink type '${def.type}' (expected one of ${SINK_TYPES.join(", ")})`);
+	return factory(def);
+}
@@ -0,0 +1,253 @@
+import fs from "fs";
+import path from "path";
+import config from "./config.js";
+import logger from "./logger.js";
+import liveEvents from "./live-events.js";
+import metrics from "./metrics.js";
+import { createSender } from "./notifier-sinks.js";
+
+// Entrega de alertas a sinks externos (webhook, Telegram, comando, fichero).
+// Escucha el bus de eventos en vivo; por cada sink aplica filtros (tipo/estrategia), dedupe y rate limit por token,
+// y encola el envío en un outbox persistente. Los fallos se reintentan con backoff exponencial;
+// el outbox se guarda en disco (tmp + rename) para que las alertas pendientes sobrevivan a un reinicio.
+
+const DEFAULT_EVENTS = ["creator_sell_alert", "creator_full_exit"];
+const OUTBOX_VERSION = 1;
+
+const notifications = metrics.counter("pumpportal_notifications_total", "Notification deliveries by sink and result", ["sink", "result"]);
+
+class Notifier {
+	constructor(options = config.notifiers) {
+		this.options = options;
+		this.sinks = new Map(); // sinkId -> { id, type, events:Set, strategies:Set|null, send, busy, dedupeWindowMs, rateLimit }
+		this.outbox = []; // pending deliveries, oldest first
+		this.recent = new Map(); // `${sinkId}|${dedupeKey}` -> last enqueued at (ms)
+		this.tokenWindows = new Map(); // `${sinkId}|${tokenAddress}` -> [enqueued at (ms)]
+		this.timer = null;
+		this.dirty = false;
+		this.nextId = 1;
+		this.onEvent = this.onEvent.bind(this);
+	}
+
+	isEnabled() {
+		return (this.options?.sinks || []).some((s) => s && s.enabled !== false);
+	}
+
+	start() {
+		if (this.timer || !this.isEnabled()) return;
+		this._buildSinks();
+		if (this.sinks.size === 0) return;
+		this._loadOutbox();
+		liveEvents.on("event", this.onEvent);
+		this.timer = setInterval(() => this._tick(), this.options.tickMs || 500);
+		logger.tokenMonitor("[NOTIFIER] Notifier started", {
+			sinks: Array.from(this.sinks.values()).map((s) => `${s.id} (${s.type})`),
+			pending: this.outbox.length,
+			outboxFile: this.options.outboxFile,
+		});
+	}
+
+	stop() {
+		if (!this.timer) return;
+		liveEvents.off("event", this.onEvent);
+		clearInterval(this.timer);
+		this.timer = null;
+		// In-flight deliveries stay in the outbox until they succeed: they are retried on the next start
+		this._saveOutbox();
+	}
+
+	_buildSinks() {
+		(this.options.sinks || []).forEach((def, idx) => {
+			if (!def || def.enabled === false) return;
+			const id = def.id || `${def.type}${idx + 1}`;
+			if (this.sinks.has(id)) {
+				logger.warnMonitor(`[NOTIFIER] Duplicate sink id '${id}' ignored`);
+				return;
+			}
+			try {
+				this.sinks.set(id, {
+					id,
+					type: def.type,
+					events: new Set(Array.isArray(def.events) && def.events.length > 0 ? def.events : DEFAULT_EVENTS),
+					strategies: Array.isArray(def.strategies) && def.strategies.length > 0 ? new Set(def.strategies) : null,
+					dedupeWindowMs: (def.dedupeWindowSec ?? this.options.dedupeWindowSec) * 1000,
+					rateLimit: { ...this.options.rateLimit, ...(def.rateLimit || {}) },
+					send: createSender(def),
+					busy: false,
+				});
+			} catch (e) {
+				logger.errorMonitor(`[NOTIFIER] Invalid sink '${id}' skipped`, { error: e.message });
+			}
+		});
+	}
+
+	// Token-level events (alerts, full exit) carry no strategy and pass the strategy filter
+	_accepts(sink, event) {
+		if (!sink.events.has(event.type)) return false;
+		if (sink.strategies && event.strategyId && !sink.strategies.has(event.strategyId)) return false;
+		return true;
+	}
+
+	onEvent(event) {
+		const now = Date.now();
+		for (const sink of this.sinks.values()) {
+			if (!this._accepts(sink, event)) continue;
+
+			// Same event type for the same token/strategy within the window is sent once
+			if (sink.dedupeWindowMs > 0 && event.tokenAddress) {
+				const key = `${sink.id}|${event.type}:${event.tokenAddress}:${event.strategyId || ""}`;
+				const last = this.recent.get(key);
+				if (last && now - last < sink.dedupeWindowMs) {
+					notifications.inc({ sink: sink.id, result: "deduped" });
+					continue;
+				}
+				this.recent.set(key, now);
+			}
+
+			// At most rateLimit.max notifications per token per window
+			const { max, windowSec } = sink.rateLimit;
+			if (max > 0 && event.tokenAddress) {
+				const key = `${sink.id}|${event.tokenAddress}`;
+				const stamps = (this.tokenWindows.get(key) || []).filter((t) => now - t < windowSec * 1000);
+				if (stamps.length >= max) {
+					this.tokenWindows.set(key, stamps);
+					notifications.inc({ sink: sink.id, result: "rate_limited" });
+					logger.debugTokenMonitor("[NOTIFIER] Rate limited", { sink: sink.id, tokenAddress: event.tokenAddress, type: event.type });
+					continue;
+				}
+				stamps.push(now);
+				this.tokenWindows.set(key, stamps);
+			}
+
+			this.outbox.push({ id: this.nextId++, sinkId: sink.id, event, attempts: 0, nextAttemptAt: now, createdAt: now, lastError: null });
+			this.dirty = true;
+		}
+		this._pump();
+	}
+
+	_tick() {
+		this._pump();
+		this._prune();
+		if (this.dirty) this._saveOutbox();
+	}
+
+	// One delivery in flight per sink keeps each sink's order and never floods a slow endpoint
+	_pump() {
+		const now = Date.now();
+		for (const sink of this.sinks.values()) {
+			if (sink.busy) continue;
+			const item = this.outbox.find((i) => i.sinkId === sink.id && i.nextAttemptAt <= now);
+			if (item) this._deliver(sink, item);
+		}
+	}
+
+	async _deliver(sink, item) {
+		sink.busy = true;
+		item.attempts++;
+		try {
+			await sink.send(item.event);
+			this._remove(item);
+			notifications.inc({ sink: sink.id, result: "sent" });
+			logger.debugTokenMonitor("[NOTIFIER] Delivered", { sink: sink.id, type: item.event.type, tokenAddress: item.event.tokenAddress, attempts: item.attempts });
+		} catch (e) {
+			const { maxAttempts, baseDelayMs, maxDelayMs } = this.options.retry;
+			item.lastError = e.message;
+			if (e.retryable === false || item.attempts >= maxAttempts) {
+				this._remove(item);
+				notifications.inc({ sink: sink.id, result: "failed" });
+				logger.errorMonitor("[NOTIFIER] Delivery failed; dropping notification", {
+					sink: sink.id,
+					type: item.event.type,
+					tokenAddress: item.event.tokenAddress,
+					attempts: item.attempts,
+					error: e.message,
+				});
+			} else {
+				const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (item.attempts - 1));
+				item.nextAttemptAt = Date.now() + delay;
+				this.dirty = true;
+				notifications.inc({ sink: sink.id, result: "retry" });
+				logger.warnMonitor("[NOTIFIER] Delivery failed; will retry", { sink: sink.id, attempts: item.attempts, retryInMs: delay, error: e.message });
+			}
+		} finally {
+			sink.busy = false;
+		}
+		// Drain the next queued item for this sink without waiting for the tick
+		if (this.timer) this._pump();
+	}
+
+	_remove(item) {
+		const idx = this.outbox.indexOf(item);
+		if (idx !== -1) this.outbox.splice(idx, 1);
+		this.dirty = true;
+	}
+
+	// Forget dedupe/rate-limit entries older than any window
+	_prune() {
+		const now = Date.now();
+		const maxDedupeMs = Math.max(0, ...Array.from(this.sinks.values(), (s) => s.dedupeWindowMs));
+		for (const [key, ts] of this.recent) {
+			if (now - ts >= maxDedupeMs) this.recent.delete(key);
+		}
+		for (const [key, stamps] of this.tokenWindows) {
+			const sink = this.sinks.get(key.split("|")[0]);
+			const windowMs = (sink?.rateLimit.windowSec || 0) * 1000;
+			if (!stamps.some((t) => now - t < windowMs)) this.tokenWindows.delete(key);
+		}
+	}
+
+	_loadOutbox() {
+		const file = this.options.outboxFile;
+		try {
+			if (!fs.existsSync(file)) return;
+			const data = JSON.parse(fs.readFileSync(file, "utf8"));
+			if (!data || data.v !== OUTBOX_VERSION) {
+				logger.warnMonitor("[NOTIFIER] Ignoring outbox with unknown version", { file, v: data?.v });
+				return;
+			}
+			let dropped = 0;
+			for (const item of data.items || []) {
+				// Sinks removed from the config since the last run can't deliver anymore
+				if (!this.sinks.has(item.sinkId)) {
+					dropped++;
+					continue;
+				}
+				this.outbox.push({ ...item, id: this.nextId++ });
+			}
+			for (const [key, ts] of data.recent || []) this.recent.set(key, ts);
+			if (this.outbox.length > 0 || dropped > 0) logger.tokenMonitor("[NOTIFIER] Restored pending notifications", { pending: this.outbox.length, dropped, file });
+		} catch (e) {
+			logger.errorMonitor("[NOTIFIER] Failed to load outbox", { error: e.message, file });
+		}
+	}
+
+	_saveOutbox() {
+		const file = this.options.outboxFile;
+		const tmp = `${file}.tmp`;
+		try {
+			fs.mkdirSync(path.dirname(file), { recursive: true });
+			// Keep the dedupe memory too, so a restart doesn't re-send what was just delivered
+			fs.writeFileSync(tmp, JSON.stringify({ v: OUTBOX_VERSION, savedAt: new Date().toISOString(), items: this.outbox, recent: Array.from(this.recent) }));
+			fs.renameSync(tmp, file);
+			this.dirty = false;
+		} catch (e) {
+			logger.errorMonitor("[NOTIFIER] Failed to save outbox", { error: e.message, file });
+		}
+	}
+
+	getStats() {
+		return {
+			enabled: this.timer !== null,
+			pending: this.outbox.length,
+			sinks: Array.from(this.sinks.values()).map((s) => ({
+				id: s.id,
+				type: s.type,
+				events: Array.from(s.events),
+				strategies: s.strategies ? Array.from(s.strategies) : null,
+				pending: this.outbox.filter((i) => i.sinkId === s.id).length,
+			})),
+		};
+	}
+}
+
+export default Notifier;
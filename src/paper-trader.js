@@ -0,0 +1,359 @@
+import fs from "fs";
+import path from "path";
+import config from "./config.js";
+import logger from "./logger.js";
+import defaultClock from "./clock.js";
+import { allocationFor, congestionDelaySec, finalExitReason, settleTrade } from "./trade-costs.js";
+
+// Paper trading en vivo: una posición virtual por sesión de tracking (token + estrategia).
+// Reglas de salida iguales a scripts/analysis/backtest/wallet-backtest.js:
+// - TP/SL: al cruzar el umbral se simula congestión (1-3s) y se sale en el primer tick con trading time >= cruce + delay
+// - TIMEOUT: sin cruce al llegar a timeoutSec (trading time de la sesión) se sale en ese tick
+// - END: la sesión de tracking termina con la posición abierta; se sale al último % conocido
+// El trading time y el % son los mismos que se escriben en las líneas "Current price" del log de tracking.
+
+const MAX_RECENT_TRADES = 1000;
+
+class PaperTrader {
+	constructor({ tradesFile = config.paperTrading.tradesFile, clock = defaultClock } = {}) {
+		this.tradesFile = tradesFile;
+		this.clock = clock;
+		this.wallets = new Map(); // strategyId -> virtual wallet
+		this.positions = new Map(); // `${tokenAddress}:${strategyId}` -> open position
+		this.recentTrades = []; // closed trades (oldest first), bounded
+		this.started = false;
+	}
+
+	isEnabled() {
+		return (config.strategies || []).some((s) => s?.paperTrading?.enabled);
+	}
+
+	start() {
+		if (this.started || !this.isEnabled()) return;
+		this.started = true;
+		this.restore();
+		for (const s of config.strategies || []) {
+			if (s?.paperTrading?.enabled) this._getWallet(s.id, s.paperTrading);
+		}
+		logger.tokenMonitor("[PAPER] Paper trading started", {
+			tradesFile: this.tradesFile,
+			strategies: Array.from(this.wallets.keys()),
+		});
+	}
+
+	stop() {
+		// Open positions are not closed on shutdown: they have no exit price yet
+		for (const pos of this.positions.values()) {
+			if (pos.timeoutTimer) this.clock.clearTimeout(pos.timeoutTimer);
+			pos.timeoutTimer = null;
+		}
+		this.started = false;
+	}
+
+	// Rebuild wallets from the persisted trades so balances survive restarts
+	restore() {
+		if (!fs.existsSync(this.tradesFile)) return;
+		let restored = 0;
+		try {
+			const lines = fs.readFileSync(this.tradesFile, "utf8").split("\n");
+			for (const line of lines) {
+				if (!line.trim()) continue;
+				let trade;
+				try {
+					trade = JSON.parse(line);
+				} catch {
+					continue; // ignore partial lines
+				}
+				if (!trade || !trade.strategyId || !Number.isFinite(trade.walletAfter)) continue;
+				const wallet = this._getWallet(trade.strategyId, { initialSol: trade.initialSol });
+				this._applyToWallet(wallet, trade);
+				this._pushRecent(trade);
+				restored++;
+			}
+		} catch (e) {
+			logger.errorMonitor("[PAPER] Failed to restore paper trades", { error: e.message, file: this.tradesFile });
+			return;
+		}
+		if (restored > 0) logger.tokenMonitor("[PAPER] Restored paper wallets", { trades: restored, wallets: this.wallets.size });
+	}
+
+	_getWallet(strategyId, params = {}) {
+		let wallet = this.wallets.get(strategyId);
+		if (!wallet) {
+			const initialSol = Number.isFinite(params.initialSol) ? params.initialSol : config.paperTrading.initialSol;
+			wallet = {
+				strategyId,
+				initialSol,
+				balance: initialSol,
+				reserved: 0, // SOL locked in open positions
+				peak: initialSol,
+				maxDrawdown: 0,
+				trades: 0,
+				wins: 0,
+				losses: 0,
+				realizedPnl: 0,
+				skipped: 0,
+			};
+			this.wallets.set(strategyId, wallet);
+		}
+		return wallet;
+	}
+
+	_applyToWallet(wallet, trade) {
+		wallet.balance = trade.walletAfter;
+		wallet.trades += 1;
+		if (trade.pnl > 0) wallet.wins += 1;
+		else wallet.losses += 1;
+		wallet.realizedPnl += trade.pnl;
+		if (wallet.balance > wallet.peak) wallet.peak = wallet.balance;
+		const dd = wallet.peak > 0 ? (wallet.peak - wallet.balance) / wallet.peak : 0;
+		if (dd > wallet.maxDrawdown) wallet.maxDrawdown = dd;
+	}
+
+	_pushRecent(trade) {
+		this.recentTrades.push(trade);
+		if (this.recentTrades.length > MAX_RECENT_TRADES) this.recentTrades.splice(0, this.recentTrades.length - MAX_RECENT_TRADES);
+	}
+
+	/**
+	 * Abre la posición virtual cuando la sesión registra su entrada.
+	 * @param {string} tokenAddress
+	 * @param {object} strategy - { id, paperTrading }: the session's snapshot of the strategy (uses strategy.paperTrading)
+	 * @param {{sessionStartedAt:number, elapsedMs:number, entryPrice:number, entryMcUsd:number}} entry
+	 */
+	openPosition(tokenAddress, strategy, entry) {
+		const params = strategy?.paperTrading;
+		if (!this.started || !params?.enabled) return;
+		const key = `${tokenAddress}:${strategy.id}`;
+		if (this.positions.has(key)) return;
+
+		const wallet = this._getWallet(strategy.id, params);
+		const available = wallet.balance - wallet.reserved;
+		const alloc = available > 0 ? allocationFor(available, params) : 0;
+		if (alloc <= 0) {
+			wallet.skipped += 1;
+			logger.debugTokenMonitor("[PAPER] No balance available; position skipped", {
+				tokenAddress,
+				strategyId: strategy.id,
+				balance: wallet.balance,
+				reserved: wallet.reserved,
+			});
+			return;
+		}
+		wallet.reserved += alloc;
+
+		const pos = {
+			tokenAddress,
+			strategyId: strategy.id,
+			openedAt: this.clock.date().toISOString(),
+			sessionStartedAt: entry.sessionStartedAt,
+			entryT: Math.floor(entry.elapsedMs / 1000),
+			entryPrice: entry.entryPrice,
+			entryMcUsd: entry.entryMcUsd,
+			alloc,
+			tpPct: params.tpPct,
+			slPct: params.slPct,
+			timeoutSec: params.timeoutSec,
+			costs: params.costs,
+			initialSol: wallet.initialSol,
+			lastPct: 0,
+			lastT: Math.floor(entry.elapsedMs / 1000),
+			pendingExit: null, // { reason: 'TP'|'SL', tCross, delaySec, targetT }
+			timeoutTimer: null,
+		};
+
+		// Close on timeout even if the token stops trading
+		const timeoutInMs = entry.sessionStartedAt + params.timeoutSec * 1000 - this.clock.now();
+		pos.timeoutTimer = this.clock.setTimeout(() => this._onTimeout(key), Math.max(0, timeoutInMs));
+
+		this.positions.set(key, pos);
+		logger.tokenMonitor("[PAPER] Position opened", { tokenAddress, strategyId: strategy.id, alloc, entryPrice: entry.entryPrice, tpPct: pos.tpPct, slPct: pos.slPct });
+	}
+
+	/**
+	 * Nuevo punto de precio de la sesión (mismo % que la línea "Current price").
+	 */
+	onTick(tokenAddress, strategyId, { elapsedMs, pct }) {
+		const key = `${tokenAddress}:${strategyId}`;
+		const pos = this.positions.get(key);
+		if (!pos) return;
+		const t = Math.floor(elapsedMs / 1000);
+		pos.lastPct = pct;
+		pos.lastT = t;
+
+		if (pos.pendingExit) {
+			if (t >= pos.pendingExit.targetT) this._close(key, pos.pendingExit.reason, pct, t);
+			return;
+		}
+
+		if (pct >= pos.tpPct || pct <= -pos.slPct) {
+			const delaySec = congestionDelaySec();
+			pos.pendingExit = { reason: pct >= pos.tpPct ? "TP" : "SL", tCross: t, delaySec, targetT: t + delaySec };
+			return;
+		}
+
+		if (t >= pos.timeoutSec) this._close(key, "TIMEOUT", pct, t);
+	}
+
+	_onTimeout(key) {
+		const pos = this.positions.get(key);
+		if (!pos) return;
+		pos.timeoutTimer = null;
+		// A TP/SL already fired: its delayed exit takes precedence
+		if (pos.pendingExit) return;
+		this._close(key, "TIMEOUT", pos.lastPct, Math.max(pos.lastT, Math.floor((this.clock.now() - pos.sessionStartedAt) / 1000)));
+	}
+
+	/**
+	 * La sesión de tracking terminó: cerrar al último % conocido.
+	 */
+	onSessionEnd(tokenAddress, strategyId, sessionReason) {
+		const key = `${tokenAddress}:${strategyId}`;
+		const pos = this.positions.get(key);
+		if (!pos) return;
+		// Like the backtest, a pending TP/SL without a later tick exits at the last point
+		this._close(key, pos.pendingExit ? pos.pendingExit.reason : "END", pos.lastPct, pos.lastT, sessionReason);
+	}
+
+	_close(key, exitReason, exitPct, tExit, sessionReason = null) {
+		const pos = this.positions.get(key);
+		if (!pos) return;
+		this.positions.delete(key);
+		if (pos.timeoutTimer) this.clock.clearTimeout(pos.timeoutTimer);
+
+		const wallet = this._getWallet(pos.strategyId, { initialSol: pos.initialSol });
+		wallet.reserved = Math.max(0, wallet.reserved - pos.alloc);
+
+		const settled = settleTrade({ alloc: pos.alloc, exitPct }, pos.costs);
+		const isProfit = settled.pnl > 0;
+		const walletBefore = wallet.balance;
+		const trade = {
+			strategyId: pos.strategyId,
+			token: pos.tokenAddress,
+			startedAt: pos.openedAt,
+			endedAt: this.clock.date().toISOString(),
+			exitReason: finalExitReason(exitReason, isProfit),
+			originalExitReason: exitReason,
+			sessionReason,
+			exitPct,
+			tEntry: pos.entryT,
+			tExit,
+			entryPrice: pos.entryPrice,
+			alloc: pos.alloc,
+			feePct: pos.costs.feePct,
+			slippagePct: pos.costs.slippagePct,
+			portalFeePct: pos.costs.portalFeePct,
+			netPct: settled.netPct,
+			pnl: settled.pnl,
+			initialSol: wallet.initialSol,
+			walletBefore,
+			walletAfter: walletBefore + settled.pnl,
+			entryFixedFeesSol: pos.costs.entryFixedFeesSol,
+			exitFixedFeesSol: pos.costs.exitFixedFeesSol,
+			fixedFeesSolRoundTrip: settled.fixedFeesSolRoundTrip,
+			priorityFeeEntrySol: settled.priorityFeeEntrySol,
+			priorityFeeExitSol: settled.priorityFeeExitSol,
+			priorityFeesSolRoundTrip: settled.priorityFeesSolRoundTrip,
+			extraTransfersEntrySol: pos.costs.extraTransfersEntrySol,
+			extraTransfersExitSol: pos.costs.extraTransfersExitSol,
+			extraTransfersSolRoundTrip: settled.extraTransfersSolRoundTrip,
+			delaySec: pos.pendingExit ? pos.pendingExit.delaySec : 0,
+			entryMarketCap: pos.entryMcUsd || 0,
+		};
+
+		this._applyToWallet(wallet, trade);
+		this._pushRecent(trade);
+		try {
+			fs.mkdirSync(path.dirname(this.tradesFile), { recursive: true });
+			fs.appendFileSync(this.tradesFile, `${JSON.stringify(trade)}\n`);
+		} catch (e) {
+			logger.errorMonitor("[PAPER] Failed to persist paper trade", { error: e.message, file: this.tradesFile });
+		}
+
+		logger.tokenMonitor("[PAPER] Position closed", {
+			tokenAddress: pos.tokenAddress,
+			strategyId: pos.strategyId,
+			exitReason: trade.exitReason,
+			exitPct,
+			pnl: trade.pnl,
+			walletAfter: trade.walletAfter,
+		});
+	}
+
+	// Open positions for the state snapshot (timers are re-armed on restore)
+	getState() {
+		return {
+			positions: Array.from(this.positions.values()).map((p) => ({ ...p, timeoutTimer: null })),
+		};
+	}
+
+	restoreState(state) {
+		if (!this.started || !state || !Array.isArray(state.positions)) return;
+		for (const saved of state.positions) {
+			const key = `${saved.tokenAddress}:${saved.strategyId}`;
+			if (this.positions.has(key)) continue;
+			const pos = { ...saved, timeoutTimer: null };
+			const wallet = this._getWallet(pos.strategyId, { initialSol: pos.initialSol });
+			wallet.reserved += pos.alloc;
+			const timeoutInMs = pos.sessionStartedAt + pos.timeoutSec * 1000 - this.clock.now();
+			pos.timeoutTimer = this.clock.setTimeout(() => this._onTimeout(key), Math.max(0, timeoutInMs));
+			this.positions.set(key, pos);
+		}
+	}
+
+	getSummary() {
+		const strategies = Array.from(this.wallets.values()).map((w) => {
+			const params = (config.strategies || []).find((s) => s.id === w.strategyId)?.paperTrading || null;
+			return {
+				strategyId: w.strategyId,
+				initialSol: w.initialSol,
+				balance: w.balance,
+				reserved: w.reserved,
+				available: w.balance - w.reserved,
+				totalReturnPct: w.initialSol > 0 ? ((w.balance - w.initialSol) / w.initialSol) * 100 : 0,
+				realizedPnl: w.realizedPnl,
+				trades: w.trades,
+				wins: w.wins,
+				losses: w.losses,
+				winRate: w.trades ? w.wins / w.trades : 0,
+				maxDrawdown: w.maxDrawdown,
+				skipped: w.skipped,
+				openPositions: Array.from(this.positions.values()).filter((p) => p.strategyId === w.strategyId).length,
+				params: params
+					? {
+							enabled: params.enabled,
+							tpPct: params.tpPct,
+							slPct: params.slPct,
+							timeoutSec: params.timeoutSec,
+							allocSol: params.allocSol,
+							allocPct: params.allocPct,
+							costs: params.costs,
+						}
+					: null,
+			};
+		});
+		return {
+			enabled: this.started,
+			tradesFile: this.tradesFile,
+			strategies,
+			openPositions: Array.from(this.positions.values()).map((p) => ({
+				tokenAddress: p.tokenAddress,
+				strategyId: p.strategyId,
+				openedAt: p.openedAt,
+				alloc: p.alloc,
+				entryPrice: p.entryPrice,
+				lastPct: p.lastPct,
+				tradingTimeSec: p.lastT,
+				pendingExit: p.pendingExit,
+			})),
+		};
+	}
+
+	// Closed trades, newest first
+	getTrades({ strategyId = null, limit = 100 } = {}) {
+		const list = strategyId ? this.recentTrades.filter((t) => t.strategyId === strategyId) : this.recentTrades;
+		return list.slice(-Math.max(0, limit)).reverse();
+	}
+}
+
+export default PaperTrader;
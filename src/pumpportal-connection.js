@@ -0,0 +1,692 @@
+import WebSocket from "ws";
+import logger from "./logger.js";
+import config from "./config.js";
+import { receiveTimestamp } from "./feed-capture.js";
+import metrics from "./metrics.js";
+import SubscriptionLedger from "./subscription-ledger.js";
+
+// Una conexión WebSocket con PumpPortal: reconexión con circuit breaker, heartbeat, cola con rate limit,
+// suscripciones deseadas y su ledger. PumpPortalWSClient (src/pumpportal-ws-client.js) reparte las suscripciones
+// entre una o varias conexiones y recibe de todas los mensajes ya parseados (onMessage), los frames crudos (onFrame)
+// y los eventos de conexión y confirmación (onEvent).
+
+const wsMessagesReceived = metrics.counter("pumpportal_ws_messages_received_total", "WebSocket messages received by type", ["type"]);
+const wsReconnectAttempts = metrics.counter("pumpportal_ws_reconnect_attempts_total", "WebSocket reconnection attempts scheduled");
+const wsCircuitOpens = metrics.counter("pumpportal_ws_circuit_opens_total", "Times the reconnection circuit breaker opened");
+const wsStaleFeedReconnects = metrics.counter("pumpportal_ws_stale_feed_reconnects_total", "Reconnections forced because no create events arrived for WS_STALE_FEED_SEC");
+const wsSubscriptionChunks = metrics.counter("pumpportal_ws_subscription_chunks_total", "Subscribe/unsubscribe chunks by method and send outcome", ["method", "status"]);
+
+const SUBSCRIBE_METHODS = ["subscribeTokenTrade", "subscribeAccountTrade"];
+
+export const CIRCUIT_STATES = ["closed", "open", "half-open"];
+
+function messageBytes(message) {
+	return Buffer.byteLength(JSON.stringify(message));
+}
+
+/**
+ * Parte las claves de un método en trozos de como mucho maxKeys claves y maxBytes bytes de JSON serializado.
+ * Una clave que no cabe sola va en su propio trozo (sendMessage lo rechazará como demasiado grande).
+ */
+export function chunkKeys(method, keys, { maxKeys, maxBytes }) {
+	const emptyBytes = messageBytes({ method, keys: [] });
+	const chunks = [];
+	let chunk = [];
+	let bytes = emptyBytes;
+	for (const key of keys) {
+		const keyBytes = Buffer.byteLength(JSON.stringify(key));
+		// +1 for the "," separator
+		if (chunk.length > 0 && (chunk.length >= maxKeys || bytes + 1 + keyBytes > maxBytes)) {
+			chunks.push(chunk);
+			chunk = [];
+			bytes = emptyBytes;
+		}
+		bytes += keyBytes + (chunk.length > 0 ? 1 : 0);
+		chunk.push(key);
+	}
+	if (chunk.length > 0) chunks.push(chunk);
+	return chunks;
+}
+
+class PumpPortalConnection {
+	/**
+	 * @param {object} options
+	 * @param {string} options.id - nombre en logs, /status y métricas ("main", "control", "shard-0"...)
+	 * @param {string} options.role - "all" (conexión única), "control" (nuevos tokens y cuentas) o "trades" (shard de tokens)
+	 * @param {(raw: string, receivedAt: number) => void} [options.onFrame] - cada frame recibido, antes de parsearlo
+	 * @param {(message: object) => void} options.onMessage - cada mensaje parseado
+	 * @param {(event: string, payload: object) => void} [options.onEvent] - "connected", "disconnected", "subscriptionConfirmed"
+	 */
+	constructor({ id, role, onFrame = null, onMessage, onEvent = null }) {
+		this.id = id;
+		this.role = role;
+		this.onFrame = onFrame;
+		this.onMessage = onMessage;
+		this.onEvent = onEvent;
+		this.opens = 0; // successful connections so far
+		this.ws = null;
+		this.isConnected = false;
+		this.disconnectedSince = Date.now();
+		// Reconnection never gives up: after MAX_RECONNECT_ATTEMPTS consecutive failures the circuit breaker opens
+		// (one trial connection every RECONNECT_BREAKER_COOLDOWN_MS) until a connection succeeds again
+		this.shouldReconnect = true;
+		this.reconnectAttempts = 0;
+		this.reconnectTimer = null;
+		this.nextReconnectAt = null;
+		this.circuit = { state: "closed", since: Date.now(), opens: 0 };
+		this.connectedAt = null;
+		this.lastMessageAt = null;
+		this.lastCreateAt = null;
+		this.staleFeedInterval = null;
+		this.messagesReceived = 0;
+		// Keys we want subscribed (re-sent on reconnect); their actual state is in the ledger
+		this.subscribedTokens = new Set();
+		this.subscribedAccounts = new Set();
+		this.newTokens = false; // subscribeNewToken wanted on this connection
+		this.ledger = new SubscriptionLedger();
+		this.ledgerInterval = null;
+		this.heartbeatInterval = null;
+		this.pingTimeout = null;
+		this.messageQueue = [];
+		this.queueTimer = null;
+		this.rateLimiter = {
+			lastSent: 0,
+			messageCount: 0,
+			windowStart: Date.now(),
+			maxMessagesPerSecond: config.pumpPortal.rateLimit.messagesPerSecond,
+			maxMessageSize: config.pumpPortal.rateLimit.maxMessageSize,
+		};
+		// Replay mode (set by the client): nothing is sent, subscriptions are bookkeeping only
+		this.replaying = false;
+	}
+
+	connect() {
+		if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+			logger.pumpWs("Already connected to PumpPortal WebSocket");
+			return;
+		}
+		this.shouldReconnect = true;
+
+		try {
+			const wsUrl = config.pumpPortal.apiKey ? `${config.pumpPortal.wsUrl}?api-key=${config.pumpPortal.apiKey}` : config.pumpPortal.wsUrl;
+
+			logger.pumpWs(`Connecting to PumpPortal WebSocket: ${wsUrl}`, { connection: this.id });
+			this.ws = new WebSocket(wsUrl);
+
+			this.ws.on("open", () => {
+				logger.pumpWs("Successfully connected to PumpPortal WebSocket", { connection: this.id });
+				this.isConnected = true;
+				this.disconnectedSince = null;
+				this.reconnectAttempts = 0;
+				this.connectedAt = Date.now();
+				if (this.circuit.state !== "closed") this.setCircuit("closed");
+
+				// Start heartbeat mechanism
+				this.startHeartbeat();
+				this.startLedgerChecks();
+				this.startStaleFeedCheck();
+
+				// Whatever was queued belongs to the previous connection (the server starts with no subscriptions):
+				// re-subscribe to all wanted keys instead
+				this.messageQueue = [];
+				this.resubscribeAll();
+
+				// Process any queued messages
+				this.processMessageQueue();
+
+				this.emit("connected", { reconnect: this.opens > 0 });
+				this.opens++;
+			});
+
+			this.ws.on("message", (data) => {
+				const receivedAt = receiveTimestamp();
+				const raw = data.toString();
+				if (this.onFrame) {
+					this.onFrame(raw, receivedAt);
+				}
+				this.handleRawMessage(raw);
+			});
+
+			this.ws.on("error", (error) => {
+				logger.errorMonitor("WebSocket error occurred", { error: error.message, connection: this.id });
+				this.isConnected = false;
+				this.stopHeartbeat();
+			});
+
+			this.ws.on("close", (code, reason) => {
+				logger.pumpWs(`WebSocket connection closed`, { code, reason: reason.toString(), connection: this.id });
+				// Failed connection attempts also end here; only a connection that was up is reported as disconnected
+				if (this.disconnectedSince === null) {
+					this.disconnectedSince = Date.now();
+					this.emit("disconnected", { code, reason: reason.toString(), intentional: !this.shouldReconnect });
+				}
+				this.isConnected = false;
+				this.stopHeartbeat();
+				this.stopLedgerChecks();
+				this.stopStaleFeedCheck();
+				this.ledger.reset();
+				this.handleReconnection();
+			});
+
+			this.ws.on("ping", () => {
+				logger.debugPumpWs("Received ping from server");
+				this.resetHeartbeat();
+			});
+
+			this.ws.on("pong", () => {
+				logger.debugPumpWs("Received pong from server");
+				this.resetHeartbeat();
+			});
+		} catch (error) {
+			logger.errorMonitor("Failed to create WebSocket connection", { error: error.message, connection: this.id });
+			this.handleReconnection();
+		}
+	}
+
+	disconnect() {
+		// Intentional: the close event must not schedule a reconnection
+		this.shouldReconnect = false;
+		if (this.reconnectTimer) {
+			clearTimeout(this.reconnectTimer);
+			this.reconnectTimer = null;
+			this.nextReconnectAt = null;
+		}
+		if (this.ws) {
+			logger.pumpWs("Disconnecting from PumpPortal WebSocket", { connection: this.id });
+			this.stopHeartbeat();
+			this.stopLedgerChecks();
+			this.stopStaleFeedCheck();
+			this.stopQueueDrain();
+			this.ws.close();
+			this.ws = null;
+			this.isConnected = false;
+		}
+	}
+
+	handleReconnection() {
+		if (!this.shouldReconnect || this.reconnectTimer) return;
+
+		this.reconnectAttempts++;
+		wsReconnectAttempts.inc();
+
+		// A failed trial (half-open), or too many consecutive failures, opens the circuit
+		if (this.circuit.state === "half-open" || (this.circuit.state === "closed" && this.reconnectAttempts > config.app.maxReconnectAttempts)) {
+			this.setCircuit("open");
+		}
+
+		const delay = this.circuit.state === "open" ? config.app.reconnectBreakerCooldownMs : this.reconnectDelay(this.reconnectAttempts);
+		this.nextReconnectAt = Date.now() + delay;
+		logger.pumpWs(`Attempting reconnection in ${delay}ms (attempt ${this.reconnectAttempts}, circuit ${this.circuit.state})`, { connection: this.id });
+
+		this.reconnectTimer = setTimeout(() => {
+			this.reconnectTimer = null;
+			this.nextReconnectAt = null;
+			if (this.circuit.state === "open") this.setCircuit("half-open");
+			this.connect();
+		}, delay);
+	}
+
+	// Exponential backoff capped at RECONNECT_MAX_DELAY_MS, +/- RECONNECT_JITTER_PCT so clients don't reconnect in lockstep
+	reconnectDelay(attempt) {
+		const base = Math.min(config.app.reconnectDelayMs * 1.5 ** (attempt - 1), config.app.reconnectMaxDelayMs);
+		const jitter = (config.app.reconnectJitterPct / 100) * (Math.random() * 2 - 1);
+		return Math.max(0, Math.round(base * (1 + jitter)));
+	}
+
+	setCircuit(state) {
+		const previous = this.circuit.state;
+		this.circuit.state = state;
+		this.circuit.since = Date.now();
+		if (state === "open") {
+			this.circuit.opens++;
+			wsCircuitOpens.inc();
+			const failed = this.reconnectAttempts - 1;
+			if (previous === "half-open") {
+				logger.warnMonitor(`Trial reconnection failed, circuit breaker open again (${failed} failed attempts)`, { connection: this.id });
+			} else {
+				logger.errorMonitor(`Reconnection circuit breaker open after ${failed} failed attempts; one trial every ${config.app.reconnectBreakerCooldownMs}ms`, {
+					connection: this.id,
+				});
+			}
+		} else {
+			logger.pumpWs(`Reconnection circuit breaker ${state}`, { from: previous, connection: this.id });
+		}
+	}
+
+	// A connection that stays open but stops delivering creates is as bad as a dropped one
+	startStaleFeedCheck() {
+		this.stopStaleFeedCheck();
+		const staleMs = config.pumpPortal.staleFeed.timeoutSec * 1000;
+		if (staleMs <= 0) return;
+		this.staleFeedInterval = setInterval(
+			() => {
+				if (!this.isFeedStale() || !this.ws) return;
+				const lastCreateAgoSec = this.lastCreateAt ? Math.round((Date.now() - this.lastCreateAt) / 1000) : null;
+				logger.warnMonitor(`No create events for ${config.pumpPortal.staleFeed.timeoutSec}s, forcing reconnection`, { lastCreateAgoSec, connection: this.id });
+				wsStaleFeedReconnects.inc();
+				this.ws.terminate();
+			},
+			Math.min(staleMs, 10000)
+		);
+	}
+
+	stopStaleFeedCheck() {
+		if (this.staleFeedInterval) {
+			clearInterval(this.staleFeedInterval);
+			this.staleFeedInterval = null;
+		}
+	}
+
+	// Connected with subscribeNewToken, but no create since WS_STALE_FEED_SEC (counting from the connection if there was none yet).
+	// Trade shards never get creates, so they are never stale
+	isFeedStale(now = Date.now()) {
+		const staleMs = config.pumpPortal.staleFeed.timeoutSec * 1000;
+		if (staleMs <= 0 || !this.newTokens || !this.isConnected || this.connectedAt === null) return false;
+		return now - Math.max(this.lastCreateAt || 0, this.connectedAt) > staleMs;
+	}
+
+	/**
+	 * Estado de la conexión para /health: conectado (o en replay), circuit breaker, reintentos y actividad del feed.
+	 */
+	getConnectionStatus(now = Date.now()) {
+		const iso = (ms) => (ms === null ? null : new Date(ms).toISOString());
+		return {
+			id: this.id,
+			role: this.role,
+			connected: this.isConnected,
+			replay: this.replaying,
+			circuit: this.circuit.state,
+			circuitSince: iso(this.circuit.since),
+			circuitOpens: this.circuit.opens,
+			reconnectAttempts: this.reconnectAttempts,
+			nextReconnectAt: iso(this.nextReconnectAt),
+			connectedAt: this.isConnected ? iso(this.connectedAt) : null,
+			lastMessageAt: iso(this.lastMessageAt),
+			lastCreateAt: iso(this.lastCreateAt),
+			staleFeedSec: config.pumpPortal.staleFeed.timeoutSec,
+			feedStale: this.isFeedStale(now),
+		};
+	}
+
+	// Down (not connected) for this long, 0 while connected
+	downForMs(now = Date.now()) {
+		return this.isConnected || this.disconnectedSince === null ? 0 : now - this.disconnectedSince;
+	}
+
+	/**
+	 * Resumen para /status (subscriptions.shards).
+	 */
+	getStats(now = Date.now()) {
+		const ledger = this.ledger.getStatus(now);
+		return {
+			id: this.id,
+			role: this.role,
+			connected: this.isConnected,
+			circuit: this.circuit.state,
+			reconnectAttempts: this.reconnectAttempts,
+			downForSec: Math.round(this.downForMs(now) / 1000),
+			newTokens: this.newTokens,
+			tokens: this.subscribedTokens.size,
+			accounts: this.subscribedAccounts.size,
+			queued: this.messageQueue.length,
+			messagesReceived: this.messagesReceived,
+			confirmed: Object.values(ledger.counts).reduce((n, c) => n + c.confirmed, 0),
+			stuck: ledger.stuck,
+		};
+	}
+
+	// Sends a message, or queues it behind earlier ones until the connection is open and the rate limit allows it.
+	// Returns false only if the message can never be sent (too large) or the socket write failed.
+	sendMessage(message) {
+		return this.dispatch(message) !== "failed";
+	}
+
+	// "sent" | "queued" | "failed"
+	dispatch(message) {
+		// In replay mode there is no server; subscriptions are kept for bookkeeping only (and count as confirmed)
+		if (this.replaying) {
+			logger.debugPumpWs("Replay mode, not sending message", { method: message.method });
+			this.ledger.sent(message);
+			this.ledger.acknowledge({ ok: true });
+			return "sent";
+		}
+
+		// Check message size
+		const size = messageBytes(message);
+		if (size > this.rateLimiter.maxMessageSize) {
+			logger.errorMonitor("Message too large", {
+				size,
+				maxSize: this.rateLimiter.maxMessageSize,
+				method: message.method,
+			});
+			this.ledger.failed(message, "message too large");
+			return "failed";
+		}
+
+		if (!this.isConnected || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
+			logger.debugPumpWs("WebSocket not connected, queuing message", { method: message.method });
+			this.messageQueue.push(message);
+			return "queued";
+		}
+
+		// Rate limiting check (and keep the order of what is already queued)
+		if (this.messageQueue.length > 0 || !this.checkRateLimit()) {
+			logger.debugPumpWs("Rate limit exceeded, queuing message", { method: message.method });
+			this.messageQueue.push(message);
+			this.scheduleQueueDrain();
+			return "queued";
+		}
+
+		return this.transmit(message) ? "sent" : "failed";
+	}
+
+	transmit(message) {
+		try {
+			this.ws.send(JSON.stringify(message));
+			this.ledger.sent(message);
+			this.rateLimiter.messageCount++;
+			this.rateLimiter.lastSent = Date.now();
+			logger.pumpWs("Sent message to PumpPortal", { method: message.method, keys: message.keys, connection: this.id });
+			return true;
+		} catch (error) {
+			logger.errorMonitor("Failed to send message", { error: error.message, method: message.method, connection: this.id });
+			this.ledger.failed(message, error.message);
+			return false;
+		}
+	}
+
+	checkRateLimit() {
+		const now = Date.now();
+		const windowDuration = 1000; // 1 second
+
+		// Reset window if needed
+		if (now - this.rateLimiter.windowStart >= windowDuration) {
+			this.rateLimiter.messageCount = 0;
+			this.rateLimiter.windowStart = now;
+		}
+
+		return this.rateLimiter.messageCount < this.rateLimiter.maxMessagesPerSecond;
+	}
+
+	scheduleQueueDrain() {
+		if (this.queueTimer) return;
+		this.queueTimer = setTimeout(() => this.processMessageQueue(), config.pumpPortal.batch.delayMs);
+	}
+
+	stopQueueDrain() {
+		if (this.queueTimer) {
+			clearTimeout(this.queueTimer);
+			this.queueTimer = null;
+		}
+	}
+
+	processMessageQueue() {
+		this.queueTimer = null;
+		if (this.messageQueue.length === 0) return;
+		// The open handler drains the queue once connected again
+		if (!this.isConnected || !this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+		logger.debugPumpWs(`Processing ${this.messageQueue.length} queued messages`);
+
+		// Process messages in batches to respect rate limits
+		let sent = 0;
+		while (this.messageQueue.length > 0 && sent < config.pumpPortal.batch.size && this.checkRateLimit()) {
+			this.transmit(this.messageQueue.shift());
+			sent++;
+		}
+
+		// Schedule next batch if there are more messages
+		if (this.messageQueue.length > 0) {
+			this.scheduleQueueDrain();
+		}
+	}
+
+	startHeartbeat() {
+		this.stopHeartbeat(); // Clear any existing heartbeat
+
+		this.heartbeatInterval = setInterval(() => {
+			if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+				this.ws.ping();
+				logger.debugPumpWs("Sent ping to server");
+			}
+		}, config.pumpPortal.heartbeat.intervalMs);
+
+		this.resetHeartbeat();
+	}
+
+	stopHeartbeat() {
+		if (this.heartbeatInterval) {
+			clearInterval(this.heartbeatInterval);
+			this.heartbeatInterval = null;
+		}
+		if (this.pingTimeout) {
+			clearTimeout(this.pingTimeout);
+			this.pingTimeout = null;
+		}
+	}
+
+	resetHeartbeat() {
+		if (this.pingTimeout) {
+			clearTimeout(this.pingTimeout);
+		}
+
+		// Set timeout for pong response
+		this.pingTimeout = setTimeout(() => {
+			logger.errorMonitor("WebSocket heartbeat timeout - no pong received");
+			if (this.ws) {
+				this.ws.terminate();
+			}
+		}, config.pumpPortal.heartbeat.timeoutMs);
+	}
+
+	// Re-send subscriptions the server has not confirmed in time (see src/subscription-ledger.js)
+	startLedgerChecks() {
+		this.stopLedgerChecks();
+		this.ledgerInterval = setInterval(() => this.retryUnconfirmed(), Math.max(1000, Math.floor(this.ledger.ackTimeoutMs / 2)));
+	}
+
+	stopLedgerChecks() {
+		if (this.ledgerInterval) {
+			clearInterval(this.ledgerInterval);
+			this.ledgerInterval = null;
+		}
+	}
+
+	retryUnconfirmed() {
+		const due = this.ledger.due();
+		// Keys dropped meanwhile (unsubscribe still queued) are not re-subscribed
+		const tokens = due.token.filter((key) => this.subscribedTokens.has(key));
+		const accounts = due.account.filter((key) => this.subscribedAccounts.has(key));
+		if (tokens.length === 0 && accounts.length === 0) return;
+		logger.warnMonitor("Re-sending unconfirmed subscriptions", { tokens: tokens.length, accounts: accounts.length });
+		if (tokens.length > 0) this.subscribeTokenTrades(tokens);
+		if (accounts.length > 0) this.subscribeAccountTrades(accounts);
+	}
+
+	/**
+	 * Envía un método de (des)suscripción en trozos que respetan WS_MAX_MESSAGE_SIZE y WS_BATCH_SIZE (maxKeys),
+	 * pasando cada uno por el rate limiter. Devuelve el resultado por trozo:
+	 * { method, keys, chunks: [{ keys, status: "sent" | "queued" | "failed" }], sent, queued, failed, failedKeys }
+	 */
+	sendChunked(method, keys, maxKeys = config.pumpPortal.batch.size) {
+		const report = { method, keys: keys.length, chunks: [], sent: 0, queued: 0, failed: 0, failedKeys: [] };
+		for (const chunk of chunkKeys(method, keys, { maxKeys, maxBytes: this.rateLimiter.maxMessageSize })) {
+			const message = { method, keys: chunk };
+			if (SUBSCRIBE_METHODS.includes(method)) this.ledger.requested(message);
+			const status = this.dispatch(message);
+			wsSubscriptionChunks.inc({ method, status });
+			report.chunks.push({ keys: chunk, status });
+			report[status]++;
+			if (status === "failed") report.failedKeys.push(...chunk);
+		}
+		if (report.failed > 0) {
+			logger.errorMonitor(`${method}: ${report.failed}/${report.chunks.length} chunks failed`, { keys: report.failedKeys.length });
+		} else if (report.chunks.length > 1) {
+			logger.debugPumpWs(`${method}: ${keys.length} keys in ${report.chunks.length} chunks`, { sent: report.sent, queued: report.queued });
+		}
+		return report;
+	}
+
+	subscribeNewTokens() {
+		this.newTokens = true;
+		const message = { method: "subscribeNewToken" };
+		if (this.sendMessage(message)) {
+			logger.pumpWs("Subscribed to new token events", { connection: this.id });
+		}
+	}
+
+	unsubscribeNewTokens() {
+		this.newTokens = false;
+		const message = { method: "unsubscribeNewToken" };
+		if (this.sendMessage(message)) {
+			logger.pumpWs("Unsubscribed from new token events", { connection: this.id });
+		}
+	}
+
+	// Failed chunks stay wanted: the ledger has them pending with the error and retryUnconfirmed() re-sends them
+	subscribeTokenTrades(tokenAddresses, batchSize = null) {
+		const keys = Array.isArray(tokenAddresses) ? tokenAddresses : [tokenAddresses];
+		if (keys.length === 0) return null;
+
+		keys.forEach((address) => this.subscribedTokens.add(address));
+		const report = this.sendChunked("subscribeTokenTrade", keys, batchSize || undefined);
+		logger.pumpWs("Subscribed to token trades", {
+			tokens: keys.length === 1 ? keys : keys.length,
+			chunks: report.chunks.length,
+			failed: report.failed,
+			connection: this.id,
+		});
+		return report;
+	}
+
+	// Keys of failed chunks stay in subscribedTokens, so the next cleanup tries again
+	unsubscribeTokenTrades(tokenAddresses, batchSize = null) {
+		const keys = Array.isArray(tokenAddresses) ? tokenAddresses : [tokenAddresses];
+		if (keys.length === 0) return null;
+
+		const report = this.sendChunked("unsubscribeTokenTrade", keys, batchSize || undefined);
+		for (const chunk of report.chunks) {
+			if (chunk.status !== "failed") chunk.keys.forEach((address) => this.subscribedTokens.delete(address));
+		}
+		logger.pumpWs("Unsubscribed from token trades", {
+			tokens: keys.length === 1 ? keys : keys.length,
+			chunks: report.chunks.length,
+			failed: report.failed,
+			connection: this.id,
+		});
+		return report;
+	}
+
+	// Keys moved to another connection (shard failover): no longer wanted here, and their ledger entries go with them
+	forget(kind, keys) {
+		const wanted = kind === "token" ? this.subscribedTokens : this.subscribedAccounts;
+		for (const key of keys) wanted.delete(key);
+		this.ledger.forget(kind, keys);
+	}
+
+	subscribeAccountTrades(accountAddresses, batchSize = null) {
+		const keys = Array.isArray(accountAddresses) ? accountAddresses : [accountAddresses];
+		if (keys.length === 0) return null;
+
+		keys.forEach((address) => this.subscribedAccounts.add(address));
+		const report = this.sendChunked("subscribeAccountTrade", keys, batchSize || undefined);
+		logger.pumpWs("Subscribed to account trades", {
+			accounts: keys.length === 1 ? keys : keys.length,
+			chunks: report.chunks.length,
+			failed: report.failed,
+			connection: this.id,
+		});
+		return report;
+	}
+
+	unsubscribeAccountTrades(accountAddresses, batchSize = null) {
+		const keys = Array.isArray(accountAddresses) ? accountAddresses : [accountAddresses];
+		if (keys.length === 0) return null;
+
+		const report = this.sendChunked("unsubscribeAccountTrade", keys, batchSize || undefined);
+		for (const chunk of report.chunks) {
+			if (chunk.status !== "failed") chunk.keys.forEach((address) => this.subscribedAccounts.delete(address));
+		}
+		logger.pumpWs("Unsubscribed from account trades", {
+			accounts: keys.length === 1 ? keys : keys.length,
+			chunks: report.chunks.length,
+			failed: report.failed,
+			connection: this.id,
+		});
+		return report;
+	}
+
+	resubscribeAll() {
+		// Re-subscribe to new tokens
+		if (this.newTokens) {
+			this.subscribeNewTokens();
+		}
+
+		// Re-subscribe to token and account trades, chunked to fit WS_MAX_MESSAGE_SIZE
+		const reports = [];
+		if (this.subscribedTokens.size > 0) {
+			reports.push(this.subscribeTokenTrades(Array.from(this.subscribedTokens)));
+		}
+		if (this.subscribedAccounts.size > 0) {
+			reports.push(this.subscribeAccountTrades(Array.from(this.subscribedAccounts)));
+		}
+		if (reports.length > 0) {
+			logger.pumpWs("Re-subscribed after reconnect", {
+				connection: this.id,
+				tokens: this.subscribedTokens.size,
+				accounts: this.subscribedAccounts.size,
+				chunks: reports.reduce((n, r) => n + r.chunks.length, 0),
+				failedChunks: reports.reduce((n, r) => n + r.failed, 0),
+			});
+		}
+	}
+
+	handleRawMessage(raw) {
+		this.lastMessageAt = Date.now();
+		this.messagesReceived++;
+		let message;
+		try {
+			message = JSON.parse(raw);
+		} catch (error) {
+			wsMessagesReceived.inc({ type: "invalid" });
+			logger.errorMonitor("Failed to parse WebSocket message", { error: error.message, data: raw, connection: this.id });
+			return;
+		}
+		this.track(message);
+		this.onMessage(message);
+	}
+
+	emit(event, payload) {
+		if (this.onEvent) this.onEvent(event, { connection: this.id, role: this.role, ...payload });
+	}
+
+	// Connection-level bookkeeping before the message goes to the shared pipeline
+	track(message) {
+		if (message.type) return;
+
+		// Subscription confirmations carry no keys: matched in order with what was sent on this connection
+		if (message.message) {
+			const acked = this.ledger.acknowledge({ ok: true, text: message.message });
+			logger.debugPumpWs("Subscription confirmation received", { message: message.message, method: acked?.method, keys: acked?.keys.length, connection: this.id });
+			this.emit("subscriptionConfirmed", { method: acked?.method ?? null, keys: acked?.keys ?? [], text: message.message });
+			return;
+		}
+
+		// Rejected request (e.g. message too large for the server)
+		if (message.errors) {
+			const text = typeof message.errors === "string" ? message.errors : JSON.stringify(message.errors);
+			const rejected = this.ledger.acknowledge({ ok: false, text });
+			logger.warnMonitor("PumpPortal rejected a request", { errors: text, method: rejected?.method, keys: rejected?.keys.length, connection: this.id });
+			return;
+		}
+
+		if (message.txType === "create") {
+			this.lastCreateAt = Date.now();
+		} else if (message.txType === "buy" || message.txType === "sell") {
+			this.ledger.observed("token", message.mint);
+			this.ledger.observed("account", message.traderPublicKey);
+		}
+	}
+}
+
+export default PumpPortalConnection;
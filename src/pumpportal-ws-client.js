@@ -1,286 +1,266 @@
-import WebSocket from "ws";
 import logger from "./logger.js";
 import config from "./config.js";
+import { FeedRecorder, FeedReplayer } from "./feed-capture.js";
+import metrics from "./metrics.js";
+import HashRing from "./hash-ring.js";
+import PumpPortalConnection from "./pumpportal-connection.js";
+import { mergeLedgerStatus } from "./subscription-ledger.js";
+
+// Cliente PumpPortal: un pool de conexiones (src/pumpportal-connection.js) detrás de una sola API de suscripción.
+// Con WS_SHARD_COUNT=1 (por defecto) hay una única conexión "main" que lo lleva todo. Con N > 1 hay una conexión
+// "control" dedicada a subscribeNewToken (y a las cuentas) y N shards "shard-i" para los trades de tokens; cada mint
+// va al shard que le toca por hashing consistente. Si un shard lleva WS_SHARD_FAILOVER_SEC desconectado, sus mints
+// se reparten entre los demás; al volver recibe mints nuevos (los movidos se quedan donde están).
+// Los mensajes de todas las conexiones entran por el mismo handleMessage() y se publican como eventos (on/off/once):
+// cada consumidor (TokenMonitor, plugins...) registra sus handlers y un handler que falla no afecta a los demás.
+
+/**
+ * Eventos del cliente y su payload:
+ * @typedef {object} ClientEvents
+ * @property {object} newToken - mensaje create de PumpPortal (mint, traderPublicKey, name, symbol, marketCapSol...)
+ * @property {object} trade - mensaje buy/sell de PumpPortal (mint, traderPublicKey, txType, tokenAmount, solAmount...)
+ * @property {{ connection: string, role: string, reconnect: boolean }} connected - una conexión abierta
+ * @property {{ connection: string, role: string, code: number, reason: string, intentional: boolean }} disconnected - una conexión que estaba abierta se cerró
+ * @property {{ connection: string, role: string, method: string|null, keys: string[], text: string }} subscriptionConfirmed - confirmación del servidor, emparejada con lo enviado
+ * @property {object} unknownMessage - mensaje que no es create/buy/sell ni confirmación
+ */
+export const CLIENT_EVENTS = ["newToken", "trade", "connected", "disconnected", "subscriptionConfirmed", "unknownMessage"];
+
+// Events a server frame can produce: create/buy/sell by txType (or an explicit type of the same name).
+// Anything else (type: "connected", "disconnected"...) is unknown, so the feed can't fire lifecycle handlers.
+const INBOUND_TYPES = new Map([
+	["create", "newToken"],
+	["buy", "trade"],
+	["sell", "trade"],
+]);
+const INBOUND_EVENTS = new Set(INBOUND_TYPES.values());
+
+const wsMessagesReceived = metrics.counter("pumpportal_ws_messages_received_total", "WebSocket messages received by type", ["type"]);
+const wsHandlerErrors = metrics.counter("pumpportal_ws_handler_errors_total", "Client event handlers that threw", ["event"]);
+const wsShardFailovers = metrics.counter("pumpportal_ws_shard_failovers_total", "Token subscriptions moved off a shard that stayed disconnected", ["shard"]);
+
+function mergeReports(method, reports) {
+	const merged = { method, keys: 0, chunks: [], sent: 0, queued: 0, failed: 0, failedKeys: [] };
+	for (const r of reports) {
+		merged.keys += r.keys;
+		merged.chunks.push(...r.chunks);
+		merged.sent += r.sent;
+		merged.queued += r.queued;
+		merged.failed += r.failed;
+		merged.failedKeys.push(...r.failedKeys);
+	}
+	return merged;
+}
 
 class PumpPortalWSClient {
-	constructor() {
-		this.ws = null;
-		this.isConnected = false;
-		this.reconnectAttempts = 0;
-		this.subscribedTokens = new Set();
-		this.subscribedAccounts = new Set();
-		this.messageHandlers = new Map();
-		this.heartbeatInterval = null;
-		this.pingTimeout = null;
-		this.messageQueue = [];
-		this.rateLimiter = {
-			lastSent: 0,
-			messageCount: 0,
-			windowStart: Date.now(),
-			maxMessagesPerSecond: config.pumpPortal.rateLimit.messagesPerSecond,
-			maxMessageSize: config.pumpPortal.rateLimit.maxMessageSize,
+	constructor(options = config.pumpPortal.shards) {
+		this.shardCount = Math.max(1, options.count);
+		this.failoverMs = options.failoverSec * 1000;
+		const pipeline = {
+			onFrame: (raw, receivedAt) => this.recordFrame(raw, receivedAt),
+			onMessage: (message) => this.handleMessage(message),
+			onEvent: (event, payload) => this.emit(event, payload),
 		};
-	}
-
-	connect() {
-		if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-			logger.pumpWs("Already connected to PumpPortal WebSocket");
-			return;
+		if (this.shardCount === 1) {
+			this.control = new PumpPortalConnection({ id: "main", role: "all", ...pipeline });
+			this.shards = [this.control];
+		} else {
+			this.control = new PumpPortalConnection({ id: "control", role: "control", ...pipeline });
+			this.shards = Array.from({ length: this.shardCount }, (_, i) => new PumpPortalConnection({ id: `shard-${i}`, role: "trades", ...pipeline }));
 		}
+		this.connections = Array.from(new Set([this.control, ...this.shards]));
+		this.shardById = new Map(this.shards.map((shard) => [shard.id, shard]));
+		this.ring = new HashRing(this.shards.map((shard) => shard.id));
+		this.assignments = new Map(); // mint -> shard connection
+		this.downShards = new Set(); // shards failed over, until they reconnect
+		this.failoverInterval = null;
+		// Every token wanted, whatever its shard (re-sent on reconnect by its connection)
+		this.subscribedTokens = new Set();
+		this.listeners = new Map(CLIENT_EVENTS.map((event) => [event, []])); // event -> [{ handler, once }]
+		this.recorder = null;
+		this.replayer = null;
+	}
 
-		try {
-			const wsUrl = config.pumpPortal.apiKey ? `${config.pumpPortal.wsUrl}?api-key=${config.pumpPortal.apiKey}` : config.pumpPortal.wsUrl;
-
-			logger.pumpWs(`Connecting to PumpPortal WebSocket: ${wsUrl}`);
-			this.ws = new WebSocket(wsUrl);
-
-			this.ws.on("open", () => {
-				logger.pumpWs("Successfully connected to PumpPortal WebSocket");
-				this.isConnected = true;
-				this.reconnectAttempts = 0;
-
-				// Start heartbeat mechanism
-				this.startHeartbeat();
-
-				// Re-subscribe to all previous subscriptions
-				this.resubscribeAll();
-
-				// Process any queued messages
-				this.processMessageQueue();
-			});
-
-			this.ws.on("message", (data) => {
-				try {
-					const message = JSON.parse(data.toString());
-					this.handleMessage(message);
-				} catch (error) {
-					logger.errorMonitor("Failed to parse WebSocket message", { error: error.message, data: data.toString() });
-				}
-			});
-
-			this.ws.on("error", (error) => {
-				logger.errorMonitor("WebSocket error occurred", { error: error.message });
-				this.isConnected = false;
-				this.stopHeartbeat();
-			});
-
-			this.ws.on("close", (code, reason) => {
-				logger.pumpWs(`WebSocket connection closed`, { code, reason: reason.toString() });
-				this.isConnected = false;
-				this.stopHeartbeat();
-				this.handleReconnection();
-			});
-
-			this.ws.on("ping", () => {
-				logger.debugPumpWs("Received ping from server");
-				this.resetHeartbeat();
-			});
+	// Accounts always go on the control connection
+	get subscribedAccounts() {
+		return this.control.subscribedAccounts;
+	}
 
-			this.ws.on("pong", () => {
-				logger.debugPumpWs("Received pong from server");
-				this.resetHeartbeat();
-			});
-		} catch (error) {
-			logger.errorMonitor("Failed to create WebSocket connection", { error: error.message });
-			this.handleReconnection();
-		}
+	// Live feed: new tokens flowing, and at least one shard up for token trades
+	get isConnected() {
+		return this.control.isConnected && this.shards.some((shard) => shard.isConnected);
 	}
 
-	disconnect() {
-		if (this.ws) {
-			logger.pumpWs("Disconnecting from PumpPortal WebSocket");
-			this.stopHeartbeat();
-			this.ws.close();
-			this.ws = null;
-			this.isConnected = false;
-		}
+	get queuedMessages() {
+		return this.connections.reduce((n, c) => n + c.messageQueue.length, 0);
 	}
 
-	handleReconnection() {
-		if (this.reconnectAttempts >= config.app.maxReconnectAttempts) {
-			logger.errorMonitor(`Maximum reconnection attempts (${config.app.maxReconnectAttempts}) reached. Stopping reconnection.`);
+	connect() {
+		if (config.pumpPortal.replay.file) {
+			this.connections.forEach((c) => (c.replaying = true));
+			this.startReplay(config.pumpPortal.replay.file);
 			return;
 		}
 
-		this.reconnectAttempts++;
-		const delay = config.app.reconnectDelayMs * 1.5 ** (this.reconnectAttempts - 1); // Exponential backoff
-
-		logger.pumpWs(`Attempting reconnection in ${delay}ms (attempt ${this.reconnectAttempts}/${config.app.maxReconnectAttempts})`);
-
-		setTimeout(() => {
-			this.connect();
-		}, delay);
-	}
-
-	sendMessage(message) {
-		// Check message size
-		const messageStr = JSON.stringify(message);
-		if (messageStr.length > this.rateLimiter.maxMessageSize) {
-			logger.errorMonitor("Message too large", {
-				size: messageStr.length,
-				maxSize: this.rateLimiter.maxMessageSize,
-				method: message.method,
-			});
-			return false;
+		if (config.pumpPortal.record.enabled && !this.recorder) {
+			this.recorder = new FeedRecorder();
+			this.recorder.start();
 		}
 
-		// Rate limiting check
-		if (!this.checkRateLimit()) {
-			logger.debugPumpWs("Rate limit exceeded, queuing message", { method: message.method });
-			this.messageQueue.push(message);
-			return true;
+		if (this.connections.length > 1) {
+			logger.pumpWs(`Opening ${this.connections.length} PumpPortal connections (control + ${this.shardCount} trade shards)`);
+			this.startFailoverChecks();
 		}
+		this.connections.forEach((c) => c.connect());
+	}
 
-		if (!this.isConnected || !this.ws || this.ws.readyState !== WebSocket.OPEN) {
-			logger.debugPumpWs("WebSocket not connected, queuing message", { method: message.method });
-			this.messageQueue.push(message);
-			return true;
+	disconnect() {
+		if (this.replayer) {
+			this.replayer.stop();
+			this.replayer = null;
 		}
-
-		try {
-			this.ws.send(messageStr);
-			this.rateLimiter.messageCount++;
-			this.rateLimiter.lastSent = Date.now();
-			logger.pumpWs("Sent message to PumpPortal", { method: message.method, keys: message.keys });
-			return true;
-		} catch (error) {
-			logger.errorMonitor("Failed to send message", { error: error.message, method: message.method });
-			return false;
+		if (this.recorder) {
+			this.recorder.stop();
+			this.recorder = null;
 		}
+		this.stopFailoverChecks();
+		this.connections.forEach((c) => c.disconnect());
 	}
 
-	checkRateLimit() {
-		const now = Date.now();
-		const windowDuration = 1000; // 1 second
+	// Feed a capture file through the same pipeline as live frames (no network connection)
+	startReplay(filePath) {
+		if (this.replayer) return;
 
-		// Reset window if needed
-		if (now - this.rateLimiter.windowStart >= windowDuration) {
-			this.rateLimiter.messageCount = 0;
-			this.rateLimiter.windowStart = now;
-		}
-
-		return this.rateLimiter.messageCount < this.rateLimiter.maxMessagesPerSecond;
+		this.replayer = new FeedReplayer(filePath);
+		this.replayer
+			.run((raw) => this.handleRawMessage(raw))
+			.catch((error) => {
+				logger.errorMonitor("Replay failed", { error: error.message, filePath });
+			});
 	}
 
-	processMessageQueue() {
-		if (this.messageQueue.length === 0) return;
-
-		logger.pumpWs(`Processing ${this.messageQueue.length} queued messages`);
-
-		// Process messages in batches to respect rate limits
-		const batchSize = Math.min(config.pumpPortal.batch.size, this.messageQueue.length);
-		const batch = this.messageQueue.splice(0, batchSize);
-
-		for (const message of batch) {
-			if (this.checkRateLimit()) {
-				this.sendMessage(message);
-			} else {
-				// Put remaining messages back in queue
-				this.messageQueue.unshift(...batch.slice(batch.indexOf(message)));
-				break;
-			}
-		}
-
-		// Schedule next batch if there are more messages
-		if (this.messageQueue.length > 0) {
-			setTimeout(() => this.processMessageQueue(), config.pumpPortal.batch.delayMs);
+	recordFrame(raw, receivedAt) {
+		if (this.recorder) {
+			this.recorder.record(raw, receivedAt);
 		}
 	}
 
-	startHeartbeat() {
-		this.stopHeartbeat(); // Clear any existing heartbeat
+	startFailoverChecks() {
+		this.stopFailoverChecks();
+		this.failoverInterval = setInterval(() => this.checkShards(), Math.max(1000, Math.min(5000, Math.floor(this.failoverMs / 2))));
+	}
 
-		this.heartbeatInterval = setInterval(() => {
-			if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-				this.ws.ping();
-				logger.debugPumpWs("Sent ping to server");
-			}
-		}, config.pumpPortal.heartbeat.intervalMs);
+	stopFailoverChecks() {
+		if (this.failoverInterval) {
+			clearInterval(this.failoverInterval);
+			this.failoverInterval = null;
+		}
+	}
 
-		this.resetHeartbeat();
+	isShardUp(shard) {
+		return !this.downShards.has(shard);
 	}
 
-	stopHeartbeat() {
-		if (this.heartbeatInterval) {
-			clearInterval(this.heartbeatInterval);
-			this.heartbeatInterval = null;
+	// Shards down for longer than WS_SHARD_FAILOVER_SEC hand their mints to the shards that are up
+	checkShards(now = Date.now()) {
+		for (const shard of this.shards) {
+			if (this.downShards.has(shard)) {
+				if (shard.isConnected) {
+					this.downShards.delete(shard);
+					logger.pumpWs(`Shard ${shard.id} is back, new tokens will be assigned to it again`);
+				}
+			} else if (shard.downForMs(now) > this.failoverMs) {
+				this.downShards.add(shard);
+			}
 		}
-		if (this.pingTimeout) {
-			clearTimeout(this.pingTimeout);
-			this.pingTimeout = null;
+		if (this.downShards.size === this.shards.length) return; // nowhere to move them
+
+		for (const shard of this.downShards) {
+			if (shard.subscribedTokens.size === 0) continue;
+			const mints = Array.from(shard.subscribedTokens);
+			logger.warnMonitor(`Shard ${shard.id} down for ${Math.round(shard.downForMs(now) / 1000)}s, moving ${mints.length} token subscriptions`);
+			wsShardFailovers.inc({ shard: shard.id }, mints.length);
+			shard.forget("token", mints);
+			mints.forEach((mint) => this.assignments.delete(mint));
+			this.subscribeTokenTrades(mints);
 		}
 	}
 
-	resetHeartbeat() {
-		if (this.pingTimeout) {
-			clearTimeout(this.pingTimeout);
-		}
+	shardFor(mint) {
+		const assigned = this.assignments.get(mint);
+		if (assigned) return assigned;
+		if (this.shards.length === 1) return this.shards[0];
+		return this.shardById.get(this.ring.lookup(mint, (id) => this.isShardUp(this.shardById.get(id))));
+	}
 
-		// Set timeout for pong response
-		this.pingTimeout = setTimeout(() => {
-			logger.errorMonitor("WebSocket heartbeat timeout - no pong received");
-			if (this.ws) {
-				this.ws.terminate();
-			}
-		}, config.pumpPortal.heartbeat.timeoutMs);
+	groupByShard(mints) {
+		const groups = new Map();
+		for (const mint of mints) {
+			const shard = this.shardFor(mint);
+			if (!groups.has(shard)) groups.set(shard, []);
+			groups.get(shard).push(mint);
+		}
+		return groups;
 	}
 
 	subscribeNewTokens() {
-		const message = { method: "subscribeNewToken" };
-		if (this.sendMessage(message)) {
-			logger.pumpWs("Subscribed to new token events");
-		}
+		this.control.subscribeNewTokens();
 	}
 
 	unsubscribeNewTokens() {
-		const message = { method: "unsubscribeNewToken" };
-		if (this.sendMessage(message)) {
-			logger.pumpWs("Unsubscribed from new token events");
-		}
+		this.control.unsubscribeNewTokens();
 	}
 
-	subscribeTokenTrades(tokenAddresses) {
-		const message = {
-			method: "subscribeTokenTrade",
-			keys: Array.isArray(tokenAddresses) ? tokenAddresses : [tokenAddresses],
-		};
+	subscribeTokenTrades(tokenAddresses, batchSize = null) {
+		const keys = Array.isArray(tokenAddresses) ? tokenAddresses : [tokenAddresses];
+		if (keys.length === 0) return null;
 
-		if (this.sendMessage(message)) {
-			message.keys.forEach((address) => this.subscribedTokens.add(address));
-			logger.pumpWs("Subscribed to token trades", { tokens: message.keys });
+		const reports = [];
+		for (const [shard, mints] of this.groupByShard(keys)) {
+			mints.forEach((mint) => {
+				this.assignments.set(mint, shard);
+				this.subscribedTokens.add(mint);
+			});
+			reports.push(shard.subscribeTokenTrades(mints, batchSize));
 		}
+		return mergeReports("subscribeTokenTrade", reports);
 	}
 
-	unsubscribeTokenTrades(tokenAddresses) {
-		const message = {
-			method: "unsubscribeTokenTrade",
-			keys: Array.isArray(tokenAddresses) ? tokenAddresses : [tokenAddresses],
-		};
+	// Keys of failed chunks stay in subscribedTokens, so the next cleanup tries again
+	unsubscribeTokenTrades(tokenAddresses, batchSize = null) {
+		const keys = Array.isArray(tokenAddresses) ? tokenAddresses : [tokenAddresses];
+		if (keys.length === 0) return null;
 
-		if (this.sendMessage(message)) {
-			message.keys.forEach((address) => this.subscribedTokens.delete(address));
-			logger.pumpWs("Unsubscribed from token trades", { tokens: message.keys });
+		const reports = [];
+		for (const mint of keys) {
+			if (!this.assignments.has(mint)) this.subscribedTokens.delete(mint);
+		}
+		const assigned = keys.filter((mint) => this.assignments.has(mint));
+		for (const [shard, mints] of this.groupByShard(assigned)) {
+			reports.push(shard.unsubscribeTokenTrades(mints, batchSize));
+			for (const mint of mints) {
+				if (shard.subscribedTokens.has(mint)) continue;
+				this.assignments.delete(mint);
+				this.subscribedTokens.delete(mint);
+			}
 		}
+		return mergeReports("unsubscribeTokenTrade", reports);
 	}
 
-	// Batch unsubscription for multiple tokens
-	unsubscribeTokenTradesBatch(tokenAddresses, batchSize = null) {
+	// Batch subscription for multiple tokens (e.g. restoring a state snapshot)
+	subscribeTokenTradesBatch(tokenAddresses, batchSize = null) {
 		if (!Array.isArray(tokenAddresses) || tokenAddresses.length === 0) {
-			return;
+			return null;
 		}
+		return this.subscribeTokenTrades(tokenAddresses, batchSize);
+	}
 
-		const actualBatchSize = batchSize || config.pumpPortal.batch.size;
-		logger.pumpWs(`Starting batch unsubscription of ${tokenAddresses.length} tokens`, { batchSize: actualBatchSize });
-
-		// Process in batches
-		for (let i = 0; i < tokenAddresses.length; i += actualBatchSize) {
-			const batch = tokenAddresses.slice(i, i + actualBatchSize);
-
-			// Add delay between batches to respect rate limits
-			setTimeout(() => {
-				this.unsubscribeTokenTrades(batch);
-			}, i * config.pumpPortal.batch.delayMs);
+	// Batch unsubscription for multiple tokens
+	unsubscribeTokenTradesBatch(tokenAddresses, batchSize = null) {
+		if (!Array.isArray(tokenAddresses) || tokenAddresses.length === 0) {
+			return null;
 		}
+		return this.unsubscribeTokenTrades(tokenAddresses, batchSize);
 	}
 
 	// Get tokens that should be unsubscribed (not in active tracking)
@@ -289,97 +269,161 @@ class PumpPortalWSClient {
 		return Array.from(this.subscribedTokens).filter((token) => !activeSet.has(token));
 	}
 
-	subscribeAccountTrades(accountAddresses) {
-		const message = {
-			method: "subscribeAccountTrade",
-			keys: Array.isArray(accountAddresses) ? accountAddresses : [accountAddresses],
-		};
+	subscribeAccountTrades(accountAddresses, batchSize = null) {
+		return this.control.subscribeAccountTrades(accountAddresses, batchSize);
+	}
 
-		if (this.sendMessage(message)) {
-			message.keys.forEach((address) => this.subscribedAccounts.add(address));
-			logger.pumpWs("Subscribed to account trades", { accounts: message.keys });
-		}
+	unsubscribeAccountTrades(accountAddresses, batchSize = null) {
+		return this.control.unsubscribeAccountTrades(accountAddresses, batchSize);
 	}
 
-	unsubscribeAccountTrades(accountAddresses) {
-		const message = {
-			method: "unsubscribeAccountTrade",
-			keys: Array.isArray(accountAddresses) ? accountAddresses : [accountAddresses],
-		};
+	// Ledger state of a key on the connection that carries it
+	subscriptionState(kind, key) {
+		const connection = kind === "token" ? this.assignments.get(key) : this.control;
+		return connection ? connection.ledger.stateOf(kind, key) : null;
+	}
 
-		if (this.sendMessage(message)) {
-			message.keys.forEach((address) => this.subscribedAccounts.delete(address));
-			logger.pumpWs("Unsubscribed from account trades", { accounts: message.keys });
-		}
+	/**
+	 * Ledger de suscripciones de todas las conexiones sumado (misma forma que SubscriptionLedger#getStatus).
+	 */
+	getLedgerStatus() {
+		return mergeLedgerStatus(this.connections.map((c) => c.ledger.getStatus()));
 	}
 
-	resubscribeAll() {
-		// Re-subscribe to new tokens
-		this.subscribeNewTokens();
+	isFeedStale() {
+		return this.control.isFeedStale();
+	}
 
-		// Re-subscribe to token trades
-		if (this.subscribedTokens.size > 0) {
-			this.subscribeTokenTrades(Array.from(this.subscribedTokens));
+	/**
+	 * Estado para /health: el de la conexión de control (nuevos tokens) con `connected` del pool y, con shards,
+	 * el de cada conexión en `connections`.
+	 */
+	getConnectionStatus() {
+		const status = { ...this.control.getConnectionStatus(), connected: this.isConnected };
+		if (this.connections.length > 1) {
+			status.connections = this.connections.map((c) => ({ ...c.getConnectionStatus(), failedOver: this.downShards.has(c) }));
 		}
+		return status;
+	}
 
-		// Re-subscribe to account trades
-		if (this.subscribedAccounts.size > 0) {
-			this.subscribeAccountTrades(Array.from(this.subscribedAccounts));
-		}
+	/**
+	 * Estadísticas por conexión para /status (subscriptions.shards).
+	 */
+	getShardStats() {
+		return this.connections.map((c) => ({ ...c.getStats(), failedOver: this.downShards.has(c) }));
+	}
+
+	/**
+	 * Registra un handler para un evento de CLIENT_EVENTS (lanza TypeError si no existe).
+	 * Se pueden registrar varios por evento; se llaman en orden de registro. Devuelve una función que lo quita.
+	 */
+	on(event, handler, { once = false } = {}) {
+		const list = this.listeners.get(event);
+		if (!list) throw new TypeError(`Unknown PumpPortal client event "${event}" (expected one of: ${CLIENT_EVENTS.join(", ")})`);
+		if (typeof handler !== "function") throw new TypeError(`Handler for "${event}" must be a function`);
+		list.push({ handler, once });
+		return () => this.off(event, handler);
 	}
 
+	once(event, handler) {
+		return this.on(event, handler, { once: true });
+	}
+
+	// Removes one registration of the handler (the first one, if it was added twice)
+	off(event, handler) {
+		const list = this.listeners.get(event);
+		if (!list) return false;
+		const index = list.findIndex((l) => l.handler === handler);
+		if (index === -1) return false;
+		list.splice(index, 1);
+		return true;
+	}
+
+	// Kept for existing callers: same as on(), it no longer replaces the previous handler
 	onMessage(type, handler) {
-		this.messageHandlers.set(type, handler);
+		return this.on(type, handler);
 	}
 
-	handleMessage(message) {
-		// Handle different message types and formats
-		let messageType = message.type;
+	listenerCount(event) {
+		return this.listeners.get(event)?.length ?? 0;
+	}
 
-		// Handle messages without type field
-		if (!messageType) {
-			// Handle subscription confirmations
-			if (message.message) {
-				messageType = "subscription_confirmation";
-				logger.debugPumpWs("Subscription confirmation received", { message: message.message });
-				return; // Don't process subscription confirmations further
+	// Each handler is isolated: a throw (or rejected promise) is logged and counted, the rest still run
+	emit(event, payload) {
+		const list = this.listeners.get(event);
+		if (!list || list.length === 0) return 0;
+		const current = list.slice();
+		for (const l of current) {
+			if (l.once) this.off(event, l.handler);
+		}
+		for (const { handler } of current) {
+			try {
+				const result = handler(payload);
+				if (result && typeof result.then === "function") {
+					result.then(null, (error) => this.handlerFailed(event, handler, error));
+				}
+			} catch (error) {
+				this.handlerFailed(event, handler, error);
 			}
+		}
+		return current.length;
+	}
+
+	handlerFailed(event, handler, error) {
+		wsHandlerErrors.inc({ event });
+		logger.errorMonitor("Error in message handler", { error: error?.message ?? String(error), type: event, handler: handler.name || "anonymous" });
+	}
+
+	handleRawMessage(raw) {
+		try {
+			const message = JSON.parse(raw);
+			this.handleMessage(message);
+		} catch (error) {
+			wsMessagesReceived.inc({ type: "invalid" });
+			logger.errorMonitor("Failed to parse WebSocket message", { error: error.message, data: raw });
+		}
+	}
+
+	handleMessage(message) {
+		// Subscription confirmations and rejections: the connection that got them already updated its ledger
+		if (message.message) {
+			wsMessagesReceived.inc({ type: "subscription_confirmation" });
+			return; // Don't process subscription confirmations further
+		}
+		if (message.errors) {
+			wsMessagesReceived.inc({ type: "subscription_error" });
+			return;
+		}
 
-			// Handle direct token/trade messages (PumpPortal format)
-			if (message.txType === "create") {
-				messageType = "newToken";
-			} else if (message.txType === "buy" || message.txType === "sell") {
-				messageType = "trade";
+		// Handle direct token/trade messages (PumpPortal format)
+		const messageType = INBOUND_TYPES.get(message.txType) ?? (INBOUND_EVENTS.has(message.type) ? message.type : null);
+		if (!messageType) {
+			wsMessagesReceived.inc({ type: "unknown" });
+			this.emit("unknownMessage", message);
+			if (message.signature) {
+				// This might be a trade or token creation without explicit txType
+				logger.debugPumpWs("Received message with signature but no txType", {
+					messageKeys: Object.keys(message),
+					signature: message.signature,
+				});
 			} else {
-				if (message.signature) {
-					// This might be a trade or token creation without explicit txType
-					logger.debugPumpWs("Received message with signature but no txType", {
-						messageKeys: Object.keys(message),
-						signature: message.signature,
-					});
-				} else {
-					logger.debugPumpWs("Received unhandled message", {
-						messageKeys: Object.keys(message),
-					});
-				}
-				return;
+				logger.debugPumpWs("Received unhandled message", {
+					messageKeys: Object.keys(message),
+					type: message.type,
+				});
 			}
+			return;
 		}
 
+		wsMessagesReceived.inc({ type: messageType });
+
 		// Reduce noisy trade processing logs if configured
 		if (!(messageType === "trade" && config.logging.trade && config.logging.trade.suppressPumpWsTradeProcessingLog)) {
 			logger.debugPumpWs("Processing message", { type: messageType, hasData: !!message });
 		}
 
-		const handler = this.messageHandlers.get(messageType);
-		if (handler) {
-			try {
-				handler(message);
-			} catch (error) {
-				logger.errorMonitor("Error in message handler", { error: error.message, type: messageType });
-			}
-		} else {
-			logger.debugPumpWs("No handler registered for message type", { type: messageType, availableHandlers: Array.from(this.messageHandlers.keys()) });
+		if (this.emit(messageType, message) === 0) {
+			logger.debugPumpWs("No handler registered for message type", { type: messageType });
 		}
 	}
 }
@@ -0,0 +1,93 @@
+import fs from "fs";
+import path from "path";
+import logger from "./logger.js";
+
+// Snapshots del estado en memoria a disco (JSON) para sobrevivir reinicios.
+// Map/Set/Date se codifican como { __type, ... } y se reconstruyen al cargar.
+// La escritura es atómica (tmp + rename): un crash a mitad nunca deja un snapshot truncado.
+
+export const STATE_VERSION = 1;
+
+function replacer(key, value) {
+	// `this[key]` is the raw value: Date#toJSON already ran on `value`
+	const raw = this[key];
+	if (raw instanceof Date) return { __type: "Date", iso: Number.isNaN(raw.getTime()) ? null : raw.toISOString() };
+	if (value instanceof Map) return { __type: "Map", entries: Array.from(value.entries()) };
+	if (value instanceof Set) return { __type: "Set", values: Array.from(value.values()) };
+	return value;
+}
+
+function reviver(_key, value) {
+	if (value && typeof value === "object" && typeof value.__type === "string") {
+		if (value.__type === "Date") return value.iso ? new Date(value.iso) : null;
+		if (value.__type === "Map" && Array.isArray(value.entries)) return new Map(value.entries);
+		if (value.__type === "Set" && Array.isArray(value.values)) return new Set(value.values);
+	}
+	return value;
+}
+
+export function serializeState(state) {
+	return JSON.stringify(state, replacer);
+}
+
+export function deserializeState(text) {
+	return JSON.parse(text, reviver);
+}
+
+class StateStore {
+	constructor({ file, intervalMs = 30000 } = {}) {
+		this.file = file;
+		this.intervalMs = intervalMs;
+		this.timer = null;
+		this.getSnapshot = null;
+		this.lastSavedAt = null;
+	}
+
+	/**
+	 * Lee el último snapshot. Devuelve null si no existe, es ilegible o de otra versión.
+	 */
+	load() {
+		try {
+			if (!fs.existsSync(this.file)) return null;
+			const snapshot = deserializeState(fs.readFileSync(this.file, "utf8"));
+			if (!snapshot || snapshot.v !== STATE_VERSION) {
+				logger.warnMonitor("[STATE] Ignoring state snapshot with unknown version", { file: this.file, v: snapshot?.v });
+				return null;
+			}
+			return snapshot;
+		} catch (e) {
+			logger.errorMonitor("[STATE] Failed to load state snapshot", { error: e.message, file: this.file });
+			return null;
+		}
+	}
+
+	save(state) {
+		const tmp = `${this.file}.tmp`;
+		try {
+			fs.mkdirSync(path.dirname(this.file), { recursive: true });
+			fs.writeFileSync(tmp, serializeState({ v: STATE_VERSION, savedAt: new Date(), ...state }));
+			fs.renameSync(tmp, this.file);
+			this.lastSavedAt = new Date();
+			return true;
+		} catch (e) {
+			logger.errorMonitor("[STATE] Failed to save state snapshot", { error: e.message, file: this.file });
+			return false;
+		}
+	}
+
+	// Periodic snapshots; getSnapshot() must return a plain object (Maps/Sets/Dates allowed)
+	start(getSnapshot) {
+		if (this.timer) return;
+		this.getSnapshot = getSnapshot;
+		this.timer = setInterval(() => this.save(this.getSnapshot()), this.intervalMs);
+		logger.tokenMonitor(`[STATE] Snapshots every ${Math.round(this.intervalMs / 1000)}s to ${this.file}`);
+	}
+
+	stop() {
+		if (!this.timer) return;
+		clearInterval(this.timer);
+		this.timer = null;
+	}
+}
+
+export default StateStore;
@@ -0,0 +1,134 @@
+import fs from "fs";
+import config, { buildStrategies, validateStrategies } from "./config.js";
+import logger from "./logger.js";
+import metrics from "./metrics.js";
+
+// Recarga en caliente de strategies.json: vigila el fichero (y atiende POST /strategies/reload),
+// valida el contenido nuevo, lo compara con las estrategias activas y aplica el cambio a los siguientes triggers.
+// Sesiones abiertas: estrategia eliminada => se cierran con reason "strategy_removed";
+// estrategia modificada => siguen (onReload "continue", por defecto) o se cierran con "strategy_changed" (onReload "stop").
+
+const reloads = metrics.counter("pumpportal_strategy_reloads_total", "strategies.json reloads by result", ["result"]);
+
+// Leaf paths that differ between two normalized strategies ("trackingFilters.minBuys", ...)
+function diffPaths(a, b, prefix = "") {
+	if (a && b && typeof a === "object" && typeof b === "object" && !Array.isArray(a) && !Array.isArray(b)) {
+		const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+		return Array.from(keys).flatMap((k) => diffPaths(a[k], b[k], prefix ? `${prefix}.${k}` : k));
+	}
+	return JSON.stringify(a) === JSON.stringify(b) ? [] : [prefix || "(root)"];
+}
+
+class StrategyReloader {
+	constructor(tokenMonitor, options = config.strategyReload) {
+		this.tokenMonitor = tokenMonitor;
+		this.options = options;
+		this.watching = false;
+		this.lastReport = null;
+		this.onFileChange = this.onFileChange.bind(this);
+	}
+
+	start() {
+		// STRATEGIES_JSON wins over the file and can't change at runtime
+		if (this.watching || !this.options.watch || this.options.source === "env") return;
+		fs.watchFile(this.options.file, { interval: this.options.intervalMs }, this.onFileChange);
+		this.watching = true;
+		logger.tokenMonitor("[STRATEGIES] Watching strategies file for changes", { file: this.options.file });
+	}
+
+	stop() {
+		if (!this.watching) return;
+		fs.unwatchFile(this.options.file, this.onFileChange);
+		this.watching = false;
+	}
+
+	onFileChange(curr, prev) {
+		if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+		this.reload("watch");
+	}
+
+	/**
+	 * Relee el fichero y aplica los cambios. Devuelve el informe:
+	 * { ok, trigger, file, at, errors, warnings, added, removed, changed, unchanged }.
+	 * Si el fichero no es válido no se toca nada (ok: false y errors).
+	 */
+	reload(trigger = "manual") {
+		const report = { ok: false, trigger, file: this.options.file, at: new Date().toISOString(), errors: [], warnings: [], added: [], removed: [], changed: [], unchanged: [] };
+		this.lastReport = report;
+
+		if (this.options.source === "env") {
+			report.errors.push("strategies come from STRATEGIES_JSON; restart to change them");
+			return this._reject(report);
+		}
+
+		let raw;
+		try {
+			raw = JSON.parse(fs.readFileSync(this.options.file, "utf8"));
+		} catch (e) {
+			report.errors.push(e.code === "ENOENT" ? "file not found" : `invalid JSON: ${e.message}`);
+			return this._reject(report);
+		}
+		Object.assign(report, validateStrategies(raw));
+		if (report.errors.length > 0) return this._reject(report);
+		if (report.warnings.length > 0) logger.warnMonitor("[STRATEGIES] Strategies file has warnings", { file: report.file, warnings: report.warnings });
+
+		const next = buildStrategies(raw);
+		const current = new Map((config.strategies || []).map((s) => [s.id, s]));
+		const nextIds = new Set(next.map((s) => s.id));
+
+		for (const s of next) {
+			const prev = current.get(s.id);
+			if (!prev) {
+				report.added.push(s.id);
+				continue;
+			}
+			const fields = diffPaths(prev, s);
+			if (fields.length === 0) report.unchanged.push(s.id);
+			else report.changed.push({ id: s.id, fields, action: s.onReload === "stop" ? "stop" : "continue", sessions: 0 });
+		}
+
+		// Swap first: sessions stopped below already see the new set (and new triggers use it)
+		config.strategies = next;
+		this.options.source = "file";
+
+		for (const id of current.keys()) {
+			if (nextIds.has(id)) continue;
+			report.removed.push({ id, sessionsStopped: this.tokenMonitor.stopStrategySessions(id, "strategy_removed") });
+		}
+		for (const change of report.changed) {
+			change.sessions = change.action === "stop" ? this.tokenMonitor.stopStrategySessions(change.id, "strategy_changed") : this.tokenMonitor.countStrategySessions(change.id);
+		}
+
+		report.ok = true;
+		const noop = report.added.length === 0 && report.removed.length === 0 && report.changed.length === 0;
+		reloads.inc({ result: noop ? "unchanged" : "applied" });
+		if (noop) {
+			logger.tokenMonitor("[STRATEGIES] Strategies file reloaded; no changes", { trigger, strategies: report.unchanged });
+		} else {
+			logger.tokenMonitor(`[STRATEGIES] Strategies reloaded: ${report.added.length} added, ${report.removed.length} removed, ${report.changed.length} changed`, {
+				trigger,
+				added: report.added,
+				removed: report.removed.map((r) => `${r.id} (${r.sessionsStopped} sessions stopped)`),
+				changed: report.changed.map((c) => `${c.id} [${c.fields.join(", ")}] -> ${c.sessions} sessions ${c.action === "stop" ? "stopped" : "continue"}`),
+				unchanged: report.unchanged,
+			});
+		}
+		return report;
+	}
+
+	_reject(report) {
+		reloads.inc({ result: "rejected" });
+		logger.errorMonitor(`[STRATEGIES] Strategies reload rejected; keeping ${(config.strategies || []).length} active strategies`, {
+			trigger: report.trigger,
+			file: report.file,
+			errors: report.errors,
+		});
+		return report;
+	}
+
+	getStatus() {
+		return { file: this.options.file, source: this.options.source, watching: this.watching, lastReload: this.lastReport };
+	}
+}
+
+export default StrategyReloader;
@@ -0,0 +1,137 @@
+import fs from "fs";
+
+// Herencia de estrategias en strategies.json, compartida por config.js y los scripts de análisis/backtest.
+// El fichero puede ser un array de estrategias o { "templates": { nombre: {...} }, "strategies": [...] }.
+// `extends` (string o array, se aplican en orden) apunta a un template o al id de otra estrategia:
+// el hijo se mezcla en profundidad sobre el padre (objetos se combinan; números, strings, arrays y null se sustituyen).
+// No se heredan id, name, description ni tracking.logDir (cada estrategia escribe en su propia carpeta).
+
+const NOT_INHERITED = ["id", "name", "description", "extends"];
+
+function isPlainObject(v) {
+	return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+/**
+ * Deep merge: `override` sobre `base`, sin mutar ninguno de los dos.
+ */
+export function deepMerge(base, override) {
+	if (!isPlainObject(base) || !isPlainObject(override)) return override === undefined ? base : override;
+	const out = { ...base };
+	for (const [key, value] of Object.entries(override)) {
+		out[key] = isPlainObject(value) && isPlainObject(base[key]) ? deepMerge(base[key], value) : value;
+	}
+	return out;
+}
+
+function inheritable(def) {
+	const out = { ...def };
+	for (const key of NOT_INHERITED) delete out[key];
+	if (isPlainObject(out.tracking)) {
+		const { logDir: _logDir, ...tracking } = out.tracking;
+		out.tracking = tracking;
+	}
+	return out;
+}
+
+/**
+ * ¿Tiene forma de strategies.json? (array, o objeto con "strategies")
+ */
+export function isStrategiesDocument(raw) {
+	return Array.isArray(raw) || (isPlainObject(raw) && Array.isArray(raw.strategies));
+}
+
+/**
+ * Resuelve `extends`/templates. Devuelve { strategies, errors } donde strategies son las definiciones
+ * ya mezcladas (sin `extends`, con `inherits`: la cadena de padres) y errors [{ path, message }]
+ * (padre desconocido, ciclo, nombre ambiguo). Las estrategias con errores no se incluyen.
+ */
+export function resolveStrategies(raw, rootPath = "strategies") {
+	const errors = [];
+	if (!isStrategiesDocument(raw))
+		return { strategies: [], errors: [{ path: rootPath, message: 'expected an array of strategies or { "templates": {...}, "strategies": [...] }' }] };
+
+	const list = Array.isArray(raw) ? raw : raw.strategies;
+	const listPath = Array.isArray(raw) ? rootPath : `${rootPath}.strategies`;
+	const templates = !Array.isArray(raw) && isPlainObject(raw.templates) ? raw.templates : {};
+
+	// One namespace for templates and strategy ids
+	const defs = new Map(); // name -> { def, path }
+	for (const [name, def] of Object.entries(templates)) {
+		if (isPlainObject(def)) defs.set(name, { def, path: `${rootPath}.templates.${name}` });
+	}
+	list.forEach((def, idx) => {
+		if (!isPlainObject(def) || typeof def.id !== "string") return;
+		const path = `${listPath}[${idx}]`;
+		if (defs.has(def.id)) {
+			const other = defs.get(def.id);
+			// Duplicate strategy ids are reported by the schema check; a template/strategy clash is ambiguous here
+			if (other.path.includes(".templates.")) errors.push({ path: `${path}.id`, message: `'${def.id}' is also a template name (${other.path})` });
+			return;
+		}
+		defs.set(def.id, { def, path });
+	});
+
+	const resolved = new Map(); // name -> { value, chain } | null (failed)
+	const resolve = (name, stack) => {
+		if (resolved.has(name)) return resolved.get(name);
+		const { def, path } = defs.get(name);
+		if (stack.includes(name)) {
+			errors.push({ path: `${path}.extends`, message: `inheritance cycle: ${[...stack.slice(stack.indexOf(name)), name].join(" -> ")}` });
+			return null;
+		}
+		const parents = def.extends === undefined ? [] : Array.isArray(def.extends) ? def.extends : [def.extends];
+		let value = {};
+		const chain = [];
+		for (const parent of parents) {
+			if (!defs.has(parent)) {
+				errors.push({ path: `${path}.extends`, message: `unknown template or strategy '${parent}'` });
+				resolved.set(name, null);
+				return null;
+			}
+			const base = resolve(parent, [...stack, name]);
+			if (!base) {
+				resolved.set(name, null);
+				return null;
+			}
+			value = deepMerge(value, inheritable(base.value));
+			for (const ancestor of [parent, ...base.chain]) {
+				if (!chain.includes(ancestor)) chain.push(ancestor);
+			}
+		}
+		const result = { value: deepMerge(value, def), chain };
+		delete result.value.extends;
+		resolved.set(name, result);
+		return result;
+	};
+
+	const strategies = [];
+	list.forEach((def, idx) => {
+		if (!isPlainObject(def)) {
+			strategies.push(def); // left for the schema check to report
+			return;
+		}
+		if (typeof def.id !== "string" || defs.get(def.id)?.def !== def) {
+			// No id (or a clashing one): resolve it anonymously under its own path
+			const key = `#${idx}`;
+			defs.set(key, { def, path: `${listPath}[${idx}]` });
+			const r = resolve(key, []);
+			defs.delete(key);
+			if (r) strategies.push(r.chain.length > 0 ? { ...r.value, inherits: r.chain } : r.value);
+			return;
+		}
+		const r = resolve(def.id, []);
+		if (r) strategies.push(r.chain.length > 0 ? { ...r.value, inherits: r.chain } : r.value);
+	});
+	return { strategies, errors };
+}
+
+/**
+ * Lee y resuelve un strategies.json para los scripts. Lanza si el fichero no es válido o hay errores de herencia.
+ */
+export function readStrategiesFile(file) {
+	if (!fs.existsSync(file)) return [];
+	const { strategies, errors } = resolveStrategies(JSON.parse(fs.readFileSync(file, "utf8")), file);
+	if (errors.length > 0) throw new Error(errors.map((e) => `${e.path}: ${e.message}`).join("; "));
+	return strategies;
+}
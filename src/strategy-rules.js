@@ -0,0 +1,186 @@
+import { compileExpression } from "./expression.js";
+
+// Reglas de entrada de estrategia compartidas por el monitor en vivo y los scripts de análisis/backtest.
+// Un único conjunto de features (lo que se conoce en el momento del trigger) y una única función
+// passesFilters(), así una regla evaluada offline sobre los summaries decide lo mismo que en vivo.
+
+// Feature -> descripción. Son también los únicos identificadores válidos en trackingFilters.expression.
+export const RULE_FEATURES = {
+	preBuys: "buys before the trigger",
+	preSells: "sells before the trigger",
+	preTotalTrades: "trades before the trigger",
+	preUniqueTraders: "unique traders before the trigger",
+	buyRatio: "buys / (buys + sells)",
+	netBuys: "buys - sells",
+	uniquePerTrade: "unique traders / trades",
+	buysPerUnique: "buys / unique traders",
+	tradesPerUnique: "trades / unique traders",
+	imbalancePerTrade: "(buys - sells) / trades",
+	mcUsd: "market cap (USD) at the trigger",
+	mcSol: "market cap (SOL) at the trigger",
+	mcPerUnique: "market cap (USD) / unique traders",
+	ageAtTriggerSec: "token age at the trigger (s)",
+	mcVolatilityRatio: "max / min market cap seen before the trigger",
+	// Creator reputation (src/creator-store.js); NaN when CREATORS_ENABLED=false or there is no history to average
+	creatorPrevLaunches: "tokens the creator launched before this one",
+	creatorLaunches24h: "tokens the creator launched in the last 24h (this one included)",
+	creatorLaunchesPerDay: "creator launches per day since first seen",
+	creatorFullExits: "previous tokens the creator fully sold",
+	creatorFastExits: "previous full exits within CREATORS_FAST_EXIT_SEC of the launch",
+	creatorMinExitSec: "fastest previous full exit (s from launch)",
+	creatorAvgExitSec: "average previous full exit (s from launch)",
+	creatorAvgFirstSellSec: "average first sell on previous tokens (s from launch)",
+	creatorAvgExitMcUsd: "average market cap (USD) at the creator's previous full exits",
+	creatorGoodSessions: "tracking sessions on the creator's tokens that ended good",
+	creatorBadSessions: "tracking sessions on the creator's tokens that ended bad",
+	creatorBadRatio: "bad / (good + bad + neutral) sessions on the creator's tokens",
+	creatorSerialRugger: "1 if creatorFastExits >= CREATORS_RUGGER_MIN_EXITS, else 0",
+	// Early buyers before the trigger (creator excluded); NaN for tokens restored from an older state snapshot
+	sniperBuys: "buys in the first SNIPERS_WINDOW_SEC after the create",
+	sniperSupplyPct: "% of the supply bought by the first SNIPERS_FIRST_BUYERS wallets",
+	sniperSold: "how many of the first SNIPERS_FIRST_BUYERS wallets have sold",
+	topHolderPct: "largest holder's % of the supply, from net buy/sell flows",
+};
+
+const CREATOR_FEATURE_NAMES = Object.keys(RULE_FEATURES).filter((name) => name.startsWith("creator"));
+const SNIPER_FEATURE_NAMES = ["sniperBuys", "sniperSupplyPct", "sniperSold", "topHolderPct"];
+
+export const RULE_FEATURE_NAMES = Object.keys(RULE_FEATURES);
+
+function num(x) {
+	if (x === null || x === undefined || x === "") return NaN;
+	const n = Number(x);
+	return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Calcula las features a partir de los contadores del trigger, de la reputación del creador
+ * (`creator`: objeto con las features creator*, p. ej. CreatorStore#features o un summary)
+ * y de los primeros compradores (`snipers`: objeto con SNIPER_FEATURE_NAMES).
+ * Lo que no se puede calcular (sin trades, sin precio SOL, sin historial...) queda en NaN.
+ */
+export function ruleFeatures({ buys, sells, totalTrades, uniqueTraders, mcUsd, mcSol, ageAtTriggerSec, minMcUsd, maxMcUsd, creator = null, snipers = null }) {
+	const b = num(buys);
+	const s = num(sells);
+	const t = num(totalTrades);
+	const u = num(uniqueTraders);
+	const mc = num(mcUsd);
+	const lo = num(minMcUsd);
+	const hi = num(maxMcUsd);
+	const denom = b + s;
+	return {
+		preBuys: b,
+		preSells: s,
+		preTotalTrades: t,
+		preUniqueTraders: u,
+		buyRatio: denom > 0 ? b / denom : NaN,
+		netBuys: b - s,
+		uniquePerTrade: t > 0 ? u / t : NaN,
+		buysPerUnique: u > 0 ? b / u : NaN,
+		tradesPerUnique: u > 0 ? t / u : NaN,
+		imbalancePerTrade: t > 0 ? (b - s) / t : NaN,
+		mcUsd: mc,
+		mcSol: num(mcSol),
+		mcPerUnique: u > 0 && Number.isFinite(mc) ? mc / u : NaN,
+		ageAtTriggerSec: num(ageAtTriggerSec),
+		mcVolatilityRatio: lo > 0 && Number.isFinite(hi) ? hi / lo : NaN,
+		...Object.fromEntries(CREATOR_FEATURE_NAMES.map((name) => [name, num(creator?.[name])])),
+		...Object.fromEntries(SNIPER_FEATURE_NAMES.map((name) => [name, num(snipers?.[name])])),
+	};
+}
+
+/**
+ * Mismas features desde un summary de tracking (offline).
+ * mcUsd usa el market cap del trigger (thresholdMcUsd) como en vivo; los summaries antiguos sin él caen al de entrada.
+ * La volatilidad usa el rango pre-trigger (preMin/preMaxMcUsd) y, en summaries antiguos, el pre-entrada.
+ * Las features creator* y de snipers se guardan tal cual en el summary (null en summaries antiguos).
+ */
+export function ruleFeaturesFromSummary(obj) {
+	// Only summaries without the field fall back: a null trigger value is NaN live too
+	const pick = (key, fallback) => (obj[key] !== undefined ? obj[key] : obj[fallback]);
+	return ruleFeatures({
+		buys: obj.preBuys,
+		sells: obj.preSells,
+		totalTrades: obj.preTotalTrades,
+		uniqueTraders: obj.preUniqueTraders,
+		mcUsd: pick("thresholdMcUsd", "entryMarketCapUsd"),
+		mcSol: pick("thresholdMcSol", "entryMarketCapSol"),
+		ageAtTriggerSec: obj.ageAtTriggerSec,
+		minMcUsd: pick("preMinMcUsd", "preEntryMinMcUsd"),
+		maxMcUsd: pick("preMaxMcUsd", "preEntryMaxMcUsd"),
+		creator: obj,
+		snipers: obj,
+	});
+}
+
+// Filtros clásicos min/max: [campo del filtro, feature, comparación, ¿pasa si la feature no está disponible?]
+// 0 (o vacío) en un mínimo y vacío/Infinity en un máximo significan "sin filtro", como en las variables TRACK_*.
+const THRESHOLD_FILTERS = [
+	["minBuys", "preBuys", "min", false],
+	["minTotalTrades", "preTotalTrades", "min", false],
+	["minUniqueTraders", "preUniqueTraders", "min", false],
+	["minBuyRatio", "buyRatio", "min", false],
+	["minNetBuys", "netBuys", "min", false],
+	["minMcUsd", "mcUsd", "min", false],
+	["maxMcUsd", "mcUsd", "max", false],
+	["minUniquePerTrade", "uniquePerTrade", "min", false],
+	["minBuysPerUnique", "buysPerUnique", "min", false],
+	["maxAgeAtTriggerSec", "ageAtTriggerSec", "max", true],
+	["maxMcVolatilityRatio", "mcVolatilityRatio", "max", true],
+	["maxCreatorLaunches24h", "creatorLaunches24h", "max", true],
+	["maxCreatorFastExits", "creatorFastExits", "max", true],
+	["maxCreatorBadRatio", "creatorBadRatio", "max", true],
+	["maxSniperBuys", "sniperBuys", "max", true],
+	["maxSniperSupplyPct", "sniperSupplyPct", "max", true],
+	["maxSniperSold", "sniperSold", "max", true],
+	["maxTopHolderPct", "topHolderPct", "max", true],
+];
+
+export const THRESHOLD_FILTER_KEYS = THRESHOLD_FILTERS.map(([key]) => key);
+
+const compiled = new Map(); // expression source -> compiled (or Error)
+
+/**
+ * Compila (con caché) una expresión de trackingFilters.expression contra RULE_FEATURES.
+ * Lanza ExpressionError si no es válida.
+ */
+export function compileRuleExpression(source) {
+	let entry = compiled.get(source);
+	if (!entry) {
+		try {
+			entry = compileExpression(source, { features: RULE_FEATURE_NAMES });
+		} catch (e) {
+			entry = e;
+		}
+		compiled.set(source, entry);
+	}
+	if (entry instanceof Error) throw entry;
+	return entry;
+}
+
+/**
+ * ¿Pasan las features los filtros de una estrategia? Umbrales min/max y, si existe, `expression`
+ * (ambos deben cumplirse). Una expresión inválida nunca pasa.
+ */
+export function passesFilters(features, filters = {}) {
+	for (const [key, feature, kind, passIfMissing] of THRESHOLD_FILTERS) {
+		const limit = filters[key];
+		if (limit === null || limit === undefined || limit === "") continue;
+		const l = Number(limit);
+		if (Number.isNaN(l) || (kind === "min" && l === 0) || (kind === "max" && l === Infinity)) continue;
+		const v = features[feature];
+		if (!Number.isFinite(v)) {
+			if (passIfMissing) continue;
+			return false;
+		}
+		if (kind === "min" ? v < l : v > l) return false;
+	}
+	if (typeof filters.expression === "string" && filters.expression.trim() !== "") {
+		try {
+			return compileRuleExpression(filters.expression).evaluate(features);
+		} catch {
+			return false;
+		}
+	}
+	return true;
+}
@@ -0,0 +1,223 @@
+import config from "./config.js";
+
+// Estado real de cada suscripción por clave (mint o cuenta) del cliente WebSocket:
+//   pending      -> pedida pero aún no enviada (en la cola del rate limit, o descartada/rechazada: se reintenta)
+//   sent         -> enviada, esperando la confirmación del servidor
+//   confirmed    -> confirmada (mensaje del servidor o primer trade recibido de la clave)
+//   unsubscribed -> baja enviada; se olvida tras retentionMin
+// PumpPortal confirma cada mensaje con un texto sin claves ({ message: "Successfully subscribed to keys." }) y en orden,
+// así que las confirmaciones se emparejan por orden (FIFO) con los mensajes enviados. Un mensaje sin confirmar en
+// ackTimeoutMs sale de la FIFO y sus claves se reenvían, hasta maxAttempts envíos; después quedan "stuck".
+
+const LEDGER_STATES = ["pending", "sent", "confirmed", "unsubscribed"];
+
+const SUBSCRIBE_METHODS = { subscribeTokenTrade: "token", subscribeAccountTrade: "account" };
+const UNSUBSCRIBE_METHODS = { unsubscribeTokenTrade: "token", unsubscribeAccountTrade: "account" };
+
+class SubscriptionLedger {
+	constructor(options = config.pumpPortal.subscriptions) {
+		this.ackTimeoutMs = options.ackTimeoutMs;
+		this.maxAttempts = options.maxAttempts;
+		this.retentionMs = options.retentionMin * 60 * 1000;
+		this.entries = new Map(); // "kind:key" -> { kind, key, state, since, sentAt, confirmedAt, attempts, lastError }
+		this.inflight = []; // messages sent and not yet acknowledged, oldest first: { method, keys, sentAt }
+		this.counters = { acks: 0, errors: 0, ackTimeouts: 0, retries: 0 };
+	}
+
+	_entry(kind, key, now) {
+		const id = `${kind}:${key}`;
+		let entry = this.entries.get(id);
+		if (!entry) {
+			entry = { kind, key, state: "pending", since: now, sentAt: null, confirmedAt: null, attempts: 0, lastError: null };
+			this.entries.set(id, entry);
+		}
+		return entry;
+	}
+
+	_setState(entry, state, now) {
+		if (entry.state === state) return;
+		entry.state = state;
+		entry.since = now;
+	}
+
+	// Subscription requested (before the rate limiter / connection decide when it goes out)
+	requested(message, now = Date.now()) {
+		const kind = SUBSCRIBE_METHODS[message.method];
+		if (!kind) return;
+		for (const key of message.keys || []) {
+			const entry = this._entry(kind, key, now);
+			// A key already confirmed stays confirmed (e.g. re-subscribing what is live)
+			if (entry.state !== "confirmed") {
+				this._setState(entry, "pending", now);
+				entry.lastError = null;
+			}
+		}
+	}
+
+	// Message written to the socket
+	sent(message, now = Date.now()) {
+		this.inflight.push({ method: message.method, keys: message.keys || [], sentAt: now });
+		const subKind = SUBSCRIBE_METHODS[message.method];
+		const unsubKind = UNSUBSCRIBE_METHODS[message.method];
+		for (const key of message.keys || []) {
+			if (subKind) {
+				const entry = this._entry(subKind, key, now);
+				if (entry.state === "confirmed") continue;
+				this._setState(entry, "sent", now);
+				entry.sentAt = now;
+				entry.attempts++;
+			} else if (unsubKind) {
+				this._setState(this._entry(unsubKind, key, now), "unsubscribed", now);
+			}
+		}
+	}
+
+	// Message that could not be sent (too large, socket error): its keys stay pending and are retried
+	failed(message, error, now = Date.now()) {
+		const kind = SUBSCRIBE_METHODS[message.method];
+		if (!kind) return;
+		for (const key of message.keys || []) {
+			const entry = this._entry(kind, key, now);
+			if (entry.state === "unsubscribed") continue;
+			this._setState(entry, "pending", now);
+			entry.lastError = error;
+			entry.attempts++;
+		}
+	}
+
+	/**
+	 * Respuesta del servidor a un mensaje (la más antigua en vuelo): { message } confirma, { errors } rechaza.
+	 * Devuelve el mensaje emparejado, o null si no había ninguno en vuelo.
+	 */
+	acknowledge({ ok, text = null }, now = Date.now()) {
+		const message = this.inflight.shift();
+		if (!message) return null;
+		const kind = SUBSCRIBE_METHODS[message.method];
+		if (ok) this.counters.acks++;
+		else this.counters.errors++;
+		if (kind) {
+			for (const key of message.keys) {
+				const entry = this.entries.get(`${kind}:${key}`);
+				if (!entry || entry.state !== "sent") continue;
+				if (ok) {
+					this._setState(entry, "confirmed", now);
+					entry.confirmedAt = now;
+				} else {
+					this._setState(entry, "pending", now);
+					entry.lastError = text;
+				}
+			}
+		}
+		return message;
+	}
+
+	// Data received for a key proves the subscription is live even if its confirmation was missed
+	observed(kind, key, now = Date.now()) {
+		const entry = this.entries.get(`${kind}:${key}`);
+		if (!entry || (entry.state !== "sent" && entry.state !== "pending")) return;
+		this._setState(entry, "confirmed", now);
+		entry.confirmedAt = now;
+	}
+
+	// Keys handed over to another connection
+	forget(kind, keys) {
+		for (const key of keys) this.entries.delete(`${kind}:${key}`);
+	}
+
+	// Connection lost: nothing is live any more, pending acknowledgements will never arrive and retries start over
+	reset(now = Date.now()) {
+		this.inflight = [];
+		for (const entry of this.entries.values()) {
+			if (entry.state === "sent" || entry.state === "confirmed") this._setState(entry, "pending", now);
+			entry.attempts = 0;
+		}
+	}
+
+	/**
+	 * Expira las confirmaciones pendientes y devuelve las claves a reenviar por tipo ({ token: [], account: [] }):
+	 * enviadas sin confirmar tras ackTimeoutMs, o descartadas/rechazadas, con menos de maxAttempts envíos.
+	 * También olvida las bajas más antiguas que retentionMin.
+	 */
+	due(now = Date.now()) {
+		while (this.inflight.length > 0 && now - this.inflight[0].sentAt > this.ackTimeoutMs) {
+			this.inflight.shift();
+			this.counters.ackTimeouts++;
+		}
+		const out = { token: [], account: [] };
+		for (const [id, entry] of this.entries) {
+			if (entry.state === "unsubscribed") {
+				if (now - entry.since > this.retentionMs) this.entries.delete(id);
+				continue;
+			}
+			if (entry.attempts >= this.maxAttempts) continue;
+			const unacked = entry.state === "sent" && now - entry.sentAt > this.ackTimeoutMs;
+			const rejected = entry.state === "pending" && entry.lastError !== null;
+			if (unacked || rejected) out[entry.kind].push(entry.key);
+		}
+		this.counters.retries += out.token.length + out.account.length;
+		return out;
+	}
+
+	// Pending or sent for longer than ackTimeoutMs
+	_isStuck(entry, now) {
+		return (entry.state === "pending" || entry.state === "sent") && now - entry.since > this.ackTimeoutMs;
+	}
+
+	stateOf(kind, key) {
+		return this.entries.get(`${kind}:${key}`)?.state || null;
+	}
+
+	/**
+	 * Resumen para /status: claves por tipo y estado, atascadas (con las más antiguas de muestra) y mensajes en vuelo.
+	 */
+	getStatus(now = Date.now(), sampleSize = 10) {
+		const counts = {};
+		const stuck = [];
+		for (const entry of this.entries.values()) {
+			counts[entry.kind] = counts[entry.kind] || Object.fromEntries(LEDGER_STATES.map((s) => [s, 0]));
+			counts[entry.kind][entry.state]++;
+			if (this._isStuck(entry, now)) stuck.push(entry);
+		}
+		stuck.sort((a, b) => a.since - b.since);
+		return {
+			counts,
+			stuck: stuck.length,
+			stuckGaveUp: stuck.filter((e) => e.attempts >= this.maxAttempts).length,
+			stuckSample: stuck.slice(0, sampleSize).map((e) => ({
+				kind: e.kind,
+				key: e.key,
+				state: e.state,
+				forSec: Math.round((now - e.since) / 1000),
+				attempts: e.attempts,
+				lastError: e.lastError,
+			})),
+			inflight: this.inflight.length,
+			oldestInflightSec: this.inflight.length > 0 ? Math.round((now - this.inflight[0].sentAt) / 1000) : null,
+			...this.counters,
+			ackTimeoutMs: this.ackTimeoutMs,
+			maxAttempts: this.maxAttempts,
+		};
+	}
+}
+
+/**
+ * Suma los getStatus() de varios ledgers (uno por conexión) en uno solo con la misma forma.
+ */
+export function mergeLedgerStatus(statuses, sampleSize = 10) {
+	const merged = { counts: {}, stuck: 0, stuckGaveUp: 0, stuckSample: [], inflight: 0, oldestInflightSec: null, acks: 0, errors: 0, ackTimeouts: 0, retries: 0 };
+	for (const status of statuses) {
+		for (const [kind, states] of Object.entries(status.counts)) {
+			merged.counts[kind] = merged.counts[kind] || Object.fromEntries(LEDGER_STATES.map((s) => [s, 0]));
+			for (const state of LEDGER_STATES) merged.counts[kind][state] += states[state];
+		}
+		for (const key of ["stuck", "stuckGaveUp", "inflight", "acks", "errors", "ackTimeouts", "retries"]) merged[key] += status[key];
+		merged.stuckSample.push(...status.stuckSample);
+		if (status.oldestInflightSec !== null) merged.oldestInflightSec = Math.max(merged.oldestInflightSec ?? 0, status.oldestInflightSec);
+		merged.ackTimeoutMs = status.ackTimeoutMs;
+		merged.maxAttempts = status.maxAttempts;
+	}
+	merged.stuckSample = merged.stuckSample.sort((a, b) => b.forSec - a.forSec).slice(0, sampleSize);
+	return merged;
+}
+
+export default SubscriptionLedger;
@@ -2,20 +2,60 @@ import PumpPortalWSClient from "./pumpportal-ws-client.js";
 import logger from "./logger.js";
 import config from "./config.js";
 import priceService from "./price-service.js";
+import PaperTrader from "./paper-trader.js";
+import StateStore from "./state-store.js";
+import metrics from "./metrics.js";
+import liveEvents from "./live-events.js";
+import { passesFilters, ruleFeatures } from "./strategy-rules.js";
 import { formatCurrencyEs, formatPercentage } from "./utils.js";
+import TrackingWriter, { sessionCandlesFileName, trackingLogFileName, tradeTapeFileName } from "./tracking-writer.js";
+import CandleBuilder, { CANDLE_VERSION } from "./candle-builder.js";
+import CreatorStore from "./creator-store.js";
+import CreatorCluster from "./creator-cluster.js";
+import defaultClock from "./clock.js";
 import fs from "fs";
 import path from "path";
 import moment from "moment-timezone";
 
+const tradesProcessed = metrics.counter("pumpportal_trades_processed_total", "Trades processed after de-duplication", ["tx_type"]);
+// Creator sell states (same rules as /stats and status-client) and /tokens sort keys
+export const TOKEN_STATES = ["safe", "watch", "risk", "exited"];
+export const TOKEN_SORT_KEYS = ["createdAt", "sellPct", "trades", "lastTradeAt"];
+
+const duplicatesSkipped = metrics.counter("pumpportal_trades_duplicate_skipped_total", "Duplicate trades skipped", ["kind"]);
+const creatorSells = metrics.counter("pumpportal_creator_sells_total", "Creator sells detected");
+const clusterWalletsFlagged = metrics.counter("pumpportal_cluster_wallets_flagged_total", "Wallets linked to a token's creator", ["reason"]);
+const creatorSellAlerts = metrics.counter("pumpportal_creator_sell_alerts_total", "Creator sell threshold alerts");
+const sessionsStarted = metrics.counter("pumpportal_tracking_sessions_started_total", "Tracking sessions started", ["strategy"]);
+const sessionsStopped = metrics.counter("pumpportal_tracking_sessions_stopped_total", "Tracking sessions stopped", ["strategy", "reason"]);
+
+// pump.fun mints all have the same supply (the create message doesn't carry it)
+const TOKEN_TOTAL_SUPPLY = 1_000_000_000;
+
+function newEarlyBuyerStats() {
+	return { sniperBuys: 0, firstBuyers: new Map(), holders: new Map() }; // firstBuyers: wallet -> { bought, sold }; holders: wallet -> net tokens
+}
+
+// Session fields that only make sense in this process (log writers, timer handles)
+const TRANSIENT_SESSION_KEYS = new Set(["writer", "inactivityTimer", "hardStopTimer", "entryTimer", "stage2Timer"]);
+
 class TokenMonitor {
-	constructor() {
+	constructor({ clock = defaultClock } = {}) {
+		this.clock = clock; // virtual during a replay: every timestamp and session timer follows the capture
 		this.wsClient = new PumpPortalWSClient();
+		this.paperTrader = new PaperTrader({ clock });
 		this.monitoredTokens = new Map(); // tokenAddress -> tokenInfo
 		this.creatorPositions = new Map(); // creatorAddress -> Set of tokenAddresses
 		this.tokenSellTracking = new Map(); // tokenAddress -> sellInfo (por token individual)
 		this.activeTracking = new Map(); // tokenAddress -> tracking session
 		this.tokenTradeStats = new Map(); // tokenAddress -> { total, buys, sells, traders:Set, lastTradeAt }
+		this.candles = new CandleBuilder(); // OHLCV per subscribed token
 		this.cleanupInterval = null;
+		// A replay neither restores the live snapshot nor overwrites it
+		this.stateStore = config.state.enabled && !config.pumpPortal.replay.file ? new StateStore({ file: config.state.file, intervalMs: config.state.intervalMs }) : null;
+		// creator history across runs; a replay builds its own from the capture, in memory
+		this.creatorStore = config.creators.enabled ? new CreatorStore(config.creators, { clock, persist: !config.pumpPortal.replay.file }) : null;
+		this.creatorCluster = new CreatorCluster(); // wallets acting in concert with each creator
 
 		// Estadísticas históricas de suscripciones
 		this.stats = {
@@ -32,6 +72,21 @@ class TokenMonitor {
 
 	start() {
 		logger.tokenMonitor("Starting Token Monitor...");
+		this.paperTrader.start();
+		if (this.creatorStore) {
+			this.creatorStore.start();
+			if (!this.creatorStore.store) logger.tokenMonitor("[CREATORS] Replay: creator history kept in memory (the live history file is not read or written)");
+		}
+
+		// Restore the previous run before connecting: subscriptions are queued until the socket opens
+		if (this.stateStore) {
+			const snapshot = this.stateStore.load();
+			if (snapshot) this.restoreState(snapshot);
+			this.stateStore.start(() => this.getStateSnapshot());
+		} else if (config.state.enabled) {
+			logger.tokenMonitor("[STATE] Replay: state snapshots disabled (the live snapshot is left untouched)");
+		}
+
 		this.wsClient.connect();
 
 		// Subscribe to new token events
@@ -57,7 +112,110 @@ class TokenMonitor {
 	stop() {
 		logger.tokenMonitor("Stopping Token Monitor...");
 		this.stopCleanupInterval();
+		// Final snapshot so open sessions resume on the next start
+		if (this.stateStore) {
+			this.stateStore.stop();
+			this.stateStore.save(this.getStateSnapshot());
+		}
+		if (this.creatorStore) this.creatorStore.stop();
 		this.wsClient.disconnect();
+		this.paperTrader.stop();
+	}
+
+	// ===== State snapshots =====
+
+	getStateSnapshot() {
+		const sessions = [];
+		for (const [tokenAddress, byToken] of this.activeTracking) {
+			for (const session of byToken.values()) {
+				const saved = { tokenAddress };
+				for (const [key, value] of Object.entries(session)) {
+					if (!TRANSIENT_SESSION_KEYS.has(key)) saved[key] = value;
+				}
+				sessions.push(saved);
+			}
+		}
+		return {
+			monitoredTokens: this.monitoredTokens,
+			creatorPositions: this.creatorPositions,
+			tokenSellTracking: this.tokenSellTracking,
+			tokenTradeStats: this.tokenTradeStats,
+			subscribedTokens: this.wsClient.subscribedTokens,
+			stats: this.stats,
+			tokenCreationTimes: this.tokenCreationTimes,
+			sessions,
+			paper: this.paperTrader.getState(),
+			cluster: this.creatorCluster.getState(),
+			candles: this.candles.getState(new Set(this.activeTracking.keys())),
+		};
+	}
+
+	restoreState(snapshot) {
+		const now = this.clock.now();
+		const savedAtMs = snapshot.savedAt instanceof Date ? snapshot.savedAt.getTime() : now;
+		const gapMs = Math.max(0, now - savedAtMs);
+
+		if (snapshot.monitoredTokens instanceof Map) this.monitoredTokens = snapshot.monitoredTokens;
+		if (snapshot.creatorPositions instanceof Map) this.creatorPositions = snapshot.creatorPositions;
+		if (snapshot.tokenSellTracking instanceof Map) this.tokenSellTracking = snapshot.tokenSellTracking;
+		if (snapshot.tokenTradeStats instanceof Map) this.tokenTradeStats = snapshot.tokenTradeStats;
+		if (snapshot.stats) Object.assign(this.stats, snapshot.stats);
+		if (Array.isArray(snapshot.tokenCreationTimes)) this.tokenCreationTimes = snapshot.tokenCreationTimes;
+		this.creatorCluster.restoreState(snapshot.cluster);
+		// Before the sessions: one closed below writes its candle file with the bars from before the restart
+		this.candles.restoreState(snapshot.candles);
+
+		// Paper positions first: sessions closed below settle them at their last known %
+		this.paperTrader.restoreState(snapshot.paper);
+
+		// Re-subscribe what was live before closing restored sessions (their unsubscribe is queued after)
+		const subscribed = snapshot.subscribedTokens instanceof Set ? Array.from(snapshot.subscribedTokens) : [];
+		if (subscribed.length > 0) this.wsClient.subscribeTokenTradesBatch(subscribed);
+
+		let resumed = 0;
+		let closed = 0;
+		for (const saved of snapshot.sessions || []) {
+			const { tokenAddress, ...fields } = saved;
+			if (!tokenAddress || !fields.strategyId || !fields.filePath) continue;
+			const strategy = (config.strategies || []).find((st) => st.id === fields.strategyId);
+			const session = {
+				// Snapshots from before per-session timing/paper params take the strategy's current values
+				...this._trackingTiming(strategy),
+				paperTrading: strategy?.paperTrading || null,
+				...fields,
+				writer: new TrackingWriter(fields.filePath, { timezone: config.logging.timezone, tapeFile: fields.tapeFile, clock: this.clock }),
+				inactivityTimer: null,
+				hardStopTimer: null,
+				entryTimer: null,
+				stage2Timer: null,
+			};
+			const byToken = this.activeTracking.get(tokenAddress) || new Map();
+			byToken.set(session.strategyId, session);
+			this.activeTracking.set(tokenAddress, byToken);
+
+			const expired = now >= session.startedAt + session.maxWindowMs || now >= session.lastActivityAt + session.inactivityMs;
+			if (!strategy || !config.tracking.enabled || expired || gapMs > config.state.maxResumeGapMs) {
+				// Too late to resume reliably: close it so the log still gets its summary line
+				this.stopTracking(tokenAddress, session.strategyId, "restart");
+				closed++;
+				continue;
+			}
+
+			session.writer.resume({ downtimeSec: Math.round(gapMs / 1000) });
+			this._scheduleTrackingTimers(tokenAddress, strategy, session);
+			resumed++;
+		}
+
+		logger.tokenMonitor("Restored state snapshot", {
+			savedAt: snapshot.savedAt,
+			downtimeSec: Math.round(gapMs / 1000),
+			tokens: this.monitoredTokens.size,
+			clusterTokens: this.creatorCluster.tokens.size,
+			candleTokens: this.candles.tokens.size,
+			subscribedTokens: subscribed.length,
+			sessionsResumed: resumed,
+			sessionsClosed: closed,
+		});
 	}
 
 	// Método público para mostrar estado manualmente
@@ -95,7 +253,7 @@ class TokenMonitor {
 		}
 
 		// Calculate token creation rate (tokens per minute)
-		const now = Date.now();
+		const now = this.clock.now();
 		const oneMinuteAgo = now - 60 * 1000;
 		const fiveMinutesAgo = now - 5 * 60 * 1000;
 		
@@ -115,10 +273,10 @@ class TokenMonitor {
 		tokens.forEach((t) => {
 			const tr = this.tokenSellTracking.get(t.address);
 			if (!tr) return;
-			const pct = tr.initialTokensOwned > 0 ? (tr.tokensSold / tr.initialTokensOwned) * 100 : 0;
-			if (pct === 0) stateSafe++;
-			else if (pct === 100) stateExit++;
-			else if (pct >= thr) stateRisk++;
+			const state = this._sellState(this._sellPercentage(tr));
+			if (state === "safe") stateSafe++;
+			else if (state === "exited") stateExit++;
+			else if (state === "risk") stateRisk++;
 			else stateWatch++;
 		});
 
@@ -141,30 +299,20 @@ class TokenMonitor {
 		let totalActiveTrackingTokens = 0;
 		let totalActiveTrackingSessions = 0;
 
-		// Primero, inicializar todas las estrategias desde strategies.json
-		try {
-			const strategiesFile = process.env.STRATEGIES_FILE || path.join(process.cwd(), "strategies.json");
-			if (fs.existsSync(strategiesFile)) {
-				const strategiesData = JSON.parse(fs.readFileSync(strategiesFile, "utf8"));
-				if (Array.isArray(strategiesData)) {
-					for (const strategy of strategiesData) {
-						if (strategy.id) {
-							trackingByStrategy.set(strategy.id, {
-								sessions: 0,
-								entriesRecorded: 0,
-								noPostTrades: 0,
-								tradeCountTotal: 0,
-								maxPctSum: 0,
-								maxPctCount: 0,
-								minPctSum: 0,
-								minPctCount: 0,
-							});
-						}
-					}
-				}
-			}
-		} catch (error) {
-			logger.tokenMonitor(`Error reading strategies.json: ${error.message}`);
+		// Primero, inicializar todas las estrategias activas (las recargas en caliente cambian config.strategies)
+		for (const strategy of config.strategies || []) {
+			trackingByStrategy.set(strategy.id, {
+				sessions: 0,
+				stage2Pending: 0,
+				stage2Confirmed: 0,
+				entriesRecorded: 0,
+				noPostTrades: 0,
+				tradeCountTotal: 0,
+				maxPctSum: 0,
+				maxPctCount: 0,
+				minPctSum: 0,
+				minPctCount: 0,
+			});
 		}
 
 		// Luego, actualizar con datos reales de tracking activo
@@ -175,6 +323,8 @@ class TokenMonitor {
 				const sid = session.strategyId || "default";
 				const acc = trackingByStrategy.get(sid) || {
 					sessions: 0,
+					stage2Pending: 0,
+					stage2Confirmed: 0,
 					entriesRecorded: 0,
 					noPostTrades: 0,
 					tradeCountTotal: 0,
@@ -184,6 +334,8 @@ class TokenMonitor {
 					minPctCount: 0,
 				};
 				acc.sessions += 1;
+				if (session.stage2?.status === "pending") acc.stage2Pending += 1;
+				if (session.stage2?.status === "confirmed") acc.stage2Confirmed += 1;
 				if (session.entryRecorded) {
 					acc.entriesRecorded += 1;
 					if (typeof session.maxPct === "number" && isFinite(session.maxPct)) {
@@ -205,6 +357,8 @@ class TokenMonitor {
 		for (const [sid, acc] of trackingByStrategy.entries()) {
 			trackingSummary[sid] = {
 				sessions: acc.sessions,
+				stage2Pending: acc.stage2Pending,
+				stage2Confirmed: acc.stage2Confirmed,
 				entriesRecorded: acc.entriesRecorded,
 				noPostTrades: acc.noPostTrades,
 				tradeCountTotal: acc.tradeCountTotal,
@@ -255,7 +409,7 @@ class TokenMonitor {
 
 	// Limpiar tokens inactivos (sin ventas en las últimas 24 horas)
 	cleanupInactiveTokens() {
-		const now = new Date();
+		const now = this.clock.date();
 		const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
 		let cleanedCount = 0;
 
@@ -270,6 +424,8 @@ class TokenMonitor {
 				}
 				this.tokenSellTracking.delete(tokenAddress);
 				this.monitoredTokens.delete(tokenAddress);
+				this.candles.dropToken(tokenAddress);
+				this.creatorCluster.dropToken(tokenAddress);
 
 				// Remover de creator positions
 				for (const [creator, tokens] of this.creatorPositions) {
@@ -292,12 +448,12 @@ class TokenMonitor {
 
 	setupMessageHandlers() {
 		// Handle new token creation events
-		this.wsClient.onMessage("newToken", (message) => {
+		this.wsClient.on("newToken", (message) => {
 			this.handleNewToken(message);
 		});
 
 		// Handle trade events
-		this.wsClient.onMessage("trade", (message) => {
+		this.wsClient.on("trade", (message) => {
 			this.handleTrade(message);
 		});
 	}
@@ -311,7 +467,8 @@ class TokenMonitor {
 		const byToken = this.activeTracking.get(tokenAddress) || new Map();
 		if (byToken.has(strategy.id)) return;
 
-		const now = Date.now();
+		const now = this.clock.now();
+		const timing = this._trackingTiming(strategy);
 		const logDir = strategy?.tracking?.logDir || config.tracking.logDir;
 		try {
 			if (!fs.existsSync(logDir)) {
@@ -322,17 +479,23 @@ class TokenMonitor {
 			return;
 		}
 
-		const filePath = path.join(logDir, `${tokenAddress}-websocket.log`);
-		const stream = fs.createWriteStream(filePath, { flags: "a" });
+		const filePath = path.join(logDir, trackingLogFileName(tokenAddress, config.tracking.logFormat));
+		const tapeFile = (strategy?.tracking?.tape ?? config.tracking.tape) ? path.join(logDir, tradeTapeFileName(tokenAddress)) : null;
+		const writer = new TrackingWriter(filePath, { timezone: config.logging.timezone, tapeFile, clock: this.clock });
 
 		const session = {
 			filePath,
-			stream,
+			tapeFile,
+			writer,
 			strategyId: strategy.id,
 			startedAt: now,
 			lastActivityAt: now,
-			entryAfterTs: now + (strategy?.tracking?.entryDelayMs ?? config.tracking.entryDelayMs),
+			// Timing and paper params fixed at start: a hot reload of the strategy doesn't change open sessions
+			...timing,
+			paperTrading: strategy?.paperTrading || null,
+			entryAfterTs: now + timing.entryDelayMs,
 			entryRecorded: false,
+			entryElapsedMs: null,
 			entryPrice: null,
 			entryMcUsd: null,
 			entryMcSol: null,
@@ -344,12 +507,16 @@ class TokenMonitor {
 			preEntryMaxMcUsd: null,
 			minPct: 0,
 			maxPct: 0,
+			lastPct: null,
 			buyCount: 0,
 			sellCount: 0,
 			tradeCount: 0,
 			inactivityTimer: null,
 			hardStopTimer: null,
 			entryTimer: null,
+			// Stage 2 confirmation state (null when the strategy has no stage2)
+			stage2: null,
+			stage2Timer: null,
 			// pre-trigger snapshot
 			triggerAt: triggerCtx.triggerAt || new Date(now).toISOString(),
 			ageAtTriggerSec: triggerCtx.ageAtTriggerSec || null,
@@ -357,68 +524,156 @@ class TokenMonitor {
 			preBuys: triggerCtx.preBuys || 0,
 			preSells: triggerCtx.preSells || 0,
 			preUniqueTraders: triggerCtx.preUniqueTraders || 0,
+			preMinMcUsd: triggerCtx.preMinMcUsd ?? null,
+			preMaxMcUsd: triggerCtx.preMaxMcUsd ?? null,
 			thresholdMcSol: triggerCtx.thresholdMcSol || null,
 			thresholdMcUsd: triggerCtx.thresholdMcUsd || null,
 			thresholdPrice: triggerCtx.thresholdPrice || null,
+			creatorFeatures: triggerCtx.creatorFeatures || null,
+			sniperFeatures: triggerCtx.sniperFeatures || null,
 		};
 
-		// timers
-		session.inactivityTimer = setTimeout(() => this.stopTracking(tokenAddress, strategy.id, "inactivity"), strategy?.tracking?.inactivityMs ?? config.tracking.inactivityMs);
-		session.hardStopTimer = setTimeout(() => this.stopTracking(tokenAddress, strategy.id, "max_window"), strategy?.tracking?.maxWindowMs ?? config.tracking.maxWindowMs);
-		// entry fallback timer (record entry from threshold data if no trade arrived yet)
-		session.entryTimer = setTimeout(() => {
-			try {
-				const mapForToken = this.activeTracking.get(tokenAddress);
-				const sess = mapForToken ? mapForToken.get(strategy.id) : null;
-				if (!sess || sess.entryRecorded) return;
-				const solUsd = priceService.getSolUsd();
-				const mcSol = typeof sess.thresholdMcSol === "number" ? sess.thresholdMcSol : 0;
-				const mcUsd = typeof solUsd === "number" ? mcSol * solUsd : 0;
-				const entryPrice = typeof sess.thresholdPrice === "number" ? sess.thresholdPrice : 0;
-
-				// snapshot pre-entry stats at this moment
-				const agg = this.tokenTradeStats.get(tokenAddress) || { total: 0, buys: 0, sells: 0, traders: new Set(), minMcUsd: null, maxMcUsd: null };
-				sess.preEntryTotalTrades = agg.total || 0;
-				sess.preEntryBuys = agg.buys || 0;
-				sess.preEntrySells = agg.sells || 0;
-				sess.preEntryUniqueTraders = agg.traders ? agg.traders.size : 0;
-				sess.preEntryMinMcUsd = agg.minMcUsd;
-				sess.preEntryMaxMcUsd = agg.maxMcUsd;
-
-				sess.entryRecorded = true;
-				sess.entryPrice = entryPrice;
-				sess.entryMcSol = mcSol;
-				sess.entryMcUsd = mcUsd;
-
-				const ts = moment().tz(config.logging.timezone).format("DD-MM-YYYY HH:mm:ss.SSS");
-				const buys = sess.preEntryBuys || 0;
-				const sells = sess.preEntrySells || 0;
-				let ratio = "0:0";
-				if (buys > 0) ratio = `1:${(sells / buys).toFixed(2)}`;
-				else if (sells > 0) ratio = "0:1";
-				const minCap = sess.preEntryMinMcUsd != null ? Math.round(sess.preEntryMinMcUsd) : 0;
-				const maxCap = sess.preEntryMaxMcUsd != null ? Math.round(sess.preEntryMaxMcUsd) : 0;
-				sess.stream.write(
-					`${ts} INFO Entry price: ${entryPrice.toFixed(18)} - Entry market cap: ${Math.round(mcUsd)} - Buys ${buys} - Sells ${sells} - Ratio: ${ratio} - Min MarketCap: ${minCap} - Max MarketCap: ${maxCap}\n`
-				);
-				// also write a first current line (0%) for visual continuity
-				const elapsedMs = Date.now() - sess.startedAt;
-				const h = String(Math.floor(elapsedMs / 3600000)).padStart(2, "0");
-				const m = String(Math.floor((elapsedMs % 3600000) / 60000)).padStart(2, "0");
-				const s = String(Math.floor((elapsedMs % 60000) / 1000)).padStart(2, "0");
-				sess.stream.write(
-					`${ts} INFO Current price: ${entryPrice.toFixed(12)} - Current percentage: 0.00% - Max: 0.00% - Min: 0.00% - Market Cap ${Math.round(mcUsd)} - Trading time: ${h}:${m}:${s}\n`
-				);
-			} catch (e) {
-				logger.errorMonitor("Error recording fallback entry", { error: e.message, tokenAddress, strategyId: strategy.id });
-			}
-		}, strategy?.tracking?.entryDelayMs ?? config.tracking.entryDelayMs);
+		// Stage 2: hold the session as pending until the confirmation window closes.
+		const s2 = strategy?.stage2;
+		if (s2 && s2.enabled) {
+			session.stage2 = {
+				status: "pending",
+				windowSec: s2.windowSec,
+				minTrades: s2.minTrades,
+				minMaxPct: s2.minMaxPct,
+				trades: 0,
+				maxPct: null,
+				decidedAt: null,
+			};
+		}
+		writer.sessionStart({
+			token: tokenAddress,
+			strategyId: strategy.id,
+			startedAt: new Date(now).toISOString(),
+			trigger: {
+				triggerAt: session.triggerAt,
+				ageAtTriggerSec: session.ageAtTriggerSec,
+				preTotalTrades: session.preTotalTrades,
+				preBuys: session.preBuys,
+				preSells: session.preSells,
+				preUniqueTraders: session.preUniqueTraders,
+				preMinMcUsd: session.preMinMcUsd,
+				preMaxMcUsd: session.preMaxMcUsd,
+				thresholdMcSol: session.thresholdMcSol,
+				thresholdMcUsd: session.thresholdMcUsd,
+				thresholdPrice: session.thresholdPrice,
+				creator: session.creatorFeatures,
+				snipers: session.sniperFeatures,
+			},
+			timing: { entryDelaySec: timing.entryDelayMs / 1000, inactivityMin: timing.inactivityMs / 60000, maxWindowMin: timing.maxWindowMs / 60000 },
+			stage2: session.stage2 ? { windowSec: session.stage2.windowSec, minTrades: session.stage2.minTrades, minMaxPct: session.stage2.minMaxPct } : null,
+		});
+		this._scheduleTrackingTimers(tokenAddress, strategy, session);
 
 		byToken.set(strategy.id, session);
 		this.activeTracking.set(tokenAddress, byToken);
 		this.stats.totalTrackingSessionsStarted++;
+		sessionsStarted.inc({ strategy: strategy.id });
 
 		logger.tokenMonitor("Tracking started for token", { tokenAddress, strategyId: strategy.id, filePath });
+		this._publishSessionEvent("tracking_start", tokenAddress, session, {
+			thresholdMcUsd: session.thresholdMcUsd,
+			ageAtTriggerSec: session.ageAtTriggerSec,
+			stage2: session.stage2 ? session.stage2.status : null,
+		});
+	}
+
+	// Stop every open session of a strategy (hot reload: strategy removed or changed with onReload "stop")
+	stopStrategySessions(strategyId, reason) {
+		const tokens = [];
+		for (const [tokenAddress, byToken] of this.activeTracking) {
+			if (byToken.has(strategyId)) tokens.push(tokenAddress);
+		}
+		for (const tokenAddress of tokens) this.stopTracking(tokenAddress, strategyId, reason);
+		return tokens.length;
+	}
+
+	countStrategySessions(strategyId) {
+		let n = 0;
+		for (const byToken of this.activeTracking.values()) {
+			if (byToken.has(strategyId)) n++;
+		}
+		return n;
+	}
+
+	// Entry delay / inactivity / max window of a strategy (tracking.entryDelaySec, inactivityMin, maxWindowMin in strategies.json)
+	_trackingTiming(strategy) {
+		return {
+			entryDelayMs: strategy?.tracking?.entryDelayMs ?? config.tracking.entryDelayMs,
+			inactivityMs: strategy?.tracking?.inactivityMs ?? config.tracking.inactivityMs,
+			maxWindowMs: strategy?.tracking?.maxWindowMs ?? config.tracking.maxWindowMs,
+		};
+	}
+
+	// Arm the session timers from its timestamps, so a session restored from a snapshot
+	// gets only the time it had left (a fresh session gets the full windows)
+	_scheduleTrackingTimers(tokenAddress, strategy, session) {
+		const now = this.clock.now();
+		session.inactivityTimer = this.clock.setTimeout(
+			() => this.stopTracking(tokenAddress, strategy.id, "inactivity"),
+			Math.max(0, session.lastActivityAt + session.inactivityMs - now)
+		);
+		session.hardStopTimer = this.clock.setTimeout(() => this.stopTracking(tokenAddress, strategy.id, "max_window"), Math.max(0, session.startedAt + session.maxWindowMs - now));
+		// Stage 2 points are counted by whole "Trading time" seconds like the backtest, so the window ends at windowSec + 1s
+		if (session.stage2 && session.stage2.status === "pending") {
+			const stage2AtMs = session.startedAt + (session.stage2.windowSec + 1) * 1000;
+			session.stage2Timer = this.clock.setTimeout(() => this._evaluateStage2(tokenAddress, strategy.id), Math.max(0, stage2AtMs - now));
+		}
+		// entry fallback timer (record entry from threshold data if no trade arrived yet)
+		if (!session.entryRecorded) {
+			session.entryTimer = this.clock.setTimeout(() => this._recordFallbackEntry(tokenAddress, strategy.id), Math.max(0, session.entryAfterTs - now));
+		}
+	}
+
+	_preEntrySnapshot(session) {
+		return {
+			totalTrades: session.preEntryTotalTrades,
+			buys: session.preEntryBuys,
+			sells: session.preEntrySells,
+			uniqueTraders: session.preEntryUniqueTraders,
+			minMcUsd: session.preEntryMinMcUsd,
+			maxMcUsd: session.preEntryMaxMcUsd,
+		};
+	}
+
+	_recordFallbackEntry(tokenAddress, strategyId) {
+		try {
+			const mapForToken = this.activeTracking.get(tokenAddress);
+			const sess = mapForToken ? mapForToken.get(strategyId) : null;
+			if (!sess || sess.entryRecorded) return;
+			sess.entryTimer = null;
+			const solUsd = priceService.getSolUsd();
+			const mcSol = typeof sess.thresholdMcSol === "number" ? sess.thresholdMcSol : 0;
+			const mcUsd = typeof solUsd === "number" ? mcSol * solUsd : 0;
+			const entryPrice = typeof sess.thresholdPrice === "number" ? sess.thresholdPrice : 0;
+
+			// snapshot pre-entry stats at this moment
+			const agg = this.tokenTradeStats.get(tokenAddress) || { total: 0, buys: 0, sells: 0, traders: new Set(), minMcUsd: null, maxMcUsd: null };
+			sess.preEntryTotalTrades = agg.total || 0;
+			sess.preEntryBuys = agg.buys || 0;
+			sess.preEntrySells = agg.sells || 0;
+			sess.preEntryUniqueTraders = agg.traders ? agg.traders.size : 0;
+			sess.preEntryMinMcUsd = agg.minMcUsd;
+			sess.preEntryMaxMcUsd = agg.maxMcUsd;
+
+			sess.entryRecorded = true;
+			sess.entryPrice = entryPrice;
+			sess.entryMcSol = mcSol;
+			sess.entryMcUsd = mcUsd;
+
+			// Entry line plus a first current line (0%) in the text format
+			const elapsedMs = this.clock.now() - sess.startedAt;
+			sess.writer.entry({ elapsedMs, price: entryPrice, mcUsd, mcSol, preEntry: this._preEntrySnapshot(sess), fallback: true });
+			this._onEntryRecorded(tokenAddress, sess, elapsedMs);
+			this._recordTrackingPoint(tokenAddress, sess, elapsedMs, 0);
+		} catch (e) {
+			logger.errorMonitor("Error recording fallback entry", { error: e.message, tokenAddress, strategyId });
+		}
 	}
 
 	stopTracking(tokenAddress, strategyId, reason) {
@@ -426,15 +681,17 @@ class TokenMonitor {
 		const session = byToken ? byToken.get(strategyId) : null;
 		if (!session) return;
 		try {
-			if (session.inactivityTimer) clearTimeout(session.inactivityTimer);
-			if (session.hardStopTimer) clearTimeout(session.hardStopTimer);
-			if (session.entryTimer) clearTimeout(session.entryTimer);
-			const durationSec = Math.floor((Date.now() - session.startedAt) / 1000);
+			if (session.inactivityTimer) this.clock.clearTimeout(session.inactivityTimer);
+			if (session.hardStopTimer) this.clock.clearTimeout(session.hardStopTimer);
+			if (session.entryTimer) this.clock.clearTimeout(session.entryTimer);
+			if (session.stage2Timer) this.clock.clearTimeout(session.stage2Timer);
+			this.paperTrader.onSessionEnd(tokenAddress, strategyId, reason);
+			const durationSec = Math.floor((this.clock.now() - session.startedAt) / 1000);
 			const summary = {
 				type: "summary",
 				reason,
 				startedAt: new Date(session.startedAt).toISOString(),
-				endedAt: new Date().toISOString(),
+				endedAt: this.clock.date().toISOString(),
 				durationSec,
 				entryPrice: session.entryPrice,
 				entryMarketCapSol: session.entryMcSol,
@@ -446,6 +703,13 @@ class TokenMonitor {
 				tradeCount: session.tradeCount,
 				entryRecorded: session.entryRecorded,
 				noPostThresholdTrades: session.tradeCount === 0,
+				stage2Status: session.stage2 ? session.stage2.status : null,
+				stage2Trades: session.stage2 ? session.stage2.trades : null,
+				stage2MaxPct: session.stage2 ? session.stage2.maxPct : null,
+				// tracking timing the session ran with
+				entryDelaySec: session.entryDelayMs / 1000,
+				inactivityMin: session.inactivityMs / 60000,
+				maxWindowMin: session.maxWindowMs / 60000,
 				// pre-trigger snapshot
 				triggerAt: session.triggerAt,
 				ageAtTriggerSec: session.ageAtTriggerSec,
@@ -453,6 +717,8 @@ class TokenMonitor {
 				preBuys: session.preBuys,
 				preSells: session.preSells,
 				preUniqueTraders: session.preUniqueTraders,
+				preMinMcUsd: session.preMinMcUsd,
+				preMaxMcUsd: session.preMaxMcUsd,
 				preEntryTotalTrades: session.preEntryTotalTrades,
 				preEntryBuys: session.preEntryBuys,
 				preEntrySells: session.preEntrySells,
@@ -462,11 +728,13 @@ class TokenMonitor {
 				thresholdMcSol: session.thresholdMcSol,
 				thresholdMcUsd: session.thresholdMcUsd,
 				thresholdPrice: session.thresholdPrice,
+				// creator reputation at the trigger (creator* rule features)
+				...session.creatorFeatures,
+				// early buyers at the trigger (sniper* / topHolderPct rule features)
+				...session.sniperFeatures,
 			};
-			const ts = moment().tz(config.logging.timezone).format("DD-MM-YYYY HH:mm:ss.SSS");
-			// clear separation before summary (for readability)
-			session.stream.write(`\n\n\n\n\n\n`);
-			session.stream.write(`${ts} INFO ${JSON.stringify(summary)}\n`);
+			session.writer.summary(summary);
+			const ts = moment(this.clock.now()).tz(config.logging.timezone).format("DD-MM-YYYY HH:mm:ss.SSS");
 
 			// Also append a consolidated summary line to a global summaries log
 			try {
@@ -476,7 +744,11 @@ class TokenMonitor {
 				const badT = config.summaries.badThresholdPct;
 				let outcome = "neutral";
 				let outcomeReason = "no thresholds met";
-				if (typeof summary.maxPct === "number" && isFinite(summary.maxPct) && summary.maxPct >= goodT) {
+				if (summary.stage2Status === "rejected") {
+					// Cut short by Stage 2: not a real neutral, keep it out of the outcome datasets
+					outcome = "cancelled";
+					outcomeReason = "stage2 rejected";
+				} else if (typeof summary.maxPct === "number" && isFinite(summary.maxPct) && summary.maxPct >= goodT) {
 					outcome = "good";
 					outcomeReason = `maxPct ${summary.maxPct.toFixed(2)}% >= ${goodT}%`;
 				} else if (typeof summary.minPct === "number" && isFinite(summary.minPct) && summary.minPct <= -badT) {
@@ -523,11 +795,23 @@ class TokenMonitor {
 				const stratId = summaryForGlobal.strategyId || "default";
 				const perStrategyPath = path.join(logsDir, `tracking-summaries-${stratId}.log`);
 				fs.appendFileSync(perStrategyPath, `${ts} INFO ${JSON.stringify(summaryForGlobal)}\n`);
+				if (this.creatorStore && tokenInfo.creator) this.creatorStore.recordOutcome(tokenInfo.creator, outcome);
 			} catch (e) {
 				logger.errorMonitor("Failed to write global summary log", { error: e.message, tokenAddress });
 			}
-			session.stream.end();
+			this._writeSessionCandles(tokenAddress, session, summary);
+			session.writer.end();
+			sessionsStopped.inc({ strategy: strategyId, reason });
 			logger.tokenMonitor("Tracking stopped for token", { tokenAddress, strategyId, reason, filePath: session.filePath });
+			this._publishSessionEvent("tracking_stop", tokenAddress, session, {
+				reason,
+				durationSec,
+				entryRecorded: session.entryRecorded,
+				maxPct: session.maxPct,
+				minPct: session.minPct,
+				tradeCount: session.tradeCount,
+				stage2: session.stage2 ? session.stage2.status : null,
+			});
 		} catch (e) {
 			logger.errorMonitor("Error stopping tracking", { error: e.message, tokenAddress, strategyId });
 		} finally {
@@ -545,12 +829,135 @@ class TokenMonitor {
 		}
 	}
 
+	// Candles of the session (plus the lookback before the trigger) next to its tracking log, one line per session
+	_writeSessionCandles(tokenAddress, session, summary) {
+		if (!this.candles.enabled) return;
+		try {
+			const fromMs = session.startedAt - config.candles.sessionLookbackSec * 1000;
+			const record = {
+				v: CANDLE_VERSION,
+				token: tokenAddress,
+				strategyId: session.strategyId,
+				startedAt: summary.startedAt,
+				endedAt: summary.endedAt,
+				fromMs,
+				timeframes: this.candles.candlesBetween(tokenAddress, fromMs, this.clock.now()),
+			};
+			fs.appendFileSync(path.join(path.dirname(session.filePath), sessionCandlesFileName(tokenAddress)), `${JSON.stringify(record)}\n`);
+		} catch (e) {
+			logger.errorMonitor("Failed to write session candles", { error: e.message, tokenAddress, strategyId: session.strategyId });
+		}
+	}
+
+	// Every "Current price" point of a session feeds Stage 2, the paper position and /events
+	_recordTrackingPoint(tokenAddress, session, elapsedMs, pct) {
+		session.lastPct = pct;
+		this._recordStage2Point(session, elapsedMs, pct);
+		this.paperTrader.onTick(tokenAddress, session.strategyId, { elapsedMs, pct });
+		this._publishSessionEvent("tracking_update", tokenAddress, session, {
+			elapsedSec: Math.floor(elapsedMs / 1000),
+			pct,
+			maxPct: session.maxPct,
+			minPct: session.minPct,
+			mcUsd: session.entryMcUsd ? session.entryMcUsd * (1 + pct / 100) : null,
+		});
+	}
+
+	_onEntryRecorded(tokenAddress, session, elapsedMs) {
+		this._publishSessionEvent("entry", tokenAddress, session, {
+			elapsedSec: Math.floor(elapsedMs / 1000),
+			entryPrice: session.entryPrice,
+			entryMcUsd: session.entryMcUsd,
+			preEntryBuys: session.preEntryBuys,
+			preEntrySells: session.preEntrySells,
+		});
+		session.entryElapsedMs = elapsedMs;
+		this._openPaperPosition(tokenAddress, session);
+	}
+
+	// Paper positions only for sessions Stage 2 lets through (none configured or confirmed), like backtest-strategies:
+	// while pending the position waits, and when Stage 2 confirms it opens with the entry price and time of the session
+	_openPaperPosition(tokenAddress, session) {
+		if (!session.entryRecorded || (session.stage2 && session.stage2.status !== "confirmed")) return false;
+		// The paper params the session started with (a reload may have changed or removed the strategy since)
+		const strategy = { id: session.strategyId, paperTrading: session.paperTrading };
+		this.paperTrader.openPosition(tokenAddress, strategy, {
+			sessionStartedAt: session.startedAt,
+			elapsedMs: session.entryElapsedMs ?? Math.max(0, session.entryAfterTs - session.startedAt),
+			entryPrice: session.entryPrice,
+			entryMcUsd: session.entryMcUsd,
+		});
+		return true;
+	}
+
+	_publishSessionEvent(type, tokenAddress, session, data) {
+		const tokenInfo = this.monitoredTokens.get(tokenAddress) || {};
+		liveEvents.publish(
+			type,
+			{ tokenAddress, strategyId: session.strategyId, tokenName: tokenInfo.name || null, tokenSymbol: tokenInfo.symbol || null, ...data },
+			{ clock: this.clock }
+		);
+	}
+
+	// Count a tracking point towards Stage 2 if it falls inside the confirmation window
+	_recordStage2Point(session, elapsedMs, pct) {
+		const s2 = session.stage2;
+		if (!s2 || s2.status !== "pending") return;
+		if (Math.floor(elapsedMs / 1000) > s2.windowSec) return;
+		s2.trades += 1;
+		s2.maxPct = s2.maxPct === null ? pct : Math.max(s2.maxPct, pct);
+	}
+
+	_evaluateStage2(tokenAddress, strategyId) {
+		const byToken = this.activeTracking.get(tokenAddress);
+		const session = byToken ? byToken.get(strategyId) : null;
+		if (!session || !session.stage2 || session.stage2.status !== "pending") return;
+		session.stage2Timer = null;
+
+		const s2 = session.stage2;
+		const maxPct = s2.maxPct ?? 0;
+		const confirmed = s2.trades >= s2.minTrades || maxPct >= s2.minMaxPct;
+		s2.decidedAt = this.clock.date().toISOString();
+		const tokenInfo = this.monitoredTokens.get(tokenAddress) || {};
+
+		if (confirmed) {
+			s2.status = "confirmed";
+			session.writer.stage2({ status: "confirmed", trades: s2.trades, maxPct, windowSec: s2.windowSec });
+			logger.creatorAlert(`Stage 2 confirmed for ${tokenInfo.name} (${tokenInfo.symbol})`, {
+				tokenAddress,
+				strategyId,
+				trades: s2.trades,
+				maxPct,
+				windowSec: s2.windowSec,
+				minTrades: s2.minTrades,
+				minMaxPct: s2.minMaxPct,
+			});
+			// The position catches up with the last point seen during the window
+			if (this._openPaperPosition(tokenAddress, session) && session.lastPct !== null) {
+				this.paperTrader.onTick(tokenAddress, strategyId, { elapsedMs: this.clock.now() - session.startedAt, pct: session.lastPct });
+			}
+			return;
+		}
+
+		s2.status = "rejected";
+		logger.tokenMonitor("Stage 2 not confirmed; cancelling tracking", {
+			tokenAddress,
+			strategyId,
+			trades: s2.trades,
+			maxPct,
+			windowSec: s2.windowSec,
+			minTrades: s2.minTrades,
+			minMaxPct: s2.minMaxPct,
+		});
+		this.stopTracking(tokenAddress, strategyId, "stage2_rejected");
+	}
+
 	_resetTrackingInactivity(tokenAddress, strategyId) {
 		const byToken = this.activeTracking.get(tokenAddress);
 		const session = byToken ? byToken.get(strategyId) : null;
 		if (!session) return;
-		if (session.inactivityTimer) clearTimeout(session.inactivityTimer);
-		session.inactivityTimer = setTimeout(() => this.stopTracking(tokenAddress, strategyId, "inactivity"), config.tracking.inactivityMs);
+		if (session.inactivityTimer) this.clock.clearTimeout(session.inactivityTimer);
+		session.inactivityTimer = this.clock.setTimeout(() => this.stopTracking(tokenAddress, strategyId, "inactivity"), session.inactivityMs ?? config.tracking.inactivityMs);
 	}
 
 	handleNewToken(tokenData) {
@@ -584,7 +991,7 @@ class TokenMonitor {
 				name: tokenName,
 				symbol: tokenSymbol,
 				creator: creatorAddress,
-				createdAt: new Date(),
+				createdAt: this.clock.date(),
 				initialSupply: tokenData.initialSupply || 0,
 				currentSupply: tokenData.currentSupply || 0,
 			});
@@ -617,6 +1024,8 @@ class TokenMonitor {
 				exitLogged: false,
 				thresholdAlerted: false,
 			});
+			if (this.creatorStore) this.creatorStore.recordLaunch(creatorAddress, tokenAddress, this.clock.now());
+			this.creatorCluster.onCreate(tokenAddress, creatorAddress, { at: this.clock.now(), solAmount: tokenData.solAmount });
 
 			logger.debugTokenMonitor(`New token detected: ${tokenName} (${tokenSymbol})`, {
 				tokenAddress,
@@ -631,7 +1040,7 @@ class TokenMonitor {
 			this.stats.totalNewTokensDetected++;
 			
 			// Track token creation time for rate calculation
-			this.tokenCreationTimes.push(Date.now());
+			this.tokenCreationTimes.push(this.clock.now());
 			
 			logger.debugTokenMonitor(`Subscribed to trades for new token: ${tokenName} (${tokenSymbol})`, {
 				tokenAddress,
@@ -672,10 +1081,14 @@ class TokenMonitor {
 
 				if (this.processedTrades.has(creatorTradeId)) {
 					logger.debugTokenMonitor(`Skipping duplicate creator trade: ${creatorTradeId}`);
+					duplicatesSkipped.inc({ kind: "creator_sell" });
 					return;
 				}
 
 				this.processedTrades.add(creatorTradeId);
+				tradesProcessed.inc({ tx_type: txType });
+				this.candles.onTrade(tradeData, this.clock.now());
+				this.creatorCluster.onCreatorSell(tokenAddress, this.clock.now());
 				this.handleCreatorSell(traderAddress, tokenAddress, tradeData);
 				return; // Salimos aquí para no procesar como trade normal
 			}
@@ -688,9 +1101,12 @@ class TokenMonitor {
 				}
 				if (this.processedTrades.has(creatorTradeId)) {
 					logger.debugTokenMonitor(`Skipping duplicate creator buy trade: ${creatorTradeId}`);
+					duplicatesSkipped.inc({ kind: "creator_buy" });
 					return;
 				}
 				this.processedTrades.add(creatorTradeId);
+				tradesProcessed.inc({ tx_type: txType });
+				this.candles.onTrade(tradeData, this.clock.now());
 				this.handleCreatorBuy(traderAddress, tokenAddress, tradeData);
 				return;
 			}
@@ -703,10 +1119,14 @@ class TokenMonitor {
 
 			if (this.processedTrades.has(tradeId)) {
 				logger.debugTokenMonitor(`Skipping duplicate trade: ${tradeId}`);
+				duplicatesSkipped.inc({ kind: "trade" });
 				return;
 			}
 
 			this.processedTrades.add(tradeId);
+			tradesProcessed.inc({ tx_type: txType });
+			this.candles.onTrade(tradeData, this.clock.now());
+			this._handleClusterTrade(tradeData);
 
 			// Trade logging sampling/throttling to reduce log volume
 			const tradeLogCfg = (config.logging && config.logging.trade) || {};
@@ -718,7 +1138,7 @@ class TokenMonitor {
 
 			// Throttle by time per token
 			if (tradeLogCfg.throttleMs && tradeLogCfg.throttleMs > 0) {
-				const now = Date.now();
+				const now = this.clock.now();
 				const last = this._tradeLogLastTs.get(tokenKey) || 0;
 				if (now - last < tradeLogCfg.throttleMs) {
 					shouldLog = false;
@@ -743,14 +1163,14 @@ class TokenMonitor {
 			// Update aggregated per-token trade stats (lifetime)
 			let agg = this.tokenTradeStats.get(tokenAddress);
 			if (!agg) {
-				agg = { total: 0, buys: 0, sells: 0, traders: new Set(), lastTradeAt: null, minMcUsd: null, maxMcUsd: null };
+				agg = { total: 0, buys: 0, sells: 0, traders: new Set(), lastTradeAt: null, minMcUsd: null, maxMcUsd: null, ...newEarlyBuyerStats() };
 				this.tokenTradeStats.set(tokenAddress, agg);
 			}
 			agg.total += 1;
 			if (txType === "buy") agg.buys += 1;
 			if (txType === "sell") agg.sells += 1;
 			agg.traders.add(traderAddress);
-			agg.lastTradeAt = new Date();
+			agg.lastTradeAt = this.clock.date();
 			// Update lifetime min/max MarketCap USD if available
 			const _solUsd = priceService.getSolUsd();
 			if (typeof marketCapSol === "number" && typeof _solUsd === "number") {
@@ -758,15 +1178,17 @@ class TokenMonitor {
 				agg.minMcUsd = agg.minMcUsd === null ? _mcUsd : Math.min(agg.minMcUsd, _mcUsd);
 				agg.maxMcUsd = agg.maxMcUsd === null ? _mcUsd : Math.max(agg.maxMcUsd, _mcUsd);
 			}
+			this._updateEarlyBuyerStats(tokenAddress, agg, tradeData);
 
 			// Tracking: update per-trade if active (for all strategies on this token)
 			const sessionsForToken = this.activeTracking.get(tokenAddress);
 			if (sessionsForToken && sessionsForToken.size > 0) {
+				const receivedAt = this.clock.now();
 				for (const [strategyId, session] of sessionsForToken.entries()) {
 					session.tradeCount += 1;
 					if (txType === "buy") session.buyCount += 1;
 					if (txType === "sell") session.sellCount += 1;
-					session.lastActivityAt = Date.now();
+					session.lastActivityAt = this.clock.now();
 					this._resetTrackingInactivity(tokenAddress, strategyId);
 
 					let currentPrice = typeof price === "number" && isFinite(price) ? price : undefined;
@@ -783,7 +1205,7 @@ class TokenMonitor {
 					const mcUsd = typeof solUsd === "number" ? mcSol * solUsd : 0;
 
 					// Record entry after delay using the first trade at/after entryAfterTs
-					if (!session.entryRecorded && Date.now() >= session.entryAfterTs) {
+					if (!session.entryRecorded && this.clock.now() >= session.entryAfterTs) {
 						// snapshot pre-entry stats at this moment
 						const agg2 = this.tokenTradeStats.get(tokenAddress) || { total: 0, buys: 0, sells: 0, traders: new Set(), minMcUsd: null, maxMcUsd: null };
 						session.preEntryTotalTrades = agg2.total || 0;
@@ -797,47 +1219,24 @@ class TokenMonitor {
 						session.entryPrice = currentPrice;
 						session.entryMcSol = mcSol;
 						session.entryMcUsd = mcUsd;
-						const ts = moment().tz(config.logging.timezone).format("DD-MM-YYYY HH:mm:ss.SSS");
-						const entryPriceStr = (session.entryPrice || 0).toFixed(18);
-						const entryMcStr = Math.round(session.entryMcUsd || 0);
-						const buys0 = session.preEntryBuys || 0;
-						const sells0 = session.preEntrySells || 0;
-						let ratio0 = "0:0";
-						if (buys0 > 0) ratio0 = `1:${(sells0 / buys0).toFixed(2)}`;
-						else if (sells0 > 0) ratio0 = "0:1";
-						const minCap0 = session.preEntryMinMcUsd != null ? Math.round(session.preEntryMinMcUsd) : 0;
-						const maxCap0 = session.preEntryMaxMcUsd != null ? Math.round(session.preEntryMaxMcUsd) : 0;
-						session.stream.write(
-							`${ts} INFO Entry price: ${entryPriceStr} - Entry market cap: ${entryMcStr} - Buys ${buys0} - Sells ${sells0} - Ratio: ${ratio0} - Min MarketCap: ${minCap0} - Max MarketCap: ${maxCap0}\n`
-						);
-						// Current line for this same trade (will also be printed below, but ensure immediate feedback)
-						const elapsedMs0 = Date.now() - session.startedAt;
-						const h0 = String(Math.floor(elapsedMs0 / 3600000)).padStart(2, "0");
-						const m0 = String(Math.floor((elapsedMs0 % 3600000) / 60000)).padStart(2, "0");
-						const s0 = String(Math.floor((elapsedMs0 % 60000) / 1000)).padStart(2, "0");
-						session.stream.write(
-							`${ts} INFO Current price: ${(currentPrice || 0).toFixed(12)} - Current percentage: 0.00% - Max: 0.00% - Min: 0.00% - Market Cap ${entryMcStr} - Trading time: ${h0}:${m0}:${s0}\n`
-						);
+						// Entry (plus a 0% current line in the text format) for this same trade; its tick is written below
+						const elapsedMs0 = this.clock.now() - session.startedAt;
+						session.writer.entry({ elapsedMs: elapsedMs0, price: currentPrice, mcUsd, mcSol, preEntry: this._preEntrySnapshot(session), trade: tradeData });
+						this._onEntryRecorded(tokenAddress, session, elapsedMs0);
+						this._recordTrackingPoint(tokenAddress, session, elapsedMs0, 0);
 					}
 
+					// Raw trade tape (only when enabled); the trade that fills the entry counts as after entry
+					session.writer.trade(tradeData, { receivedAt, elapsedMs: receivedAt - session.startedAt, afterEntry: session.entryRecorded });
+
 					// If entry recorded, write current status
 					if (session.entryRecorded) {
 						const pct = session.entryMcUsd > 0 ? ((mcUsd - session.entryMcUsd) / session.entryMcUsd) * 100 : 0;
 						session.minPct = Math.min(session.minPct, pct);
 						session.maxPct = Math.max(session.maxPct, pct);
-						const elapsedMs = Date.now() - session.startedAt;
-						const h = String(Math.floor(elapsedMs / 3600000)).padStart(2, "0");
-						const m = String(Math.floor((elapsedMs % 3600000) / 60000)).padStart(2, "0");
-						const s = String(Math.floor((elapsedMs % 60000) / 1000)).padStart(2, "0");
-						const ts = moment().tz(config.logging.timezone).format("DD-MM-YYYY HH:mm:ss.SSS");
-						const currentPriceStr = (currentPrice || 0).toFixed(12);
-						const pctStr = `${pct.toFixed(2)}%`;
-						const maxStr = `${session.maxPct.toFixed(2)}%`;
-						const minStr = `${session.minPct.toFixed(2)}%`;
-						const mcStr = Math.round(mcUsd || 0);
-						session.stream.write(
-							`${ts} INFO Current price: ${currentPriceStr} - Current percentage: ${pctStr} - Max: ${maxStr} - Min: ${minStr} - Market Cap ${mcStr} - Trading time: ${h}:${m}:${s}\n`
-						);
+						const elapsedMs = this.clock.now() - session.startedAt;
+						session.writer.tick({ elapsedMs, price: currentPrice, pct, maxPct: session.maxPct, minPct: session.minPct, mcUsd, mcSol, trade: tradeData });
+						this._recordTrackingPoint(tokenAddress, session, elapsedMs, pct);
 					}
 				}
 			}
@@ -846,6 +1245,49 @@ class TokenMonitor {
 		}
 	}
 
+	// Primeros compradores (sin el creador, que no pasa por aquí): compras en la ventana de snipers,
+	// primeras SNIPERS_FIRST_BUYERS wallets (comprado y si ya vendieron) y balance neto de cada wallet
+	_updateEarlyBuyerStats(tokenAddress, agg, { traderPublicKey: wallet, txType, tokenAmount }) {
+		// Stats restored from a snapshot taken before early-buyer analysis existed stay without it
+		if (!agg.holders) return;
+		const amount = typeof tokenAmount === "number" ? tokenAmount : 0;
+		const createdAt = this.monitoredTokens.get(tokenAddress)?.createdAt;
+		const held = agg.holders.get(wallet) || 0;
+		const firstBuyer = agg.firstBuyers.get(wallet);
+		if (txType === "buy") {
+			if (createdAt && this.clock.now() - new Date(createdAt).getTime() <= config.snipers.windowSec * 1000) agg.sniperBuys += 1;
+			if (firstBuyer) firstBuyer.bought += amount;
+			else if (agg.firstBuyers.size < config.snipers.firstBuyers) agg.firstBuyers.set(wallet, { bought: amount, sold: false });
+			agg.holders.set(wallet, held + amount);
+		} else if (txType === "sell") {
+			if (firstBuyer) firstBuyer.sold = true;
+			agg.holders.set(wallet, Math.max(0, held - amount));
+		}
+	}
+
+	/**
+	 * Features de primeros compradores (sniper* y topHolderPct) en este momento. Sin trades todo vale 0;
+	 * null si las stats vienen de un snapshot sin este análisis.
+	 */
+	_sniperFeatures(tokenAddress) {
+		const agg = this.tokenTradeStats.get(tokenAddress) || newEarlyBuyerStats();
+		if (!agg.holders) return null;
+		let firstBought = 0;
+		let sold = 0;
+		for (const buyer of agg.firstBuyers.values()) {
+			firstBought += buyer.bought;
+			if (buyer.sold) sold++;
+		}
+		let top = 0;
+		for (const held of agg.holders.values()) top = Math.max(top, held);
+		return {
+			sniperBuys: agg.sniperBuys,
+			sniperSupplyPct: (firstBought / TOKEN_TOTAL_SUPPLY) * 100,
+			sniperSold: sold,
+			topHolderPct: (top / TOKEN_TOTAL_SUPPLY) * 100,
+		};
+	}
+
 	isCreatorOfToken(traderAddress, tokenAddress) {
 		const tokenInfo = this.monitoredTokens.get(tokenAddress);
 		if (!tokenInfo) {
@@ -861,6 +1303,18 @@ class TokenMonitor {
 		return isCreator;
 	}
 
+	// Trade de una wallet que no es el creador: heurísticas de cluster y, con CLUSTER_COUNT_SELLS, umbral de venta
+	_handleClusterTrade(tradeData) {
+		const result = this.creatorCluster.onTrade(tradeData, this.clock.now());
+		if (!result) return;
+		const tokenAddress = tradeData.mint;
+		for (const { wallet, reason } of result.links) {
+			clusterWalletsFlagged.inc({ reason });
+			logger.debugTokenMonitor(`[CLUSTER] Wallet linked to creator (${reason})`, { tokenAddress, wallet, trader: tradeData.traderPublicKey, txType: tradeData.txType });
+		}
+		if (result.member && tradeData.txType === "sell" && this.creatorCluster.countSells) this._checkSellThreshold(tokenAddress, tradeData, "cluster");
+	}
+
 	handleCreatorBuy(creatorAddress, tokenAddress, tradeData) {
 		const tokenInfo = this.monitoredTokens.get(tokenAddress);
 		const tokenTracking = this.tokenSellTracking.get(tokenAddress);
@@ -929,15 +1383,16 @@ class TokenMonitor {
 		// Update tracking - restar tokens del balance del creador
 		tokenTracking.totalTokensOwned -= tokenAmount; // Restar del balance del creador
 		tokenTracking.tokensSold += tokenAmount; // Acumular total vendido
-		tokenTracking.lastSellTime = new Date();
+		tokenTracking.lastSellTime = this.clock.date();
 		tokenTracking.sellHistory.push({
 			tokenAddress,
 			tokenAmount,
 			solAmount,
 			price,
-			timestamp: new Date(),
+			timestamp: this.clock.date(),
 			percentage: sellPercentage,
 		});
+		if (this.creatorStore) this.creatorStore.recordSell(creatorAddress, tokenAddress, this.clock.now());
 
 		logger.debugTokenMonitor(`Updated tracking for ${tokenAddress}:`, {
 			creatorAddress,
@@ -951,6 +1406,7 @@ class TokenMonitor {
 		// Check if creator has sold a significant portion of THIS token
 		const totalSoldPercentage = tokenTracking.initialTokensOwned > 0 ? (tokenTracking.tokensSold / tokenTracking.initialTokensOwned) * 100 : 0;
 
+		creatorSells.inc();
 		logger.creatorSell(`Creator sell detected`, {
 			creatorAddress,
 			tokenAddress,
@@ -972,134 +1428,8 @@ class TokenMonitor {
 			totalSells: tokenTracking.sellHistory.length,
 		});
 
-		// Alert once if creator has sold more than threshold of THIS token
-		if (totalSoldPercentage >= config.thresholds.creatorSellThreshold && !tokenTracking.thresholdAlerted) {
-			const alertMessage = `Creator sold ${totalSoldPercentage.toFixed(2)}% of tokens in ${tokenInfo.name} (${tokenInfo.symbol})`;
-
-			logger.creatorAlert(alertMessage, {
-				creatorAddress,
-				tokenAddress,
-				tokenName: tokenInfo.name,
-				tokenSymbol: tokenInfo.symbol,
-				sellPercentage: totalSoldPercentage.toFixed(2),
-				threshold: config.thresholds.creatorSellThreshold,
-				totalSold: tokenTracking.tokensSold,
-				totalOwned: tokenTracking.totalTokensOwned,
-				lastSellTime: tokenTracking.lastSellTime,
-				totalSellsInHistory: tokenTracking.sellHistory.length,
-			});
-
-			console.info(`[ALERT] Creator ${creatorAddress} has sold ${totalSoldPercentage.toFixed(2)}% of tokens in ${tokenInfo.name} (${tokenInfo.symbol})!`);
-			tokenTracking.thresholdAlerted = true;
-
-			// Snapshot pre-trigger stats and pass to tracker
-			const stats = this.tokenTradeStats.get(tokenAddress) || { total: 0, buys: 0, sells: 0, traders: new Set(), minMcUsd: null, maxMcUsd: null };
-			const solUsd = priceService.getSolUsd();
-			const thresholdMcSol = typeof marketCapSol === "number" ? marketCapSol : null;
-			const thresholdMcUsd = thresholdMcSol !== null && typeof solUsd === "number" ? thresholdMcSol * solUsd : null;
-			const triggerAt = new Date();
-			const tokenCreatedAt = this.monitoredTokens.get(tokenAddress)?.createdAt;
-			const ageAtTriggerSec = tokenCreatedAt ? Math.floor((triggerAt - tokenCreatedAt) / 1000) : null;
-			const thresholdPrice =
-				typeof price === "number" && isFinite(price)
-					? price
-					: typeof solAmount === "number" && typeof tokenAmount === "number" && tokenAmount > 0
-						? solAmount / tokenAmount
-						: null;
-
-			// Optional pre-conditions to start tracking (from ENV)
-			const f = config.trackingFilters || { enabled: false };
-			// Precompute metrics for logging and evaluation
-			const total = stats.total || 0;
-			const buys = stats.buys || 0;
-			const sells = stats.sells || 0;
-			const uniq = stats.traders ? stats.traders.size : 0;
-			const denom = buys + sells;
-			const buyRatio = denom > 0 ? buys / denom : 0;
-			const netBuys = buys - sells;
-			const uniquePerTrade = total > 0 ? uniq / total : 0;
-			const buysPerUnique = uniq > 0 ? buys / uniq : 0;
-			const mcUsd = typeof thresholdMcUsd === "number" ? thresholdMcUsd : 0;
-			const volRatio = stats.minMcUsd && stats.minMcUsd > 0 && stats.maxMcUsd ? stats.maxMcUsd / stats.minMcUsd : null;
-
-			// Check if token passes global filters (f.enabled check is done in strategy loop below)
-
-			// Evaluate each configured strategy independently and start per-strategy sessions
-			const strategies =
-				Array.isArray(config.strategies) && config.strategies.length > 0 ? config.strategies : [{ id: "default", trackingFilters: f, tracking: config.tracking }];
-
-			// Track which strategies will be active for this token
-			const activeStrategies = new Set();
-
-			for (const strat of strategies) {
-				const sf = strat.trackingFilters || { enabled: false };
-				let stratPasses = true;
-				if (sf.enabled) {
-					stratPasses =
-						buys >= (sf.minBuys || 0) &&
-						total >= (sf.minTotalTrades || 0) &&
-						uniq >= (sf.minUniqueTraders || 0) &&
-						buyRatio >= (sf.minBuyRatio || 0) &&
-						netBuys >= (sf.minNetBuys || 0) &&
-						mcUsd >= (Number.isFinite(sf.minMcUsd) ? sf.minMcUsd : 0) &&
-						mcUsd <= (Number.isFinite(sf.maxMcUsd) ? sf.maxMcUsd : Infinity) &&
-						uniquePerTrade >= (sf.minUniquePerTrade || 0) &&
-						buysPerUnique >= (sf.minBuysPerUnique || 0) &&
-						(ageAtTriggerSec === null || ageAtTriggerSec <= (Number.isFinite(sf.maxAgeAtTriggerSec) ? sf.maxAgeAtTriggerSec : Infinity)) &&
-						(volRatio === null || volRatio <= (Number.isFinite(sf.maxMcVolatilityRatio) ? sf.maxMcVolatilityRatio : Infinity));
-				}
-
-				let shouldTrack = true;
-				if (sf && sf.trackAllMints === true) {
-					logger.tokenMonitor("TRACK_ALL_MINTS enabled: overriding filters to start tracking", { tokenAddress, strategyId: strat.id });
-					shouldTrack = true;
-				} else if (sf && sf.enabled) {
-					shouldTrack = stratPasses;
-				}
-
-				if (!shouldTrack) {
-					logger.tokenMonitor("Tracking filters not met; skipping strategy", {
-						strategyId: strat.id,
-						tokenAddress,
-						buys,
-						sells,
-						total,
-						uniq,
-						buyRatio: buyRatio.toFixed(3),
-						netBuys,
-						mcUsd: Math.round(mcUsd),
-						uniquePerTrade: uniquePerTrade.toFixed(3),
-						buysPerUnique: buysPerUnique.toFixed(3),
-						ageAtTriggerSec,
-						volatilityRatio: volRatio,
-						filters: sf,
-					});
-					continue;
-				}
-
-				activeStrategies.add(strat.id);
-				const existing = this.activeTracking.get(tokenAddress);
-				if (!existing || !existing.has(strat.id)) {
-					this.startTracking(tokenAddress, strat, {
-						triggerAt: triggerAt.toISOString(),
-						ageAtTriggerSec,
-						preTotalTrades: stats.total || 0,
-						preBuys: stats.buys || 0,
-						preSells: stats.sells || 0,
-						preUniqueTraders: stats.traders ? stats.traders.size : 0,
-						thresholdMcSol,
-						thresholdMcUsd,
-						thresholdPrice,
-					});
-				}
-			}
-
-			// If no strategies are active for this token, unsubscribe from trades
-			if (activeStrategies.size === 0) {
-				logger.tokenMonitor("No active strategies for token, unsubscribing from trades", { tokenAddress });
-				this.wsClient.unsubscribeTokenTrades([tokenAddress]);
-			}
-		}
+		// Alert once (and start tracking) when the creator, plus its cluster with CLUSTER_COUNT_SELLS, crosses the threshold
+		this._checkSellThreshold(tokenAddress, tradeData, "creator");
 
 		// If creator fully exited position, record market caps
 		const fullyExited = tokenTracking.totalTokensOwned === 0 || tokenTracking.tokensSold >= tokenTracking.initialTokensOwned;
@@ -1110,8 +1440,9 @@ class TokenMonitor {
 
 			tokenTracking.exitMarketCapSol = mcSol;
 			tokenTracking.exitMarketCapUsd = mcUsd;
-			tokenTracking.exitAt = new Date();
+			tokenTracking.exitAt = this.clock.date();
 			tokenTracking.exitLogged = true;
+			if (this.creatorStore) this.creatorStore.recordExit(creatorAddress, tokenAddress, { at: tokenTracking.exitAt.getTime(), mcSol, mcUsd });
 
 			logger.creatorAlert("Creator fully exited token", {
 				creatorAddress,
@@ -1124,12 +1455,187 @@ class TokenMonitor {
 				solUsdPrice: solUsd,
 			});
 
+			liveEvents.publish(
+				"creator_full_exit",
+				{
+					tokenAddress,
+					creatorAddress,
+					tokenName: tokenInfo.name || null,
+					tokenSymbol: tokenInfo.symbol || null,
+					exitMarketCapSol: mcSol,
+					exitMarketCapUsd: mcUsd,
+				},
+				{ clock: this.clock }
+			);
+
 			const mcUsdStr = mcUsd !== null ? formatCurrencyEs(mcUsd, "$") : "N/D";
 			const mcSolStr = typeof mcSol === "number" ? `${mcSol.toLocaleString("es-ES", { maximumFractionDigits: 6 })} SOL` : "N/D";
 			console.info(`[CREATOR_SELL] Creator fully exited ${tokenInfo.name} (${tokenInfo.symbol}) at MC: ${mcSolStr} (${mcUsdStr})`);
 		}
 	}
 
+	/**
+	 * Umbral de venta (CREATOR_SELL_THRESHOLD) de un token: alerta una sola vez y evalúa las estrategias
+	 * para empezar el tracking. `source` indica qué venta lo ha disparado (creator | cluster).
+	 */
+	_checkSellThreshold(tokenAddress, tradeData, source) {
+		const tokenInfo = this.monitoredTokens.get(tokenAddress);
+		const tokenTracking = this.tokenSellTracking.get(tokenAddress);
+		if (!tokenInfo || !tokenTracking || tokenTracking.thresholdAlerted) return;
+		const totalSoldPercentage = this._thresholdPercentage(tokenAddress, tokenTracking);
+		if (totalSoldPercentage < config.thresholds.creatorSellThreshold) return;
+		const { creatorAddress } = tokenTracking;
+		const { tokenAmount, solAmount, price, marketCapSol } = tradeData;
+
+		const who = source === "cluster" ? "Creator cluster" : "Creator";
+		const alertMessage = `${who} sold ${totalSoldPercentage.toFixed(2)}% of tokens in ${tokenInfo.name} (${tokenInfo.symbol})`;
+
+		logger.creatorAlert(alertMessage, {
+			creatorAddress,
+			tokenAddress,
+			tokenName: tokenInfo.name,
+			tokenSymbol: tokenInfo.symbol,
+			source,
+			sellPercentage: totalSoldPercentage.toFixed(2),
+			threshold: config.thresholds.creatorSellThreshold,
+			totalSold: tokenTracking.tokensSold,
+			totalOwned: tokenTracking.totalTokensOwned,
+			lastSellTime: tokenTracking.lastSellTime,
+			totalSellsInHistory: tokenTracking.sellHistory.length,
+		});
+
+		console.info(`[ALERT] ${who} ${creatorAddress} has sold ${totalSoldPercentage.toFixed(2)}% of tokens in ${tokenInfo.name} (${tokenInfo.symbol})!`);
+		tokenTracking.thresholdAlerted = true;
+		creatorSellAlerts.inc();
+		liveEvents.publish(
+			"creator_sell_alert",
+			{
+				tokenAddress,
+				creatorAddress,
+				tokenName: tokenInfo.name || null,
+				tokenSymbol: tokenInfo.symbol || null,
+				source,
+				sellPercentage: totalSoldPercentage,
+				threshold: config.thresholds.creatorSellThreshold,
+				marketCapSol: typeof marketCapSol === "number" ? marketCapSol : null,
+			},
+			{ clock: this.clock }
+		);
+
+		// Snapshot pre-trigger stats and pass to tracker
+		const stats = this.tokenTradeStats.get(tokenAddress) || { total: 0, buys: 0, sells: 0, traders: new Set(), minMcUsd: null, maxMcUsd: null };
+		const solUsd = priceService.getSolUsd();
+		const thresholdMcSol = typeof marketCapSol === "number" ? marketCapSol : null;
+		const thresholdMcUsd = thresholdMcSol !== null && typeof solUsd === "number" ? thresholdMcSol * solUsd : null;
+		const triggerAt = this.clock.date();
+		const tokenCreatedAt = this.monitoredTokens.get(tokenAddress)?.createdAt;
+		const ageAtTriggerSec = tokenCreatedAt ? Math.floor((triggerAt - tokenCreatedAt) / 1000) : null;
+		const thresholdPrice =
+			typeof price === "number" && isFinite(price)
+				? price
+				: typeof solAmount === "number" && typeof tokenAmount === "number" && tokenAmount > 0
+					? solAmount / tokenAmount
+					: null;
+
+		// Optional pre-conditions to start tracking (from ENV)
+		const f = config.trackingFilters || { enabled: false };
+		// Creator reputation at the trigger (NaN features without the store: creator filters then pass)
+		const creatorFeatures = this.creatorStore ? this.creatorStore.features(creatorAddress, tokenAddress, this.clock.now()) : null;
+		const sniperFeatures = this._sniperFeatures(tokenAddress);
+		// Same features and filter check as the analysis/backtest scripts (src/strategy-rules.js)
+		const features = ruleFeatures({
+			buys: stats.buys || 0,
+			sells: stats.sells || 0,
+			totalTrades: stats.total || 0,
+			uniqueTraders: stats.traders ? stats.traders.size : 0,
+			mcUsd: thresholdMcUsd,
+			mcSol: thresholdMcSol,
+			ageAtTriggerSec,
+			minMcUsd: stats.minMcUsd,
+			maxMcUsd: stats.maxMcUsd,
+			creator: creatorFeatures,
+			snipers: sniperFeatures,
+		});
+
+		// Check if token passes global filters (f.enabled check is done in strategy loop below)
+
+		// Evaluate each configured strategy independently and start per-strategy sessions
+		const strategies =
+			Array.isArray(config.strategies) && config.strategies.length > 0 ? config.strategies : [{ id: "default", trackingFilters: f, tracking: config.tracking }];
+
+		// Track which strategies will be active for this token
+		const activeStrategies = new Set();
+
+		for (const strat of strategies) {
+			const sf = strat.trackingFilters || { enabled: false };
+			const stratPasses = sf.enabled ? passesFilters(features, sf) : true;
+
+			let shouldTrack = true;
+			if (sf && sf.trackAllMints === true) {
+				logger.tokenMonitor("TRACK_ALL_MINTS enabled: overriding filters to start tracking", { tokenAddress, strategyId: strat.id });
+				shouldTrack = true;
+			} else if (sf && sf.enabled) {
+				shouldTrack = stratPasses;
+			}
+
+			if (!shouldTrack) {
+				logger.tokenMonitor("Tracking filters not met; skipping strategy", {
+					strategyId: strat.id,
+					tokenAddress,
+					buys: features.preBuys,
+					sells: features.preSells,
+					total: features.preTotalTrades,
+					uniq: features.preUniqueTraders,
+					buyRatio: features.buyRatio.toFixed(3),
+					netBuys: features.netBuys,
+					mcUsd: Math.round(features.mcUsd),
+					uniquePerTrade: features.uniquePerTrade.toFixed(3),
+					buysPerUnique: features.buysPerUnique.toFixed(3),
+					ageAtTriggerSec,
+					volatilityRatio: Number.isFinite(features.mcVolatilityRatio) ? features.mcVolatilityRatio : null,
+					filters: sf,
+				});
+				continue;
+			}
+
+			activeStrategies.add(strat.id);
+			const existing = this.activeTracking.get(tokenAddress);
+			if (!existing || !existing.has(strat.id)) {
+				this.startTracking(tokenAddress, strat, {
+					triggerAt: triggerAt.toISOString(),
+					ageAtTriggerSec,
+					preTotalTrades: stats.total || 0,
+					preBuys: stats.buys || 0,
+					preSells: stats.sells || 0,
+					preUniqueTraders: stats.traders ? stats.traders.size : 0,
+					thresholdMcSol,
+					thresholdMcUsd,
+					thresholdPrice,
+					preMinMcUsd: stats.minMcUsd ?? null,
+					preMaxMcUsd: stats.maxMcUsd ?? null,
+					creatorFeatures,
+					sniperFeatures,
+				});
+			}
+		}
+
+		// If no strategies are active for this token, unsubscribe from trades
+		if (activeStrategies.size === 0) {
+			logger.tokenMonitor("No active strategies for token, unsubscribing from trades", { tokenAddress });
+			this.wsClient.unsubscribeTokenTrades([tokenAddress]);
+		}
+	}
+
+	// % vendido que cuenta para el umbral: el del creador o, con CLUSTER_COUNT_SELLS, el del creador más su cluster
+	_thresholdPercentage(tokenAddress, tracking) {
+		const cluster = this.creatorCluster.countSells ? this.creatorCluster.totals(tokenAddress) : null;
+		if (!cluster || cluster.wallets === 0) return this._sellPercentage(tracking);
+		const owned = tracking.initialTokensOwned + cluster.tokensBought;
+		const combined = owned > 0 ? ((tracking.tokensSold + cluster.tokensSold) / owned) * 100 : 0;
+		// Cluster sells can only bring the trigger forward: a creator that sold out still reaches the threshold
+		return Math.max(this._sellPercentage(tracking), combined);
+	}
+
 	getMonitoredTokens() {
 		return Array.from(this.monitoredTokens.entries()).map(([address, info]) => ({
 			address,
@@ -1163,6 +1669,177 @@ class TokenMonitor {
 		return Array.from(creatorMap.values());
 	}
 
+	_sellPercentage(tracking) {
+		return tracking.initialTokensOwned > 0 ? (tracking.tokensSold / tracking.initialTokensOwned) * 100 : 0;
+	}
+
+	// safe (0%), watch (< umbral), risk (>= umbral) o exited (100%)
+	_sellState(percentage) {
+		if (percentage === 0) return "safe";
+		if (percentage === 100) return "exited";
+		if (percentage >= config.thresholds.creatorSellThreshold) return "risk";
+		return "watch";
+	}
+
+	// Fila resumida de un token (listado /tokens y tokens de /creators/:address)
+	_tokenRow(tokenAddress) {
+		const info = this.monitoredTokens.get(tokenAddress);
+		const tracking = this.tokenSellTracking.get(tokenAddress);
+		if (!info || !tracking) return null;
+		const createdAt = new Date(info.createdAt);
+		const sellPercentage = this._sellPercentage(tracking);
+		const agg = this.tokenTradeStats.get(tokenAddress);
+		const sessions = this.activeTracking.get(tokenAddress);
+		return {
+			address: tokenAddress,
+			name: info.name,
+			symbol: info.symbol,
+			creator: info.creator,
+			createdAt: createdAt.toISOString(),
+			ageSec: Math.floor((this.clock.now() - createdAt.getTime()) / 1000),
+			sellPercentage,
+			state: this._sellState(sellPercentage),
+			totalSells: tracking.sellHistory.length,
+			exitAt: tracking.exitAt ? new Date(tracking.exitAt).toISOString() : null,
+			trades: agg ? agg.total : 0,
+			lastTradeAt: agg?.lastTradeAt ? new Date(agg.lastTradeAt).toISOString() : null,
+			strategies: sessions ? Array.from(sessions.keys()) : [],
+		};
+	}
+
+	/**
+	 * Listado paginado de tokens monitorizados (GET /tokens).
+	 * Filtros: state (TOKEN_STATES), minSellPct, minAgeSec/maxAgeSec, strategy (sesión activa de esa estrategia).
+	 * sort: TOKEN_SORT_KEYS (por defecto createdAt), order asc|desc (por defecto desc).
+	 */
+	listTokens({ state = null, minSellPct = null, minAgeSec = null, maxAgeSec = null, strategy = null, sort = "createdAt", order = "desc", offset = 0, limit = 50 } = {}) {
+		const rows = [];
+		for (const tokenAddress of this.monitoredTokens.keys()) {
+			const row = this._tokenRow(tokenAddress);
+			if (!row) continue;
+			if (state && row.state !== state) continue;
+			if (minSellPct !== null && row.sellPercentage < minSellPct) continue;
+			if (minAgeSec !== null && row.ageSec < minAgeSec) continue;
+			if (maxAgeSec !== null && row.ageSec > maxAgeSec) continue;
+			if (strategy && !row.strategies.includes(strategy)) continue;
+			rows.push(row);
+		}
+		const key = { createdAt: (r) => Date.parse(r.createdAt), sellPct: (r) => r.sellPercentage, trades: (r) => r.trades, lastTradeAt: (r) => (r.lastTradeAt ? Date.parse(r.lastTradeAt) : 0) }[sort];
+		const dir = order === "asc" ? 1 : -1;
+		rows.sort((a, b) => (key(a) - key(b)) * dir);
+		return { total: rows.length, offset, limit, tokens: rows.slice(offset, offset + limit) };
+	}
+
+	/**
+	 * Detalle de un token (GET /tokens/:mint): metadatos, posición y ventas del creador, su cluster
+	 * de wallets vinculadas, stats de trades y sesiones activas por estrategia. null si no se está monitorizando.
+	 */
+	getTokenDetail(tokenAddress) {
+		const row = this._tokenRow(tokenAddress);
+		if (!row) return null;
+		const info = this.monitoredTokens.get(tokenAddress);
+		const tracking = this.tokenSellTracking.get(tokenAddress);
+		const agg = this.tokenTradeStats.get(tokenAddress);
+		const now = this.clock.now();
+		const sessions = Array.from(this.activeTracking.get(tokenAddress)?.values() || []).map((session) => ({
+			strategyId: session.strategyId,
+			startedAt: new Date(session.startedAt).toISOString(),
+			elapsedSec: Math.floor((now - session.startedAt) / 1000),
+			triggerAt: session.triggerAt,
+			entryRecorded: session.entryRecorded,
+			entryPrice: session.entryPrice,
+			entryMarketCapUsd: session.entryMcUsd,
+			currentPct: session.lastPct ?? null,
+			minPct: session.minPct,
+			maxPct: session.maxPct,
+			tradeCount: session.tradeCount,
+			buyCount: session.buyCount,
+			sellCount: session.sellCount,
+			stage2: session.stage2 ? session.stage2.status : null,
+			endsBy: new Date(Math.min(session.startedAt + session.maxWindowMs, session.lastActivityAt + session.inactivityMs)).toISOString(),
+		}));
+		return {
+			...row,
+			initialSupply: info.initialSupply,
+			creatorPosition: {
+				initialTokensOwned: tracking.initialTokensOwned,
+				totalTokensOwned: tracking.totalTokensOwned,
+				tokensSold: tracking.tokensSold,
+				thresholdAlerted: tracking.thresholdAlerted,
+				lastSellTime: tracking.lastSellTime ? new Date(tracking.lastSellTime).toISOString() : null,
+			},
+			sellHistory: tracking.sellHistory.map((sell) => ({
+				timestamp: new Date(sell.timestamp).toISOString(),
+				tokenAmount: sell.tokenAmount,
+				solAmount: sell.solAmount,
+				price: sell.price,
+				percentage: sell.percentage,
+			})),
+			exit: tracking.exitLogged
+				? {
+						at: tracking.exitAt ? new Date(tracking.exitAt).toISOString() : null,
+						marketCapSol: tracking.exitMarketCapSol,
+						marketCapUsd: tracking.exitMarketCapUsd,
+					}
+				: null,
+			tradeStats: agg
+				? {
+						total: agg.total,
+						buys: agg.buys,
+						sells: agg.sells,
+						uniqueTraders: agg.traders.size,
+						minMcUsd: agg.minMcUsd,
+						maxMcUsd: agg.maxMcUsd,
+						snipers: this._sniperFeatures(tokenAddress),
+					}
+				: null,
+			cluster: this.creatorCluster.getCluster(tokenAddress),
+			subscribed: this.wsClient.subscribedTokens.has(tokenAddress),
+			subscriptionState: this.wsClient.subscriptionState("token", tokenAddress),
+			sessions,
+		};
+	}
+
+	/**
+	 * Detalle de un creador (GET /creators/:address): sus tokens vistos en esta ejecución con ventas,
+	 * salidas completas y tiempos desde la creación hasta la primera venta y la salida, más su historial
+	 * entre ejecuciones (`history`, CreatorStore). null si no hay ni tokens ni historial.
+	 */
+	getCreatorDetail(creatorAddress) {
+		const tokens = [];
+		for (const [tokenAddress, tracking] of this.tokenSellTracking) {
+			if (tracking.creatorAddress !== creatorAddress) continue;
+			const row = this._tokenRow(tokenAddress);
+			if (!row) continue;
+			const createdMs = Date.parse(row.createdAt);
+			const firstSell = tracking.sellHistory[0];
+			tokens.push({
+				...row,
+				soldSol: tracking.sellHistory.reduce((sum, sell) => sum + (Number(sell.solAmount) || 0), 0),
+				firstSellAfterSec: firstSell ? Math.max(0, Math.floor((new Date(firstSell.timestamp).getTime() - createdMs) / 1000)) : null,
+				exitAfterSec: tracking.exitAt ? Math.max(0, Math.floor((new Date(tracking.exitAt).getTime() - createdMs) / 1000)) : null,
+				exitMarketCapUsd: tracking.exitMarketCapUsd,
+			});
+		}
+		const history = this.creatorStore ? this.creatorStore.get(creatorAddress) : null;
+		if (tokens.length === 0 && !history) return null;
+		const avg = (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null);
+		const firstSells = tokens.map((t) => t.firstSellAfterSec).filter((v) => v !== null);
+		const exits = tokens.map((t) => t.exitAfterSec).filter((v) => v !== null);
+		tokens.sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+		return {
+			address: creatorAddress,
+			tokenCount: tokens.length,
+			totalSells: tokens.reduce((sum, t) => sum + t.totalSells, 0),
+			soldSol: tokens.reduce((sum, t) => sum + t.soldSol, 0),
+			fullExits: exits.length,
+			avgFirstSellAfterSec: avg(firstSells),
+			avgExitAfterSec: avg(exits),
+			tokens,
+			history,
+		};
+	}
+
 	// Mostrar estado de todos los tokens trackeados
 	showTrackingStatus() {
 		const monitoredTokens = this.getMonitoredTokens();
@@ -0,0 +1,186 @@
+import fs from "fs";
+import path from "path";
+import moment from "moment-timezone";
+import defaultClock from "./clock.js";
+
+// Log de tracking por token y estrategia, en uno de dos formatos (TRACKING_LOG_FORMAT):
+// - "text" (por defecto, <mint>-websocket.log): líneas legibles `Current price: ... - Trading time: hh:mm:ss`
+//   y el summary como JSON detrás del timestamp.
+// - "jsonl" (<mint>-tracking.jsonl): un evento JSON por línea, { v, type, ts, ... } con
+//   type session_start | entry | tick | stage2 | resume | summary. `t` es el trading time en segundos enteros
+//   (como en el formato texto) y `elapsedMs` el valor exacto.
+// scripts/analysis/backtest/lib/tracking-parse.js lee los dos formatos.
+// Opcionalmente (TRACKING_TAPE / tracking.tape) cada sesión guarda también su cinta de trades en crudo,
+// <mint>-tape.jsonl: una línea por trade recibido desde el trigger (ver scripts/analysis/backtest/lib/trade-tape.js).
+// Con velas activas (CANDLES_ENABLED) cada sesión añade al cerrar sus velas OHLCV a <mint>-candles.jsonl
+// (ver src/candle-builder.js y scripts/analysis/backtest/lib/candles.js).
+
+export const TRACKING_EVENT_VERSION = 1;
+export const TRACKING_LOG_FORMATS = ["text", "jsonl"];
+export const TRADE_TAPE_VERSION = 1;
+
+const SUFFIXES = { text: "-websocket.log", jsonl: "-tracking.jsonl" };
+
+export function trackingLogFileName(tokenAddress, format = "text") {
+	return `${tokenAddress}${SUFFIXES[format] || SUFFIXES.text}`;
+}
+
+export function tradeTapeFileName(tokenAddress) {
+	return `${tokenAddress}-tape.jsonl`;
+}
+
+export function sessionCandlesFileName(tokenAddress) {
+	return `${tokenAddress}-candles.jsonl`;
+}
+
+export function trackingLogFormatOf(filePath) {
+	return filePath.endsWith(SUFFIXES.jsonl) ? "jsonl" : "text";
+}
+
+/**
+ * Mint de un fichero de tracking (cualquier formato), o null si el nombre no es de un log de tracking.
+ */
+export function tokenFromTrackingLogFile(filePath) {
+	const base = path.basename(filePath);
+	for (const suffix of Object.values(SUFFIXES)) {
+		if (base.endsWith(suffix)) return base.slice(0, -suffix.length);
+	}
+	return null;
+}
+
+function tradingTime(elapsedMs) {
+	const h = String(Math.floor(elapsedMs / 3600000)).padStart(2, "0");
+	const m = String(Math.floor((elapsedMs % 3600000) / 60000)).padStart(2, "0");
+	const s = String(Math.floor((elapsedMs % 60000) / 1000)).padStart(2, "0");
+	return `${h}:${m}:${s}`;
+}
+
+// Raw trade fields carried by entry/tick events (only in jsonl)
+function tradeFields(trade) {
+	if (!trade) return {};
+	return {
+		signature: trade.signature ?? null,
+		trader: trade.traderPublicKey ?? null,
+		txType: trade.txType ?? null,
+		solAmount: trade.solAmount ?? null,
+		tokenAmount: trade.tokenAmount ?? null,
+	};
+}
+
+class TrackingWriter {
+	constructor(filePath, { timezone = "Europe/Madrid", tapeFile = null, clock = defaultClock } = {}) {
+		this.filePath = filePath;
+		this.clock = clock; // line and event timestamps (the capture's time during a replay)
+		this.format = trackingLogFormatOf(filePath);
+		this.timezone = timezone;
+		this.stream = fs.createWriteStream(filePath, { flags: "a" });
+		this.tapeStream = tapeFile ? fs.createWriteStream(tapeFile, { flags: "a" }) : null;
+	}
+
+	_line(message) {
+		const ts = moment(this.clock.now()).tz(this.timezone).format("DD-MM-YYYY HH:mm:ss.SSS");
+		this.stream.write(`${ts} INFO ${message}\n`);
+	}
+
+	_event(type, fields) {
+		this.stream.write(`${JSON.stringify({ v: TRACKING_EVENT_VERSION, type, ts: this.clock.date().toISOString(), ...fields })}\n`);
+	}
+
+	// Trigger snapshot, timing and stage 2 settings (the text format has no start line)
+	sessionStart(fields) {
+		if (this.format === "jsonl") this._event("session_start", fields);
+	}
+
+	/**
+	 * Entrada: { elapsedMs, price, mcUsd, mcSol, preEntry: {...}, fallback, trade }.
+	 * En texto escribe la línea Entry y un primer Current al 0%.
+	 */
+	entry({ elapsedMs, price, mcUsd, mcSol, preEntry, fallback = false, trade = null }) {
+		if (this.format === "jsonl") {
+			this._event("entry", { t: Math.floor(elapsedMs / 1000), elapsedMs, price, mcUsd, mcSol, fallback, preEntry, ...tradeFields(trade) });
+			return;
+		}
+		const buys = preEntry.buys || 0;
+		const sells = preEntry.sells || 0;
+		let ratio = "0:0";
+		if (buys > 0) ratio = `1:${(sells / buys).toFixed(2)}`;
+		else if (sells > 0) ratio = "0:1";
+		const minCap = preEntry.minMcUsd != null ? Math.round(preEntry.minMcUsd) : 0;
+		const maxCap = preEntry.maxMcUsd != null ? Math.round(preEntry.maxMcUsd) : 0;
+		const mcStr = Math.round(mcUsd || 0);
+		this._line(
+			`Entry price: ${(price || 0).toFixed(18)} - Entry market cap: ${mcStr} - Buys ${buys} - Sells ${sells} - Ratio: ${ratio} - Min MarketCap: ${minCap} - Max MarketCap: ${maxCap}`
+		);
+		this._line(
+			`Current price: ${(price || 0).toFixed(12)} - Current percentage: 0.00% - Max: 0.00% - Min: 0.00% - Market Cap ${mcStr} - Trading time: ${tradingTime(elapsedMs)}`
+		);
+	}
+
+	// Trade after the entry: { elapsedMs, price, pct, maxPct, minPct, mcUsd, mcSol, trade }
+	tick({ elapsedMs, price, pct, maxPct, minPct, mcUsd, mcSol, trade = null }) {
+		if (this.format === "jsonl") {
+			this._event("tick", { t: Math.floor(elapsedMs / 1000), elapsedMs, price, pct, maxPct, minPct, mcUsd, mcSol, ...tradeFields(trade) });
+			return;
+		}
+		this._line(
+			`Current price: ${(price || 0).toFixed(12)} - Current percentage: ${pct.toFixed(2)}% - Max: ${maxPct.toFixed(2)}% - Min: ${minPct.toFixed(2)}% - Market Cap ${Math.round(mcUsd || 0)} - Trading time: ${tradingTime(elapsedMs)}`
+		);
+	}
+
+	stage2({ status, trades, maxPct, windowSec }) {
+		if (this.format === "jsonl") {
+			this._event("stage2", { status, trades, maxPct, windowSec });
+			return;
+		}
+		this._line(`Stage 2 ${status} - Trades: ${trades} - Max: ${maxPct.toFixed(2)}% - Window: ${windowSec}s`);
+	}
+
+	resume({ downtimeSec }) {
+		if (this.format === "jsonl") {
+			this._event("resume", { downtimeSec });
+			return;
+		}
+		this._line(`Tracking resumed after restart - Downtime: ${downtimeSec}s`);
+	}
+
+	/**
+	 * Trade en crudo a la cinta (no-op sin tape). receivedAt: epoch ms de recepción; elapsedMs desde el inicio de la sesión.
+	 * Las reservas de la bonding curve solo vienen en algunos mensajes: null si faltan.
+	 */
+	trade(trade, { receivedAt, elapsedMs, afterEntry }) {
+		if (!this.tapeStream) return;
+		const line = {
+			v: TRADE_TAPE_VERSION,
+			receivedAt,
+			elapsedMs,
+			afterEntry,
+			signature: trade.signature ?? null,
+			trader: trade.traderPublicKey ?? null,
+			txType: trade.txType ?? null,
+			solAmount: trade.solAmount ?? null,
+			tokenAmount: trade.tokenAmount ?? null,
+			marketCapSol: trade.marketCapSol ?? null,
+			vSolInBondingCurve: trade.vSolInBondingCurve ?? null,
+			vTokensInBondingCurve: trade.vTokensInBondingCurve ?? null,
+		};
+		this.tapeStream.write(`${JSON.stringify(line)}\n`);
+	}
+
+	// `summary` already carries type: "summary"
+	summary(summary) {
+		if (this.format === "jsonl") {
+			this._event("summary", summary);
+			return;
+		}
+		// clear separation before summary (for readability)
+		this.stream.write(`\n\n\n\n\n\n`);
+		this._line(JSON.stringify(summary));
+	}
+
+	end() {
+		this.stream.end();
+		if (this.tapeStream) this.tapeStream.end();
+	}
+}
+
+export default TrackingWriter;
@@ -0,0 +1,128 @@
+// Modelo de costes compartido por el wallet backtest (offline) y el paper trader (en vivo).
+// Funciones puras sin env ni I/O: quien llama resuelve sus parámetros (BACKTEST_* / PAPER_* / strategies.json)
+// y ambos calculan exactamente el mismo PnL para una misma salida.
+
+// Comisiones fijas SOL por lado (entrada o salida) usadas por defecto en el backtest
+export const DEFAULT_FIXED_FEES_SOL = 0.0025 + 0.0021 + 0.000905;
+
+function num(v, def) {
+	const n = parseFloat(v);
+	return Number.isFinite(n) ? n : def;
+}
+
+function optionalNum(v) {
+	return v != null && v !== "" ? num(v, 0) : null;
+}
+
+/**
+ * Completa un modelo de costes parcial con los defaults del backtest.
+ * Acepta strings (valores de env) o números; vacíos/undefined toman el default.
+ */
+export function resolveCostModel(raw = {}) {
+	const apiType = String(raw.apiType || "lightning").toLowerCase(); // lightning | local
+	const portalFeeDefault = apiType === "local" ? 0.5 : 1.0; // PumpPortal: Local=0.5% por trade, Lightning=1% por trade
+	return {
+		apiType,
+		feePct: num(raw.feePct, 0),
+		slippagePct: num(raw.slippagePct, 0),
+		portalFeePct: num(raw.portalFeePct, portalFeeDefault), // % por lado (entrada/salida)
+		entryFixedFeesSol: num(raw.entryFixedFeesSol, DEFAULT_FIXED_FEES_SOL),
+		exitFixedFeesSol: num(raw.exitFixedFeesSol, DEFAULT_FIXED_FEES_SOL),
+		priorityFeeEntrySol: num(raw.priorityFeeEntrySol, 0),
+		priorityFeeExitSol: num(raw.priorityFeeExitSol, 0),
+		extraTransfersEntrySol: num(raw.extraTransfersEntrySol, 0),
+		extraTransfersExitSol: num(raw.extraTransfersExitSol, 0),
+		// Atajo opcional: agregado simple que sustituye priority fee + extra transfers del lado correspondiente
+		extraSolEntry: optionalNum(raw.extraSolEntry),
+		extraSolExit: optionalNum(raw.extraSolExit),
+	};
+}
+
+/**
+ * Lee un modelo de costes de variables de entorno con prefijo (BACKTEST_, PAPER_...).
+ * Los nombres son los históricos del wallet backtest.
+ */
+export function costModelFromEnv(prefix, env = process.env) {
+	return resolveCostModel({
+		apiType: env[`${prefix}API_TYPE`],
+		feePct: env[`${prefix}FEE_PCT`],
+		slippagePct: env[`${prefix}SLIPPAGE_PCT`],
+		portalFeePct: env[`${prefix}PORTAL_FEE_PCT`],
+		entryFixedFeesSol: env[`${prefix}ENTRY_FIXED_FEES_SOL`],
+		exitFixedFeesSol: env[`${prefix}EXIT_FIXED_FEES_SOL`],
+		priorityFeeEntrySol: env[`${prefix}PRIORITY_FEE_SOL_ENTRY`],
+		priorityFeeExitSol: env[`${prefix}PRIORITY_FEE_SOL_EXIT`],
+		extraTransfersEntrySol: env[`${prefix}EXTRA_TRANSFERS_SOL_ENTRY`],
+		extraTransfersExitSol: env[`${prefix}EXTRA_TRANSFERS_SOL_EXIT`],
+		extraSolEntry: env[`${prefix}EXTRA_SOL_ENTRY`],
+		extraSolExit: env[`${prefix}EXTRA_SOL_EXIT`],
+	});
+}
+
+/**
+ * Tamaño de la posición: importe fijo en SOL (acotado al saldo) o porcentaje del saldo.
+ */
+export function allocationFor(walletSol, { allocSol = 0, allocPct = 1.0 } = {}) {
+	return allocSol > 0 ? Math.min(allocSol, walletSol) : Math.max(0, walletSol * allocPct);
+}
+
+// Simular congestión: delay aleatorio 1-3s entre la señal TP/SL y la ejecución
+export function congestionDelaySec(random = Math.random) {
+	return 1 + Math.floor(random() * 3); // 1..3
+}
+
+/**
+ * Aplica costes a una salida: porcentuales ida+vuelta + comisiones fijas SOL (entrada+salida).
+ * Devuelve el PnL neto en SOL y el desglose que se guarda en cada trade.
+ */
+export function settleTrade({ alloc, exitPct }, costs) {
+	const { feePct, slippagePct, portalFeePct, entryFixedFeesSol, exitFixedFeesSol, priorityFeeEntrySol, priorityFeeExitSol, extraTransfersEntrySol, extraTransfersExitSol } =
+		costs;
+	const aggEntry = costs.extraSolEntry;
+	const aggExit = costs.extraSolExit;
+
+	const roundTripPctCosts = (feePct + slippagePct + portalFeePct) * 2;
+	const netPct = exitPct - roundTripPctCosts;
+	const fixedFeesSolRoundTrip = entryFixedFeesSol + exitFixedFeesSol;
+	const priorityFeesSolRoundTrip = (aggEntry ?? priorityFeeEntrySol) + (aggExit ?? priorityFeeExitSol);
+	// Si se usa agregado, se reparte en priority para informes y se ignoran extraTransfers correspondientes
+	const extraTransfersSolRoundTrip = (aggEntry != null ? 0 : extraTransfersEntrySol) + (aggExit != null ? 0 : extraTransfersExitSol);
+	const totalFixedSol = fixedFeesSolRoundTrip + priorityFeesSolRoundTrip + extraTransfersSolRoundTrip;
+	const pnl = alloc * (netPct / 100) - totalFixedSol;
+
+	return {
+		netPct,
+		pnl,
+		roundTripPctCosts,
+		fixedFeesSolRoundTrip,
+		priorityFeeEntrySol: aggEntry != null ? aggEntry : priorityFeeEntrySol,
+		priorityFeeExitSol: aggExit != null ? aggExit : priorityFeeExitSol,
+		priorityFeesSolRoundTrip,
+		extraTransfersSolRoundTrip,
+		totalFixedSol,
+	};
+}
+
+/**
+ * Ajusta la razón de salida según la rentabilidad real tras costes
+ * (TP que acaba en pérdida => TP_LOSS, SL en beneficio => SL_WIN, etc.).
+ */
+export function finalExitReason(exitReason, isProfit) {
+	if (exitReason === "TP" && !isProfit) return "TP_LOSS";
+	if (exitReason === "SL" && isProfit) return "SL_WIN";
+	if (exitReason === "TIMEOUT") return isProfit ? "TIMEOUT_WIN" : "TIMEOUT_LOSS";
+	if (exitReason === "END") return isProfit ? "END_WIN" : "END_LOSS";
+	return exitReason;
+}
+
+// Máximo drawdown relativo de una serie de equity
+export function computeDrawdown(equitySeries) {
+	let peak = -Infinity;
+	let maxDd = 0;
+	for (const v of equitySeries) {
+		if (v > peak) peak = v;
+		const dd = peak > 0 ? (peak - v) / peak : 0;
+		if (dd > maxDd) maxDd = dd;
+	}
+	return maxDd;
+}
@@ -117,3 +117,14 @@ export function formatCurrencyEs(value, symbol = "$") {
 	});
 	return `${formatted}${symbol}`;
 }
+
+/**
+ * Duración de un timeframe de velas en milisegundos
+ * @param {string} tf - Timeframe ("1s", "5s", "1m", "1h"...)
+ * @returns {number|null} Milisegundos, o null si no es válido
+ */
+export function parseTimeframe(tf) {
+	const m = /^(\d+)([smh])$/.exec(String(tf).trim());
+	if (!m || Number(m[1]) <= 0) return null;
+	return Number(m[1]) * { s: 1000, m: 60000, h: 3600000 }[m[2]];
+}
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 import http from "http";
+import { URLSearchParams } from "url";
 
 // --- Formatting helpers (ES-ES, 24h, sin librerías externas) ---
 const ES_LOCALE = "es-ES";
@@ -110,19 +111,24 @@ function getSellState(percentage, threshold = 80) {
  *   status  - Get detailed token tracking status
  *   stats   - Get quick statistics
  *   health  - Health check
+ *   paper   - Paper trading wallets and last trades
+ *   token   - Detail of one token (creator sells, trade stats, active sessions)
+ *   creator - Detail of one creator (tokens seen this run, sells, exits)
+ *   events  - Stream live events (SSE /events)
  *   watch   - Continuously monitor stats
  */
 
 const PORT = process.env.HTTP_PORT || 3012;
 const HOST = "localhost";
 
-function makeRequest(endpoint) {
+// okStatuses: status codes whose JSON body is returned instead of rejecting (e.g. /health answers 503 when disconnected)
+function makeRequest(endpoint, method = "GET", okStatuses = [200]) {
 	return new Promise((resolve, reject) => {
 		const options = {
 			hostname: HOST,
 			port: PORT,
 			path: `/${endpoint}`,
-			method: "GET",
+			method,
 			headers: {
 				"Content-Type": "application/json",
 			},
@@ -137,7 +143,7 @@ function makeRequest(endpoint) {
 
 			res.on("end", () => {
 				try {
-					if (res.statusCode === 200) {
+					if (okStatuses.includes(res.statusCode)) {
 						const jsonData = JSON.parse(data);
 						resolve(jsonData);
 					} else {
@@ -316,6 +322,22 @@ function formatStats(data) {
 		console.info(`${gray}Status:${resetColor}               ${wsStatus}`);
 		console.info(`${gray}📊 Subscribed Tokens:${resetColor}    ${white}${sub.currentTokens || 0}${resetColor}`);
 		console.info(`${gray}👤 Subscribed Accounts:${resetColor}  ${white}${sub.currentAccounts || 0}${resetColor}`);
+		if (sub.ledger) {
+			const tokens = sub.ledger.counts.token || {};
+			const stuckColor = sub.ledger.stuck > 0 ? red : white;
+			console.info(
+				`${gray}✅ Confirmed / Waiting:${resetColor}  ${white}${tokens.confirmed || 0} / ${(tokens.pending || 0) + (tokens.sent || 0)}${resetColor} ${gray}· Stuck:${resetColor} ${stuckColor}${sub.ledger.stuck}${resetColor}`
+			);
+		}
+		if (Array.isArray(sub.shards) && sub.shards.length > 1) {
+			for (const shard of sub.shards) {
+				const icon = shard.connected ? "🟢" : shard.failedOver ? "🔴" : "🟡";
+				const load = shard.role === "trades" ? `${shard.tokens} tokens` : `new tokens${shard.accounts > 0 ? ` + ${shard.accounts} accounts` : ""}`;
+				console.info(
+					`${gray}   ${icon} ${shard.id.padEnd(10)}${resetColor} ${white}${load}${resetColor} ${gray}· msgs ${shard.messagesReceived} · circuit ${shard.circuit}${resetColor}`
+				);
+			}
+		}
 		console.info(`${gray}📈 Total Historical:${resetColor}     ${white}${data.subscriptionStats?.totalTokensEverSubscribed || 0}${resetColor}`);
 	}
 	
@@ -355,9 +377,209 @@ function formatHealth(data) {
 	console.info(`⏰ Timestamp: ${new Date(data.timestamp).toLocaleString()}`);
 	console.info(`⚡ Uptime: ${Math.floor(data.uptime / 60)}m ${Math.floor(data.uptime % 60)}s`);
 	console.info(`${runningIcon} Is running: ${data.isRunning ? "YES" : "NO"}`);
+	const ws = data.websocket;
+	if (ws) {
+		const circuitIcon = ws.circuit === "closed" ? "🟢" : ws.circuit === "half-open" ? "🟡" : "🔴";
+		console.info(`🔌 WebSocket: ${ws.replay ? "REPLAY" : ws.connected ? "CONNECTED" : "DISCONNECTED"}`);
+		console.info(`${circuitIcon} Circuit breaker: ${ws.circuit.toUpperCase()} (opened ${ws.circuitOpens} times)`);
+		if (!ws.connected && !ws.replay) {
+			console.info(`🔁 Reconnect attempts: ${ws.reconnectAttempts}${ws.nextReconnectAt ? ` · next at ${new Date(ws.nextReconnectAt).toLocaleTimeString()}` : ""}`);
+		}
+		if (ws.lastCreateAt) console.info(`🆕 Last create: ${new Date(ws.lastCreateAt).toLocaleTimeString()}${ws.feedStale ? " ⚠️ STALE" : ""}`);
+	}
 	console.info("═══════════════════════════════\n");
 }
 
+function formatPaper(data, tradesData) {
+	const sol = (v) => (Number.isFinite(v) ? v.toFixed(4) : "0.0000");
+	console.info("\n🧪 ═══ PAPER TRADING ═══ 🧪");
+	if (!data.enabled) {
+		console.info("Paper trading disabled (PAPER_TRADING_ENABLED=true or strategies[].paperTrading.enabled)");
+		console.info("═══════════════════════════════\n");
+		return;
+	}
+	for (const w of data.strategies || []) {
+		const retIcon = w.totalReturnPct >= 0 ? "🟢" : "🔴";
+		console.info(`\n📂 ${w.strategyId}`);
+		console.info(`  ${retIcon} Balance: ${sol(w.balance)} SOL (inicial ${sol(w.initialSol)}) | Return: ${w.totalReturnPct.toFixed(2)}%`);
+		console.info(`  📊 Trades: ${w.trades} | Wins: ${w.wins} | Losses: ${w.losses} | WinRate: ${(w.winRate * 100).toFixed(1)}% | MaxDD: ${(w.maxDrawdown * 100).toFixed(2)}%`);
+		console.info(`  📌 Open: ${w.openPositions} | Reserved: ${sol(w.reserved)} SOL | Skipped: ${w.skipped}`);
+	}
+	const trades = tradesData?.trades || [];
+	if (trades.length) {
+		console.info("\n🧾 Last trades:");
+		for (const t of trades) {
+			const icon = t.pnl > 0 ? "✅" : "❌";
+			console.info(`  ${icon} ${t.strategyId} ${t.token.slice(0, 8)}... ${t.exitReason} exit=${t.exitPct.toFixed(2)}% pnl=${sol(t.pnl)} SOL`);
+		}
+	}
+	console.info("═══════════════════════════════\n");
+}
+
+function formatToken(data) {
+	const state = getSellState(data.sellPercentage, data.creatorSellThreshold);
+	const pct = (v) => (Number.isFinite(v) ? formatPercentEs(v) : "N/D");
+	console.info(`\n🪙 ═══ ${data.name} (${data.symbol}) ═══`);
+	console.info(`🔗 Address: ${data.address}`);
+	console.info(`👤 Creator: ${data.creator}`);
+	console.info(`🎂 Created: ${formatDateTimeEs(data.createdAt)} (${formatDurationHMS(data.ageSec)} ago)`);
+	console.info(
+		`${state.icon} ${state.label} · Sold ${pct(data.sellPercentage)} (${formatNumberEs(data.creatorPosition.tokensSold)} of ${formatNumberEs(data.creatorPosition.initialTokensOwned)} tokens)`
+	);
+	if (data.exit) console.info(`🏁 Exit: ${formatDateTimeEs(data.exit.at)} at ${data.exit.marketCapUsd !== null ? formatCurrencyUsdEs(data.exit.marketCapUsd) : "N/D"}`);
+	if (data.sellHistory.length > 0) {
+		console.info(`\n📤 Creator sells (${data.sellHistory.length}):`);
+		for (const sell of data.sellHistory) {
+			console.info(
+				`   ${formatTimeEs(sell.timestamp)}  ${formatNumberEs(sell.tokenAmount)} tokens · ${formatNumberEs(sell.solAmount, { maximumFractionDigits: 4 })} SOL · ${pct(sell.percentage)}`
+			);
+		}
+	}
+	if (data.cluster && data.cluster.wallets > 0) {
+		const c = data.cluster;
+		console.info(
+			`\n🕸️  Creator cluster: ${c.wallets} linked wallets · held ${formatNumberEs(c.tokensHeld)} · sold ${formatNumberEs(c.tokensSold)} of ${formatNumberEs(c.tokensBought)} tokens`
+		);
+		for (const m of c.members) {
+			console.info(`   ${m.address} · ${m.reasons.join(", ")} · held ${formatNumberEs(m.tokensHeld)}`);
+		}
+	}
+	if (data.tradeStats) {
+		const t = data.tradeStats;
+		console.info(`\n📊 Trades: ${t.total} (buys ${t.buys} / sells ${t.sells}) · Unique traders: ${t.uniqueTraders}`);
+	}
+	console.info(`📡 Subscribed: ${data.subscribed ? "YES" : "NO"}`);
+	if (data.sessions.length > 0) {
+		console.info("\n🎯 Active sessions:");
+		for (const sn of data.sessions) {
+			const stage2 = sn.stage2 ? ` · stage2 ${sn.stage2}` : "";
+			console.info(
+				`   [${sn.strategyId}] T+${sn.elapsedSec}s · now ${pct(sn.currentPct)} · max ${pct(sn.maxPct)} · min ${pct(sn.minPct)} · trades ${sn.tradeCount}${stage2}${sn.entryRecorded ? "" : " · waiting entry"}`
+			);
+		}
+	}
+	console.info("═════════════════════════════════════════════\n");
+}
+
+function formatCreator(data) {
+	const avgSec = (v) => (Number.isFinite(v) ? `${Math.round(v)} s` : "N/D");
+	console.info(`\n👤 ═══ CREATOR ${data.address} ═══`);
+	console.info(
+		`🪙 Tokens this run: ${data.tokenCount} · Sells: ${data.totalSells} · Sold: ${formatNumberEs(data.soldSol, { maximumFractionDigits: 4 })} SOL · Full exits: ${data.fullExits}`
+	);
+	console.info(`⏱️  Avg first sell: T+${avgSec(data.avgFirstSellAfterSec)} · Avg exit: T+${avgSec(data.avgExitAfterSec)}`);
+	if (data.history) {
+		const h = data.history;
+		const f = h.features;
+		console.info(
+			`📚 History: ${h.launches} launches since ${formatDateTimeEs(h.firstSeenAt)} · ${f.creatorLaunches24h} in 24h · ${formatNumberEs(f.creatorLaunchesPerDay, { maximumFractionDigits: 1 })}/day`
+		);
+		console.info(
+			`   Full exits: ${f.creatorFullExits} (fast: ${f.creatorFastExits}, min T+${avgSec(f.creatorMinExitSec)}) · Sessions good/bad/neutral: ${h.sessions.good}/${h.sessions.bad}/${h.sessions.neutral}${f.creatorSerialRugger ? " · 🚩 SERIAL RUGGER" : ""}`
+		);
+	}
+	console.info("");
+	for (const t of data.tokens) {
+		const state = getSellState(t.sellPercentage, data.creatorSellThreshold);
+		const firstSell = t.firstSellAfterSec !== null ? ` · 1st sell T+${t.firstSellAfterSec}s` : "";
+		const exit = t.exitAfterSec !== null ? ` · exit T+${t.exitAfterSec}s` : "";
+		console.info(`   ${state.icon} ${t.name} (${t.symbol}) ${formatPercentEs(t.sellPercentage)} · ${t.totalSells} sells${firstSell}${exit}`);
+		console.info(`      ${t.address}`);
+	}
+	console.info("═════════════════════════════════════════════\n");
+}
+
+function formatReload(report) {
+	if (!report.ok) {
+		console.info(`\n❌ Reload rejected (${report.file}); active strategies unchanged:`);
+		for (const err of report.errors) console.info(`   • ${err}`);
+		console.info("");
+		return;
+	}
+	console.info(`\n🔄 Strategies reloaded from ${report.file}`);
+	if (report.added.length > 0) console.info(`   ➕ Added: ${report.added.join(", ")}`);
+	for (const r of report.removed) console.info(`   ➖ Removed: ${r.id} (${r.sessionsStopped} sessions stopped)`);
+	for (const c of report.changed) console.info(`   ✏️  Changed: ${c.id} [${c.fields.join(", ")}] → ${c.sessions} sessions ${c.action === "stop" ? "stopped" : "continue"}`);
+	if (report.unchanged.length > 0) console.info(`   ＝ Unchanged: ${report.unchanged.join(", ")}`);
+	console.info("");
+}
+
+function formatEvent(e) {
+	const time = formatTimeEs(e.ts);
+	const token = e.tokenSymbol ? `${e.tokenName} (${e.tokenSymbol})` : `${(e.tokenAddress || "").slice(0, 8)}...`;
+	const strat = e.strategyId ? ` [${e.strategyId}]` : "";
+	const pct = (v) => (Number.isFinite(v) ? formatPercentEs(v) : "N/D");
+	switch (e.type) {
+		case "creator_sell_alert":
+			return `${time} 🚨 ALERT ${token} · creator sold ${pct(e.sellPercentage)} (≥${e.threshold}%)`;
+		case "creator_full_exit":
+			return `${time} 🏁 EXIT ${token} · MC ${Number.isFinite(e.exitMarketCapUsd) ? formatCurrencyUsdEs(e.exitMarketCapUsd) : "N/D"}`;
+		case "tracking_start":
+			return `${time} 🧪 START${strat} ${token}${e.stage2 ? ` · stage2 ${e.stage2}` : ""}`;
+		case "entry":
+			return `${time} 🎯 ENTRY${strat} ${token} · MC ${formatCurrencyUsdEs(e.entryMcUsd)} · T+${e.elapsedSec}s`;
+		case "tracking_update":
+			return `${time} ${e.pct >= 0 ? "📈" : "📉"} ${pct(e.pct)}${strat} ${token} · max ${pct(e.maxPct)} · min ${pct(e.minPct)} · T+${e.elapsedSec}s`;
+		case "tracking_stop":
+			return `${time} ⏹️  STOP${strat} ${token} · ${e.reason} · max ${pct(e.maxPct)} · min ${pct(e.minPct)} · ${formatDurationHMS(e.durationSec)}`;
+		default:
+			return `${time} ${e.type}${strat} ${token}`;
+	}
+}
+
+// Follow /events and print each event as it arrives
+function streamEvents(strategyId, types) {
+	const params = new URLSearchParams();
+	if (strategyId && strategyId !== "all") params.set("strategy", strategyId);
+	if (types) params.set("type", types);
+	const query = params.toString();
+	console.info(`📡 Streaming live events${query ? ` (${decodeURIComponent(query)})` : ""}. Press Ctrl+C to exit.\n`);
+
+	return new Promise((resolve, reject) => {
+		const req = http.get({ hostname: HOST, port: PORT, path: `/events${query ? `?${query}` : ""}`, headers: { Accept: "text/event-stream" } }, (res) => {
+			if (res.statusCode !== 200) {
+				let body = "";
+				res.on("data", (chunk) => (body += chunk));
+				res.on("end", () => reject(new Error(`HTTP ${res.statusCode}: ${body}`)));
+				return;
+			}
+			res.setEncoding("utf8");
+			let buffer = "";
+			res.on("data", (chunk) => {
+				buffer += chunk;
+				// SSE frames end with a blank line; only "data:" lines carry the payload
+				let idx;
+				while ((idx = buffer.indexOf("\n\n")) !== -1) {
+					const frame = buffer.slice(0, idx);
+					buffer = buffer.slice(idx + 2);
+					const data = frame
+						.split("\n")
+						.filter((l) => l.startsWith("data:"))
+						.map((l) => l.slice(5).trim())
+						.join("\n");
+					if (!data) continue;
+					try {
+						console.info(formatEvent(JSON.parse(data)));
+					} catch {
+						// Ignore malformed frames
+					}
+				}
+			});
+			res.on("end", () => {
+				console.info("\n🔌 Event stream closed by the server");
+				resolve();
+			});
+		});
+		req.on("error", (error) => reject(new Error(`Request failed: ${error.message}`)));
+
+		process.on("SIGINT", () => {
+			console.info("\n👋 Exiting event stream...");
+			req.destroy();
+			process.exit(0);
+		});
+	});
+}
+
 async function watchMode(interval = 5000) {
 	console.info(`👀 Entering watch mode (updates every ${interval / 1000}s). Press Ctrl+C to exit.\n`);
 
@@ -398,11 +620,48 @@ async function main() {
 			}
 
 			case "health": {
-				const healthData = await makeRequest("health");
+				const healthData = await makeRequest("health", "GET", [200, 503]);
 				formatHealth(healthData);
 				break;
 			}
 
+			case "paper": {
+				const paperData = await makeRequest("paper");
+				const tradesData = await makeRequest("paper/trades?limit=10");
+				formatPaper(paperData, tradesData);
+				break;
+			}
+
+			case "token":
+			case "creator": {
+				if (!args[1]) {
+					console.error(`❌ Usage: node status-client.js ${command} <${command === "token" ? "mint" : "address"}>`);
+					process.exitCode = 1;
+					break;
+				}
+				const detail = await makeRequest(`${command === "token" ? "tokens" : "creators"}/${encodeURIComponent(args[1])}`);
+				if (command === "token") formatToken(detail);
+				else formatCreator(detail);
+				break;
+			}
+
+			case "events": {
+				await streamEvents(args[1], args[2]);
+				break;
+			}
+
+			case "reload": {
+				// 422 (rejected) still carries the report
+				const report = await makeRequest("strategies/reload", "POST").catch((e) => {
+					const body = e.message.match(/^HTTP 422: ([\s\S]*)$/);
+					if (!body) throw e;
+					return JSON.parse(body[1]);
+				});
+				formatReload(report);
+				if (!report.ok) process.exitCode = 1;
+				break;
+			}
+
 			case "watch": {
 				const interval = args[1] ? parseInt(args[1]) * 1000 : 5000;
 				await watchMode(interval);
@@ -420,13 +679,19 @@ async function main() {
 				console.info("  📊 status              Show detailed token tracking status");
 				console.info("  📈 stats               Show quick statistics");
 				console.info("  🏥 health              Health check");
+				console.info("  🧪 paper               Paper trading wallets and last trades");
+				console.info("  🪙 token <mint>        Token detail: creator sells, trades, active sessions");
+				console.info("  👤 creator <address>   Creator detail: tokens seen this run, sells, exits");
 				console.info("  👀 watch [seconds]     Continuously monitor stats (default: 5s)");
+				console.info("  🔄 reload              Reload strategies.json now and show what changed");
+				console.info("  📡 events [strategy|all] [types]  Stream live events (types: comma-separated)");
 				console.info("  ❓ help                Show this help message");
 				console.info("");
 				console.info("💡 Examples:");
 				console.info("  🔹 node status-client.js status");
 				console.info("  🔹 node status-client.js stats");
 				console.info("  🔹 node status-client.js watch 10");
+				console.info("  🔹 node status-client.js events all creator_sell_alert,tracking_start");
 				console.info("");
 				console.info("⚙️  Environment Variables:");
 				console.info("  🌐 HTTP_PORT           Port where the main app is running (default: 3012)");
@@ -446,4 +711,4 @@ if (import.meta.url === (process?.argv?.[1] ? new URL(`file://${process.argv[1]}
 	main();
 }
 
-export { makeRequest, formatStatus, formatStats, formatHealth };
+export { makeRequest, formatStatus, formatStats, formatHealth, formatPaper, formatEvent, formatReload, formatToken, formatCreator };
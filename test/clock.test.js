@@ -0,0 +1,83 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Clock } from "../src/clock.js";
+
+test("advanceTo fires due timeouts in order, each at its scheduled time", () => {
+	const clock = new Clock();
+	clock.useVirtual(1000);
+	const fired = [];
+	const at = (name) => () => fired.push([name, clock.now()]);
+	clock.setTimeout(at("c"), 300);
+	clock.setTimeout(at("a"), 100);
+	clock.setTimeout(at("b1"), 200);
+	clock.setTimeout(at("b2"), 200);
+	clock.setTimeout(at("late"), 5000);
+
+	clock.advanceTo(1250);
+	assert.deepEqual(fired, [
+		["a", 1100],
+		["b1", 1200],
+		["b2", 1200],
+	]);
+	assert.equal(clock.now(), 1250);
+	assert.equal(clock.nextDue(Infinity).at, 1300);
+});
+
+test("timeouts scheduled while advancing fire in the same advance if they are due", () => {
+	const clock = new Clock();
+	clock.useVirtual(0);
+	const fired = [];
+	clock.setTimeout(() => {
+		fired.push(["first", clock.now()]);
+		clock.setTimeout(() => fired.push(["chained", clock.now()]), 50);
+		clock.setTimeout(() => fired.push(["zero", clock.now()]), 0);
+	}, 100);
+	clock.setTimeout(() => fired.push(["other", clock.now()]), 120);
+	clock.advanceTo(200);
+	assert.deepEqual(fired, [
+		["first", 100],
+		["zero", 100],
+		["other", 120],
+		["chained", 150],
+	]);
+});
+
+test("cleared timeouts never fire and time never goes back", () => {
+	const clock = new Clock();
+	clock.useVirtual(500);
+	let fired = false;
+	const handle = clock.setTimeout(() => (fired = true), 10);
+	clock.clearTimeout(handle);
+	clock.advanceTo(1000);
+	assert.equal(fired, false);
+	clock.advanceTo(800);
+	assert.equal(clock.now(), 1000);
+	// useVirtual only sets the start once
+	clock.useVirtual(0);
+	assert.equal(clock.now(), 1000);
+});
+
+test("runPending fires every remaining timeout in order", () => {
+	const clock = new Clock();
+	clock.useVirtual(0);
+	const fired = [];
+	clock.setTimeout(() => fired.push(clock.now()), 3000);
+	clock.setTimeout(() => {
+		fired.push(clock.now());
+		clock.setTimeout(() => fired.push(clock.now()), 5000);
+	}, 1000);
+	clock.runPending();
+	assert.deepEqual(fired, [1000, 3000, 6000]);
+	assert.equal(clock.timers.length, 0);
+});
+
+test("the system clock is used until useVirtual()", () => {
+	const clock = new Clock();
+	assert.equal(clock.isVirtual, false);
+	assert.ok(Math.abs(clock.now() - Date.now()) < 1000);
+	clock.advanceTo(0);
+	assert.equal(clock.isVirtual, false);
+	const handle = clock.setTimeout(() => assert.fail("cleared real timeout fired"), 10);
+	assert.equal(clock.timers.length, 0);
+	clock.clearTimeout(handle);
+});
@@ -0,0 +1,44 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import CreatorStore from "../src/creator-store.js";
+import { Clock } from "../src/clock.js";
+
+const OPTIONS = { fastExitSec: 60, ruggerMinExits: 2, retentionDays: 7, maxTokensPerCreator: 10, file: "/nonexistent/creator-history.json", intervalMs: 1000 };
+const CAPTURE_START = Date.parse("2024-01-01T00:00:00Z");
+
+function replayStore() {
+	const clock = new Clock();
+	clock.useVirtual(CAPTURE_START);
+	return { clock, store: new CreatorStore(OPTIONS, { clock, persist: false }) };
+}
+
+test("a replay store is memory-only", () => {
+	const { store } = replayStore();
+	store.start();
+	store.recordLaunch("dev", "m1");
+	store.stop();
+	assert.equal(store.store, null);
+	assert.deepEqual(store.getStats(), { creators: 1, file: null, lastSavedAt: null });
+});
+
+test("history from an old capture is pruned and measured on the capture's clock", () => {
+	const { clock, store } = replayStore();
+	store.recordLaunch("dev", "m1");
+	clock.advanceTo(CAPTURE_START + 30 * 1000);
+	store.recordExit("dev", "m1");
+	clock.advanceTo(CAPTURE_START + 60 * 60 * 1000);
+	store.recordLaunch("dev", "m2");
+	store.prune();
+	assert.equal(store.getSnapshot().creators.size, 1);
+
+	const features = store.features("dev", "m2");
+	assert.equal(features.creatorPrevLaunches, 1);
+	assert.equal(features.creatorLaunches24h, 2);
+	assert.equal(features.creatorFastExits, 1);
+	assert.equal(features.creatorMinExitSec, 30);
+
+	// Retention runs on the capture's time too
+	clock.advanceTo(CAPTURE_START + 8 * 24 * 60 * 60 * 1000);
+	store.prune();
+	assert.equal(store.creators.size, 0);
+});
@@ -0,0 +1,107 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { compileExpression, ExpressionError } from "../src/expression.js";
+
+const evaluate = (source, values = {}, options = {}) => compileExpression(source, options).evaluate(values);
+
+test("operator precedence and associativity", () => {
+	assert.equal(evaluate("1 + 2 * 3 == 7"), true);
+	assert.equal(evaluate("(1 + 2) * 3 == 9"), true);
+	assert.equal(evaluate("10 - 2 - 3 == 5"), true);
+	assert.equal(evaluate("8 / 4 / 2 == 1"), true);
+	assert.equal(evaluate("7 % 3 == 1"), true);
+	assert.equal(evaluate("-2 * 3 == -6"), true);
+	assert.equal(evaluate("--2 == 2"), true);
+	// && binds tighter than ||
+	assert.equal(evaluate("a || b && c", { a: 1, b: 0, c: 0 }), true);
+	assert.equal(evaluate("(a || b) && c", { a: 1, b: 0, c: 0 }), false);
+	// ! applies to the operand, not to the comparison
+	assert.equal(evaluate("!a == 0", { a: 1 }), true);
+	assert.equal(evaluate("a + 1 > b * 2", { a: 4, b: 2 }), true);
+});
+
+test("comparisons treat booleans as 1/0", () => {
+	assert.equal(evaluate("a == true", { a: 1 }), true);
+	assert.equal(evaluate("a == false", { a: 0 }), true);
+	assert.equal(evaluate("a != true", { a: 0 }), true);
+	assert.equal(evaluate("(a > 0) == 1", { a: 1 }), true);
+	assert.equal(evaluate("(a > 0) + (b > 0) >= 2", { a: 1, b: 1 }), true);
+	assert.equal(evaluate("creatorSerialRugger == true", { creatorSerialRugger: 1 }), true);
+	assert.equal(evaluate("creatorSerialRugger == true", { creatorSerialRugger: 0 }), false);
+});
+
+test("nesting is limited to MAX_DEPTH", () => {
+	const nested = (n) => `${"(".repeat(n)}1${")".repeat(n)} == 1`;
+	assert.equal(evaluate(nested(64)), true);
+	assert.throws(
+		() => compileExpression(nested(65)),
+		(e) => e instanceof ExpressionError && /nested too deeply/.test(e.message)
+	);
+	assert.throws(() => compileExpression(`${"!".repeat(65)}1`), /nested too deeply/);
+	assert.throws(() => compileExpression(`${"abs(".repeat(65)}1${")".repeat(65)}`), /nested too deeply/);
+	assert.throws(() => compileExpression(`a == ${"1 + ".repeat(700)}1`), /longer than 2000 characters/);
+});
+
+test("only allowed features can be read", () => {
+	const features = ["buys", "sells"];
+	assert.equal(evaluate("buys > sells", { buys: 3, sells: 1 }, { features }), true);
+	assert.throws(
+		() => compileExpression("buys > x", { features }),
+		(e) => e instanceof ExpressionError && e.pos === 7 && /Unknown feature 'x'/.test(e.message)
+	);
+	for (const name of ["__proto__", "constructor", "prototype", "toString", "hasOwnProperty"]) {
+		assert.throws(() => compileExpression(`${name} == 1`, { features }), /Unknown feature/);
+	}
+	assert.deepEqual(compileExpression("buys > 1 && sells < buys", { features }).identifiers, ["buys", "sells"]);
+});
+
+test("prototype properties are never read, even without a feature list", () => {
+	for (const name of ["__proto__", "constructor", "toString", "valueOf", "hasOwnProperty"]) {
+		assert.equal(evaluate(`isFinite(${name})`, {}), false, name);
+		assert.equal(evaluate(`${name} == ${name}`, {}), false, name);
+	}
+	// Own properties with those names are plain values
+	assert.equal(evaluate("constructor == 2", JSON.parse('{"constructor": 2}')), true);
+	assert.equal(evaluate("__proto__ == 3", JSON.parse('{"__proto__": 3}')), true);
+});
+
+test("only the whitelisted functions can be called", () => {
+	assert.equal(evaluate("abs(-3) == 3 && min(4, 2, 9) == 2 && max(1, 5) == 5"), true);
+	for (const name of ["constructor", "toString", "hasOwnProperty", "eval", "Function", "require"]) {
+		assert.throws(() => compileExpression(`${name}(1)`), /Unknown function/, name);
+	}
+	assert.throws(() => compileExpression("abs(1, 2)"), /Wrong number of arguments for abs\(\)/);
+	assert.throws(() => compileExpression("min()"), /Wrong number of arguments for min\(\)/);
+});
+
+test("NaN features make comparisons false", () => {
+	for (const value of [NaN, null, undefined, "n/a"]) {
+		const values = { mcUsd: value };
+		assert.equal(evaluate("mcUsd < 5", values), false);
+		assert.equal(evaluate("mcUsd >= 5", values), false);
+		assert.equal(evaluate("mcUsd == mcUsd", values), false);
+		assert.equal(evaluate("mcUsd != 5", values), true);
+		assert.equal(evaluate("!(mcUsd < 5)", values), true);
+		assert.equal(evaluate("isFinite(mcUsd)", values), false);
+		assert.equal(evaluate("mcUsd + 1 > 0", values), false);
+	}
+	assert.equal(evaluate("mcUsd < 5", {}), false);
+	assert.equal(evaluate("mcUsd < 5", null), false);
+});
+
+test("invalid expressions report where they fail", () => {
+	assert.throws(() => compileExpression(""), /non-empty string/);
+	assert.throws(() => compileExpression("   "), /non-empty string/);
+	assert.throws(() => compileExpression(42), /non-empty string/);
+	assert.throws(
+		() => compileExpression("a >"),
+		(e) => e.pos === 3 && /Unexpected end of expression/.test(e.message)
+	);
+	assert.throws(
+		() => compileExpression("a @ b"),
+		(e) => e.pos === 2 && /Unexpected character '@'/.test(e.message)
+	);
+	assert.throws(() => compileExpression("(a > 1"), /Expected '\)' but found end of expression/);
+	assert.throws(() => compileExpression("a > 1 b"), /Unexpected 'b'/);
+	assert.throws(() => compileExpression("a = 1"), /Unexpected character '='/);
+});
@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import HashRing from "../src/hash-ring.js";
+
+const NODES = ["shard-0", "shard-1", "shard-2", "shard-3"];
+const KEYS = Array.from({ length: 4000 }, (_, i) => `mint-${i}`);
+
+const owners = (ring, accept = null) => new Map(KEYS.map((key) => [key, ring.lookup(key, accept)]));
+
+test("keys spread over every node and always map to the same one", () => {
+	const ring = new HashRing(NODES);
+	const counts = new Map();
+	for (const node of owners(ring).values()) counts.set(node, (counts.get(node) || 0) + 1);
+	assert.deepEqual([...counts.keys()].sort(), NODES);
+	for (const count of counts.values()) assert.ok(count > KEYS.length / NODES.length / 2, `unbalanced: ${[...counts.values()]}`);
+	assert.deepEqual(owners(new HashRing([...NODES].reverse())), owners(ring));
+});
+
+test("removing a node only moves that node's keys", () => {
+	const before = owners(new HashRing(NODES));
+	const after = owners(new HashRing(NODES.filter((n) => n !== "shard-2")));
+	const moved = new Set();
+	for (const key of KEYS) {
+		if (before.get(key) === "shard-2") {
+			assert.notEqual(after.get(key), "shard-2");
+			moved.add(after.get(key));
+		} else {
+			assert.equal(after.get(key), before.get(key), key);
+		}
+	}
+	// Spread over the remaining nodes, not dumped on one
+	assert.equal(moved.size, NODES.length - 1);
+});
+
+test("skipping a node with accept() moves only its keys, like removing it", () => {
+	const ring = new HashRing(NODES);
+	const skipped = owners(ring, (node) => node !== "shard-2");
+	assert.deepEqual(skipped, owners(new HashRing(NODES.filter((n) => n !== "shard-2"))));
+});
+
+test("with no acceptable node the natural owner is returned", () => {
+	const ring = new HashRing(NODES);
+	const natural = owners(ring);
+	assert.deepEqual(
+		owners(ring, () => false),
+		natural
+	);
+	assert.equal(new HashRing([]).lookup("mint-0"), null);
+});
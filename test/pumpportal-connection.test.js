@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { chunkKeys } from "../src/pumpportal-connection.js";
+
+const METHOD = "subscribeTokenTrade";
+const bytes = (keys) => Buffer.byteLength(JSON.stringify({ method: METHOD, keys }));
+const mints = (n) => Array.from({ length: n }, (_, i) => `Mint${String(i).padStart(4, "0")}pump`);
+
+test("chunks respect maxKeys and keep every key in order", () => {
+	const keys = mints(25);
+	const chunks = chunkKeys(METHOD, keys, { maxKeys: 10, maxBytes: 1e6 });
+	assert.deepEqual(
+		chunks.map((c) => c.length),
+		[10, 10, 5]
+	);
+	assert.deepEqual(chunks.flat(), keys);
+});
+
+test("chunks respect maxBytes of the serialized message", () => {
+	const keys = mints(40);
+	for (const maxBytes of [bytes(keys.slice(0, 1)), bytes(keys.slice(0, 3)), bytes(keys.slice(0, 3)) + 5, 300]) {
+		const chunks = chunkKeys(METHOD, keys, { maxKeys: 100, maxBytes });
+		assert.deepEqual(chunks.flat(), keys);
+		for (const chunk of chunks) assert.ok(bytes(chunk) <= maxBytes, `${bytes(chunk)} > ${maxBytes}`);
+		// Filled up to the limit: one more key would not fit
+		for (const chunk of chunks.slice(0, -1)) assert.ok(bytes([...chunk, keys[0]]) > maxBytes);
+	}
+	assert.equal(chunkKeys(METHOD, keys, { maxKeys: 100, maxBytes: bytes(keys.slice(0, 3)) }).length, 14);
+});
+
+test("keys that need escaping are measured as serialized", () => {
+	const keys = ['a"b', "c\\d", "ñandú"];
+	const maxBytes = bytes(keys.slice(0, 2));
+	const chunks = chunkKeys(METHOD, keys, { maxKeys: 100, maxBytes });
+	assert.deepEqual(chunks, [keys.slice(0, 2), keys.slice(2)]);
+});
+
+test("a key too large on its own goes in its own chunk", () => {
+	const big = "x".repeat(200);
+	const chunks = chunkKeys(METHOD, ["a", big, "b"], { maxKeys: 100, maxBytes: 100 });
+	assert.deepEqual(chunks, [["a"], [big], ["b"]]);
+	assert.deepEqual(chunkKeys(METHOD, [], { maxKeys: 10, maxBytes: 100 }), []);
+});
@@ -0,0 +1,66 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import PumpPortalWSClient from "../src/pumpportal-ws-client.js";
+
+function clientWithSpies() {
+	const client = new PumpPortalWSClient({ count: 1, failoverSec: 60 });
+	const seen = [];
+	for (const event of ["newToken", "trade", "connected", "disconnected", "subscriptionConfirmed", "unknownMessage"]) {
+		client.on(event, (payload) => seen.push([event, payload]));
+	}
+	return { client, seen };
+}
+
+test("create/buy/sell frames become newToken/trade events", () => {
+	const { client, seen } = clientWithSpies();
+	const create = { txType: "create", mint: "m1" };
+	const buy = { txType: "buy", mint: "m1" };
+	const sell = { txType: "sell", mint: "m1" };
+	for (const message of [create, buy, sell]) client.handleMessage(message);
+	assert.deepEqual(seen, [
+		["newToken", create],
+		["trade", buy],
+		["trade", sell],
+	]);
+});
+
+test("a type field in a server frame cannot fire lifecycle events", () => {
+	const { client, seen } = clientWithSpies();
+	const frames = [
+		{ type: "connected", connection: "main", role: "all", reconnect: false },
+		{ type: "disconnected", code: 1000 },
+		{ type: "subscriptionConfirmed", keys: ["m1"] },
+		{ type: "unknownMessage" },
+		{ type: "constructor" },
+		{ txType: "constructor" },
+		{ txType: "__proto__" },
+		{ signature: "sig" },
+	];
+	for (const message of frames) client.handleMessage(message);
+	assert.deepEqual(
+		seen,
+		frames.map((message) => ["unknownMessage", message])
+	);
+});
+
+test("txType decides the event; an explicit newToken/trade type is still accepted", () => {
+	const { client, seen } = clientWithSpies();
+	client.handleMessage({ type: "connected", txType: "buy", mint: "m1" });
+	client.handleMessage({ type: "newToken", mint: "m2" });
+	client.handleMessage({ type: "trade", txType: "create", mint: "m3" });
+	assert.deepEqual(
+		seen.map(([event, payload]) => [event, payload.mint]),
+		[
+			["trade", "m1"],
+			["newToken", "m2"],
+			["newToken", "m3"],
+		]
+	);
+});
+
+test("subscription confirmations and errors are not emitted", () => {
+	const { client, seen } = clientWithSpies();
+	client.handleMessage({ message: "Successfully subscribed to keys." });
+	client.handleMessage({ errors: "Invalid key" });
+	assert.deepEqual(seen, []);
+});
@@ -0,0 +1,137 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { passesFilters, ruleFeatures, ruleFeaturesFromSummary, RULE_FEATURE_NAMES } from "../src/strategy-rules.js";
+
+// Trigger context as TokenMonitor sees it, and the summary it writes for the same session (through JSON, like the .jsonl)
+function fixture({ creator = null, snipers = null, stats = {} } = {}) {
+	const trigger = {
+		buys: 14,
+		sells: 4,
+		totalTrades: 18,
+		uniqueTraders: 12,
+		mcUsd: 9100,
+		mcSol: 52,
+		ageAtTriggerSec: 41,
+		minMcUsd: 4200,
+		maxMcUsd: 9800,
+		...stats,
+	};
+	const summary = JSON.parse(
+		JSON.stringify({
+			preBuys: trigger.buys,
+			preSells: trigger.sells,
+			preTotalTrades: trigger.totalTrades,
+			preUniqueTraders: trigger.uniqueTraders,
+			preMinMcUsd: trigger.minMcUsd,
+			preMaxMcUsd: trigger.maxMcUsd,
+			// entry values differ from the trigger ones: the offline features must not use them
+			entryMarketCapUsd: 15000,
+			entryMarketCapSol: 85,
+			preEntryMinMcUsd: 3000,
+			preEntryMaxMcUsd: 15000,
+			thresholdMcSol: trigger.mcSol,
+			thresholdMcUsd: trigger.mcUsd,
+			ageAtTriggerSec: trigger.ageAtTriggerSec,
+			...creator,
+			...snipers,
+		})
+	);
+	return { live: ruleFeatures({ ...trigger, creator, snipers }), offline: ruleFeaturesFromSummary(summary), summary };
+}
+
+const creator = {
+	creatorPrevLaunches: 6,
+	creatorLaunches24h: 3,
+	creatorLaunchesPerDay: 2.5,
+	creatorFullExits: 4,
+	creatorFastExits: 3,
+	creatorMinExitSec: 35,
+	creatorAvgExitSec: 120,
+	creatorAvgFirstSellSec: 60,
+	creatorAvgExitMcUsd: 7000,
+	creatorGoodSessions: 1,
+	creatorBadSessions: 3,
+	creatorBadRatio: 0.75,
+	creatorSerialRugger: 1,
+};
+const snipers = { sniperBuys: 5, sniperSupplyPct: 18.5, sniperSold: 2, topHolderPct: 9.1 };
+
+const FILTER_SETS = [
+	{},
+	{ minBuys: 10, minUniqueTraders: 10, minBuyRatio: 0.7 },
+	{ minBuys: 20 },
+	{ minMcUsd: 5000, maxMcUsd: 9000 },
+	{ minMcUsd: 5000, maxMcUsd: 10000, maxAgeAtTriggerSec: 60 },
+	{ maxMcVolatilityRatio: 2 },
+	{ maxMcVolatilityRatio: 3 },
+	{ maxCreatorFastExits: 2 },
+	{ maxCreatorBadRatio: 0.8, maxCreatorLaunches24h: 5 },
+	{ maxSniperSupplyPct: 15 },
+	{ maxSniperBuys: 8, maxSniperSold: 2, maxTopHolderPct: 10 },
+	{ expression: "netBuys >= 10 && mcPerUnique < 800" },
+	{ expression: "creatorSerialRugger == true || sniperSupplyPct > 30" },
+	{ expression: "!(creatorSerialRugger == true) && buysPerUnique > 1" },
+	{ expression: "isFinite(creatorBadRatio) && creatorBadRatio < 0.5" },
+	{ minBuys: 10, expression: "imbalancePerTrade > 0.5" },
+];
+
+test("live and offline features match for the same session", () => {
+	for (const opts of [{}, { creator }, { snipers }, { creator, snipers }]) {
+		const { live, offline } = fixture(opts);
+		assert.deepEqual(Object.keys(live).sort(), [...RULE_FEATURE_NAMES].sort());
+		assert.deepEqual(offline, live);
+	}
+});
+
+test("passesFilters decides the same live and offline", () => {
+	for (const opts of [
+		{},
+		{ creator },
+		{ snipers },
+		{ creator, snipers },
+		{ stats: { uniqueTraders: 0, totalTrades: 0, minMcUsd: null, maxMcUsd: null } },
+		{ stats: { mcUsd: null } },
+	]) {
+		const { live, offline } = fixture(opts);
+		for (const filters of FILTER_SETS) {
+			assert.equal(passesFilters(offline, filters), passesFilters(live, filters), `${JSON.stringify(opts)} ${JSON.stringify(filters)}`);
+		}
+	}
+});
+
+test("old summaries fall back to the entry market cap and range", () => {
+	const { summary } = fixture();
+	delete summary.thresholdMcUsd;
+	delete summary.thresholdMcSol;
+	delete summary.preMinMcUsd;
+	delete summary.preMaxMcUsd;
+	const features = ruleFeaturesFromSummary(summary);
+	assert.equal(features.mcUsd, 15000);
+	assert.equal(features.mcSol, 85);
+	assert.equal(features.mcVolatilityRatio, 5);
+	assert.ok(Number.isNaN(features.creatorBadRatio));
+	assert.ok(Number.isNaN(features.sniperBuys));
+});
+
+test("missing features: min filters fail, creator/sniper/age max filters pass", () => {
+	const { live } = fixture({ stats: { mcUsd: null, ageAtTriggerSec: null } });
+	assert.equal(passesFilters(live, { minMcUsd: 1000 }), false);
+	assert.equal(passesFilters(live, { maxMcUsd: 100000 }), false);
+	assert.equal(passesFilters(live, { maxAgeAtTriggerSec: 10 }), true);
+	assert.equal(passesFilters(live, { maxCreatorFastExits: 0, maxSniperSupplyPct: 1, maxTopHolderPct: 1 }), true);
+	assert.equal(passesFilters(live, { expression: "mcUsd < 100000" }), false);
+});
+
+test("0 minimums and empty/Infinity maximums are not filters", () => {
+	const { live } = fixture({ stats: { buys: 0, sells: 0, totalTrades: 0, uniqueTraders: 0 } });
+	assert.equal(passesFilters(live, { minBuys: 0, minUniqueTraders: "", maxMcUsd: Infinity, minBuyRatio: null }), true);
+	assert.equal(passesFilters(live, { minBuyRatio: 0.5 }), false);
+});
+
+test("an invalid expression never passes", () => {
+	const { live } = fixture({ creator, snipers });
+	assert.equal(passesFilters(live, { expression: "preBuys >" }), false);
+	assert.equal(passesFilters(live, { expression: "buys > 1" }), false);
+	assert.equal(passesFilters(live, { expression: "constructor == constructor" }), false);
+	assert.equal(passesFilters(live, { expression: "   " }), true);
+});
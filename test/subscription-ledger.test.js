@@ -0,0 +1,124 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import SubscriptionLedger from "../src/subscription-ledger.js";
+
+const OPTIONS = { ackTimeoutMs: 1000, maxAttempts: 2, retentionMin: 1 };
+
+function subscribe(ledger, keys, now) {
+	const message = { method: "subscribeTokenTrade", keys };
+	ledger.requested(message, now);
+	ledger.sent(message, now);
+	return message;
+}
+
+test("acknowledgements are matched to sent messages in order", () => {
+	const ledger = new SubscriptionLedger(OPTIONS);
+	const first = subscribe(ledger, ["a", "b"], 0);
+	const second = subscribe(ledger, ["c"], 10);
+	ledger.sent({ method: "subscribeNewToken" }, 20);
+	assert.deepEqual(ledger.getStatus(20).counts.token, { pending: 0, sent: 3, confirmed: 0, unsubscribed: 0 });
+
+	assert.deepEqual(ledger.acknowledge({ ok: true }, 100).keys, first.keys);
+	assert.equal(ledger.stateOf("token", "a"), "confirmed");
+	assert.equal(ledger.stateOf("token", "b"), "confirmed");
+	assert.equal(ledger.stateOf("token", "c"), "sent");
+
+	// A rejection goes to the next message in flight
+	assert.deepEqual(ledger.acknowledge({ ok: false, text: "bad key" }, 110).keys, second.keys);
+	assert.equal(ledger.stateOf("token", "c"), "pending");
+	assert.equal(ledger.acknowledge({ ok: true }, 120).method, "subscribeNewToken");
+	assert.equal(ledger.acknowledge({ ok: true }, 130), null);
+
+	const status = ledger.getStatus(130);
+	assert.equal(status.acks, 2);
+	assert.equal(status.errors, 1);
+	assert.equal(status.inflight, 0);
+});
+
+test("a confirmed key stays confirmed when it is requested or sent again", () => {
+	const ledger = new SubscriptionLedger(OPTIONS);
+	subscribe(ledger, ["a"], 0);
+	ledger.acknowledge({ ok: true }, 10);
+	subscribe(ledger, ["a"], 20);
+	assert.equal(ledger.stateOf("token", "a"), "confirmed");
+	// The late ack of the second message does not touch it either
+	ledger.acknowledge({ ok: false, text: "dup" }, 30);
+	assert.equal(ledger.stateOf("token", "a"), "confirmed");
+});
+
+test("trades confirm a key whose acknowledgement was missed", () => {
+	const ledger = new SubscriptionLedger(OPTIONS);
+	subscribe(ledger, ["a"], 0);
+	ledger.observed("token", "a", 50);
+	assert.equal(ledger.stateOf("token", "a"), "confirmed");
+	ledger.observed("token", "unknown", 50);
+	assert.equal(ledger.stateOf("token", "unknown"), null);
+});
+
+test("unacknowledged and rejected keys are retried until maxAttempts, then they are stuck", () => {
+	const ledger = new SubscriptionLedger(OPTIONS);
+	subscribe(ledger, ["a"], 0);
+	subscribe(ledger, ["b"], 0);
+	ledger.acknowledge({ ok: false, text: "rejected" }, 10); // a
+	assert.deepEqual(ledger.due(500), { token: ["a"], account: [] });
+
+	// b is retried once its ack times out; the expired message leaves the FIFO
+	assert.deepEqual(ledger.due(1001), { token: ["a", "b"], account: [] });
+	const status = ledger.getStatus(1001);
+	assert.equal(status.inflight, 0);
+	assert.equal(status.ackTimeouts, 1);
+	assert.equal(status.stuck, 1); // b: sent > ackTimeoutMs ago
+	assert.equal(status.stuckGaveUp, 0);
+
+	// Second and last attempt
+	ledger.sent({ method: "subscribeTokenTrade", keys: ["a", "b"] }, 1100);
+	assert.equal(ledger.stateOf("token", "a"), "sent");
+	assert.deepEqual(ledger.due(2200), { token: [], account: [] });
+	const gaveUp = ledger.getStatus(2200);
+	assert.equal(gaveUp.stuck, 2);
+	assert.equal(gaveUp.stuckGaveUp, 2);
+	assert.equal(gaveUp.retries, 3);
+	// Oldest first: b has been "sent" since 0, a since its resend
+	assert.deepEqual(
+		gaveUp.stuckSample.map((e) => [e.key, e.state, e.attempts]),
+		[
+			["b", "sent", 2],
+			["a", "sent", 2],
+		]
+	);
+});
+
+test("a send failure leaves the keys pending with the error, and counts as an attempt", () => {
+	const ledger = new SubscriptionLedger(OPTIONS);
+	const message = { method: "subscribeTokenTrade", keys: ["a"] };
+	ledger.requested(message, 0);
+	ledger.failed(message, "message too large", 0);
+	assert.equal(ledger.stateOf("token", "a"), "pending");
+	assert.deepEqual(ledger.due(1), { token: ["a"], account: [] });
+	ledger.failed(message, "message too large", 2);
+	assert.deepEqual(ledger.due(3), { token: [], account: [] });
+});
+
+test("reset after a reconnection starts every key over", () => {
+	const ledger = new SubscriptionLedger(OPTIONS);
+	subscribe(ledger, ["a"], 0);
+	ledger.acknowledge({ ok: true }, 10);
+	subscribe(ledger, ["b"], 20);
+	ledger.sent({ method: "unsubscribeTokenTrade", keys: ["c"] }, 30);
+	ledger.reset(40);
+	assert.equal(ledger.stateOf("token", "a"), "pending");
+	assert.equal(ledger.stateOf("token", "b"), "pending");
+	assert.equal(ledger.stateOf("token", "c"), "unsubscribed");
+	assert.equal(ledger.getStatus(40).inflight, 0);
+	assert.ok(Array.from(ledger.entries.values()).every((e) => e.attempts === 0));
+});
+
+test("unsubscribed keys are forgotten after retentionMin", () => {
+	const ledger = new SubscriptionLedger(OPTIONS);
+	subscribe(ledger, ["a"], 0);
+	ledger.sent({ method: "unsubscribeTokenTrade", keys: ["a"] }, 100);
+	ledger.due(100 + 60 * 1000);
+	assert.equal(ledger.stateOf("token", "a"), "unsubscribed");
+	ledger.due(101 + 60 * 1000);
+	assert.equal(ledger.stateOf("token", "a"), null);
+});